@@ -0,0 +1,291 @@
+// Per-symbol threshold alerts and the alert inbox
+//
+// An alert rule watches one stock: a numeric field falling below or rising above a threshold ("P/E
+// falls below 12", "debt/EBITDA rises above 2"), or the price making a new 52-week low or high. Rules
+// are evaluated against the stored Stock documents after every import and whenever the live quote
+// refresh changes a price (see liveQuotes.js). A rule fires when its condition starts to hold, so a
+// price hovering under the threshold alerts once, not on every refresh; it can fire again once the
+// condition has stopped holding. Like saved screens, the first evaluation only records the baseline.
+// Each firing is stored as an AlertEvent (the inbox) first and then, in parallel, optionally POSTed to
+// the rule's webhook and e-mailed through SMTP_URL (see mailer.js).
+
+const { QueryValidationError } = require('./stockQuery');
+const { safeNum } = require('./stockModel');
+const { sendWebhook } = require('./webhooks');
+const { EMAIL_PATTERN } = require('./users');
+const { sendMail } = require('./mailer');
+
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+
+// Fields offered in the UI; any numeric stock field is accepted by the API
+const ALERT_FIELDS = {
+  price: 'Price',
+  priceEarningsRatioTTM: 'P/E (TTM)',
+  debtToEbitdaTTM: 'Debt/EBITDA (TTM)',
+  debtEquityRatioTTM: 'Debt/Equity (TTM)',
+  returnOnEquityTTM: 'ROE (TTM)',
+  enterpriseValueOverEBITDATTM: 'EV/EBITDA (TTM)',
+  marketCap: 'Market cap',
+  simpleScore: 'Score'
+};
+
+const fieldLabel = (field) => ALERT_FIELDS[field] || field;
+
+const formatValue = (value) => String(Math.round(value * 100) / 100);
+
+// Condition id -> label, whether it takes a field and threshold, and the check against a stock.
+// `check` returns the value the rule looked at (null when missing) and whether the condition holds.
+const ALERT_CONDITIONS = {
+  below: {
+    label: 'falls below',
+    usesThreshold: true,
+    check: (rule, stock) => {
+      const value = safeNum(stock[rule.field]);
+      return { value, holds: value !== null && value < rule.threshold };
+    },
+    message: (rule, value) => `${rule.symbol} ${fieldLabel(rule.field)} fell below ${formatValue(rule.threshold)} (now ${formatValue(value)})`
+  },
+  above: {
+    label: 'rises above',
+    usesThreshold: true,
+    check: (rule, stock) => {
+      const value = safeNum(stock[rule.field]);
+      return { value, holds: value !== null && value > rule.threshold };
+    },
+    message: (rule, value) => `${rule.symbol} ${fieldLabel(rule.field)} rose above ${formatValue(rule.threshold)} (now ${formatValue(value)})`
+  },
+  newYearLow: {
+    label: 'makes a new 52-week low',
+    usesThreshold: false,
+    check: (rule, stock) => {
+      const value = safeNum(stock.price);
+      const low = safeNum(stock.yearLow);
+      return { value, holds: value !== null && low !== null && value <= low };
+    },
+    message: (rule, value) => `${rule.symbol} hit a new 52-week low at ${formatValue(value)}`
+  },
+  newYearHigh: {
+    label: 'makes a new 52-week high',
+    usesThreshold: false,
+    check: (rule, stock) => {
+      const value = safeNum(stock.price);
+      const high = safeNum(stock.yearHigh);
+      return { value, holds: value !== null && high !== null && value >= high };
+    },
+    message: (rule, value) => `${rule.symbol} hit a new 52-week high at ${formatValue(value)}`
+  }
+};
+
+const createAlertModels = (mongoose) => {
+  const alertRuleSchema = new mongoose.Schema({
+    symbol: { type: String, required: true, uppercase: true, trim: true, index: true },
+    condition: { type: String, enum: Object.keys(ALERT_CONDITIONS), required: true },
+    field: { type: String, required: true }, // 'price' for the 52-week conditions
+    threshold: { type: Number, default: null },
+    webhookUrl: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    active: { type: Boolean, default: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // null: shared (see users.js)
+    conditionMet: { type: Boolean, default: null }, // At the latest evaluation; null before the baseline
+    lastValue: { type: Number },
+    lastEvaluatedAt: { type: Date },
+    lastTriggeredAt: { type: Date }
+  }, { timestamps: true });
+
+  const alertEventSchema = new mongoose.Schema({
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'AlertRule', required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+    symbol: { type: String, required: true },
+    condition: { type: String },
+    field: { type: String },
+    threshold: { type: Number },
+    value: { type: Number },
+    message: { type: String },
+    source: { type: String, enum: ['import', 'quote'], default: 'import' },
+    triggeredAt: { type: Date, required: true, index: true },
+    readAt: { type: Date, default: null },
+    webhookStatus: { type: String, enum: ['none', 'pending', 'sent', 'failed'], default: 'none' },
+    webhookError: { type: String },
+    emailStatus: { type: String, enum: ['none', 'pending', 'sent', 'failed'], default: 'none' },
+    emailError: { type: String }
+  });
+
+  return {
+    AlertRule: mongoose.models.AlertRule || mongoose.model('AlertRule', alertRuleSchema),
+    AlertEvent: mongoose.models.AlertEvent || mongoose.model('AlertEvent', alertEventSchema)
+  };
+};
+
+// Validate a rule. Updates pass the stored rule merged with the request body.
+const validateAlertInput = (body, numericFields) => {
+  const errors = [];
+  const input = {};
+  const { symbol, condition, field, threshold, webhookUrl, email, active } = body || {};
+
+  const ticker = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+  if (!SYMBOL_PATTERN.test(ticker)) errors.push('symbol: must be a ticker');
+  else input.symbol = ticker;
+
+  const spec = ALERT_CONDITIONS[condition];
+  if (!spec) {
+    errors.push(`condition: must be one of ${Object.keys(ALERT_CONDITIONS).join(', ')}`);
+  } else if (spec.usesThreshold) {
+    input.condition = condition;
+    if (typeof field !== 'string' || !numericFields.includes(field)) errors.push('field: must be a numeric stock field');
+    else input.field = field;
+    if (typeof threshold !== 'number' || !isFinite(threshold)) errors.push('threshold: must be a number');
+    else input.threshold = threshold;
+  } else {
+    Object.assign(input, { condition, field: 'price', threshold: null });
+  }
+  if (webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== '') {
+    if (typeof webhookUrl !== 'string' || !/^https?:\/\/\S+$/.test(webhookUrl)) errors.push('webhookUrl: must be an http(s) URL');
+    else input.webhookUrl = webhookUrl;
+  } else if (webhookUrl !== undefined) {
+    input.webhookUrl = ''; // Cleared
+  }
+  if (email !== undefined && email !== null && email !== '') {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) errors.push('email: must be a valid email address');
+    else input.email = email.trim();
+  } else if (email !== undefined) {
+    input.email = ''; // Cleared
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') errors.push('active: must be true or false');
+    else input.active = active;
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid alert', errors);
+  }
+  return input;
+};
+
+// Stock fields a rule reads
+const alertFields = (rule) => ['symbol', 'price', 'yearLow', 'yearHigh', rule.field];
+
+const checkAlertRule = (rule, stock) => ALERT_CONDITIONS[rule.condition].check(rule, stock);
+
+// "ACME P/E (TTM) falls below 12"
+const describeAlertRule = (rule) => {
+  const spec = ALERT_CONDITIONS[rule.condition];
+  return spec.usesThreshold
+    ? `${rule.symbol} ${fieldLabel(rule.field)} ${spec.label} ${formatValue(rule.threshold)}`
+    : `${rule.symbol} ${spec.label}`;
+};
+
+async function sendAlertEmail(to, event) {
+  try {
+    await sendMail({
+      to,
+      subject: `Stock alert: ${event.message}`,
+      text: `${event.message}\n\nTriggered at ${event.triggeredAt.toISOString()} (${event.source === 'quote' ? 'intraday quote' : 'import'}).`
+    });
+    return { emailStatus: 'sent' };
+  } catch (error) {
+    return { emailStatus: 'failed', emailError: error.message };
+  }
+}
+
+// Store a firing in the inbox; its webhook and e-mail deliveries are left 'pending' for deliverAlert
+async function triggerAlert(AlertEvent, rule, value, triggeredAt, source) {
+  const event = {
+    ruleId: rule._id,
+    userId: rule.userId,
+    symbol: rule.symbol,
+    condition: rule.condition,
+    field: rule.field,
+    threshold: rule.threshold,
+    value,
+    message: ALERT_CONDITIONS[rule.condition].message(rule, value),
+    source,
+    triggeredAt,
+    webhookStatus: rule.webhookUrl ? 'pending' : 'none',
+    emailStatus: rule.email ? 'pending' : 'none'
+  };
+  return AlertEvent.create(event);
+}
+
+// Send a stored firing to the rule's webhook and e-mail address at the same time and record how each
+// went on the inbox entry. Never rejects.
+async function deliverAlert(AlertEvent, rule, event) {
+  const payload = {
+    alert: { id: rule._id, symbol: rule.symbol, condition: rule.condition, field: rule.field, threshold: rule.threshold },
+    value: event.value,
+    message: event.message,
+    triggeredAt: event.triggeredAt
+  };
+  const results = await Promise.all([
+    rule.webhookUrl ? sendWebhook(rule.webhookUrl, payload) : {},
+    rule.email ? sendAlertEmail(rule.email, event) : {}
+  ]);
+  const update = Object.assign({}, ...results);
+  if (Object.keys(update).length === 0) return;
+  try {
+    await AlertEvent.updateOne({ _id: event._id }, { $set: update });
+  } catch (error) {
+    console.error(`Error recording delivery of alert "${describeAlertRule(rule)}":`, error.message);
+  }
+}
+
+// Evaluate the active rules (only those for `symbols` when given) against the stored stocks and
+// record what fired. `source` is 'import' or 'quote'. Webhooks and e-mails go out in the background so
+// a slow endpoint cannot hold up the quote refresh; `awaitDelivery` waits for them (the import job,
+// which exits when it is done).
+async function evaluateAlerts({
+  Stock, AlertRule, AlertEvent, symbols = null, source = 'import', evaluatedAt = new Date(), awaitDelivery = false
+}) {
+  const ruleFilter = { active: true };
+  if (symbols) ruleFilter.symbol = { $in: symbols };
+  const rules = await AlertRule.find(ruleFilter).lean();
+  if (rules.length === 0) return [];
+
+  const projection = [...new Set(rules.flatMap(alertFields))].join(' ');
+  const stocks = await Stock.find({ symbol: { $in: [...new Set(rules.map(rule => rule.symbol))] } }, projection).lean();
+  const stocksBySymbol = new Map(stocks.map(stock => [stock.symbol, stock]));
+  const events = [];
+  const deliveries = [];
+  const ops = [];
+
+  for (const rule of rules) {
+    const stock = stocksBySymbol.get(rule.symbol);
+    if (!stock) continue;
+    const { value, holds } = checkAlertRule(rule, stock);
+    if (value === null) continue;
+
+    const update = { conditionMet: holds, lastValue: value, lastEvaluatedAt: evaluatedAt };
+    if (holds && rule.conditionMet === false) {
+      try {
+        const event = await triggerAlert(AlertEvent, rule, value, evaluatedAt, source);
+        events.push(event);
+        deliveries.push(deliverAlert(AlertEvent, rule, event));
+        update.lastTriggeredAt = evaluatedAt;
+      } catch (error) {
+        console.error(`Error triggering alert "${describeAlertRule(rule)}":`, error.message);
+        continue; // Retried on the next evaluation
+      }
+    }
+    ops.push({ updateOne: { filter: { _id: rule._id }, update: { $set: update } } });
+  }
+  if (ops.length > 0) await AlertRule.bulkWrite(ops, { ordered: false });
+  if (awaitDelivery) await Promise.all(deliveries);
+  return events;
+}
+
+// Conditions and suggested fields for the API / frontend
+const describeAlertConditions = () => ({
+  conditions: Object.entries(ALERT_CONDITIONS).map(([id, spec]) => ({ id, label: spec.label, usesThreshold: spec.usesThreshold })),
+  fields: Object.entries(ALERT_FIELDS).map(([field, label]) => ({ field, label }))
+});
+
+module.exports = {
+  ALERT_CONDITIONS,
+  ALERT_FIELDS,
+  createAlertModels,
+  validateAlertInput,
+  alertFields,
+  checkAlertRule,
+  describeAlertRule,
+  evaluateAlerts,
+  describeAlertConditions
+};
@@ -0,0 +1,183 @@
+// Screen backtesting on stored snapshots
+//
+// At each rebalance date the screen is run against that day's snapshot and every passing stock is
+// held at equal weight until the next rebalance. Returns come from the snapshot `price` field, so a
+// backtest can only cover days the importer has already snapshotted (see stockSnapshots.js).
+// The benchmark is the equal-weighted full universe of the same snapshots.
+
+const { QueryValidationError } = require('./stockQuery');
+
+// Rebalance on the first snapshot of each period
+const REBALANCE_FREQUENCIES = {
+  weekly: (date) => Math.floor((date.getTime() / 86400000 + 3) / 7), // Weeks start on Monday
+  monthly: (date) => date.getUTCFullYear() * 12 + date.getUTCMonth(),
+  quarterly: (date) => date.getUTCFullYear() * 4 + Math.floor(date.getUTCMonth() / 3)
+};
+
+const DEFAULT_REBALANCE = 'monthly';
+
+const parseDate = (raw, name, errors) => {
+  const date = new Date(raw);
+  if (!raw || isNaN(date.getTime())) {
+    errors.push(`${name}: "${raw}" is not a valid date (use YYYY-MM-DD)`);
+    return null;
+  }
+  return date;
+};
+
+// Validate the rebalance frequency and date range of a backtest request
+const parseBacktestOptions = ({ rebalance = DEFAULT_REBALANCE, from, to } = {}) => {
+  const errors = [];
+  if (!REBALANCE_FREQUENCIES[rebalance]) {
+    errors.push(`rebalance: must be one of ${Object.keys(REBALANCE_FREQUENCIES).join(', ')}`);
+  }
+  const fromDate = parseDate(from, 'from', errors);
+  const toDate = to ? parseDate(to, 'to', errors) : new Date();
+  if (fromDate && toDate && fromDate > toDate) {
+    errors.push('from: must be on or before to');
+  }
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid backtest request', errors);
+  }
+  return { rebalance, from: fromDate, to: toDate };
+};
+
+// Snapshot days used as rebalance points: the first day of each period, plus the last day in
+// range so the final period is valued.
+const selectRebalanceDates = (snapshotDates, rebalance) => {
+  const periodOf = REBALANCE_FREQUENCIES[rebalance];
+  const dates = [];
+  let lastPeriod = null;
+  snapshotDates.forEach(date => {
+    const period = periodOf(date);
+    if (period !== lastPeriod) {
+      dates.push(date);
+      lastPeriod = period;
+    }
+  });
+  const last = snapshotDates[snapshotDates.length - 1];
+  if (last && dates[dates.length - 1] !== last) dates.push(last);
+  return dates;
+};
+
+const mean = (values) => (values.length === 0 ? 0 : values.reduce((sum, v) => sum + v, 0) / values.length);
+
+// One-way turnover between two equal-weighted holdings lists (0 = unchanged, 1 = fully replaced)
+const turnover = (previous, current) => {
+  if (previous.length === 0) return current.length > 0 ? 1 : 0;
+  const prevWeight = 1 / previous.length;
+  const currWeight = current.length > 0 ? 1 / current.length : 0;
+  const prevSet = new Set(previous);
+  const currSet = new Set(current);
+  let change = 0;
+  prevSet.forEach(symbol => { change += Math.abs((currSet.has(symbol) ? currWeight : 0) - prevWeight); });
+  currSet.forEach(symbol => { if (!prevSet.has(symbol)) change += currWeight; });
+  return change / 2;
+};
+
+// Largest peak-to-trough fall of an equity curve, as a negative fraction
+const maxDrawdown = (values) => {
+  let peak = -Infinity;
+  let worst = 0;
+  values.forEach(value => {
+    peak = Math.max(peak, value);
+    worst = Math.min(worst, value / peak - 1);
+  });
+  return worst;
+};
+
+const pricesOn = async (SnapshotModel, snapshotDate, filter = {}) => {
+  const docs = await SnapshotModel.find({ $and: [filter, { snapshotDate, price: { $gt: 0 } }] }, 'symbol price').lean();
+  return new Map(docs.map(doc => [doc.symbol, doc.price]));
+};
+
+// Run a backtest of `screenFilter` over the stored snapshots: a MongoDB filter on stock fields, or a
+// function of the rebalance date returning one (for filters relative to that day, e.g. data freshness)
+async function runBacktest(SnapshotModel, screenFilter, options) {
+  const { rebalance, from, to } = options;
+  const filterOn = typeof screenFilter === 'function' ? screenFilter : () => screenFilter;
+  const snapshotDates = (await SnapshotModel.distinct('snapshotDate', { snapshotDate: { $gte: from, $lte: to } }))
+    .map(date => new Date(date))
+    .sort((a, b) => a - b);
+  const rebalanceDates = selectRebalanceDates(snapshotDates, rebalance);
+  if (rebalanceDates.length < 2) {
+    return null;
+  }
+
+  const equityCurve = [];
+  const periods = [];
+  let portfolioValue = 1;
+  let universeValue = 1;
+  let previousHoldings = [];
+  let picksBeatingUniverse = 0;
+  let pickCount = 0;
+
+  for (let i = 0; i < rebalanceDates.length - 1; i++) {
+    const start = rebalanceDates[i];
+    const end = rebalanceDates[i + 1];
+    const [holdingPrices, universePrices, endPrices] = await Promise.all([
+      pricesOn(SnapshotModel, start, filterOn(start)),
+      pricesOn(SnapshotModel, start),
+      pricesOn(SnapshotModel, end)
+    ]);
+
+    // Stocks without a price at the end of the period (e.g. delisted) are left out of its return
+    const returnsOf = (prices) => [...prices.entries()]
+      .filter(([symbol]) => endPrices.has(symbol))
+      .map(([symbol, price]) => ({ symbol, ret: endPrices.get(symbol) / price - 1 }));
+    const holdingReturns = returnsOf(holdingPrices);
+    const universeReturn = mean(returnsOf(universePrices).map(r => r.ret));
+    const portfolioReturn = holdingReturns.length > 0 ? mean(holdingReturns.map(r => r.ret)) : 0; // Empty screen sits in cash
+
+    const holdings = [...holdingPrices.keys()];
+    if (equityCurve.length === 0) {
+      equityCurve.push({ date: start, portfolio: portfolioValue, universe: universeValue, holdings: holdings.length });
+    }
+    portfolioValue *= 1 + portfolioReturn;
+    universeValue *= 1 + universeReturn;
+    equityCurve.push({ date: end, portfolio: portfolioValue, universe: universeValue, holdings: holdings.length });
+
+    pickCount += holdingReturns.length;
+    picksBeatingUniverse += holdingReturns.filter(r => r.ret > universeReturn).length;
+
+    periods.push({
+      start,
+      end,
+      holdings: holdings.length,
+      missingPrices: holdings.length - holdingReturns.length,
+      portfolioReturn,
+      universeReturn,
+      turnover: turnover(previousHoldings, holdings)
+    });
+    previousHoldings = holdings;
+  }
+
+  const beatPeriods = periods.filter(p => p.portfolioReturn > p.universeReturn).length;
+
+  return {
+    rebalance,
+    from: rebalanceDates[0],
+    to: rebalanceDates[rebalanceDates.length - 1],
+    equityCurve,
+    periods,
+    summary: {
+      totalReturn: portfolioValue - 1,
+      universeTotalReturn: universeValue - 1,
+      averageTurnover: mean(periods.slice(1).map(p => p.turnover)), // The initial purchase is not turnover
+      maxDrawdown: maxDrawdown(equityCurve.map(p => p.portfolio)),
+      universeMaxDrawdown: maxDrawdown(equityCurve.map(p => p.universe)),
+      periodHitRate: beatPeriods / periods.length, // Share of periods the screen beat the universe
+      pickHitRate: pickCount > 0 ? picksBeatingUniverse / pickCount : null // Share of picks that beat the universe
+    }
+  };
+}
+
+module.exports = {
+  REBALANCE_FREQUENCIES,
+  DEFAULT_REBALANCE,
+  parseBacktestOptions,
+  selectRebalanceDates,
+  turnover,
+  maxDrawdown,
+  runBacktest
+};
@@ -0,0 +1,322 @@
+// User-defined computed metrics, e.g. earnings yield = netIncomePerShareTTM / price
+//
+// A formula is arithmetic over numeric stock fields: numbers, field names, + - * /, unary minus,
+// parentheses and abs(x), min(a, b, ...), max(a, b, ...). It is parsed here into a small expression
+// tree (never eval'd) and evaluated per stock. A missing operand, division by zero or a non-finite
+// result gives null, like an unavailable ratio. Values are stored on each stock as
+// customMetrics.<key>, so the range query, sortBy and aggregates treat them like schema fields.
+// They are recomputed when a metric is saved and after every import (see computeCustomMetrics).
+
+const { QueryValidationError } = require('./stockQuery');
+
+const CUSTOM_METRICS_FIELD = 'customMetrics';
+const METRIC_FORMATS = ['number', 'percent', 'multiple', 'currency'];
+const MAX_CUSTOM_METRICS = 50;
+const MAX_FORMULA_LENGTH = 300;
+const MAX_FORMULA_NODES = 60;
+const KEY_PATTERN = /^[a-z][A-Za-z0-9]{1,39}$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+// Function name -> [minimum, maximum] argument count
+const FUNCTIONS = {
+  abs: [1, 1],
+  min: [2, 10],
+  max: [2, 10]
+};
+
+const OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b)
+};
+
+// 'earningsYield' -> 'customMetrics.earningsYield'
+const customMetricField = (key) => `${CUSTOM_METRICS_FIELD}.${key}`;
+
+const TOKEN_PATTERN = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|[A-Za-z_][A-Za-z0-9_]*|[-+*/(),]/y;
+
+// Formula -> tokens with their 1-based position for error messages
+const tokenize = (formula) => {
+  const tokens = [];
+  let position = 0;
+  while (position < formula.length) {
+    if (/\s/.test(formula[position])) {
+      position += 1;
+      continue;
+    }
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(formula);
+    if (!match) {
+      throw new QueryValidationError('Invalid formula', [`position ${position + 1}: unexpected character "${formula[position]}"`]);
+    }
+    const text = match[0];
+    if (/^[\d.]/.test(text)) tokens.push({ type: 'number', value: Number(text), at: position + 1 });
+    else if (/^[A-Za-z_]/.test(text)) tokens.push({ type: 'name', value: text, at: position + 1 });
+    else tokens.push({ type: 'symbol', value: text, at: position + 1 });
+    position += text.length;
+  }
+  return tokens;
+};
+
+// Recursive descent over the tokens:
+//   expression := term (('+' | '-') term)*
+//   term       := unary (('*' | '/') unary)*
+//   unary      := '-' unary | primary
+//   primary    := number | field | function '(' expression (',' expression)* ')' | '(' expression ')'
+const parseTokens = (tokens, numericFields) => {
+  let index = 0;
+  let nodes = 0;
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new QueryValidationError('Invalid formula', [token ? `position ${token.at}: ${message}` : `end of formula: ${message}`]);
+  };
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expectSymbol = (value) => {
+    if (!isSymbol(value)) fail(`expected "${value}"`);
+    index += 1;
+  };
+  const node = (value) => {
+    nodes += 1;
+    if (nodes > MAX_FORMULA_NODES) fail(`formulas may contain at most ${MAX_FORMULA_NODES} terms`);
+    return value;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('expected a number, field or "("');
+    index += 1;
+    if (token.type === 'number') return node({ type: 'number', value: token.value });
+    if (token.type === 'name') {
+      if (isSymbol('(')) {
+        if (!FUNCTIONS[token.value]) fail(`unknown function "${token.value}" (use ${Object.keys(FUNCTIONS).join(', ')})`, token);
+        index += 1;
+        const args = [parseExpression()];
+        while (isSymbol(',')) {
+          index += 1;
+          args.push(parseExpression());
+        }
+        expectSymbol(')');
+        const [minArgs, maxArgs] = FUNCTIONS[token.value];
+        if (args.length < minArgs || args.length > maxArgs) {
+          fail(`${token.value}() takes ${minArgs === maxArgs ? minArgs : `${minArgs} to ${maxArgs}`} argument(s)`, token);
+        }
+        return node({ type: 'call', name: token.value, args });
+      }
+      if (!numericFields.includes(token.value)) fail(`unknown numeric field "${token.value}"`, token);
+      return node({ type: 'field', name: token.value });
+    }
+    if (token.value === '(') {
+      const inner = parseExpression();
+      expectSymbol(')');
+      return inner;
+    }
+    return fail(`unexpected "${token.value}"`, token);
+  };
+
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      index += 1;
+      return node({ type: 'negate', arg: parseUnary() });
+    }
+    return parsePrimary();
+  };
+
+  const parseBinary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (peek() && peek().type === 'symbol' && operators.includes(peek().value)) {
+      const op = peek().value;
+      index += 1;
+      left = node({ type: 'binary', op, left, right: parseOperand() });
+    }
+    return left;
+  };
+  const parseTerm = parseBinary(parseUnary, ['*', '/']);
+  const parseExpression = parseBinary(parseTerm, ['+', '-']);
+
+  const tree = parseExpression();
+  if (index < tokens.length) fail(`unexpected "${peek().value}"`);
+  return tree;
+};
+
+// Formula string -> expression tree. Field names must be in `numericFields` (custom metrics
+// cannot reference each other, so they can be computed in any order).
+const parseFormula = (formula, numericFields) => {
+  if (typeof formula !== 'string' || formula.trim() === '') {
+    throw new QueryValidationError('Invalid formula', ['formula: is required']);
+  }
+  if (formula.length > MAX_FORMULA_LENGTH) {
+    throw new QueryValidationError('Invalid formula', [`formula: at most ${MAX_FORMULA_LENGTH} characters`]);
+  }
+  return parseTokens(tokenize(formula), numericFields);
+};
+
+// Stock fields an expression tree reads
+const formulaFields = (tree) => {
+  switch (tree.type) {
+    case 'field': return [tree.name];
+    case 'negate': return formulaFields(tree.arg);
+    case 'binary': return [...new Set([...formulaFields(tree.left), ...formulaFields(tree.right)])];
+    case 'call': return [...new Set(tree.args.flatMap(formulaFields))];
+    default: return [];
+  }
+};
+
+// Value of an expression tree for one stock document, or null
+const evaluateFormula = (tree, doc) => {
+  let value;
+  switch (tree.type) {
+    case 'number':
+      value = tree.value;
+      break;
+    case 'field':
+      value = typeof doc[tree.name] === 'number' ? doc[tree.name] : null;
+      break;
+    case 'negate': {
+      const arg = evaluateFormula(tree.arg, doc);
+      value = arg === null ? null : -arg;
+      break;
+    }
+    case 'binary': {
+      const left = evaluateFormula(tree.left, doc);
+      const right = left === null ? null : evaluateFormula(tree.right, doc);
+      value = right === null ? null : OPERATORS[tree.op](left, right);
+      break;
+    }
+    case 'call': {
+      const args = tree.args.map(arg => evaluateFormula(arg, doc));
+      if (args.includes(null)) return null;
+      value = tree.name === 'abs' ? Math.abs(args[0]) : Math[tree.name](...args);
+      break;
+    }
+    default:
+      value = null;
+  }
+  return typeof value === 'number' && isFinite(value) ? value : null;
+};
+
+const createCustomMetricModel = (mongoose) => {
+  const customMetricSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // Stored on stocks as customMetrics.<key>
+    name: { type: String, required: true, trim: true },
+    formula: { type: String, required: true },
+    fields: { type: [String], default: [] }, // Stock fields the formula reads
+    format: { type: String, enum: METRIC_FORMATS, default: 'number' },
+    description: { type: String, trim: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // Creator; null: from before accounts
+    computedAt: { type: Date }
+  }, { timestamps: true });
+
+  return mongoose.models.CustomMetric || mongoose.model('CustomMetric', customMetricSchema);
+};
+
+// Validate a create/update request body. With `partial`, missing fields are left unchanged; the key
+// of an existing metric cannot change, since stored values and saved sorts refer to it.
+const validateCustomMetricInput = (body, numericFields, { partial = false } = {}) => {
+  const errors = [];
+  const input = {};
+  const { key, name, formula, format, description } = body || {};
+
+  if (partial) {
+    if (key !== undefined) errors.push('key: cannot be changed; create a new metric instead');
+  } else if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    errors.push('key: must be 2-40 letters or digits starting with a lowercase letter, e.g. earningsYield');
+  } else {
+    input.key = key;
+  }
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '') errors.push('name: is required');
+    else input.name = name.trim();
+  }
+  if (formula !== undefined || !partial) {
+    try {
+      input.fields = formulaFields(parseFormula(formula, numericFields));
+      input.formula = formula.trim();
+    } catch (e) {
+      errors.push(...(e.details || [e.message]));
+    }
+  }
+  if (format !== undefined) {
+    if (!METRIC_FORMATS.includes(format)) errors.push(`format: must be one of ${METRIC_FORMATS.join(', ')}`);
+    else input.format = format;
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') errors.push('description: must be a string');
+    else input.description = description || '';
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid custom metric', errors);
+  }
+  return input;
+};
+
+// Evaluate `metrics` for every stock and store the values under customMetrics.<key>. Runs after
+// each import and when a metric is created or its formula changes.
+async function computeCustomMetrics(StockModel, metrics, numericFields) {
+  if (metrics.length === 0) return 0;
+  const compiled = metrics.map(metric => ({ key: metric.key, tree: parseFormula(metric.formula, numericFields) }));
+  const fields = [...new Set(compiled.flatMap(({ tree }) => formulaFields(tree)))];
+  const stocks = await StockModel.find({}, ['_id', ...fields].join(' ')).lean();
+  const BATCH_SIZE = 1000;
+
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map(stock => ({
+      updateOne: {
+        filter: { _id: stock._id },
+        update: { $set: Object.fromEntries(compiled.map(({ key, tree }) => [customMetricField(key), evaluateFormula(tree, stock)])) }
+      }
+    }));
+    await StockModel.bulkWrite(ops, { ordered: false });
+  }
+  return stocks.length;
+}
+
+// Drop a deleted metric's stored values
+const removeCustomMetricValues = (StockModel, key) =>
+  StockModel.updateMany({}, { $unset: { [customMetricField(key)]: '' } });
+
+// Metric definitions for request validation, reloaded at most once a minute; `invalidate` after
+// a change so this process sees it immediately
+const createCustomMetricCache = (CustomMetric, ttlMs = CACHE_TTL_MS) => {
+  let cached = null;
+  let loading = null;
+
+  const list = async () => {
+    if (cached && Date.now() - cached.loadedAt < ttlMs) return cached.metrics;
+    if (!loading) {
+      loading = CustomMetric.find({}).sort({ name: 1 }).lean()
+        .then(metrics => {
+          cached = { metrics, loadedAt: Date.now() };
+          return metrics;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    return loading;
+  };
+
+  return {
+    list,
+    invalidate: () => {
+      cached = null;
+    }
+  };
+};
+
+module.exports = {
+  CUSTOM_METRICS_FIELD,
+  METRIC_FORMATS,
+  MAX_CUSTOM_METRICS,
+  FUNCTIONS,
+  customMetricField,
+  parseFormula,
+  formulaFields,
+  evaluateFormula,
+  createCustomMetricModel,
+  validateCustomMetricInput,
+  computeCustomMetrics,
+  removeCustomMetricValues,
+  createCustomMetricCache
+};
@@ -0,0 +1,149 @@
+// Data quality checks run by the importer, and the filters that keep flagged or stale stocks out of screens
+//
+// Each imported stock is checked for values outside plausible bounds (RANGE_RULES), large moves since
+// the previous import (JUMP_RULES) and profile/quote fields that disagree (MISMATCH_RULES). Problems
+// are stored on the stock as dataQualityFlags ({ code, field, message }) rather than dropped, so the
+// data stays inspectable; screens opt out with `excludeFlagged` and `maxAgeDays` (or the sidebar's
+// `dataQuality` filter).
+
+const { QueryValidationError } = require('./stockQuery');
+
+const FLAG_CODES = ['outOfRange', 'jump', 'mismatch'];
+const DEFAULT_MAX_AGE_DAYS = 7; // Older lastUpdated values count as stale
+const JUMP_WINDOW_DAYS = 4; // Only compare with an import this recent (covers weekends)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plausible bounds per field; a value outside them is flagged 'outOfRange'. `ne` rejects one value
+// (FMP reports a P/E of 0 when earnings are unavailable).
+const RANGE_RULES = {
+  price: { gt: 0 },
+  marketCap: { gt: 0 },
+  mktCap: { gt: 0 },
+  avgVolume: { gte: 0 },
+  yearHigh: { gt: 0 },
+  yearLow: { gt: 0 },
+  priceEarningsRatioTTM: { ne: 0, gt: -10000, lt: 10000 },
+  debtEquityRatioTTM: { gt: -100, lt: 100 },
+  returnOnEquityTTM: { gt: -100, lt: 100 },
+  enterpriseValueOverEBITDATTM: { gt: -10000, lt: 10000 },
+  debtToEbitdaTTM: { gt: -1000, lt: 1000 }
+};
+
+// Largest relative change accepted since the previous import (0.5 = 50%)
+const JUMP_RULES = {
+  price: 0.5,
+  marketCap: 0.5,
+  avgVolume: 5
+};
+
+// Fields that should agree within `tolerance` (relative difference). `rangeIndex` reads the
+// profile's "low - high" range string instead of a stored field.
+const MISMATCH_RULES = [
+  { field: 'marketCap', other: 'mktCap', tolerance: 0.1, label: 'quote and profile market cap' },
+  { field: 'yearHighQuote', rangeIndex: 1, tolerance: 0.05, label: 'quote and profile 52-week high' },
+  { field: 'yearLowQuote', rangeIndex: 0, tolerance: 0.05, label: 'quote and profile 52-week low' },
+  { field: 'priceEarningsRatioTTM', other: 'peQuote', tolerance: 0.25, label: 'TTM and quote P/E' }
+];
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const rangeValue = (range, index) => {
+  if (typeof range !== 'string') return null;
+  const value = Number(range.split(' - ')[index]);
+  return isFinite(value) && range.includes(' - ') ? value : null;
+};
+
+const outOfRangeFlags = (stock) => Object.entries(RANGE_RULES).flatMap(([field, bounds]) => {
+  const value = stock[field];
+  if (!isNumber(value)) return [];
+  const failed = (bounds.ne !== undefined && value === bounds.ne)
+    || (bounds.gt !== undefined && value <= bounds.gt)
+    || (bounds.gte !== undefined && value < bounds.gte)
+    || (bounds.lt !== undefined && value >= bounds.lt);
+  return failed ? [{ code: 'outOfRange', field, message: `${field} of ${value} is not plausible` }] : [];
+});
+
+const jumpFlags = (stock, previous) => {
+  if (!previous || !previous.lastUpdated) return [];
+  const age = new Date(stock.lastUpdated || Date.now()).getTime() - new Date(previous.lastUpdated).getTime();
+  if (age > JUMP_WINDOW_DAYS * DAY_MS) return [];
+  return Object.entries(JUMP_RULES).flatMap(([field, maxChange]) => {
+    const value = stock[field];
+    const before = previous[field];
+    if (!isNumber(value) || !isNumber(before) || before <= 0) return [];
+    const change = (value - before) / before;
+    return Math.abs(change) > maxChange
+      ? [{ code: 'jump', field, message: `${field} moved ${(change * 100).toFixed(0)}% since the previous import (${before} to ${value})` }]
+      : [];
+  });
+};
+
+const mismatchFlags = (stock) => MISMATCH_RULES.flatMap(({ field, other, rangeIndex, tolerance, label }) => {
+  const value = stock[field];
+  const expected = rangeIndex === undefined ? stock[other] : rangeValue(stock.range, rangeIndex);
+  if (!isNumber(value) || !isNumber(expected) || value === 0 || expected === 0) return [];
+  const difference = Math.abs(value - expected) / Math.max(Math.abs(value), Math.abs(expected));
+  return difference > tolerance
+    ? [{ code: 'mismatch', field, message: `${label} differ by ${(difference * 100).toFixed(0)}% (${value} vs ${expected})` }]
+    : [];
+});
+
+// Every data quality problem in a freshly imported stock; `previous` is the stored document from
+// the previous import (price, marketCap, avgVolume, lastUpdated) or null
+const validateStockData = (stock, previous) => [
+  ...outOfRangeFlags(stock),
+  ...jumpFlags(stock, previous),
+  ...mismatchFlags(stock)
+];
+
+// Sidebar option -> which checks it applies
+const DATA_QUALITY_OPTIONS = {
+  excludeFlagged: { flagged: true },
+  fresh: { stale: true },
+  cleanAndFresh: { flagged: true, stale: true }
+};
+
+// `excludeFlagged=true` (any flag) or `excludeFlagged=jump,mismatch` (those codes), or the sidebar's
+// dataQuality option -> filter, or null. Used by buildScreenFilter, so saved screens apply it too.
+const buildFlagFilter = (params = {}) => {
+  const raw = params.excludeFlagged === undefined || params.excludeFlagged === 'false' ? '' : String(params.excludeFlagged);
+  const option = DATA_QUALITY_OPTIONS[params.dataQuality];
+  if (raw === '' || raw === 'true') {
+    return raw === 'true' || (option && option.flagged) ? { 'dataQualityFlags.0': { $exists: false } } : null;
+  }
+  const codes = raw.split(',').map(code => code.trim()).filter(Boolean);
+  const unknown = codes.filter(code => !FLAG_CODES.includes(code));
+  if (unknown.length > 0) {
+    throw new QueryValidationError(`excludeFlagged must be true or a list of ${FLAG_CODES.join(', ')}`, unknown);
+  }
+  return { 'dataQualityFlags.code': { $nin: codes } };
+};
+
+// `maxAgeDays=N` (or the sidebar's dataQuality option, DEFAULT_MAX_AGE_DAYS) -> stocks updated within
+// N days of `referenceDate` (now, or the snapshot day for point-in-time screens), or null
+const buildFreshnessFilter = (params = {}, referenceDate = new Date()) => {
+  const option = DATA_QUALITY_OPTIONS[params.dataQuality];
+  let days = null;
+  if (params.maxAgeDays !== undefined && params.maxAgeDays !== '') {
+    days = Number(params.maxAgeDays);
+    if (!isFinite(days) || days <= 0) {
+      throw new QueryValidationError('maxAgeDays must be a positive number');
+    }
+  } else if (option && option.stale) {
+    days = DEFAULT_MAX_AGE_DAYS;
+  }
+  if (days === null) return null;
+  return { lastUpdated: { $gte: new Date(referenceDate.getTime() - days * DAY_MS) } };
+};
+
+module.exports = {
+  FLAG_CODES,
+  DEFAULT_MAX_AGE_DAYS,
+  RANGE_RULES,
+  JUMP_RULES,
+  MISMATCH_RULES,
+  DATA_QUALITY_OPTIONS,
+  validateStockData,
+  buildFlagFilter,
+  buildFreshnessFilter
+};
@@ -1,225 +1,214 @@
-const axios = require('axios');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const Queue = require('p-queue');
+const { default: Queue } = require('p-queue');
+const { scoreAllStocks } = require('./scoringEngine');
+const { computePeerRelatives } = require('./peerAggregates');
+const { createCustomMetricModel, computeCustomMetrics } = require('./customMetrics');
+const { getNumericFields } = require('./stockQuery');
+const { validateStockData } = require('./dataQuality');
+const { tagAllStocks } = require('./styleTags');
+const { createAlertModels, evaluateAlerts } = require('./alerts');
+const signals = require('./fundamentalSignals');
+const { createSnapshotModel, writeSnapshots } = require('./stockSnapshots');
+const importRuns = require('./importRuns');
+const { withRetry } = importRuns;
+const importJobs = require('./importJobs');
+const { createMarketDataProvider } = require('./marketDataProvider');
+const { createStockModel, deriveStockMetrics, safeNum } = require('./stockModel');
+const markets = require('./markets');
 
 dotenv.config();
 
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI;
 
-mongoose.connect(MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  serverSelectionTimeoutMS: 5000 // Keep trying to connect for 5s
-})
-.then(() => console.log('MongoDB connected for background job'))
-.catch(err => console.error('MongoDB connection error for background job:', err));
-
-// Mongoose Schema and Model (Paste your expanded schema here)
-const stockSchema = new mongoose.Schema({
-    // From /api/v3/profile/{symbol}
-    symbol: { type: String, required: true, unique: true },
-    companyName: { type: String },
-    image: { type: String },
-    website: { type: String },
-    description: { type: String },
-    sector: { type: String },
-    industry: { type: String },
-    ceo: { type: String },
-    fullTimeEmployees: { type: Number },
-    price: { type: Number }, // Can be updated by /quote later for real-time
-    mktCap: { type: Number }, // Can be updated by /quote later for real-time
-    volAvg: { type: Number }, // Can be updated by /quote later for real-time
-    lastDiv: { type: Number },
-    range: { type: String }, // e.g., "100 - 200"
-    yearHigh: { type: Number }, // Derived from range or from /quote
-    yearLow: { type: Number }, // Derived from range or from /quote
-
-    // From /api/v3/quote/{symbol} - Data here can update/confirm profile data
-    marketCap: { type: Number }, // Already in profile, kept for potential update frequency
-    avgVolume: { type: Number }, // Already in profile, kept for potential update frequency
-    yearHighQuote: { type: Number }, // Explicitly from quote if needed
-    yearLowQuote: { type: Number }, // Explicitly from quote if needed
-    peQuote: { type: Number }, // P/E from quote
-
-    // From /api/v3/ratios-ttm/{symbol}
-    priceEarningsRatioTTM: { type: Number },
-    debtEquityRatioTTM: { type: Number },
-    returnOnEquityTTM: { type: Number },
-    returnOnTangibleEquityTTM: { type: Number },
-    netIncomePerShareTTM: { type: Number },
-
-    // From /api/v3/key-metrics-ttm/{symbol}
-    debtToEbitdaTTM: { type: Number },
-    enterpriseValueOverEBITDATTM: { type: Number },
-    freeCashFlowPerShareTTM: { type: Number },
-
-    // Timestamps for data freshness (Optional but recommended)
-
-    // Calculated/Derived fields
-    simpleScore: { type: Number },
-    marketCapCategory: { type: String },
-    volumeCategory: { type: String },
-    debtCategory: { type: String }, // Corresponds to debtEquityRatioCategory
-    valuationCategory: { type: String }, // Corresponds to peRatioCategory
-    rotceCategory: { type: String }, // Corresponds to returnOnEquityTTM (ROE proxy for ROTCE)
-    numericDebtEbitdaCategory: { type: String }, // e.g., 'le1x', 'le0.5x'
-    numericFcfNiCategory: { type: String }, // e.g., 'ge1.2', 'ge1.0'
-
-    // Formatted string fields
-    debtEbitda: { type: String }, // Formatted debtToEbitdaTTM
-    evEbit: { type: String }, // Formatted enterpriseValueOverEBITDATTM
-    fcfNi: { type: String }, // Formatted FCF/NI ratio
-    rotce: { type: String }, // Formatted returnOnEquityTTM (as percentage)
-    lastUpdated: { type: Date, default: Date.now }
-});
-
-stockSchema.index({ symbol: 1 });
-
-const Stock = mongoose.model('Stock', stockSchema);
-
-
-const FMP_BASE_URL = process.env.FMP_BASE_URL;
-const FMP_API_KEY = process.env.FMP_API_KEY;
+// Connect on first use, so the scheduler can require this module and reuse one connection across runs
+const connectToDatabase = async () => {
+  if (mongoose.connection.readyState !== 0) return;
+  await mongoose.connect(MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    serverSelectionTimeoutMS: 5000 // Keep trying to connect for 5s
+  });
+  console.log('MongoDB connected for background job');
+};
+
+// Schema and metric derivation are shared with server.js (see stockModel.js)
+const Stock = createStockModel(mongoose);
+const StockSnapshot = createSnapshotModel(mongoose, Stock.schema);
+const CustomMetric = createCustomMetricModel(mongoose);
+const importModels = importRuns.createImportModels(mongoose);
+const { AlertRule, AlertEvent } = createAlertModels(mongoose);
+const FxRate = markets.createFxRateModel(mongoose);
+
+// Market data source: FMP by default, MARKET_DATA_PROVIDER=fixture to run offline (see marketDataProvider.js).
+// Every call is counted for the admin page's calls-per-minute figure.
+const callMeter = importJobs.createCallMeter();
+const provider = importJobs.meterProvider(createMarketDataProvider(), callMeter);
 
 // Configure p-queue for rate limiting (3000 calls/minute)
-// 4 calls per stock * 10,000 stocks = 40,000 calls total
+// 10 calls per stock * 10,000 stocks = 100,000 calls total (~35 minutes at the limit)
 // 3000 calls / minute = 50 calls / second
-// To handle 4 calls per stock, with 50 calls per second limit:
-// Concurrency can be up to 50. Let's set it a bit lower to be safe, say 40.
+// Each job (one ticker) makes 10 calls, so at most 5 jobs may start per second.
 // The interval is 1000ms (1 second). The intervalCap is the max number of jobs that can run within the interval.
-// So, concurrency of 40 with intervalCap 40 and interval 1000ms means max 40 jobs per second.
-const queue = new Queue({ concurrency: 40, intervalCap: 40, interval: 1000 });
-
-// Helper function to safely get a number or null
-const safeNum = (val) => (typeof val === 'number' && !isNaN(val) ? val : null);
-
-// Frontend Calculation Logic (Replicated from stockService.ts)
-
-const calculateSimpleScore = (peRatioTTM, roeTTM) => {
-    let score = 0;
-    const peWeight = 40; // Max 40 points for PE
-    const roeWeight = 60; // Max 60 points for ROE
-
-    // ROE scoring (max 60 points)
-    // ROE > 20% = 60 pts, 15-20% = 45 pts, 10-15% = 30pts, 5-10% = 15pts, <5% = 0 pts
-    if (roeTTM !== null) {
-        if (roeTTM > 0.20) score += roeWeight;
-        else if (roeTTM > 0.15) score += roeWeight * 0.75; // 45
-        else if (roeTTM > 0.10) score += roeWeight * 0.5; // 30
-        else if (roeTTM > 0.05) score += roeWeight * 0.25; // 15
-    }
+// So, concurrency of 5 with intervalCap 5 and interval 1000ms means max 50 calls per second.
+const queue = new Queue({ concurrency: 5, intervalCap: 5, interval: 1000 });
+
+// Names of the per-ticker requests, in Promise.allSettled order (used in failure reasons)
+const TICKER_ENDPOINTS = ['profile', 'quote', 'ratios', 'metrics', 'income statements', 'balance sheets',
+    'shares float', 'insider trading', 'key executives', 'SEC filings'];
+
+// List of tickers from the stock screener, on the exchanges in IMPORT_EXCHANGES (see markets.js)
+async function loadTickers() {
+    console.log(`Fetching list of tickers on ${markets.IMPORT_EXCHANGES} from ${provider.name}...`);
+    const screener = await withRetry(() => provider.getScreener({ limit: 10000, exchange: markets.IMPORT_EXCHANGES }));
+    return (screener || []).map(stock => stock.symbol).filter(Boolean);
+}
 
-    // P/E scoring (max 40 points for P/E > 0)
-    // Lower P/E is better. PE < 10 = 40pts, 10-15 = 30pts, 15-20 = 20pts, 20-25 = 10pts, >25 = 0pts
-    if (peRatioTTM !== null && peRatioTTM > 0) {
-        if (peRatioTTM < 10) score += peWeight;
-        else if (peRatioTTM < 15) score += peWeight * 0.75; // 30
-        else if (peRatioTTM < 20) score += peWeight * 0.5; // 20
-        else if (peRatioTTM < 25) score += peWeight * 0.25; // 10
+// Current FX rates, stored for the USD fields; the stored table when the provider cannot be reached
+async function loadFxRatesForRun() {
+    try {
+        return await withRetry(() => markets.refreshFxRates({ provider, FxRate }));
+    } catch (error) {
+        console.error(`Error refreshing FX rates, using the stored table: ${error.message}`);
+        return markets.loadFxRates(FxRate);
     }
-    return Math.round(Math.max(0, Math.min(100, score))); // Score is between 0 and 100
-};
-
-const getMarketCapCategory = (marketCap) => {
-  if (marketCap === null || marketCap === undefined) return "N/A";
-  if (marketCap >= 2000000000) return 'midLarge';
-  if (marketCap >= 300000000) return 'small';
-  if (marketCap >= 50000000) return 'micro';
-  if (marketCap > 0) return 'nano';
-  return "N/A";
-};
-
-const getVolumeCategory = (avgVolume) => {
-  if (avgVolume === null || avgVolume === undefined) return "N/A";
-  if (avgVolume >= 1000000) return 'high';
-  if (avgVolume >= 100000) return 'medium';
-  if (avgVolume > 0) return 'low';
-  return "N/A";
-};
-
-const getDebtCategory = (debtEquityRatio) => {
-  if (debtEquityRatio === null || debtEquityRatio === undefined) return "N/A";
-  if (debtEquityRatio < 0.5) return 'low';
-  if (debtEquityRatio <= 1.0) return 'medium';
-  return 'high';
-};
-
-const getValuationCategory = (peRatio) => {
-  if (peRatio === null || peRatio === undefined) return "N/A";
-  if (peRatio < 15 && peRatio > 0) return 'value';
-  if (peRatio > 25) return 'growth';
-  if (peRatio >=15 && peRatio <=25) return 'blend';
-  return "N/A";
-};
-
-const getRotceCategory = (roe) => {
-  if (roe === null || roe === undefined) return "N/A";
-  const roePercent = roe * 100;
-  if (roePercent > 20) return 'excellent';
-  if (roePercent >= 15) return 'good';
-  if (roePercent >= 10) return 'average';
-  return 'poor';
-};
-
-const NA_STRING = "N/A";
-const formatNum = (val, decimals = 2, suffix = '') => {
-    if (val === null || val === undefined || isNaN(val)) return NA_STRING;
-    return val.toFixed(decimals) + suffix;
-};
-
-// Function to calculate numeric category strings
-const getNumericDebtEbitdaCategory = (debtToEbitda) => {
-    if (debtToEbitda === null) return '';
-    if (debtToEbitda <= 0.25) return 'le0.25x';
-    if (debtToEbitda <= 0.5) return 'le0.5x';
-    if (debtToEbitda <= 1) return 'le1x';
-    return '';
-};
+}
 
-const getNumericFcfNiCategory = (fcfNiRatio) => {
-    if (fcfNiRatio === null) return '';
-    if (fcfNiRatio >= 1.2) return 'ge1.2';
-    if (fcfNiRatio >= 1.0) return 'ge1.0';
-    if (fcfNiRatio >= 0.8) return 'ge0.8';
-    return '';
+// Thrown at a step boundary once the admin API has asked for the run to stop
+class ImportCancelledError extends Error {}
+
+// Set while this process runs an import, so a second trigger does not start another one
+let importInProgress = false;
+
+// Every few seconds: write the run's progress (the heartbeat the admin page reads) and pick up a cancel
+// request. Cancelling drops the queued tickers; the ones being fetched finish first.
+const startHeartbeat = (run, state) => {
+    const callsAtStart = callMeter.total();
+    const beat = async () => {
+        const progress = {
+            step: state.step,
+            queued: queue.size,
+            inFlight: queue.pending,
+            processed: state.processed,
+            toProcess: state.toProcess,
+            apiCalls: callMeter.total() - callsAtStart,
+            apiCallsPerMinute: callMeter.perMinute(),
+            updatedAt: new Date()
+        };
+        const current = await importModels.ImportRun.findOneAndUpdate({ _id: run._id }, { $set: { progress } }, { new: true, projection: 'cancelRequested' }).lean();
+        if (current && current.cancelRequested && !state.cancelled) {
+            console.log(`Import run ${run._id} cancelled, dropping ${queue.size} queued tickers.`);
+            state.cancelled = true;
+            queue.clear();
+        }
+    };
+    const timer = setInterval(() => {
+        beat().catch(err => console.error('Error writing import progress:', err.message));
+    }, importJobs.HEARTBEAT_INTERVAL_MS);
+
+    return {
+        stop: () => clearInterval(timer),
+        // Start of a post-import step; stops the run here if it was cancelled
+        step: async (name) => {
+            state.step = name;
+            await beat();
+            if (state.cancelled) throw new ImportCancelledError();
+        }
+    };
 };
 
-async function fetchAndSaveStocks() {
+// Options:
+//   symbols  - refresh just these tickers (a 'ticker' run: no freshness skip, no snapshot, never resumed)
+//   trigger  - 'schedule' (default) or 'manual', recorded on the run for the admin page
+//   onStart  - called with the ImportRun once it exists, before any ticker is fetched
+// Resolves to the run, or null if no run was started (another import is in progress, or an error).
+async function fetchAndSaveStocks({ symbols = null, trigger = 'schedule', onStart = () => {} } = {}) {
+    if (importInProgress) {
+        console.log('An import is already running in this process, not starting another.');
+        return null;
+    }
+    importInProgress = true;
     console.log('Starting background stock data fetch...');
+    let run = null;
+    let heartbeat = null;
 
     try {
-        // 1. Fetch list of tickers using the stock screener
-        console.log('Fetching list of tickers...');
-        const screenerUrl = `${FMP_BASE_URL}/api/v3/stock-screener?limit=10000&exchange=NASDAQ,NYSE,OTC&isActivelyTrading=true&apikey=${FMP_API_KEY}`;
-        const screenerResponse = await axios.get(screenerUrl);
+        await connectToDatabase();
+        const live = await importRuns.findLiveRun(importModels, importJobs.STALE_AFTER_MS);
+        if (live) {
+            console.log(`Import run ${live._id} is still running in another process, not starting another.`);
+            return null;
+        }
 
-        if (!screenerResponse.data || screenerResponse.data.length === 0) {
+        // 1. Refresh the requested tickers, or resume an interrupted run, or start a new one from the stock screener
+        const started = symbols
+            ? await importRuns.startRun(importModels, symbols, 'ticker')
+            : await importRuns.startOrResumeRun(importModels, loadTickers, trigger);
+        run = started.run;
+        onStart(run);
+        if (started.resumed) {
+            console.log(`Resuming import run ${run._id} with ${started.tickers.length} pending tickers.`);
+        } else if (started.tickers.length === 0) {
             console.log('No tickers found from stock screener.');
-            return;
+            await importRuns.finishRun(importModels, run, new Error('No tickers found from stock screener'));
+            return run;
+        } else {
+            console.log(`Fetched ${started.tickers.length} tickers for import run ${run._id}.`);
+        }
+
+        // Tickers refreshed recently (e.g. by the run that was interrupted) are not refetched,
+        // unless they were asked for by name
+        const tickers = symbols ? started.tickers : await importRuns.skipFreshTickers(importModels, Stock, run, started.tickers);
+        console.log(`${tickers.length} tickers to fetch, ${started.tickers.length - tickers.length} skipped as fresh. Adding tasks to queue...`);
+
+        // USD values of the stocks that are not refetched follow the refreshed rates too
+        const fxRates = await loadFxRatesForRun();
+        const normalized = await markets.normalizeStoredStocks(Stock, fxRates);
+        console.log(`Normalised ${normalized.count} stored stocks to USD with ${Object.keys(fxRates).length} FX rates.`);
+        if (normalized.missingRates.length > 0) {
+            console.warn(`No FX rate for ${normalized.missingRates.join(', ')}; their USD fields are left empty.`);
         }
 
-        const tickers = screenerResponse.data.map(stock => stock.symbol);
-        console.log(`Fetched ${tickers.length} tickers. Adding tasks to queue...`);
+        const state = { step: 'fetching', processed: 0, toProcess: tickers.length, cancelled: false };
+        heartbeat = startHeartbeat(run, state);
 
         // 2. Add tasks to the queue to fetch detailed data and save to MongoDB
         for (const ticker of tickers) {
             queue.add(async () => {
+                let outcome;
                 try {
                     console.log(`Processing ticker: ${ticker}`);
-                    const profileUrl = `${FMP_BASE_URL}/api/v3/profile/${ticker}?apikey=${FMP_API_KEY}`;
-                    const quoteUrl = `${FMP_BASE_URL}/api/v3/quote/${ticker}?apikey=${FMP_API_KEY}`;
-                    const ratiosUrl = `${FMP_BASE_URL}/api/v3/ratios-ttm/${ticker}?apikey=${FMP_API_KEY}`;
-                    const metricsUrl = `${FMP_BASE_URL}/api/v3/key-metrics-ttm/${ticker}?apikey=${FMP_API_KEY}`;
-
-                    // Fetch data concurrently for the current ticker
-                    const [profileRes, quoteRes, ratiosRes, metricsRes] = await Promise.allSettled([
-                        axios.get(profileUrl),
-                        axios.get(quoteUrl),
-                        axios.get(ratiosUrl),
-                        axios.get(metricsUrl)
+
+                    // Fetch data concurrently for the current ticker, retrying transient failures.
+                    // Statements, float, insider trades, executives and filings feed the fundamental signals.
+                    const results = await Promise.allSettled([
+                        withRetry(() => provider.getProfile(ticker)),
+                        withRetry(() => provider.getQuote(ticker)),
+                        withRetry(() => provider.getRatiosTTM(ticker)),
+                        withRetry(() => provider.getKeyMetricsTTM(ticker)),
+                        withRetry(() => provider.getIncomeStatements(ticker, { period: 'annual', limit: 5 })),
+                        withRetry(() => provider.getBalanceSheets(ticker, { period: 'annual', limit: 5 })),
+                        withRetry(() => provider.getSharesFloat(ticker)),
+                        withRetry(() => provider.getInsiderTrades(ticker)),
+                        withRetry(() => provider.getKeyExecutives(ticker)),
+                        withRetry(() => provider.getSecFilings(ticker))
                     ]);
+                    const [profileRes, quoteRes, ratiosRes, metricsRes,
+                           incomeRes, balanceSheetRes, sharesFloatRes, insiderTradingRes, executivesRes, secFilingsRes] = results;
+                    const failedEndpoints = results
+                        .map((res, index) => (res.status === 'rejected' ? `${TICKER_ENDPOINTS[index]}: ${res.reason.message}` : null))
+                        .filter(Boolean);
+
+                    // Payload of a settled request, or null if it failed
+                    const dataOf = (res, name) => {
+                        if (res.status === 'fulfilled') return res.value ?? null;
+                        console.error(`Error fetching ${name} for ${ticker}: ${res.reason.message}`);
+                        return null;
+                    };
+
+                    // Red flags, data quality checks and the currency fallback use what the previous import stored
+                    const previous = await Stock.findOne({ symbol: ticker }, 'keyExecutives managementExits price marketCap avgVolume currency lastUpdated').lean();
 
                     const stockData = {
                         symbol: ticker,
@@ -227,8 +216,8 @@ async function fetchAndSaveStocks() {
                     };
 
                     // Process results from each endpoint (handle rejections)
-                    if (profileRes.status === 'fulfilled' && profileRes.value.data && profileRes.value.data.length > 0) {
-                        const profile = profileRes.value.data[0];
+                    if (profileRes.status === 'fulfilled' && profileRes.value) {
+                        const profile = profileRes.value;
                         stockData.companyName = profile.companyName;
                         stockData.image = profile.image;
                         stockData.website = profile.website;
@@ -242,6 +231,9 @@ async function fetchAndSaveStocks() {
                         stockData.volAvg = profile.volAvg;
                         stockData.lastDiv = profile.lastDiv;
                         stockData.range = profile.range;
+                        stockData.exchange = profile.exchangeShortName;
+                        stockData.country = profile.country;
+                        stockData.currency = profile.currency;
                         // Attempt to derive yearHigh/Low from range if not in quote
                          if (profile.range) {
                             const [low, high] = profile.range.split(' - ').map(Number);
@@ -253,8 +245,8 @@ async function fetchAndSaveStocks() {
                     }
 
 
-                    if (quoteRes.status === 'fulfilled' && quoteRes.value.data && quoteRes.value.data.length > 0) {
-                        const quote = quoteRes.value.data[0];
+                    if (quoteRes.status === 'fulfilled' && quoteRes.value) {
+                        const quote = quoteRes.value;
                         // Prioritize quote data for potentially more real-time values
                         stockData.price = quote.price;
                         stockData.marketCap = quote.marketCap; // Overwrites mktCap from profile if available
@@ -272,8 +264,8 @@ async function fetchAndSaveStocks() {
                     }
 
 
-                    if (ratiosRes.status === 'fulfilled' && ratiosRes.value.data && ratiosRes.value.data.length > 0) {
-                        const ratios = ratiosRes.value.data[0];
+                    if (ratiosRes.status === 'fulfilled' && ratiosRes.value) {
+                        const ratios = ratiosRes.value;
                         stockData.priceEarningsRatioTTM = ratios.priceEarningsRatioTTM;
                         stockData.debtEquityRatioTTM = ratios.debtEquityRatioTTM;
                         stockData.returnOnEquityTTM = ratios.returnOnEquityTTM;
@@ -284,8 +276,8 @@ async function fetchAndSaveStocks() {
                     }
 
 
-                    if (metricsRes.status === 'fulfilled' && metricsRes.value.data && metricsRes.value.data.length > 0) {
-                        const metrics = metricsRes.value.data[0];
+                    if (metricsRes.status === 'fulfilled' && metricsRes.value) {
+                        const metrics = metricsRes.value;
                         stockData.debtToEbitdaTTM = metrics.debtToEbitdaTTM;
                         stockData.enterpriseValueOverEBITDATTM = metrics.enterpriseValueOverEBITDATTM;
                         stockData.freeCashFlowPerShareTTM = metrics.freeCashFlowPerShareTTM;
@@ -293,47 +285,93 @@ async function fetchAndSaveStocks() {
                         console.error(`Error fetching metrics for ${ticker}: ${metricsRes.reason.message}`);
                     }
 
-                    // Save or update in MongoDB
-                    // Calculate derived fields before saving
-                    const peRatioTTM = safeNum(stockData.priceEarningsRatioTTM);
-                    const roeTTM = safeNum(stockData.returnOnEquityTTM);
+                    // USD values, then categories and formatted strings (see markets.js and stockModel.js).
+                    // Without a profile the stored currency still applies to the quote's price and market cap.
+                    if (!stockData.currency && previous?.currency) stockData.currency = previous.currency;
+                    Object.assign(stockData, markets.currencyFields(stockData, fxRates));
+                    Object.assign(stockData, deriveStockMetrics(stockData));
                     const marketCap = safeNum(stockData.marketCap);
-                    const avgVolume = safeNum(stockData.avgVolume);
-                    const debtEquityRatioTTM = safeNum(stockData.debtEquityRatioTTM);
-                    const debtToEbitdaTTM = safeNum(stockData.debtToEbitdaTTM);
                     const enterpriseValueOverEBITDATTM = safeNum(stockData.enterpriseValueOverEBITDATTM);
-                    const freeCashFlowPerShareTTM = safeNum(stockData.freeCashFlowPerShareTTM);
-                    const netIncomePerShareTTM = safeNum(stockData.netIncomePerShareTTM);
-                    const lastDiv = safeNum(stockData.lastDiv);
-                    const price = safeNum(stockData.price);
-                    const yearHigh = safeNum(stockData.yearHigh); // Use the preferred yearHigh
-                    const yearLow = safeNum(stockData.yearLow); // Use the preferred yearLow
-
-                    stockData.simpleScore = calculateSimpleScore(peRatioTTM, roeTTM);
-                    stockData.marketCapCategory = getMarketCapCategory(marketCap);
-                    stockData.volumeCategory = getVolumeCategory(avgVolume);
-                    stockData.debtCategory = getDebtCategory(debtEquityRatioTTM);
-                    stockData.valuationCategory = getValuationCategory(peRatioTTM);
-                    stockData.rotceCategory = getRotceCategory(roeTTM);
-
-                    const fcfNiRatioNum = (freeCashFlowPerShareTTM !== null && netIncomePerShareTTM !== null && netIncomePerShareTTM !== 0)
-                        ? freeCashFlowPerShareTTM / netIncomePerShareTTM : null;
-
-                    stockData.numericDebtEbitdaCategory = getNumericDebtEbitdaCategory(debtToEbitdaTTM);
-                    stockData.numericFcfNiCategory = getNumericFcfNiCategory(fcfNiRatioNum);
+
+                    // Fundamental signals
+                    const incomeStatements = dataOf(incomeRes, 'income statements');
+                    if (incomeStatements && incomeStatements[0] && incomeStatements[0].reportedCurrency) {
+                        stockData.reportedCurrency = incomeStatements[0].reportedCurrency;
+                    }
+                    const balanceSheets = dataOf(balanceSheetRes, 'balance sheets');
+                    const sharesFloat = dataOf(sharesFloatRes, 'shares float');
+                    const insiderTrades = dataOf(insiderTradingRes, 'insider trades');
+                    const executives = dataOf(executivesRes, 'key executives');
+                    const secFilings = dataOf(secFilingsRes, 'SEC filings');
+
+                    stockData.grossMarginTrend = signals.computeGrossMarginTrend(incomeStatements);
+                    stockData.grossMarginTrendCategory = signals.getGrossMarginTrendCategory(stockData.grossMarginTrend);
+                    stockData.shareCountCagr = signals.computeShareCountCagr(incomeStatements);
+                    stockData.shareCountCagrCategory = signals.getShareCountCagrCategory(stockData.shareCountCagr);
+                    stockData.incrementalRoic = signals.computeIncrementalRoic(incomeStatements, balanceSheets);
+                    stockData.incrementalRoicCategory = signals.getIncrementalRoicCategory(stockData.incrementalRoic);
+                    stockData.numericEvEbitCategory = signals.getNumericEvEbitCategory(enterpriseValueOverEBITDATTM);
+                    // Balance sheets are in the reporting currency, which can differ from the trading currency
+                    const marketCapCurrency = markets.majorCurrency(stockData.currency);
+                    const reportedMarketCap = markets.convertCurrency(marketCap ?? safeNum(stockData.mktCap), marketCapCurrency,
+                        stockData.reportedCurrency ?? marketCapCurrency, fxRates);
+                    stockData.priceToNCAV = signals.computePriceToNcav(reportedMarketCap, balanceSheets);
+                    stockData.deepValueCategory = signals.getDeepValueCategory(stockData.priceToNCAV);
+                    stockData.insiderOwnership = signals.computeInsiderOwnership(sharesFloat);
+                    stockData.insiderOwnershipCategory = signals.getInsiderOwnershipCategory(stockData.insiderOwnership);
+                    stockData.netInsiderBuys = signals.computeNetInsiderBuys(insiderTrades);
+                    stockData.netInsiderBuysCategory = signals.getNetInsiderBuysCategory(stockData.netInsiderBuys);
+                    stockData.moatKeywordHits = signals.countMoatKeywords(stockData.description);
+                    stockData.moatKeywordsCategory = signals.getMoatKeywordsCategory(stockData.moatKeywordHits);
+
+                    // Red flags: late filings and executives who left since the previous import
+                    const oneYearAgo = Date.now() - 365 * 24 * 60 * 60 * 1000;
+                    const { currentNames, exits } = signals.detectManagementExits(previous?.keyExecutives, executives);
+                    const recentExits = (previous?.managementExits || [])
+                        .filter(exit => new Date(exit.detectedAt).getTime() >= oneYearAgo)
+                        .concat(exits.map(name => ({ name, detectedAt: new Date() })));
+                    if (currentNames.length > 0) stockData.keyExecutives = currentNames;
+                    stockData.managementExits = recentExits;
+                    stockData.lateFilingNotices = signals.countLateFilingNotices(secFilings);
+
+                    const redFlags = [];
+                    if (stockData.lateFilingNotices > 0) redFlags.push('auditChanges');
+                    if (recentExits.length > 0) redFlags.push('managementExits');
+                    stockData.redFlags = redFlags;
+                    stockData.redFlagsCategory = signals.getRedFlagsCategory(redFlags);
+
+                    // Validation: out-of-range values, big moves since the previous import and
+                    // profile/quote disagreements are flagged, not dropped (see dataQuality.js)
+                    stockData.dataQualityFlags = validateStockData(stockData, previous);
+                    stockData.dataQualityCheckedAt = new Date();
+                    if (stockData.dataQualityFlags.length > 0) {
+                        console.warn(`Data quality flags for ${ticker}: ${stockData.dataQualityFlags.map(flag => flag.message).join('; ')}`);
+                    }
 
                     // Check if we have significant data before saving
                     if (stockData.companyName || stockData.price || stockData.marketCap) {
                         await Stock.findOneAndUpdate({ symbol: ticker }, stockData, { upsert: true, new: true });
                         console.log(`Saved/Updated data for ${ticker}`);
+                        const qualityFlags = stockData.dataQualityFlags.map(flag => `${flag.code}:${flag.field}`);
+                        outcome = { status: 'saved', failedEndpoints, qualityFlags };
+                    } else if (profileRes.status === 'rejected' && quoteRes.status === 'rejected') {
+                        console.warn(`Profile and quote requests failed for ${ticker}, skipping save.`);
+                        outcome = { status: 'failed', error: 'Profile and quote requests failed', failedEndpoints };
                     } else {
                         console.warn(`No significant data fetched for ${ticker}, skipping save.`);
+                        outcome = { status: 'skipped', error: 'No company name, price or market cap returned', failedEndpoints };
                     }
 
 
                 } catch (error) {
                     console.error(`Error processing ticker ${ticker}:`, error.message);
+                    outcome = { status: 'failed', error: error.message };
                 }
+
+                // Checkpoint, so a resumed run does not fetch this ticker again
+                await importRuns.recordTicker(importModels, run, ticker, outcome)
+                    .catch(err => console.error(`Error recording import status for ${ticker}:`, err.message));
+                state.processed += 1;
             });
         }
 
@@ -342,14 +380,74 @@ async function fetchAndSaveStocks() {
         await queue.onIdle();
         console.log('Background stock data fetch finished.');
 
+        // 4. Rank every stock against its peers now that the whole universe is updated
+        await heartbeat.step('scoring');
+        console.log('Scoring stocks...');
+        const scoredCount = await scoreAllStocks(Stock);
+        console.log(`Scored ${scoredCount} stocks.`);
+
+        // 5. Store each stock's metrics relative to its sector and industry medians
+        await heartbeat.step('peerRelatives');
+        console.log('Computing peer-relative metrics...');
+        const relativeCount = await computePeerRelatives(Stock);
+        console.log(`Computed peer-relative metrics for ${relativeCount} stocks.`);
+
+        // 6. Evaluate the user-defined formulas (they may read the peer-relative fields)
+        await heartbeat.step('customMetrics');
+        console.log('Computing custom metrics...');
+        const customMetrics = await CustomMetric.find({}).lean();
+        await computeCustomMetrics(Stock, customMetrics, getNumericFields(Stock.schema));
+        await CustomMetric.updateMany({}, { computedAt: new Date() });
+        console.log(`Computed ${customMetrics.length} custom metric(s).`);
+
+        // 7. Classify every stock with the style rules (they may read scores and custom metrics)
+        await heartbeat.step('styleTags');
+        console.log('Tagging stock styles...');
+        const taggedCount = await tagAllStocks(Stock);
+        console.log(`Tagged ${taggedCount} stocks.`);
+
+        // 8. Fire the alert rules whose conditions started to hold with the new values (see alerts.js)
+        await heartbeat.step('alerts');
+        console.log('Evaluating alerts...');
+        const alertEvents = await evaluateAlerts({ Stock, AlertRule, AlertEvent, symbols, awaitDelivery: true });
+        console.log(`Alerts evaluated, ${alertEvents.length} alert(s) triggered.`);
+
+        // 9. Keep a dated copy of every stock for point-in-time screening (full runs only)
+        if (!symbols) {
+            await heartbeat.step('snapshot');
+            console.log('Writing daily snapshot...');
+            const snapshot = await writeSnapshots(Stock, StockSnapshot);
+            console.log(`Snapshot of ${snapshot.count} stocks saved for ${snapshot.snapshotDate.toISOString().slice(0, 10)}.`);
+        }
+
+        await importRuns.finishRun(importModels, run);
+        console.log(`Import run ${run._id} completed.`);
+
     } catch (error) {
-        console.error('Error in background stock data fetch:', error.message);
+        if (error instanceof ImportCancelledError) {
+            console.log(`Import run ${run._id} stopped after cancellation.`);
+            await importRuns.cancelRun(importModels, run)
+                .catch(err => console.error('Error recording cancelled import run:', err.message));
+        } else {
+            console.error('Error in background stock data fetch:', error.message);
+            if (run) {
+                await importRuns.finishRun(importModels, run, error)
+                    .catch(err => console.error('Error recording failed import run:', err.message));
+            }
+        }
     } finally {
-        // Disconnect from MongoDB when the job is done
-        mongoose.disconnect().then(() => console.log('MongoDB disconnected for background job')).catch(err => console.error('Error disconnecting MongoDB:', err));
+        if (heartbeat) heartbeat.stop();
+        importInProgress = false;
     }
+    return run;
 }
 
-// Export the function if you want to call it from another script,
-// or call it directly here to run when the script is executed.
-fetchAndSaveStocks(); // This will run the function when you execute node fetchStocksBackground.js
\ No newline at end of file
+module.exports = { fetchAndSaveStocks, connectToDatabase, Stock };
+
+// Run once and disconnect when executed directly (node fetchStocksBackground.js)
+if (require.main === module) {
+    fetchAndSaveStocks({ trigger: 'manual' }).finally(() => {
+        // Disconnect from MongoDB when the job is done
+        mongoose.disconnect().then(() => console.log('MongoDB disconnected for background job')).catch(err => console.error('Error disconnecting MongoDB:', err));
+    });
+}
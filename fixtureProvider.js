@@ -0,0 +1,89 @@
+// File-based market data provider for offline development and tests (see marketDataProvider.js)
+//
+// Reads fixtures/marketData (or MARKET_DATA_FIXTURES_DIR):
+//   screener.json     - array of screener rows ({ symbol, companyName, exchangeShortName, ... })
+//   fx.json           - array of forex quotes ({ symbol: 'EURUSD', price })
+//   <SYMBOL>.json     - { profile, quote, ratiosTTM, keyMetricsTTM, incomeStatements, balanceSheets,
+//                         cashFlowStatements, priceHistory, sharesFloat, insiderTrades, keyExecutives, secFilings,
+//                         news, institutionalOwnership, institutionalHolders, earningsTranscripts (with content) }
+// Records use the FMP field names; lists are newest first, like FMP. A missing file or key means "no data".
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'marketData');
+
+// Symbols become file names, so only allow ticker characters
+const SYMBOL_PATTERN = /^[A-Za-z0-9.\-^]{1,15}$/;
+
+const createFixtureProvider = ({ dir = process.env.MARKET_DATA_FIXTURES_DIR || DEFAULT_FIXTURES_DIR } = {}) => {
+  const cache = new Map();
+
+  const readJson = async (fileName) => {
+    if (cache.has(fileName)) return cache.get(fileName);
+    let data = null;
+    try {
+      data = JSON.parse(await fs.promises.readFile(path.join(dir, fileName), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    cache.set(fileName, data);
+    return data;
+  };
+
+  const fixtureFor = async (symbol) => {
+    if (typeof symbol !== 'string' || !SYMBOL_PATTERN.test(symbol)) return null;
+    return readJson(`${symbol.toUpperCase()}.json`);
+  };
+
+  const record = (key) => async (symbol) => {
+    const fixture = await fixtureFor(symbol);
+    return (fixture && fixture[key]) || null;
+  };
+
+  const limitedList = (key, defaultLimit) => async (symbol, { limit = defaultLimit, days } = {}) => {
+    const fixture = await fixtureFor(symbol);
+    const rows = fixture && fixture[key];
+    return Array.isArray(rows) ? rows.slice(0, days || limit) : null;
+  };
+
+  return {
+    name: 'fixture',
+
+    getScreener: async ({ limit = 10000, exchange } = {}) => {
+      const rows = await readJson('screener.json');
+      if (!Array.isArray(rows)) return null;
+      const exchanges = exchange ? exchange.split(',') : null;
+      return rows.filter(row => !exchanges || exchanges.includes(row.exchangeShortName)).slice(0, limit);
+    },
+
+    getProfile: record('profile'),
+    getQuote: record('quote'),
+    getQuotes: async (symbols) => (await Promise.all(symbols.map(record('quote')))).filter(Boolean),
+    getFxQuotes: () => readJson('fx.json'),
+    getRatiosTTM: record('ratiosTTM'),
+    getKeyMetricsTTM: record('keyMetricsTTM'),
+
+    getIncomeStatements: limitedList('incomeStatements', 5),
+    getBalanceSheets: limitedList('balanceSheets', 5),
+    getCashFlowStatements: limitedList('cashFlowStatements', 5),
+    getPriceHistory: limitedList('priceHistory', 90),
+
+    getSharesFloat: record('sharesFloat'),
+    getInsiderTrades: limitedList('insiderTrades', 100),
+    getKeyExecutives: limitedList('keyExecutives', 100),
+    getSecFilings: limitedList('secFilings', 100),
+
+    getStockNews: limitedList('news', 5),
+    getInstitutionalOwnership: record('institutionalOwnership'),
+    getInstitutionalHolders: limitedList('institutionalHolders', 5),
+    getEarningsTranscripts: limitedList('earningsTranscripts', 100),
+    getEarningsTranscript: async (symbol, { year, quarter }) => {
+      const fixture = await fixtureFor(symbol);
+      const transcripts = (fixture && fixture.earningsTranscripts) || [];
+      return transcripts.find(t => Number(t.year) === Number(year) && Number(t.quarter) === Number(quarter)) || null;
+    }
+  };
+};
+
+module.exports = { createFixtureProvider, DEFAULT_FIXTURES_DIR };
@@ -0,0 +1,70 @@
+// Financial Modeling Prep implementation of the market data provider (see marketDataProvider.js)
+//
+// FMP payloads are already in the shape the rest of the app expects, so this provider only builds
+// URLs and unwraps single-record arrays.
+
+const axios = require('axios');
+
+const DEFAULT_FMP_BASE_URL = 'https://financialmodelingprep.com';
+
+const createFmpProvider = ({
+  baseUrl = process.env.FMP_BASE_URL || DEFAULT_FMP_BASE_URL,
+  apiKey = process.env.FMP_API_KEY,
+  httpGet = (url) => axios.get(url, { timeout: 30000 })
+} = {}) => {
+  const get = async (path, params = {}) => {
+    const query = new URLSearchParams({ ...params, apikey: apiKey });
+    const response = await httpGet(`${baseUrl}${path}?${query.toString()}`);
+    return response.data;
+  };
+  const symbolPath = (symbol) => encodeURIComponent(symbol);
+
+  // FMP answers plan/permission problems with a 200 and an error object, so anything that is not
+  // the expected array counts as "no data"
+  const first = (data) => (Array.isArray(data) && data.length > 0 ? data[0] : null);
+  const list = (data) => (Array.isArray(data) ? data : null);
+
+  return {
+    name: 'fmp',
+
+    getScreener: async ({ limit = 10000, exchange = 'NASDAQ,NYSE,OTC' } = {}) =>
+      list(await get('/api/v3/stock-screener', { limit, exchange, isActivelyTrading: true })),
+
+    getProfile: async (symbol) => first(await get(`/api/v3/profile/${symbolPath(symbol)}`)),
+    getQuote: async (symbol) => first(await get(`/api/v3/quote/${symbolPath(symbol)}`)),
+    getQuotes: async (symbols) => list(await get(`/api/v3/quote/${symbols.map(symbolPath).join(',')}`)),
+    getFxQuotes: async () => list(await get('/api/v3/quotes/forex')),
+    getRatiosTTM: async (symbol) => first(await get(`/api/v3/ratios-ttm/${symbolPath(symbol)}`)),
+    getKeyMetricsTTM: async (symbol) => first(await get(`/api/v3/key-metrics-ttm/${symbolPath(symbol)}`)),
+
+    getIncomeStatements: async (symbol, { period = 'annual', limit = 5 } = {}) =>
+      list(await get(`/api/v3/income-statement/${symbolPath(symbol)}`, { period, limit })),
+    getBalanceSheets: async (symbol, { period = 'annual', limit = 5 } = {}) =>
+      list(await get(`/api/v3/balance-sheet-statement/${symbolPath(symbol)}`, { period, limit })),
+    getCashFlowStatements: async (symbol, { period = 'annual', limit = 5 } = {}) =>
+      list(await get(`/api/v3/cash-flow-statement/${symbolPath(symbol)}`, { period, limit })),
+
+    getPriceHistory: async (symbol, { days = 90 } = {}) => {
+      const data = await get(`/api/v3/historical-price-full/${symbolPath(symbol)}`, { timeseries: days });
+      return list(data && data.historical);
+    },
+
+    getSharesFloat: async (symbol) => first(await get('/api/v4/shares_float', { symbol })),
+    getInsiderTrades: async (symbol) => list(await get('/api/v4/insider-trading', { symbol, page: 0 })),
+    getKeyExecutives: async (symbol) => list(await get(`/api/v3/key-executives/${symbolPath(symbol)}`)),
+    getSecFilings: async (symbol) => list(await get(`/api/v3/sec_filings/${symbolPath(symbol)}`, { page: 0 })),
+
+    getStockNews: async (symbol, { limit = 5 } = {}) => list(await get('/api/v3/stock_news', { tickers: symbol, limit })),
+    getInstitutionalOwnership: async (symbol) =>
+      first(await get('/api/v4/institutional-ownership/symbol_ownership', { symbol })),
+    getInstitutionalHolders: async (symbol, { limit = 5 } = {}) => {
+      const holders = list(await get(`/api/v3/institutional-holder/${symbolPath(symbol)}`));
+      return holders && holders.slice(0, limit);
+    },
+    getEarningsTranscripts: async (symbol) => list(await get(`/api/v4/batch_earning_call_transcript/${symbolPath(symbol)}`)),
+    getEarningsTranscript: async (symbol, { year, quarter }) =>
+      first(await get(`/api/v3/earning_call_transcript/${symbolPath(symbol)}`, { year, quarter }))
+  };
+};
+
+module.exports = { createFmpProvider };
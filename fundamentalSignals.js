@@ -0,0 +1,240 @@
+// Fundamental signals behind the "Capital Discipline", "Valuation", "Ownership & Governance" and
+// "Qualitative" sidebar filters. Every function takes raw FMP responses and returns a number, string
+// or list, or null when there is not enough data. Categories use the same bucket ids as FILTER_GROUPS.
+
+const safeNum = (val) => (typeof val === 'number' && isFinite(val) ? val : null);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Annual statements come newest first from FMP; return the most recent `limit` oldest first
+const chronological = (statements, limit = 5) => (Array.isArray(statements) ? statements : [])
+  .filter(s => s && s.date)
+  .sort((a, b) => new Date(b.date) - new Date(a.date))
+  .slice(0, limit)
+  .reverse();
+
+// Least-squares slope of y over x
+const slope = (points) => {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const num = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const den = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  return den === 0 ? null : num / den;
+};
+
+// Change in gross margin per year (0.01 = +1 percentage point a year), from up to 5 annual income statements
+const computeGrossMarginTrend = (incomeStatements) => {
+  const points = chronological(incomeStatements)
+    .map((s, index) => {
+      const revenue = safeNum(s.revenue);
+      const ratio = safeNum(s.grossProfitRatio) ?? (revenue && safeNum(s.grossProfit) !== null ? s.grossProfit / revenue : null);
+      return { x: index, y: ratio };
+    })
+    .filter(p => p.y !== null);
+  if (points.length < 3) return null;
+  return slope(points);
+};
+
+// Compound annual growth of weighted average shares outstanding (-0.02 = 2% net buybacks a year)
+const computeShareCountCagr = (incomeStatements) => {
+  const statements = chronological(incomeStatements)
+    .filter(s => safeNum(s.weightedAverageShsOut) !== null && s.weightedAverageShsOut > 0);
+  if (statements.length < 2) return null;
+  const first = statements[0];
+  const last = statements[statements.length - 1];
+  const years = (new Date(last.date) - new Date(first.date)) / (365.25 * DAY_MS);
+  if (years < 0.5) return null;
+  return Math.pow(last.weightedAverageShsOut / first.weightedAverageShsOut, 1 / years) - 1;
+};
+
+const investedCapital = (balanceSheet) => {
+  const debt = safeNum(balanceSheet.totalDebt) ?? 0;
+  const equity = safeNum(balanceSheet.totalEquity) ?? safeNum(balanceSheet.totalStockholdersEquity);
+  const cash = safeNum(balanceSheet.cashAndCashEquivalents) ?? 0;
+  return equity === null ? null : debt + equity - cash;
+};
+
+const nopat = (incomeStatement) => {
+  const operatingIncome = safeNum(incomeStatement.operatingIncome);
+  if (operatingIncome === null) return null;
+  const pretax = safeNum(incomeStatement.incomeBeforeTax);
+  const tax = safeNum(incomeStatement.incomeTaxExpense);
+  const taxRate = pretax && tax !== null && pretax > 0 ? Math.min(Math.max(tax / pretax, 0), 0.5) : 0.21;
+  return operatingIncome * (1 - taxRate);
+};
+
+// Change in NOPAT divided by change in invested capital between the oldest and latest of up to 5 years
+const computeIncrementalRoic = (incomeStatements, balanceSheets) => {
+  const sheetsByYear = new Map(chronological(balanceSheets).map(b => [b.calendarYear, b]));
+  const years = chronological(incomeStatements)
+    .filter(s => sheetsByYear.has(s.calendarYear))
+    .map(s => ({ nopat: nopat(s), capital: investedCapital(sheetsByYear.get(s.calendarYear)) }))
+    .filter(y => y.nopat !== null && y.capital !== null);
+  if (years.length < 2) return null;
+  const first = years[0];
+  const last = years[years.length - 1];
+  const capitalAdded = last.capital - first.capital;
+  if (capitalAdded <= 0) return null; // No new capital invested, so the ratio is meaningless
+  return (last.nopat - first.nopat) / capitalAdded;
+};
+
+// Market cap over net current asset value (current assets minus all liabilities), latest balance sheet
+const computePriceToNcav = (marketCap, balanceSheets) => {
+  const latest = chronological(balanceSheets, 1)[0];
+  const cap = safeNum(marketCap);
+  if (!latest || cap === null || cap <= 0) return null;
+  const currentAssets = safeNum(latest.totalCurrentAssets);
+  const liabilities = safeNum(latest.totalLiabilities);
+  if (currentAssets === null || liabilities === null) return null;
+  const ncav = currentAssets - liabilities;
+  return ncav > 0 ? cap / ncav : null;
+};
+
+// Share of outstanding shares not in the free float, a proxy for insider ownership
+const computeInsiderOwnership = (sharesFloat) => {
+  const latest = Array.isArray(sharesFloat) ? sharesFloat[0] : sharesFloat;
+  if (!latest) return null;
+  const floatShares = safeNum(latest.floatShares);
+  const outstanding = safeNum(latest.outstandingShares);
+  if (floatShares === null || outstanding === null || outstanding <= 0) return null;
+  return Math.min(Math.max(1 - floatShares / outstanding, 0), 1);
+};
+
+// Open-market insider purchases minus sales over the trailing 12 months
+const computeNetInsiderBuys = (insiderTrades, now = new Date()) => {
+  if (!Array.isArray(insiderTrades)) return null;
+  const since = now.getTime() - 365 * DAY_MS;
+  let net = 0;
+  insiderTrades.forEach(trade => {
+    const date = new Date(trade.transactionDate || trade.filingDate).getTime();
+    if (isNaN(date) || date < since) return;
+    if (trade.transactionType === 'P-Purchase') net += 1;
+    else if (trade.transactionType === 'S-Sale') net -= 1;
+  });
+  return net;
+};
+
+// Executives listed on the previous import but missing now. Both lists must be non-empty so an
+// empty API response is not mistaken for the whole team leaving.
+const detectManagementExits = (previousNames, currentExecutives) => {
+  const currentNames = (Array.isArray(currentExecutives) ? currentExecutives : [])
+    .map(exec => exec && exec.name)
+    .filter(Boolean);
+  if (!Array.isArray(previousNames) || previousNames.length === 0 || currentNames.length === 0) {
+    return { currentNames, exits: [] };
+  }
+  return { currentNames, exits: previousNames.filter(name => !currentNames.includes(name)) };
+};
+
+// Late-filing notices (NT 10-K / NT 10-Q) in the last two years, which usually point at audit problems
+const countLateFilingNotices = (secFilings, now = new Date()) => {
+  if (!Array.isArray(secFilings)) return null;
+  const since = now.getTime() - 2 * 365 * DAY_MS;
+  return secFilings.filter(filing => {
+    const date = new Date(filing.fillingDate || filing.acceptedDate).getTime();
+    return typeof filing.type === 'string' && filing.type.toUpperCase().startsWith('NT ') && date >= since;
+  }).length;
+};
+
+const MOAT_KEYWORDS = [
+  'competitive advantage', 'brand', 'network effect', 'switching cost', 'patent', 'proprietary',
+  'market leader', 'leading provider', 'largest', 'moat', 'economies of scale', 'exclusive',
+  'intellectual property', 'recurring revenue', 'pricing power', 'installed base'
+];
+
+const countMoatKeywords = (text) => {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  return MOAT_KEYWORDS.reduce((hits, keyword) => hits + lower.split(keyword).length - 1, 0);
+};
+
+// Category helpers (bucket ids match FILTER_GROUPS option values)
+const getGrossMarginTrendCategory = (trend) => {
+  if (trend === null || trend === undefined) return 'N/A';
+  if (trend > 0.005) return 'improving';
+  if (trend >= -0.005) return 'stable';
+  return 'declining';
+};
+
+const getShareCountCagrCategory = (cagr) => {
+  if (cagr === null || cagr === undefined) return 'N/A';
+  if (cagr <= -0.05) return 'le-5pct';
+  if (cagr <= -0.02) return 'le-2pct';
+  if (cagr <= 0) return 'le0pct';
+  return '';
+};
+
+const getIncrementalRoicCategory = (roic) => {
+  if (roic === null || roic === undefined) return 'N/A';
+  if (roic >= 0.25) return 'ge25pct';
+  if (roic >= 0.20) return 'ge20pct';
+  if (roic >= 0.15) return 'ge15pct';
+  return '';
+};
+
+const getNumericEvEbitCategory = (evEbitda) => {
+  if (evEbitda === null || evEbitda === undefined) return 'N/A';
+  if (evEbitda <= 0) return '';
+  if (evEbitda <= 6) return 'le6x';
+  if (evEbitda <= 8) return 'le8x';
+  if (evEbitda <= 10) return 'le10x';
+  return '';
+};
+
+const getDeepValueCategory = (priceToNcav) => {
+  if (priceToNcav === null || priceToNcav === undefined) return 'N/A';
+  return priceToNcav <= 0.66 ? 'le0.66' : '';
+};
+
+const getInsiderOwnershipCategory = (ownership) => {
+  if (ownership === null || ownership === undefined) return 'N/A';
+  if (ownership >= 0.25) return 'ge25pct';
+  if (ownership >= 0.15) return 'ge15pct';
+  if (ownership >= 0.08) return 'ge8pct';
+  return '';
+};
+
+const getNetInsiderBuysCategory = (netBuys) => {
+  if (netBuys === null || netBuys === undefined) return 'N/A';
+  if (netBuys >= 5) return 'ge5';
+  if (netBuys >= 3) return 'ge3';
+  if (netBuys >= 1) return 'any';
+  return '';
+};
+
+const getMoatKeywordsCategory = (hits) => {
+  if (hits === null || hits === undefined) return 'N/A';
+  if (hits >= 10) return 'ge10';
+  if (hits >= 5) return 'ge5';
+  if (hits >= 3) return 'ge3';
+  return '';
+};
+
+const getRedFlagsCategory = (redFlags) => {
+  if (!Array.isArray(redFlags) || redFlags.length === 0) return 'none';
+  if (redFlags.includes('auditChanges') && redFlags.includes('managementExits')) return 'allRedFlags';
+  return redFlags[0];
+};
+
+module.exports = {
+  MOAT_KEYWORDS,
+  computeGrossMarginTrend,
+  computeShareCountCagr,
+  computeIncrementalRoic,
+  computePriceToNcav,
+  computeInsiderOwnership,
+  computeNetInsiderBuys,
+  detectManagementExits,
+  countLateFilingNotices,
+  countMoatKeywords,
+  getGrossMarginTrendCategory,
+  getShareCountCagrCategory,
+  getIncrementalRoicCategory,
+  getNumericEvEbitCategory,
+  getDeepValueCategory,
+  getInsiderOwnershipCategory,
+  getNetInsiderBuysCategory,
+  getMoatKeywordsCategory,
+  getRedFlagsCategory
+};
@@ -0,0 +1,12 @@
+// Writes the metric derivation tables from stockModel.js to public/generated/stockMetrics.json,
+// which the frontend imports. Run after changing a threshold or format: npm run generate:metrics
+
+const fs = require('fs');
+const path = require('path');
+const { describeStockMetrics } = require('./stockModel');
+
+const OUTPUT_FILE = path.join(__dirname, 'public', 'generated', 'stockMetrics.json');
+
+fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
+fs.writeFileSync(OUTPUT_FILE, JSON.stringify(describeStockMetrics(), null, 2) + '\n');
+console.log(`Wrote ${path.relative(__dirname, OUTPUT_FILE)}`);
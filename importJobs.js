@@ -0,0 +1,84 @@
+// Schedule, live progress and API call metering for import jobs, shared by the importer, scheduler.js
+// and the admin routes in server.js
+//
+// The import may run in the scheduler process or in the web process (started from the admin API), so
+// everything the admin page shows lives in MongoDB: the scheduler records its cron and next run in a
+// SchedulerState document, and a running import writes a progress heartbeat to its ImportRun every
+// few seconds and picks up cancel requests from it (see importRuns.js).
+
+const { MARKET_DATA_METHODS } = require('./marketDataProvider');
+
+// Cron pattern of the nightly import (minute hour day-of-month month day-of-week), in server time
+const IMPORT_SCHEDULE = process.env.IMPORT_SCHEDULE || '0 3 * * *';
+// Provider request budget; FMP's plan allows 3000 calls per minute
+const API_CALL_BUDGET_PER_MINUTE = Number(process.env.API_CALL_BUDGET_PER_MINUTE) || 3000;
+const HEARTBEAT_INTERVAL_MS = 5000;
+// A running import or scheduler without a heartbeat for this long is treated as dead (crash, deploy)
+const STALE_AFTER_MS = 2 * 60 * 1000;
+const SCHEDULER_STATE_ID = 'stockImport';
+const MINUTE_MS = 60 * 1000;
+
+const createSchedulerStateModel = (mongoose) => {
+  const schedulerStateSchema = new mongoose.Schema({
+    _id: { type: String }, // One document per scheduled job
+    cron: { type: String },
+    nextRunAt: { type: Date },
+    lastRunStartedAt: { type: Date },
+    lastRunFinishedAt: { type: Date },
+    lastRunError: { type: String },
+    host: { type: String }, // Process that owns the schedule, e.g. "worker.1 (pid 4)"
+    heartbeatAt: { type: Date }
+  });
+
+  return mongoose.models.SchedulerState || mongoose.model('SchedulerState', schedulerStateSchema);
+};
+
+// Whether a heartbeat timestamp is recent enough for its process to still be alive
+const isAlive = (heartbeatAt, now = Date.now()) =>
+  Boolean(heartbeatAt) && now - new Date(heartbeatAt).getTime() < STALE_AFTER_MS;
+
+// Counts provider requests: `total` since creation and `perMinute` over the last 60 seconds
+const createCallMeter = () => {
+  let total = 0;
+  let recent = [];
+
+  const prune = (now) => {
+    const cutoff = now - MINUTE_MS;
+    if (recent.length > 0 && recent[0] <= cutoff) recent = recent.filter(time => time > cutoff);
+  };
+
+  return {
+    record: () => {
+      const now = Date.now();
+      total += 1;
+      recent.push(now);
+      prune(now);
+    },
+    total: () => total,
+    perMinute: () => {
+      prune(Date.now());
+      return recent.length;
+    }
+  };
+};
+
+// The provider with every market data call (including retries) counted on `meter`
+const meterProvider = (provider, meter) => ({
+  ...provider,
+  ...Object.fromEntries(MARKET_DATA_METHODS.map(method => [method, (...args) => {
+    meter.record();
+    return provider[method](...args);
+  }]))
+});
+
+module.exports = {
+  IMPORT_SCHEDULE,
+  API_CALL_BUDGET_PER_MINUTE,
+  HEARTBEAT_INTERVAL_MS,
+  STALE_AFTER_MS,
+  SCHEDULER_STATE_ID,
+  createSchedulerStateModel,
+  isAlive,
+  createCallMeter,
+  meterProvider
+};
@@ -0,0 +1,189 @@
+// Import run tracking for fetchStocksBackground.js
+//
+// Each run is an ImportRun document plus one ImportTicker document per ticker. A ticker starts as
+// 'pending' and ends as 'saved', 'skipped' (refreshed within the freshness window, or no data) or
+// 'failed' with the reason. A run that did not finish (crash, deploy, lost connection) is resumed
+// by the next job if it started within IMPORT_RESUME_MAX_AGE_HOURS and still has pending tickers: only
+// those are processed again; otherwise a fresh run starts. A run cancelled from the admin API
+// ends as 'cancelled' and is not resumed; single-ticker refreshes (trigger 'ticker') are not resumed
+// either. While running, the importer keeps `progress` up to date (see importJobs.js).
+
+// Tickers updated more recently than this are not refetched
+const IMPORT_FRESHNESS_HOURS = Number(process.env.IMPORT_FRESHNESS_HOURS) || 20;
+// Retries per provider request on network errors, 429 and 5xx responses
+const IMPORT_MAX_RETRIES = Number(process.env.IMPORT_MAX_RETRIES) || 3;
+// Unfinished runs older than this are left alone; their stored data would be stale by the time they finish
+const IMPORT_RESUME_MAX_AGE_HOURS = Number(process.env.IMPORT_RESUME_MAX_AGE_HOURS) || 24;
+const RETRY_BASE_DELAY_MS = 1000;
+
+const createImportModels = (mongoose) => {
+  const importRunSchema = new mongoose.Schema({
+    status: { type: String, enum: ['running', 'completed', 'failed', 'cancelled'], default: 'running', index: true },
+    trigger: { type: String, enum: ['schedule', 'manual', 'ticker'], default: 'schedule' },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    resumedAt: { type: [Date], default: [] },
+    totalTickers: { type: Number, default: 0 },
+    counts: {
+      saved: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      flagged: { type: Number, default: 0 } // Saved with data quality flags (see dataQuality.js)
+    },
+    error: { type: String },
+    cancelRequested: { type: Boolean, default: false }, // Set by the admin API, checked on every heartbeat
+    progress: {
+      step: { type: String }, // 'fetching', 'scoring', 'peerRelatives', 'customMetrics', 'styleTags', 'alerts' or 'snapshot'
+      queued: { type: Number, default: 0 }, // Tickers waiting in the queue
+      inFlight: { type: Number, default: 0 }, // Tickers being fetched
+      processed: { type: Number, default: 0 }, // Tickers finished since this process started or resumed the run
+      toProcess: { type: Number, default: 0 }, // Tickers this process started or resumed with
+      apiCalls: { type: Number, default: 0 },
+      apiCallsPerMinute: { type: Number, default: 0 }, // Over the last 60 seconds
+      updatedAt: { type: Date } // Heartbeat
+    }
+  });
+  importRunSchema.index({ startedAt: -1 });
+
+  const importTickerSchema = new mongoose.Schema({
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportRun', required: true },
+    symbol: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'saved', 'skipped', 'failed'], default: 'pending' },
+    error: { type: String }, // Why the ticker failed or was skipped
+    failedEndpoints: { type: [String], default: [] }, // Endpoints that still failed after retries
+    qualityFlags: { type: [String], default: [] }, // Data quality flags as 'code:field'
+    finishedAt: { type: Date }
+  });
+  importTickerSchema.index({ runId: 1, symbol: 1 }, { unique: true });
+  importTickerSchema.index({ runId: 1, status: 1 });
+
+  return {
+    ImportRun: mongoose.models.ImportRun || mongoose.model('ImportRun', importRunSchema),
+    ImportTicker: mongoose.models.ImportTicker || mongoose.model('ImportTicker', importTickerSchema)
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connection failures and timeouts (axios reports its own timeouts as ECONNABORTED / ETIMEDOUT)
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+  'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK'
+]);
+
+// 429, 5xx and network errors; not 4xx responses or local errors such as a bad fixture file
+const isRetryable = (error) => {
+  if (error.response) return error.response.status === 429 || error.response.status >= 500;
+  return RETRYABLE_ERROR_CODES.has(error.code);
+};
+
+// Call a provider method with exponential backoff (1s, 2s, 4s ... plus jitter) on transient errors
+async function withRetry(request, { retries = IMPORT_MAX_RETRIES, baseDelayMs = RETRY_BASE_DELAY_MS } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      await sleep(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+    }
+  }
+}
+
+// The run another process (or this one) is working on right now, going by its heartbeat, or null.
+// A 'running' run without a recent heartbeat crashed and will be resumed instead.
+const findLiveRun = ({ ImportRun }, staleAfterMs) =>
+  ImportRun.findOne({ status: 'running', 'progress.updatedAt': { $gte: new Date(Date.now() - staleAfterMs) } })
+    .sort({ startedAt: -1 });
+
+// Start a new run over `tickers`
+async function startRun({ ImportRun, ImportTicker }, tickers, trigger = 'schedule') {
+  const unique = [...new Set(tickers)];
+  const run = await ImportRun.create({ totalTickers: unique.length, trigger, progress: { updatedAt: new Date() } });
+  const BATCH_SIZE = 1000;
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    await ImportTicker.insertMany(unique.slice(i, i + BATCH_SIZE).map(symbol => ({ runId: run._id, symbol })), { ordered: false });
+  }
+  return { run, tickers: unique, resumed: false };
+}
+
+// Resume the latest unfinished full run if it is recent and has pending tickers, or start a new one
+// from `loadTickers()`. Returns the run and the tickers still to process.
+async function startOrResumeRun(models, loadTickers, trigger = 'schedule', maxAgeHours = IMPORT_RESUME_MAX_AGE_HOURS) {
+  const { ImportRun, ImportTicker } = models;
+  const unfinished = await ImportRun.findOne({
+    status: { $in: ['running', 'failed'] },
+    trigger: { $ne: 'ticker' },
+    totalTickers: { $gt: 0 },
+    startedAt: { $gte: new Date(Date.now() - maxAgeHours * 60 * 60 * 1000) }
+  }).sort({ startedAt: -1 });
+  const pending = unfinished ? await ImportTicker.distinct('symbol', { runId: unfinished._id, status: 'pending' }) : [];
+  if (pending.length > 0) {
+    unfinished.status = 'running';
+    unfinished.error = undefined;
+    unfinished.finishedAt = undefined; // Set when a failed run ended
+    unfinished.cancelRequested = false;
+    unfinished.progress = { updatedAt: new Date() };
+    unfinished.resumedAt.push(new Date());
+    await unfinished.save();
+    return { run: unfinished, tickers: pending, resumed: true };
+  }
+
+  return startRun(models, await loadTickers(), trigger);
+}
+
+// Mark tickers refreshed within the freshness window as skipped; returns the ones still to fetch
+async function skipFreshTickers({ ImportRun, ImportTicker }, StockModel, run, tickers, freshnessHours = IMPORT_FRESHNESS_HOURS) {
+  if (!freshnessHours || tickers.length === 0) return tickers;
+  const since = new Date(Date.now() - freshnessHours * 60 * 60 * 1000);
+  const fresh = new Set(await StockModel.distinct('symbol', { symbol: { $in: tickers }, lastUpdated: { $gte: since } }));
+  if (fresh.size === 0) return tickers;
+
+  await ImportTicker.updateMany(
+    { runId: run._id, symbol: { $in: [...fresh] }, status: 'pending' },
+    { $set: { status: 'skipped', error: `Refreshed within the last ${freshnessHours}h`, finishedAt: new Date() } }
+  );
+  await ImportRun.updateOne({ _id: run._id }, { $inc: { 'counts.skipped': fresh.size } });
+  return tickers.filter(symbol => !fresh.has(symbol));
+}
+
+// Checkpoint one ticker's outcome: { status: 'saved' | 'skipped' | 'failed', error?, failedEndpoints? }
+async function recordTicker({ ImportRun, ImportTicker }, run, symbol, outcome) {
+  const { status, error, failedEndpoints = [], qualityFlags = [] } = outcome;
+  const result = await ImportTicker.updateOne(
+    { runId: run._id, symbol, status: 'pending' },
+    { $set: { status, error, failedEndpoints, qualityFlags, finishedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    const counts = { [`counts.${status}`]: 1 };
+    if (qualityFlags.length > 0) counts['counts.flagged'] = 1;
+    await ImportRun.updateOne({ _id: run._id }, { $inc: counts });
+  }
+}
+
+async function finishRun({ ImportRun }, run, error = null) {
+  await ImportRun.updateOne({ _id: run._id }, {
+    $set: error
+      ? { status: 'failed', error: error.message, finishedAt: new Date() }
+      : { status: 'completed', finishedAt: new Date() }
+  });
+}
+
+// End a run for good; its pending tickers stay pending and are not resumed
+async function cancelRun({ ImportRun }, run) {
+  await ImportRun.updateOne({ _id: run._id }, { $set: { status: 'cancelled', finishedAt: new Date() } });
+}
+
+module.exports = {
+  IMPORT_FRESHNESS_HOURS,
+  IMPORT_MAX_RETRIES,
+  IMPORT_RESUME_MAX_AGE_HOURS,
+  createImportModels,
+  withRetry,
+  findLiveRun,
+  startRun,
+  startOrResumeRun,
+  skipFreshTickers,
+  recordTicker,
+  finishRun,
+  cancelRun
+};
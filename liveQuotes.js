@@ -0,0 +1,175 @@
+// Intraday quote refresh for the stocks people are looking at, pushed to browsers over server-sent events
+//
+// The nightly import sets `price` once a day. While the US market is open, the refresher polls the
+// provider for the symbols that connected browsers subscribed to (the loaded list plus the watchlist),
+// in batched quote requests kept under QUOTE_CALLS_PER_MINUTE, least recently refreshed first. A price
+// that changed is written back to the stock (`price`, `quoteUpdatedAt`, and `priceUsd` at the FX rate of
+// the last import) and sent to every subscriber of the symbol, then `onPricesChanged(symbols)` runs (the
+// server evaluates alert rules there). The loop only runs while someone is subscribed; quotes already
+// fetched this session are sent to a new subscriber right away.
+
+const { QueryValidationError } = require('./stockQuery');
+const { safeNum } = require('./stockModel');
+
+const QUOTE_REFRESH_INTERVAL_MS = Number(process.env.QUOTE_REFRESH_INTERVAL_MS) || 15000;
+// Share of the provider budget (importJobs.API_CALL_BUDGET_PER_MINUTE) left to the refresher
+const QUOTE_CALLS_PER_MINUTE = Number(process.env.QUOTE_CALLS_PER_MINUTE) || 300;
+const QUOTE_BATCH_SIZE = 50; // Symbols per quote request
+const MAX_STREAM_SYMBOLS = 250; // Per subscriber
+// QUOTE_REFRESH_ALWAYS=true refreshes outside market hours too (development, fixture data)
+const REFRESH_ALWAYS = process.env.QUOTE_REFRESH_ALWAYS === 'true';
+
+// Regular session of the US exchanges, New York time (exchange holidays are not excluded)
+const MARKET_TIME_ZONE = 'America/New_York';
+const MARKET_OPEN_MINUTE = 9 * 60 + 30;
+const MARKET_CLOSE_MINUTE = 16 * 60;
+const TRADING_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+
+const marketClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIME_ZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+
+const isMarketOpen = (date = new Date()) => {
+  const parts = Object.fromEntries(marketClock.formatToParts(date).map(part => [part.type, part.value]));
+  const minute = Number(parts.hour) * 60 + Number(parts.minute);
+  return TRADING_DAYS.includes(parts.weekday) && minute >= MARKET_OPEN_MINUTE && minute < MARKET_CLOSE_MINUTE;
+};
+
+// `symbols=AAPL,MSFT` -> ['AAPL', 'MSFT']
+const parseStreamSymbols = (raw) => {
+  const symbols = [...new Set(String(raw || '').split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+  const invalid = symbols.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+  if (invalid.length > 0) {
+    throw new QueryValidationError('symbols must be a comma-separated list of tickers', invalid);
+  }
+  if (symbols.length === 0) {
+    throw new QueryValidationError('symbols is required');
+  }
+  if (symbols.length > MAX_STREAM_SYMBOLS) {
+    throw new QueryValidationError(`symbols accepts at most ${MAX_STREAM_SYMBOLS} tickers`);
+  }
+  return symbols;
+};
+
+// Quote event sent to the browser
+const quoteEvent = (quote, updatedAt) => ({
+  symbol: quote.symbol,
+  price: quote.price,
+  change: safeNum(quote.change),
+  changesPercentage: safeNum(quote.changesPercentage),
+  updatedAt
+});
+
+// `send(event, data)` writes one server-sent event to a subscriber
+const createQuoteRefresher = ({
+  provider,
+  Stock,
+  intervalMs = QUOTE_REFRESH_INTERVAL_MS,
+  callsPerMinute = QUOTE_CALLS_PER_MINUTE,
+  batchSize = QUOTE_BATCH_SIZE,
+  marketOpen = () => REFRESH_ALWAYS || isMarketOpen(),
+  onPricesChanged = null
+}) => {
+  const subscribers = new Set(); // { symbols: Set, send }
+  const latest = new Map(); // Symbol -> last quote event sent
+  const fetchedAt = new Map(); // Symbol -> when it was last requested
+  const batchesPerTick = Math.max(1, Math.floor((callsPerMinute * intervalMs) / 60000));
+  let timer = null;
+  let refreshing = false;
+  let wasOpen = null;
+
+  const status = () => ({ marketOpen: marketOpen(), intervalSeconds: intervalMs / 1000, timeZone: MARKET_TIME_ZONE });
+
+  const broadcast = (event, data, symbol = null) => {
+    subscribers.forEach(subscriber => {
+      if (symbol === null || subscriber.symbols.has(symbol)) subscriber.send(event, data);
+    });
+  };
+
+  // Symbols to request this tick: never-fetched first, then the stalest, up to the call budget
+  const dueSymbols = () => {
+    const watched = new Set();
+    subscribers.forEach(subscriber => subscriber.symbols.forEach(symbol => watched.add(symbol)));
+    return [...watched]
+      .sort((a, b) => (fetchedAt.get(a) || 0) - (fetchedAt.get(b) || 0))
+      .slice(0, batchesPerTick * batchSize);
+  };
+
+  const refresh = async () => {
+    const open = marketOpen();
+    if (open !== wasOpen) {
+      wasOpen = open;
+      broadcast('status', status());
+    }
+    if (!open || refreshing) return;
+    refreshing = true;
+    try {
+      const symbols = dueSymbols();
+      for (let i = 0; i < symbols.length; i += batchSize) {
+        const batch = symbols.slice(i, i + batchSize);
+        const requestedAt = Date.now();
+        batch.forEach(symbol => fetchedAt.set(symbol, requestedAt));
+        const quotes = (await provider.getQuotes(batch)) || [];
+        const updatedAt = new Date();
+        const changed = quotes
+          .filter(quote => quote && batch.includes(quote.symbol) && safeNum(quote.price) !== null)
+          .filter(quote => !latest.has(quote.symbol) || latest.get(quote.symbol).price !== quote.price)
+          .map(quote => quoteEvent(quote, updatedAt));
+        if (changed.length === 0) continue;
+
+        changed.forEach(event => {
+          latest.set(event.symbol, event);
+          broadcast('quote', event, event.symbol);
+        });
+        await Stock.bulkWrite(changed.map(event => ({
+          updateOne: {
+            filter: { symbol: event.symbol },
+            update: [{ $set: { price: event.price, priceUsd: { $multiply: [event.price, '$fxRateToUsd'] }, quoteUpdatedAt: updatedAt } }]
+          }
+        })), { ordered: false });
+        if (onPricesChanged) await onPricesChanged(changed.map(event => event.symbol));
+      }
+    } catch (error) {
+      console.error('Error refreshing quotes:', error.message);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  // Subscribe to quotes for `symbols`; returns the unsubscribe function
+  const subscribe = (symbols, send) => {
+    const subscriber = { symbols: new Set(symbols), send };
+    subscribers.add(subscriber);
+    const current = status();
+    send('status', current);
+    symbols.forEach(symbol => {
+      if (latest.has(symbol)) send('quote', latest.get(symbol));
+    });
+    if (!timer) {
+      wasOpen = current.marketOpen;
+      timer = setInterval(refresh, intervalMs);
+      refresh();
+    }
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0 && timer) {
+        clearInterval(timer);
+        timer = null;
+        wasOpen = null;
+      }
+    };
+  };
+
+  return { subscribe, status, subscriberCount: () => subscribers.size };
+};
+
+module.exports = {
+  QUOTE_REFRESH_INTERVAL_MS,
+  QUOTE_CALLS_PER_MINUTE,
+  MAX_STREAM_SYMBOLS,
+  isMarketOpen,
+  parseStreamSymbols,
+  createQuoteRefresher
+};
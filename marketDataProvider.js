@@ -0,0 +1,61 @@
+// Market data provider layer
+//
+// The importer and the server read market data only through a provider object with the methods
+// below. Every method is async and returns FMP-shaped records (FMP field names), or null when the
+// vendor has no data:
+//   getScreener({ limit, exchange })        -> [{ symbol, exchangeShortName, country, ... }]; exchange is
+//                                              a comma-separated list of exchange short names
+//   getProfile(symbol)                      -> profile record
+//   getQuote(symbol)                        -> quote record
+//   getQuotes(symbols)                      -> [quote record] for a batch of symbols, in one request
+//   getFxQuotes()                           -> [{ symbol: 'EURUSD', price }] current forex rates
+//   getRatiosTTM(symbol)                    -> ratios-ttm record
+//   getKeyMetricsTTM(symbol)                -> key-metrics-ttm record
+//   getIncomeStatements(symbol, { period, limit })   -> statements, newest first
+//   getBalanceSheets(symbol, { period, limit })      -> statements, newest first
+//   getCashFlowStatements(symbol, { period, limit }) -> statements, newest first
+//   getPriceHistory(symbol, { days })       -> [{ date, open, high, low, close, volume }], newest first
+//   getSharesFloat(symbol), getInsiderTrades(symbol), getKeyExecutives(symbol), getSecFilings(symbol)
+//   getStockNews(symbol, { limit })         -> [{ title, url, publishedDate, site }], newest first
+//   getInstitutionalOwnership(symbol)       -> symbol_ownership record (latest quarter)
+//   getInstitutionalHolders(symbol, { limit }) -> [{ holder, shares, dateReported, change }]
+//   getEarningsTranscripts(symbol)          -> [{ symbol, quarter, year, date }], newest first
+//   getEarningsTranscript(symbol, { year, quarter }) -> { symbol, quarter, year, date, content }
+//
+// Pick one with MARKET_DATA_PROVIDER (default "fmp"). To add a vendor, write a factory that maps its
+// responses to these shapes and register it in PROVIDERS; the derived-metric code does not change.
+
+const { createFmpProvider } = require('./fmpProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+const PROVIDERS = {
+  fmp: createFmpProvider,
+  fixture: createFixtureProvider
+};
+
+const MARKET_DATA_METHODS = [
+  'getScreener', 'getProfile', 'getQuote', 'getQuotes', 'getFxQuotes', 'getRatiosTTM', 'getKeyMetricsTTM',
+  'getIncomeStatements', 'getBalanceSheets', 'getCashFlowStatements', 'getPriceHistory',
+  'getSharesFloat', 'getInsiderTrades', 'getKeyExecutives', 'getSecFilings',
+  'getStockNews', 'getInstitutionalOwnership', 'getInstitutionalHolders', 'getEarningsTranscripts',
+  'getEarningsTranscript'
+];
+
+const createMarketDataProvider = (name = process.env.MARKET_DATA_PROVIDER || 'fmp', options = {}) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown market data provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  const provider = factory(options);
+  const missing = MARKET_DATA_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Market data provider "${name}" is missing ${missing.join(', ')}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  MARKET_DATA_METHODS,
+  createMarketDataProvider
+};
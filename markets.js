@@ -0,0 +1,211 @@
+// International listings: which exchanges are imported, the FX rate table, USD normalisation and the
+// country / exchange / region screen filters
+//
+// The importer asks the screener for IMPORT_EXCHANGES and stores each stock's exchange, country, trading
+// currency (`currency`, what price and market cap are quoted in) and reporting currency (`reportedCurrency`,
+// what the statements use). Before fetching tickers it refreshes the FxRate table from the provider's
+// forex quotes; currencies the provider did not quote keep their last stored rate. Price, market cap and
+// average dollar volume are then stored again in USD (`priceUsd`, `marketCapUsd`, `avgDollarVolumeUsd`),
+// so the market cap buckets and ranges mean the same thing on every exchange. Stocks without a currency
+// are taken to trade in USD, as every listing did before other exchanges were imported.
+
+const { QueryValidationError } = require('./stockQuery');
+const { CATEGORY_RULES, categorize, safeNum } = require('./stockModel');
+
+const BASE_CURRENCY = 'USD';
+const DEFAULT_IMPORT_EXCHANGES = 'NASDAQ,NYSE,OTC';
+// Screener exchanges, e.g. NASDAQ,NYSE,OTC,LSE,XETRA,EURONEXT,SIX,TSX,JPX,HKSE,ASX
+const IMPORT_EXCHANGES = process.env.IMPORT_EXCHANGES || DEFAULT_IMPORT_EXCHANGES;
+
+// Listings quoted in a minor unit (London in pence, Tel Aviv in agorot, Johannesburg in cents). Only the
+// price is in the minor unit; market cap is reported in the major currency.
+const MINOR_CURRENCY_UNITS = {
+  GBp: { currency: 'GBP', factor: 0.01 },
+  GBX: { currency: 'GBP', factor: 0.01 },
+  ILA: { currency: 'ILS', factor: 0.01 },
+  ZAc: { currency: 'ZAR', factor: 0.01 },
+  ZAC: { currency: 'ZAR', factor: 0.01 }
+};
+
+// `region` filter values -> ISO country codes
+const REGIONS = {
+  northAmerica: { label: 'North America', countries: ['US', 'CA', 'MX'] },
+  europe: {
+    label: 'Europe',
+    countries: ['GB', 'IE', 'DE', 'FR', 'NL', 'BE', 'LU', 'CH', 'AT', 'IT', 'ES', 'PT', 'SE', 'NO', 'DK', 'FI', 'IS', 'PL', 'CZ', 'HU', 'GR']
+  },
+  asiaPacific: {
+    label: 'Asia-Pacific',
+    countries: ['JP', 'CN', 'HK', 'TW', 'KR', 'SG', 'IN', 'ID', 'MY', 'TH', 'PH', 'VN', 'AU', 'NZ']
+  }
+};
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const EXCHANGE_PATTERN = /^[A-Z0-9.\-]{1,20}$/;
+const FX_PAIR_PATTERN = /^([A-Z]{3})([A-Z]{3})$/;
+
+const createFxRateModel = (mongoose) => {
+  const fxRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true, unique: true }, // ISO code, e.g. 'EUR'
+    usdPerUnit: { type: Number, required: true }, // 1 EUR = 1.08 USD -> 1.08
+    source: { type: String } // Provider the rate came from
+  }, { timestamps: true });
+
+  return mongoose.models.FxRate || mongoose.model('FxRate', fxRateSchema);
+};
+
+// Forex quotes ({ symbol: 'EURUSD', price }) -> { EUR: 1.08, JPY: 0.0067, ... }. Pairs quoted against
+// USD are used directly, USD-based pairs inverted.
+const parseFxQuotes = (quotes) => {
+  const direct = {};
+  const inverted = {};
+  (quotes || []).forEach(quote => {
+    const match = FX_PAIR_PATTERN.exec(String(quote && quote.symbol).replace('/', ''));
+    const price = safeNum(quote && quote.price);
+    if (!match || price === null || price <= 0) return;
+    const [, base, counter] = match;
+    if (counter === BASE_CURRENCY && base !== BASE_CURRENCY) direct[base] = price;
+    else if (base === BASE_CURRENCY && counter !== BASE_CURRENCY) inverted[counter] = 1 / price;
+  });
+  return { ...inverted, ...direct };
+};
+
+// The stored table as { currency: usdPerUnit }, USD included
+async function loadFxRates(FxRate) {
+  const rows = await FxRate.find({}, 'currency usdPerUnit').lean();
+  return { ...Object.fromEntries(rows.map(row => [row.currency, row.usdPerUnit])), [BASE_CURRENCY]: 1 };
+}
+
+// Store the provider's current rates and return the whole table
+async function refreshFxRates({ provider, FxRate }) {
+  const rates = parseFxQuotes(await provider.getFxQuotes());
+  const ops = Object.entries(rates).map(([currency, usdPerUnit]) => ({
+    updateOne: { filter: { currency }, update: { $set: { usdPerUnit, source: provider.name } }, upsert: true }
+  }));
+  if (ops.length > 0) await FxRate.bulkWrite(ops, { ordered: false });
+  return loadFxRates(FxRate);
+}
+
+// 'GBp' -> 'GBP'; other currencies unchanged
+const majorCurrency = (currency) => (MINOR_CURRENCY_UNITS[currency] ? MINOR_CURRENCY_UNITS[currency].currency : currency);
+
+// USD per unit of `currency` (minor units included); null when the table has no rate for it
+const usdRate = (currency, rates) => {
+  if (!currency) return 1;
+  const minor = MINOR_CURRENCY_UNITS[currency];
+  const rate = minor ? rates[minor.currency] : rates[currency];
+  if (typeof rate !== 'number') return null;
+  return minor ? rate * minor.factor : rate;
+};
+
+// `value` in `from` expressed in `to`; null when either rate is missing
+const convertCurrency = (value, from, to, rates) => {
+  const amount = safeNum(value);
+  if (amount === null || from === to) return amount;
+  const fromRate = usdRate(from, rates);
+  const toRate = usdRate(to, rates);
+  return fromRate !== null && toRate ? (amount * fromRate) / toRate : null;
+};
+
+// USD fields and the market cap bucket for a stock with its trading currency and raw values set
+const currencyFields = (stock, rates) => {
+  const fxRateToUsd = usdRate(stock.currency, rates);
+  const marketCapRate = usdRate(majorCurrency(stock.currency), rates);
+  const marketCap = safeNum(stock.marketCap) ?? safeNum(stock.mktCap);
+  const priceUsd = fxRateToUsd !== null && safeNum(stock.price) !== null ? stock.price * fxRateToUsd : null;
+  const marketCapUsd = marketCapRate !== null && marketCap !== null ? marketCap * marketCapRate : null;
+  const volume = safeNum(stock.avgVolume) ?? safeNum(stock.volAvg);
+  return {
+    fxRateToUsd,
+    priceUsd,
+    marketCapUsd,
+    avgDollarVolumeUsd: volume !== null && priceUsd !== null ? volume * priceUsd : null,
+    marketCapCategory: categorize(CATEGORY_RULES.marketCapCategory, marketCapUsd)
+  };
+};
+
+// Recompute the USD fields of every stored stock with the current rates (after a rate refresh, and for
+// stocks imported before they existed). Returns how many were updated and the currencies without a rate.
+async function normalizeStoredStocks(Stock, rates) {
+  const stocks = await Stock.find({}, 'symbol currency price marketCap mktCap avgVolume volAvg').lean();
+  const missingRates = new Set();
+  const BATCH_SIZE = 1000;
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map(stock => {
+      const fields = currencyFields(stock, rates);
+      if (fields.fxRateToUsd === null) missingRates.add(stock.currency);
+      return { updateOne: { filter: { _id: stock._id }, update: { $set: fields } } };
+    });
+    await Stock.bulkWrite(ops, { ordered: false });
+  }
+  return { count: stocks.length, missingRates: [...missingRates] };
+}
+
+// `US,ca` -> ['US', 'CA'], rejecting values that do not match `pattern`
+const parseList = (raw, name, pattern, description) => {
+  const values = [...new Set(String(raw).split(',').map(value => value.trim().toUpperCase()).filter(Boolean))];
+  const invalid = values.filter(value => !pattern.test(value));
+  if (invalid.length > 0) {
+    throw new QueryValidationError(`${name} must be a comma-separated list of ${description}`, invalid);
+  }
+  return values;
+};
+
+// Query conditions for the `country` (ISO codes), `exchange` (short names) and `region` parameters
+const buildMarketFilter = (params = {}) => {
+  const filter = {};
+  let countries = null;
+  if (params.country !== undefined && params.country !== '') {
+    countries = parseList(params.country, 'country', COUNTRY_PATTERN, 'two-letter country codes');
+  }
+  if (params.region !== undefined && params.region !== '') {
+    const region = REGIONS[params.region];
+    if (!region) {
+      throw new QueryValidationError(`region must be one of ${Object.keys(REGIONS).join(', ')}`);
+    }
+    countries = countries ? countries.filter(country => region.countries.includes(country)) : region.countries;
+  }
+  if (countries) filter.country = { $in: countries };
+  if (params.exchange !== undefined && params.exchange !== '') {
+    filter.exchange = { $in: parseList(params.exchange, 'exchange', EXCHANGE_PATTERN, 'exchange short names') };
+  }
+  return filter;
+};
+
+// Exchanges and countries in the collection with their stock counts, plus the regions and FX table
+async function describeMarkets({ Stock, FxRate }) {
+  const countBy = (field) => Stock.aggregate([
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+  const [exchanges, countries, fxRates] = await Promise.all([
+    countBy('exchange'),
+    countBy('country'),
+    FxRate.find({}, 'currency usdPerUnit source updatedAt').sort({ currency: 1 }).lean()
+  ]);
+  return {
+    exchanges: exchanges.map(({ _id, count }) => ({ exchange: _id, count })),
+    countries: countries.map(({ _id, count }) => ({ country: _id, count })),
+    regions: Object.entries(REGIONS).map(([id, region]) => ({ id, ...region })),
+    fxRates: fxRates.map(({ currency, usdPerUnit, source, updatedAt }) => ({ currency, usdPerUnit, source, updatedAt })),
+    baseCurrency: BASE_CURRENCY
+  };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  IMPORT_EXCHANGES,
+  REGIONS,
+  createFxRateModel,
+  parseFxQuotes,
+  loadFxRates,
+  refreshFxRates,
+  majorCurrency,
+  usdRate,
+  convertCurrency,
+  currencyFields,
+  normalizeStoredStocks,
+  buildMarketFilter,
+  describeMarkets
+};
@@ -0,0 +1,234 @@
+// Sector and industry statistics for /api/v1/aggregates, and the peer-relative fields stored on each stock
+//
+// MongoDB computes count, mean, min, max, median and percentiles per group with $group accumulators
+// ($median and $percentile, approximate, on MongoDB 7.0 and later), so no group document holds the
+// values themselves. Older servers reject those accumulators; there each metric's values are collected
+// by a pipeline of their own and the median and percentiles are computed here. Metrics listed in
+// PEER_RELATIVE_METRICS with `positiveOnly` are summarized over positive values only (the median P/E
+// of profitable companies).
+
+const { QueryValidationError } = require('./stockQuery');
+const { PEER_GROUPS, PEER_RELATIVE_METRICS, peerRelativeField } = require('./stockModel');
+
+const GROUP_BY_OPTIONS = [...PEER_GROUPS, 'all'];
+const DEFAULT_PERCENTILES = [10, 25, 50, 75, 90];
+const MAX_PERCENTILES = 9;
+const MIN_PEER_GROUP_SIZE = 3; // Smaller groups get no relative values; their median says little
+
+const POSITIVE_ONLY_FIELDS = new Set(Object.values(PEER_RELATIVE_METRICS)
+  .filter(metric => metric.positiveOnly)
+  .map(metric => metric.field));
+
+// Peer-relative fields are ratios to these statistics, so summarizing them is left out by default
+const RELATIVE_FIELDS = new Set(Object.keys(PEER_RELATIVE_METRICS)
+  .flatMap(metricId => PEER_GROUPS.map(group => peerRelativeField(metricId, group))));
+
+const parseGroupByParam = (raw) => {
+  const groupBy = raw === undefined || raw === '' ? 'sector' : String(raw);
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw new QueryValidationError(`groupBy must be one of ${GROUP_BY_OPTIONS.join(', ')}`);
+  }
+  return groupBy;
+};
+
+// `fields=priceEarningsRatioTTM,marketCap` -> numeric schema fields; default is every numeric field
+// except the peer-relative ones
+const parseMetricsParam = (raw, numericFields) => {
+  if (raw === undefined || raw === '') return numericFields.filter(field => !RELATIVE_FIELDS.has(field));
+  const fields = [...new Set(String(raw).split(',').map(field => field.trim()).filter(Boolean))];
+  const unknown = fields.filter(field => !numericFields.includes(field));
+  if (unknown.length > 0) {
+    throw new QueryValidationError('Unknown or non-numeric field(s) in fields', unknown);
+  }
+  return fields;
+};
+
+// `percentiles=5,50,95` -> [5, 50, 95]
+const parsePercentilesParam = (raw) => {
+  if (raw === undefined || raw === '') return DEFAULT_PERCENTILES;
+  const percentiles = String(raw).split(',').map(value => Number(value.trim()));
+  if (percentiles.some(p => !Number.isFinite(p) || p < 0 || p > 100)) {
+    throw new QueryValidationError('percentiles must be numbers between 0 and 100');
+  }
+  if (percentiles.length > MAX_PERCENTILES) {
+    throw new QueryValidationError(`percentiles accepts at most ${MAX_PERCENTILES} values`);
+  }
+  return [...new Set(percentiles)].sort((a, b) => a - b);
+};
+
+// Linear interpolation between closest ranks; `sorted` must be ascending and non-empty
+const percentile = (sorted, p) => {
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 1e6) / 1e6);
+
+const summarize = (values, field, percentiles) => {
+  const sorted = values
+    .filter(value => typeof value === 'number' && isFinite(value) && (!POSITIVE_ONLY_FIELDS.has(field) || value > 0))
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, median: null, min: null, max: null, percentiles: {} };
+  }
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: round(percentile(sorted, 50)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: Object.fromEntries(percentiles.map(p => [`p${p}`, round(percentile(sorted, p))]))
+  };
+};
+
+// The field's value where it counts towards the statistics, otherwise null (which accumulators skip)
+const usableValue = (field) => {
+  const conditions = [{ $isNumber: `$${field}` }, { $not: [{ $in: [`$${field}`, [NaN, Infinity, -Infinity]] }] }];
+  if (POSITIVE_ONLY_FIELDS.has(field)) conditions.push({ $gt: [`$${field}`, 0] });
+  return { $cond: [{ $and: conditions }, `$${field}`, null] };
+};
+
+const groupKey = (groupBy) => (groupBy === 'all' ? null : `$${groupBy}`);
+
+// Unset until the first aggregation finds out whether the server has $median and $percentile
+let percentileAccumulators;
+
+const isUnknownAccumulator = (error) => error.code === 15952 || /\$(median|percentile)/.test(error.message || '');
+
+// One $group with every statistic of every field. Accumulator names can't contain dots, so each
+// field's statistics are named after its index.
+async function aggregateWithAccumulators(Model, filter, groupBy, fields, percentiles) {
+  const accumulators = {};
+  fields.forEach((field, i) => {
+    const value = usableValue(field);
+    accumulators[`c${i}`] = { $sum: { $cond: [{ $eq: [value, null] }, 0, 1] } };
+    accumulators[`mean${i}`] = { $avg: value };
+    accumulators[`min${i}`] = { $min: value };
+    accumulators[`max${i}`] = { $max: value };
+    accumulators[`median${i}`] = { $median: { input: value, method: 'approximate' } };
+    if (percentiles.length > 0) {
+      accumulators[`p${i}`] = { $percentile: { input: value, p: percentiles.map(p => p / 100), method: 'approximate' } };
+    }
+  });
+  const groups = await Model.aggregate([
+    { $match: filter },
+    { $group: { _id: groupKey(groupBy), count: { $sum: 1 }, ...accumulators } }
+  ]).allowDiskUse(true);
+
+  return groups.map(group => ({
+    _id: group._id,
+    count: group.count,
+    metrics: Object.fromEntries(fields.map((field, i) => {
+      if (group[`c${i}`] === 0) return [field, summarize([], field, percentiles)];
+      const values = group[`p${i}`] || [];
+      return [field, {
+        count: group[`c${i}`],
+        mean: round(group[`mean${i}`]),
+        median: round(group[`median${i}`]),
+        min: group[`min${i}`],
+        max: group[`max${i}`],
+        percentiles: Object.fromEntries(percentiles.map((p, j) => [`p${p}`, round(values[j] ?? null)]))
+      }];
+    }))
+  }));
+}
+
+// Servers without $median / $percentile: one pipeline per field collects that field's usable values
+// per group, so a group document holds a single field's values
+async function aggregateByField(Model, filter, groupBy, fields, percentiles) {
+  const byKey = new Map();
+  const counts = await Model.aggregate([{ $match: filter }, { $group: { _id: groupKey(groupBy), count: { $sum: 1 } } }]);
+  counts.forEach(({ _id, count }) => byKey.set(String(_id), { _id, count, metrics: {} }));
+  for (const field of fields) {
+    const groups = await Model.aggregate([
+      { $match: filter },
+      { $project: { key: groupKey(groupBy), value: usableValue(field) } },
+      { $match: { value: { $ne: null } } },
+      { $group: { _id: '$key', values: { $push: '$value' } } }
+    ]).allowDiskUse(true);
+    const valuesByKey = new Map(groups.map(group => [String(group._id), group.values]));
+    byKey.forEach((group, key) => {
+      group.metrics[field] = summarize(valuesByKey.get(key) || [], field, percentiles);
+    });
+  }
+  return [...byKey.values()];
+}
+
+// Statistics of `fields` over the stocks matching `filter`, one entry per sector or industry (or a
+// single 'all' group), largest group first
+async function aggregateMetrics(Model, filter, { groupBy = 'sector', fields, percentiles = DEFAULT_PERCENTILES }) {
+  let groups = null;
+  if (percentileAccumulators !== false) {
+    try {
+      groups = await aggregateWithAccumulators(Model, filter, groupBy, fields, percentiles);
+      percentileAccumulators = true;
+    } catch (error) {
+      if (percentileAccumulators === true || !isUnknownAccumulator(error)) throw error;
+      percentileAccumulators = false;
+      console.warn('MongoDB has no $median/$percentile (needs 7.0); aggregating one field at a time.');
+    }
+  }
+  if (!groups) groups = await aggregateByField(Model, filter, groupBy, fields, percentiles);
+
+  return groups
+    .sort((a, b) => b.count - a.count || String(a._id ?? '').localeCompare(String(b._id ?? '')))
+    .map(group => ({ key: groupBy === 'all' ? 'all' : (group._id ?? null), count: group.count, metrics: group.metrics }));
+}
+
+// Peer median of each relative metric, by group key
+const peerMedians = async (StockModel, group) => {
+  const fields = Object.values(PEER_RELATIVE_METRICS).map(metric => metric.field);
+  const groups = await aggregateMetrics(StockModel, { [group]: { $nin: [null, '', 'N/A'] } }, { groupBy: group, fields, percentiles: [] });
+  return new Map(groups.map(({ key, metrics }) => [key, metrics]));
+};
+
+// Store value / peer median for every PEER_RELATIVE_METRICS entry and peer group. Medians need
+// the whole universe, so like scoring this runs once after an import finishes.
+async function computePeerRelatives(StockModel) {
+  const medians = Object.fromEntries(await Promise.all(PEER_GROUPS.map(async group => [group, await peerMedians(StockModel, group)])));
+  const metricFields = Object.values(PEER_RELATIVE_METRICS).map(metric => metric.field);
+  const stocks = await StockModel.find({}, ['_id', ...PEER_GROUPS, ...metricFields].join(' ')).lean();
+  const computedAt = new Date();
+  const BATCH_SIZE = 1000;
+
+  const relativeValues = (stock) => {
+    const values = {};
+    PEER_GROUPS.forEach(group => {
+      const groupMetrics = medians[group].get(stock[group]);
+      Object.entries(PEER_RELATIVE_METRICS).forEach(([metricId, { field, positiveOnly }]) => {
+        const value = stock[field];
+        const stats = groupMetrics && groupMetrics[field];
+        const usable = typeof value === 'number' && isFinite(value) && (!positiveOnly || value > 0);
+        values[peerRelativeField(metricId, group)] = usable && stats && stats.count >= MIN_PEER_GROUP_SIZE && stats.median > 0
+          ? round(value / stats.median)
+          : null;
+      });
+    });
+    return values;
+  };
+
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map(stock => ({
+      updateOne: {
+        filter: { _id: stock._id },
+        update: { $set: { ...relativeValues(stock), peerMediansAt: computedAt } }
+      }
+    }));
+    await StockModel.bulkWrite(ops, { ordered: false });
+  }
+  return stocks.length;
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  DEFAULT_PERCENTILES,
+  MIN_PEER_GROUP_SIZE,
+  parseGroupByParam,
+  parseMetricsParam,
+  parsePercentilesParam,
+  percentile,
+  aggregateMetrics,
+  computePeerRelatives
+};
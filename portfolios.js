@@ -0,0 +1,335 @@
+// Portfolios: holdings with share count, cost basis and purchase date
+//
+// Holdings are stored as lots; the API values them as positions (lots of the same symbol combined)
+// using the stored stock prices. Positions are reported in the stock's trading currency and in USD;
+// weights and totals are in USD, with the cost basis converted at the current stored FX rate. A portfolio can name the saved screen its stocks were bought on
+// (each lot can override it), so positions that no longer pass that screen can be flagged.
+// Holdings can be imported from broker CSV exports (see parseHoldingsCsv).
+
+const { QueryValidationError } = require('./stockQuery');
+const { buildSavedScreenQuery } = require('./savedScreens');
+const { BASE_CURRENCY, convertCurrency } = require('./markets');
+
+const MAX_HOLDINGS = 2000;
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+
+const createPortfolioModel = (mongoose) => {
+  const holdingSchema = new mongoose.Schema({
+    symbol: { type: String, required: true, uppercase: true, trim: true },
+    shares: { type: Number, required: true },
+    costBasis: { type: Number, required: true }, // Per share, in the stock's trading currency
+    purchaseDate: { type: Date },
+    screenId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedScreen' } // Overrides the portfolio's screen
+  });
+
+  const portfolioSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    screenId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedScreen' }, // Screen the holdings were bought on
+    holdings: { type: [holdingSchema], default: [] },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true } // null: shared (see users.js)
+  }, { timestamps: true });
+
+  return mongoose.models.Portfolio || mongoose.model('Portfolio', portfolioSchema);
+};
+
+const isObjectIdString = (value) => /^[0-9a-f]{24}$/i.test(String(value));
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Validate one holding; returns the cleaned holding or pushes messages onto `errors`
+const validateHolding = (holding, index, errors) => {
+  const where = `holdings[${index}]`;
+  if (!holding || typeof holding !== 'object') {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+  const symbol = typeof holding.symbol === 'string' ? holding.symbol.trim().toUpperCase() : '';
+  const shares = Number(holding.shares);
+  const costBasis = Number(holding.costBasis);
+  const purchaseDate = parseDate(holding.purchaseDate);
+  const before = errors.length;
+
+  if (!SYMBOL_PATTERN.test(symbol)) errors.push(`${where}.symbol: is not a valid ticker`);
+  if (!isFinite(shares) || shares <= 0) errors.push(`${where}.shares: must be a positive number`);
+  if (!isFinite(costBasis) || costBasis < 0) errors.push(`${where}.costBasis: must be a number >= 0`);
+  if (purchaseDate === undefined) errors.push(`${where}.purchaseDate: is not a valid date`);
+  if (holding.screenId !== undefined && holding.screenId !== null && !isObjectIdString(holding.screenId)) {
+    errors.push(`${where}.screenId: is not a valid id`);
+  }
+  if (errors.length > before) return null;
+
+  const cleaned = { symbol, shares, costBasis };
+  if (purchaseDate) cleaned.purchaseDate = purchaseDate;
+  if (holding.screenId) cleaned.screenId = holding.screenId;
+  return cleaned;
+};
+
+// Saved screen ids a validated input refers to, from the portfolio and its holdings
+const referencedScreenIds = (input) => [...new Set([
+  input.screenId,
+  ...(input.holdings || []).map(holding => holding && holding.screenId)
+].filter(Boolean).map(String))];
+
+// Validate a create/update request body. With `partial`, missing fields are left unchanged.
+const validatePortfolioInput = (body, { partial = false } = {}) => {
+  const errors = [];
+  const input = {};
+  const { name, screenId, holdings } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '') errors.push('name: is required');
+    else input.name = name.trim();
+  }
+  if (screenId !== undefined) {
+    if (screenId === null || screenId === '') input.screenId = null;
+    else if (!isObjectIdString(screenId)) errors.push('screenId: is not a valid id');
+    else input.screenId = screenId;
+  }
+  if (holdings !== undefined) {
+    if (!Array.isArray(holdings)) errors.push('holdings: must be an array');
+    else if (holdings.length > MAX_HOLDINGS) errors.push(`holdings: at most ${MAX_HOLDINGS} lots`);
+    else input.holdings = holdings.map((holding, index) => validateHolding(holding, index, errors));
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid portfolio', errors);
+  }
+  return input;
+};
+
+// RFC 4180 CSV: quoted fields may contain separators, quotes ("") and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Header names used by common brokers, compared lowercase without spaces and punctuation
+const CSV_COLUMNS = {
+  symbol: ['symbol', 'ticker', 'tickersymbol', 'securitysymbol', 'instrument', 'symbolcusip'],
+  shares: ['quantity', 'shares', 'qty', 'units', 'sharesunits', 'position', 'sharesowned'],
+  costBasis: ['costbasispershare', 'costpershare', 'averagecost', 'avgcost', 'averageprice', 'avgprice',
+    'averagecostbasis', 'unitcost', 'pricepaid', 'purchaseprice'],
+  totalCost: ['totalcost', 'costbasis', 'costbasistotal', 'totalcostbasis', 'bookvalue'],
+  purchaseDate: ['purchasedate', 'dateacquired', 'acquired', 'acquireddate', 'tradedate', 'opendate', 'date']
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "$1,234.50" -> 1234.5, "(12.00)" -> -12, "--" -> null
+const parseCsvNumber = (value) => {
+  if (value === undefined) return null;
+  const text = value.trim();
+  if (text === '' || /^-+$/.test(text) || /^n\/?a$/i.test(text)) return null;
+  const negative = /^\(.*\)$/.test(text);
+  const number = Number(text.replace(/[()$€£,\s]/g, ''));
+  if (!isFinite(number)) return NaN;
+  return negative ? -number : number;
+};
+
+const findHeaderRow = (rows) => rows.findIndex(cells =>
+  cells.some(cell => CSV_COLUMNS.symbol.includes(normalizeHeader(cell))));
+
+// Holdings from a broker CSV export. Rows that are not holdings (cash, totals, options, blank
+// quantities) are returned in `skipped` with their line number. `symbols` lists the tickers found,
+// which is what a watchlist import uses: a file with a symbol column but no quantities (a watchlist
+// export) only yields symbols, and one without a recognizable header is read as a list of tickers
+// in its first column.
+const parseHoldingsCsv = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new QueryValidationError('csv: is required');
+  }
+  const rows = parseCsv(text.replace(/^﻿/, ''));
+  const headerIndex = findHeaderRow(rows);
+  const holdings = [];
+  const skipped = [];
+  const symbols = new Set();
+
+  if (headerIndex === -1) {
+    rows.forEach((cells, index) => {
+      cells[0].split(/[\s;]+/).forEach(token => {
+        const symbol = token.trim().toUpperCase();
+        if (SYMBOL_PATTERN.test(symbol)) symbols.add(symbol);
+        else if (symbol) skipped.push({ line: index + 1, reason: `"${token.trim()}" is not a ticker` });
+      });
+    });
+    return { holdings, symbols: [...symbols], skipped };
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const column = (key) => headers.findIndex(header => CSV_COLUMNS[key].includes(header));
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+
+  rows.slice(headerIndex + 1).forEach((cells, offset) => {
+    const line = headerIndex + offset + 2;
+    const symbol = (cells[columns.symbol] || '').trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      if (symbol) skipped.push({ line, reason: `"${symbol}" is not a ticker` });
+      return;
+    }
+    if (columns.shares === -1) {
+      symbols.add(symbol);
+      return;
+    }
+
+    const shares = parseCsvNumber(cells[columns.shares]);
+    if (!shares || shares <= 0 || isNaN(shares)) {
+      skipped.push({ line, symbol, reason: 'no positive quantity' });
+      return;
+    }
+    symbols.add(symbol);
+    let costBasis = columns.costBasis >= 0 ? parseCsvNumber(cells[columns.costBasis]) : null;
+    if (costBasis === null && columns.totalCost >= 0) {
+      const totalCost = parseCsvNumber(cells[columns.totalCost]);
+      costBasis = totalCost === null || isNaN(totalCost) ? null : totalCost / shares;
+    }
+    if (costBasis === null || isNaN(costBasis) || costBasis < 0) {
+      skipped.push({ line, symbol, reason: 'no cost basis' });
+      return;
+    }
+
+    const holding = { symbol, shares, costBasis };
+    const purchaseDate = columns.purchaseDate >= 0 ? parseDate((cells[columns.purchaseDate] || '').trim()) : null;
+    if (purchaseDate) holding.purchaseDate = purchaseDate;
+    holdings.push(holding);
+  });
+
+  return { holdings, symbols: [...symbols], skipped };
+};
+
+const round = (value, decimals = 2) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+// Symbols of `symbols` that pass each saved screen, keyed by screen id. Only screens matching
+// `screenFilter` (the portfolio owner's) are looked up; other ids get no overlay.
+async function findScreenPasses({ Stock, SavedScreen, numericFields, screenFilter }, screenIds, symbols) {
+  const passes = new Map();
+  const screens = await SavedScreen.find({ _id: { $in: screenIds }, ...screenFilter }).lean();
+  await Promise.all(screens.map(async screen => {
+    const query = { $and: [buildSavedScreenQuery(screen, numericFields), { symbol: { $in: symbols } }] };
+    passes.set(String(screen._id), { name: screen.name, symbols: new Set(await Stock.distinct('symbol', query)) });
+  }));
+  return passes;
+}
+
+// Positions (lots combined per symbol) with market value, P&L and weight from the stored prices,
+// plus whether each still passes the screen it was bought on. `models.screenFilter` limits the
+// screens to the caller's own (ownedFilter in users.js); `models.fxRates` is the stored FX table.
+async function valuePortfolio(portfolio, models) {
+  const { Stock, fxRates = { [BASE_CURRENCY]: 1 } } = models;
+  const symbols = [...new Set(portfolio.holdings.map(holding => holding.symbol))];
+  const screenOf = (holding) => String(holding.screenId || portfolio.screenId || '');
+  const screenIds = [...new Set(portfolio.holdings.map(screenOf).filter(Boolean))];
+
+  const [stocks, passes] = await Promise.all([
+    Stock.find({ symbol: { $in: symbols } }, 'symbol companyName sector price currency fxRateToUsd priceUsd lastUpdated').lean(),
+    screenIds.length > 0 ? findScreenPasses(models, screenIds, symbols) : new Map()
+  ]);
+  const stocksBySymbol = new Map(stocks.map(stock => [stock.symbol, stock]));
+
+  const positions = symbols.map(symbol => {
+    const lots = portfolio.holdings.filter(holding => holding.symbol === symbol);
+    const shares = lots.reduce((sum, lot) => sum + lot.shares, 0);
+    const cost = lots.reduce((sum, lot) => sum + lot.shares * lot.costBasis, 0);
+    const stock = stocksBySymbol.get(symbol);
+    const price = stock && typeof stock.price === 'number' ? stock.price : null;
+    const marketValue = price === null ? null : shares * price;
+    // Stocks without a currency trade in USD, as in markets.js
+    const currency = (stock && stock.currency) || BASE_CURRENCY;
+    const priceUsd = stock && typeof stock.priceUsd === 'number' ? stock.priceUsd : null;
+    const marketValueUsd = priceUsd === null ? null : shares * priceUsd;
+    const costUsd = convertCurrency(cost, currency, BASE_CURRENCY, fxRates);
+    const screen = passes.get(screenOf(lots[0]));
+    const dates = lots.map(lot => lot.purchaseDate).filter(Boolean).map(date => new Date(date).getTime());
+
+    return {
+      symbol,
+      name: stock ? stock.companyName : null,
+      sector: stock ? stock.sector : null,
+      currency,
+      lots: lots.length,
+      shares,
+      costBasis: round(cost / shares, 4),
+      cost: round(cost),
+      price,
+      priceUpdatedAt: stock ? stock.lastUpdated : null,
+      marketValue: round(marketValue),
+      pnl: marketValue === null ? null : round(marketValue - cost),
+      pnlPercent: marketValue === null || cost === 0 ? null : round((marketValue / cost - 1) * 100),
+      costUsd: round(costUsd),
+      marketValueUsd: round(marketValueUsd),
+      pnlUsd: marketValueUsd === null || costUsd === null ? null : round(marketValueUsd - costUsd),
+      firstPurchaseDate: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+      screenName: screen ? screen.name : null,
+      passesScreen: screen && stock ? screen.symbols.has(symbol) : null // null: no screen, or not in the stock data
+    };
+  });
+
+  // Totals and weights in USD, over the positions with both a USD price and a USD cost
+  const valued = positions.filter(position => position.marketValueUsd !== null && position.costUsd !== null);
+  const marketValue = valued.reduce((sum, position) => sum + position.marketValueUsd, 0);
+  const valuedCost = valued.reduce((sum, position) => sum + position.costUsd, 0);
+  positions.forEach(position => {
+    position.weight = !valued.includes(position) || marketValue === 0 ? null : round(position.marketValueUsd / marketValue * 100);
+  });
+  positions.sort((a, b) => (b.marketValueUsd ?? -1) - (a.marketValueUsd ?? -1) || a.symbol.localeCompare(b.symbol));
+
+  return {
+    positions,
+    totals: {
+      currency: BASE_CURRENCY,
+      cost: round(positions.reduce((sum, position) => sum + (position.costUsd ?? 0), 0)),
+      marketValue: round(marketValue),
+      pnl: round(marketValue - valuedCost),
+      pnlPercent: valuedCost === 0 ? null : round((marketValue / valuedCost - 1) * 100),
+      unpricedSymbols: positions.filter(position => !valued.includes(position)).map(position => position.symbol),
+      failingScreen: positions.filter(position => position.passesScreen === false).map(position => position.symbol)
+    }
+  };
+}
+
+module.exports = {
+  MAX_HOLDINGS,
+  createPortfolioModel,
+  validatePortfolioInput,
+  referencedScreenIds,
+  parseCsv,
+  parseHoldingsCsv,
+  valuePortfolio
+};
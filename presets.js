@@ -0,0 +1,161 @@
+// Presets: named filter sets with version history and short share links
+//
+// A preset stores sidebar filters (ActiveFilters). Numeric ranges are filters too, keyed
+// `range:<field>` with a `min..max` value where either bound may be left out
+// ("range:priceEarningsRatioTTM": "0..15"); the frontend turns them into the `where` range query.
+// Every save that changes the content adds a version, and the last MAX_PRESET_VERSIONS are kept so an
+// older one can be restored (as a new version). Each preset gets a random `slug` for its short link
+// (/p/<slug>): anyone with the link can read and clone it, only the owner can change it.
+
+const crypto = require('crypto');
+const { QueryValidationError } = require('./stockQuery');
+
+const MAX_PRESET_VERSIONS = 50;
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_EMOJI_LENGTH = 8;
+const DEFAULT_EMOJI = '⭐';
+const SLUG_LENGTH = 8;
+const SLUG_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No look-alikes (0/O, 1/l/I)
+const SLUG_PATTERN = new RegExp(`^[${SLUG_ALPHABET}]{${SLUG_LENGTH}}$`);
+const RANGE_FILTER_PREFIX = 'range:';
+const CONTENT_FIELDS = ['name', 'emoji', 'description', 'filters'];
+
+const createPresetModel = (mongoose) => {
+  const versionSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    name: { type: String },
+    emoji: { type: String },
+    description: { type: String },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    savedAt: { type: Date, required: true }
+  }, { _id: false, minimize: false });
+
+  const presetSchema = new mongoose.Schema({
+    slug: { type: String, required: true, unique: true },
+    name: { type: String, required: true, trim: true },
+    emoji: { type: String, default: DEFAULT_EMOJI },
+    description: { type: String, default: '' },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} }, // ActiveFilters, including range:<field> keys
+    version: { type: Number, default: 1 },
+    versions: { type: [versionSchema], default: [] }, // Oldest first, the current one last
+    clonedFrom: { slug: { type: String }, version: { type: Number } },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true } // null: shared (see users.js)
+  }, { timestamps: true, minimize: false });
+
+  return mongoose.models.Preset || mongoose.model('Preset', presetSchema);
+};
+
+// "5..15" -> { min: 5, max: 15 }, "..15" -> { max: 15 }; null when malformed or empty
+const parseRangeValue = (value) => {
+  const match = /^\s*(-?[\d.]+(?:e-?\d+)?)?\s*\.\.\s*(-?[\d.]+(?:e-?\d+)?)?\s*$/i.exec(String(value));
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  const range = {};
+  if (match[1] !== undefined) range.min = Number(match[1]);
+  if (match[2] !== undefined) range.max = Number(match[2]);
+  if (Object.values(range).some(bound => !isFinite(bound))) return null;
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) return null;
+  return range;
+};
+
+const validateFilters = (filters, numericFields, errors) => {
+  if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+    errors.push('filters: must be an object of filter id to option value');
+    return;
+  }
+  Object.entries(filters).forEach(([key, value]) => {
+    if (typeof value !== 'string') {
+      errors.push(`filters.${key}: must be a string`);
+    } else if (key.startsWith(RANGE_FILTER_PREFIX)) {
+      const field = key.slice(RANGE_FILTER_PREFIX.length);
+      if (!numericFields.includes(field)) errors.push(`filters.${key}: ${field} is not a numeric stock field`);
+      else if (!parseRangeValue(value)) errors.push(`filters.${key}: must be "min..max" with at least one bound, min not above max`);
+    }
+  });
+};
+
+// Validate a preset. Updates pass the stored preset merged with the request body.
+const validatePresetInput = (body, numericFields) => {
+  const errors = [];
+  const { name, emoji, description, filters } = body || {};
+  const input = {};
+
+  if (typeof name !== 'string' || name.trim() === '') errors.push('name: is required');
+  else if (name.trim().length > MAX_NAME_LENGTH) errors.push(`name: at most ${MAX_NAME_LENGTH} characters`);
+  else input.name = name.trim();
+
+  if (emoji === undefined || emoji === null || emoji === '') input.emoji = DEFAULT_EMOJI;
+  else if (typeof emoji !== 'string' || [...emoji.trim()].length > MAX_EMOJI_LENGTH) errors.push('emoji: must be a short string');
+  else input.emoji = emoji.trim();
+
+  if (description === undefined || description === null) input.description = '';
+  else if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) errors.push(`description: at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  else input.description = description.trim();
+
+  validateFilters(filters === undefined ? {} : filters, numericFields, errors);
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid preset', errors);
+  }
+  input.filters = Object.fromEntries(Object.entries(filters || {}).filter(([, value]) => value !== ''));
+  return input;
+};
+
+const generateSlug = () => Array.from(crypto.randomBytes(SLUG_LENGTH), byte => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('');
+
+const isSlug = (value) => SLUG_PATTERN.test(String(value));
+
+const snapshot = (content, version, savedAt) => ({ version, ...content, savedAt });
+
+const sameContent = (a, b) => CONTENT_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+
+// New preset at version 1, retrying on the unlikely slug collision
+async function createPreset(Preset, input, { userId = null, clonedFrom = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const preset = new Preset({ ...input, slug: generateSlug(), userId, clonedFrom, versions: [snapshot(input, 1, new Date())] });
+    try {
+      return await preset.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+}
+
+// Apply validated content; adds a version only when something changed. Returns whether it did.
+const saveVersion = (preset, input) => {
+  if (sameContent(preset, input)) return false;
+  const version = preset.version + 1;
+  preset.set({ ...input, version });
+  preset.versions.push(snapshot(input, version, new Date()));
+  if (preset.versions.length > MAX_PRESET_VERSIONS) {
+    preset.versions.splice(0, preset.versions.length - MAX_PRESET_VERSIONS);
+  }
+  return true;
+};
+
+// What a share link shows: the current content, or one kept version
+const sharedPreset = (preset, version = null) => {
+  const content = version === null ? preset : preset.versions.find(entry => entry.version === version);
+  if (!content) return null;
+  return {
+    slug: preset.slug,
+    name: content.name,
+    emoji: content.emoji,
+    description: content.description,
+    filters: content.filters,
+    version: content.version,
+    latestVersion: preset.version,
+    updatedAt: version === null ? preset.updatedAt : content.savedAt
+  };
+};
+
+module.exports = {
+  MAX_PRESET_VERSIONS,
+  RANGE_FILTER_PREFIX,
+  createPresetModel,
+  parseRangeValue,
+  validatePresetInput,
+  isSlug,
+  createPreset,
+  saveVersion,
+  sharedPreset
+};
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { AuthSession, User } from '../types';
+import { signIn, register, FMPApiError } from '../services/stockService';
+import { CloseIcon } from './icons';
+
+interface AccountModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  user: User | null;
+  onSignedIn: (session: AuthSession) => Promise<void>; // Load the account's workspace (importing this browser's on first sign-in)
+  onSignOut: () => Promise<void>;
+}
+
+const AccountModal: React.FC<AccountModalProps> = ({ isOpen, onClose, user, onSignedIn, onSignOut }) => {
+  const [mode, setMode] = useState<'signIn' | 'register'>('signIn');
+  const [email, setEmail] = useState<string>('');
+  const [password, setPassword] = useState<string>('');
+  const [name, setName] = useState<string>('');
+  const [isBusy, setIsBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setIsBusy(true);
+    setError(null);
+    try {
+      const session = mode === 'signIn'
+        ? await signIn(email.trim(), password)
+        : await register(email.trim(), password, name.trim() || undefined);
+      await onSignedIn(session);
+      setPassword('');
+      onClose();
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : (mode === 'signIn' ? 'Could not sign in.' : 'Could not create the account.'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    setIsBusy(true);
+    try {
+      await onSignOut();
+      onClose();
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const inputStyles = "w-full p-2 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const primaryButtonStyles = "w-full px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-gray-800 disabled:opacity-50";
+
+  return (
+    <div className="modal-overlay" style={{ display: 'flex' }} aria-modal="true" role="dialog">
+      <div className="modal-content-inner modal-content-bg max-w-sm w-full p-0">
+        <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">
+            {user ? 'Account' : mode === 'signIn' ? 'Sign in' : 'Create account'}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 p-1 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Close"
+          >
+            <CloseIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {user ? (
+          <div className="p-4 space-y-3 text-sm">
+            <p className="text-gray-700 dark:text-gray-300">
+              Signed in as <span className="font-medium">{user.name || user.email}</span>
+              {user.name && <span className="text-gray-500 dark:text-gray-400"> ({user.email})</span>}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Your watchlist, columns, presets, saved screens and portfolios are stored with your account.
+            </p>
+            <button className={primaryButtonStyles} onClick={handleSignOut} disabled={isBusy}>Sign out</button>
+          </div>
+        ) : (
+          <form className="p-4 space-y-3" onSubmit={handleSubmit}>
+            {mode === 'register' && (
+              <input type="text" className={inputStyles} placeholder="Name (optional)" value={name} onChange={e => setName(e.target.value)} autoComplete="name" />
+            )}
+            <input type="email" className={inputStyles} placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} autoComplete="email" required />
+            <input
+              type="password"
+              className={inputStyles}
+              placeholder="Password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              autoComplete={mode === 'signIn' ? 'current-password' : 'new-password'}
+              required
+            />
+            {mode === 'register' && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                At least 8 characters. This browser's watchlist, columns and presets are copied into the new account.
+              </p>
+            )}
+            {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+            <button type="submit" className={primaryButtonStyles} disabled={isBusy || !email.trim() || !password}>
+              {mode === 'signIn' ? 'Sign in' : 'Create account'}
+            </button>
+            <button
+              type="button"
+              className="w-full text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              onClick={() => { setMode(mode === 'signIn' ? 'register' : 'signIn'); setError(null); }}
+            >
+              {mode === 'signIn' ? 'No account yet? Create one' : 'Already have an account? Sign in'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
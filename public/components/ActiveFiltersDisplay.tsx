@@ -3,6 +3,7 @@ import React from 'react';
 import { ActiveFilters, FilterGroupDef, FilterOption } from '../types';
 import { FILTER_GROUPS } from '../constants';
 import { CloseIcon } from './icons';
+import { RANGE_FILTER_PREFIX, describeRangeFilter } from '../services/stockService';
 
 interface ActiveFiltersDisplayProps {
   activeFilters: ActiveFilters;
@@ -11,6 +12,7 @@ interface ActiveFiltersDisplayProps {
 
 const ActiveFiltersDisplay: React.FC<ActiveFiltersDisplayProps> = ({ activeFilters, onRemoveFilter }) => {
   const getFilterLabel = (groupKey: string, value: string): string => {
+    if (groupKey.startsWith(RANGE_FILTER_PREFIX)) return describeRangeFilter(groupKey, value);
     for (const group of FILTER_GROUPS) {
         if (group.subGroups) {
             for (const subGroup of group.subGroups) {
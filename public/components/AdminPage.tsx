@@ -0,0 +1,340 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ImportStatus, ImportRun, ImportTicker, ImportTickerStatus } from '../types';
+import { fetchImportStatus, fetchImportRun, startImportRun, cancelImportRun, FMPApiError } from '../services/stockService';
+
+// Import job dashboard at /admin: schedule, live progress, manual and single-ticker refreshes,
+// cancellation and the tickers of past runs. Needs the server's ADMIN_TOKEN.
+
+const TOKEN_STORAGE_KEY = 'adminToken';
+const POLL_INTERVAL_MS = 5000;
+const TICKER_STATUSES: ImportTickerStatus[] = ['failed', 'skipped', 'pending', 'saved'];
+
+const formatDate = (value?: string | null): string => (value ? new Date(value).toLocaleString() : '—');
+
+const formatDuration = (run: ImportRun): string => {
+  const end = run.finishedAt ? new Date(run.finishedAt).getTime() : Date.now();
+  const minutes = Math.round((end - new Date(run.startedAt).getTime()) / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+const runStatusLabel = (run: ImportRun): string => {
+  if (run.status !== 'running') return run.status;
+  if (!run.live) return 'interrupted';
+  return run.cancelRequested ? 'cancelling' : 'running';
+};
+
+const statusColor = (run: ImportRun): string => {
+  switch (runStatusLabel(run)) {
+    case 'completed': return 'bg-green-100 text-green-700 dark:bg-green-800 dark:text-green-100';
+    case 'running': return 'bg-blue-100 text-blue-700 dark:bg-blue-800 dark:text-blue-100';
+    case 'failed':
+    case 'interrupted': return 'bg-red-100 text-red-700 dark:bg-red-800 dark:text-red-100';
+    default: return 'bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-100';
+  }
+};
+
+const ProgressBar: React.FC<{ value: number; max: number; warn?: boolean }> = ({ value, max, warn }) => (
+  <div className="h-2 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+    <div
+      className={`h-full ${warn ? 'bg-red-500' : 'bg-blue-500'}`}
+      style={{ width: `${max > 0 ? Math.min(100, (value / max) * 100) : 0}%` }}
+    />
+  </div>
+);
+
+const AdminPage: React.FC = () => {
+  const [token, setToken] = useState<string>(() => sessionStorage.getItem(TOKEN_STORAGE_KEY) || '');
+  const [tokenInput, setTokenInput] = useState<string>('');
+  const [status, setStatus] = useState<ImportStatus | null>(null);
+  const [selectedRun, setSelectedRun] = useState<ImportRun | null>(null);
+  const [tickerStatus, setTickerStatus] = useState<ImportTickerStatus>('failed');
+  const [tickers, setTickers] = useState<ImportTicker[]>([]);
+  const [refreshSymbols, setRefreshSymbols] = useState<string>('');
+  const [isBusy, setIsBusy] = useState<boolean>(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (localStorage.getItem('theme') === 'dark') document.documentElement.classList.add('dark');
+  }, []);
+
+  const handleApiError = useCallback((err: any, failure: string) => {
+    if (err instanceof FMPApiError && err.status === 401) {
+      sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+      setToken('');
+    }
+    setError(err instanceof FMPApiError ? err.message : failure);
+  }, []);
+
+  const loadStatus = useCallback(async () => {
+    if (!token) return;
+    try {
+      setStatus(await fetchImportStatus(token));
+      setError(null);
+    } catch (err: any) {
+      console.error("[AdminPage] Failed to load import status:", err);
+      handleApiError(err, 'Could not load import status.');
+    }
+  }, [token, handleApiError]);
+
+  useEffect(() => {
+    loadStatus();
+    const timer = window.setInterval(loadStatus, POLL_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [loadStatus]);
+
+  useEffect(() => {
+    if (!token || !selectedRun) {
+      setTickers([]);
+      return;
+    }
+    fetchImportRun(token, selectedRun._id, tickerStatus)
+      .then(result => setTickers(result.tickers))
+      .catch(err => handleApiError(err, 'Could not load the run\'s tickers.'));
+  }, [token, selectedRun, tickerStatus, handleApiError]);
+
+  const handleLogin = (e: React.FormEvent) => {
+    e.preventDefault();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput('');
+    setError(null);
+  };
+
+  // Runs an admin action, then refreshes the status
+  const run = async (action: () => Promise<string>, failure: string) => {
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      setMessage(await action());
+      await loadStatus();
+    } catch (err: any) {
+      handleApiError(err, failure);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFullImport = () => {
+    if (!window.confirm('Start a full import of every ticker now?')) return;
+    run(async () => {
+      const started = await startImportRun(token);
+      return `Started import run ${started._id} (${started.totalTickers} tickers).`;
+    }, 'Could not start the import.');
+  };
+
+  const handleTickerRefresh = (e: React.FormEvent) => {
+    e.preventDefault();
+    const symbols = refreshSymbols.split(/[\s,]+/).map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    if (symbols.length === 0) return;
+    run(async () => {
+      await startImportRun(token, symbols);
+      setRefreshSymbols('');
+      return `Refreshing ${symbols.join(', ')}.`;
+    }, 'Could not start the refresh.');
+  };
+
+  const handleCancel = (target: ImportRun) => {
+    if (!window.confirm(`Cancel import run ${target._id}? Remaining tickers will not be fetched.`)) return;
+    run(async () => {
+      const cancelled = await cancelImportRun(token, target._id);
+      return cancelled.status === 'cancelled' ? 'Run cancelled.' : 'Cancel requested; the run stops at its next heartbeat.';
+    }, 'Could not cancel the run.');
+  };
+
+  const inputStyles = "p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const buttonStyles = "px-3 py-1 rounded-md text-sm font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50";
+  const cardStyles = "p-4 rounded-lg bg-white dark:bg-gray-800 shadow space-y-2";
+
+  const liveRun = status?.runs.find(r => r.live) || null;
+  const budget = status?.apiCallBudgetPerMinute || 0;
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 text-gray-800 dark:text-gray-200 p-4">
+      <div className="max-w-5xl mx-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h1 className="text-xl font-semibold">Import jobs</h1>
+          <div className="flex items-center space-x-3 text-sm">
+            <a href="/" className="text-blue-600 dark:text-blue-400 hover:underline">Back to screener</a>
+            {token && (
+              <button
+                className="text-gray-500 dark:text-gray-400 hover:underline"
+                onClick={() => { sessionStorage.removeItem(TOKEN_STORAGE_KEY); setToken(''); setStatus(null); }}
+              >
+                Sign out
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        {message && <p className="text-sm text-gray-600 dark:text-gray-400">{message}</p>}
+
+        {!token && (
+          <form className={cardStyles} onSubmit={handleLogin}>
+            <label htmlFor="admin-token" className="block text-sm">Admin token (ADMIN_TOKEN on the server)</label>
+            <div className="flex items-center space-x-2">
+              <input id="admin-token" type="password" className={`${inputStyles} flex-1`} value={tokenInput} onChange={e => setTokenInput(e.target.value)} />
+              <button type="submit" className={buttonStyles} disabled={!tokenInput.trim()}>Sign in</button>
+            </div>
+          </form>
+        )}
+
+        {token && status && (
+          <>
+            <div className={cardStyles}>
+              <h2 className="font-semibold">Schedule</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                <div><div className="text-gray-500 dark:text-gray-400 text-xs">Cron</div><code>{status.schedule.cron}</code></div>
+                <div><div className="text-gray-500 dark:text-gray-400 text-xs">Next run</div>{formatDate(status.schedule.nextRunAt)}</div>
+                <div><div className="text-gray-500 dark:text-gray-400 text-xs">Last scheduled run</div>{formatDate(status.schedule.lastRunStartedAt)}</div>
+                <div>
+                  <div className="text-gray-500 dark:text-gray-400 text-xs">Scheduler</div>
+                  {status.schedule.schedulerRunning
+                    ? <span className="text-green-600 dark:text-green-400">running on {status.schedule.host}</span>
+                    : <span className="text-red-600 dark:text-red-400">not running{status.schedule.heartbeatAt && ` (last seen ${formatDate(status.schedule.heartbeatAt)})`}</span>}
+                </div>
+              </div>
+              {status.schedule.lastRunError && (
+                <p className="text-xs text-red-600 dark:text-red-400">Last scheduled run: {status.schedule.lastRunError}</p>
+              )}
+            </div>
+
+            <div className={cardStyles}>
+              <div className="flex items-center justify-between">
+                <h2 className="font-semibold">Current run</h2>
+                {liveRun && !liveRun.cancelRequested && (
+                  <button className="text-sm text-red-600 dark:text-red-400 hover:underline" onClick={() => handleCancel(liveRun)} disabled={isBusy}>Cancel</button>
+                )}
+              </div>
+              {!liveRun && <p className="text-sm text-gray-500 dark:text-gray-400">No import is running.</p>}
+              {liveRun && liveRun.progress && (
+                <div className="space-y-3 text-sm">
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                      <span>{liveRun.progress.step === 'fetching' ? 'Fetching tickers' : `Step: ${liveRun.progress.step}`} ({liveRun.trigger})</span>
+                      <span>{liveRun.progress.processed} / {liveRun.progress.toProcess}</span>
+                    </div>
+                    <ProgressBar value={liveRun.progress.processed} max={liveRun.progress.toProcess} />
+                  </div>
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400">
+                      <span>API calls per minute</span>
+                      <span>{liveRun.progress.apiCallsPerMinute} / {budget}</span>
+                    </div>
+                    <ProgressBar value={liveRun.progress.apiCallsPerMinute} max={budget} warn={liveRun.progress.apiCallsPerMinute >= budget} />
+                  </div>
+                  <div className="grid grid-cols-3 md:grid-cols-6 gap-2 text-xs">
+                    <div><div className="text-gray-500 dark:text-gray-400">Queued</div>{liveRun.progress.queued}</div>
+                    <div><div className="text-gray-500 dark:text-gray-400">In flight</div>{liveRun.progress.inFlight}</div>
+                    <div><div className="text-gray-500 dark:text-gray-400">Saved</div>{liveRun.counts.saved}</div>
+                    <div><div className="text-gray-500 dark:text-gray-400">Failed</div>{liveRun.counts.failed}</div>
+                    <div><div className="text-gray-500 dark:text-gray-400">API calls</div>{liveRun.progress.apiCalls}</div>
+                    <div><div className="text-gray-500 dark:text-gray-400">Heartbeat</div>{formatDate(liveRun.progress.updatedAt)}</div>
+                  </div>
+                  {liveRun.cancelRequested && <p className="text-xs text-gray-500 dark:text-gray-400">Cancelling…</p>}
+                </div>
+              )}
+              <div className="flex flex-wrap items-center gap-2 pt-2">
+                <button className={buttonStyles} onClick={handleFullImport} disabled={isBusy || Boolean(liveRun)}>Start full import</button>
+                <form className="flex items-center space-x-2" onSubmit={handleTickerRefresh}>
+                  <input
+                    type="text"
+                    className={inputStyles}
+                    placeholder="AAPL, MSFT"
+                    value={refreshSymbols}
+                    onChange={e => setRefreshSymbols(e.target.value)}
+                    aria-label="Tickers to refresh"
+                  />
+                  <button type="submit" className={buttonStyles} disabled={isBusy || Boolean(liveRun) || !refreshSymbols.trim()}>Refresh tickers</button>
+                </form>
+              </div>
+            </div>
+
+            <div className={cardStyles}>
+              <h2 className="font-semibold">Recent runs</h2>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+                      <th className="py-1 pr-3">Started</th>
+                      <th className="py-1 pr-3">Trigger</th>
+                      <th className="py-1 pr-3">Status</th>
+                      <th className="py-1 pr-3">Tickers</th>
+                      <th className="py-1 pr-3">Saved</th>
+                      <th className="py-1 pr-3">Skipped</th>
+                      <th className="py-1 pr-3">Failed</th>
+                      <th className="py-1 pr-3">Flagged</th>
+                      <th className="py-1 pr-3">Duration</th>
+                      <th className="py-1" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {status.runs.map(r => (
+                      <tr
+                        key={r._id}
+                        className={`border-t border-gray-200 dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700 ${selectedRun?._id === r._id ? 'bg-gray-50 dark:bg-gray-700' : ''}`}
+                        onClick={() => setSelectedRun(r)}
+                      >
+                        <td className="py-1 pr-3 whitespace-nowrap">{formatDate(r.startedAt)}</td>
+                        <td className="py-1 pr-3">{r.trigger}</td>
+                        <td className="py-1 pr-3">
+                          <span className={`text-xs px-1.5 py-0.5 rounded-full ${statusColor(r)}`} title={r.error}>{runStatusLabel(r)}</span>
+                        </td>
+                        <td className="py-1 pr-3">{r.totalTickers}</td>
+                        <td className="py-1 pr-3">{r.counts.saved}</td>
+                        <td className="py-1 pr-3">{r.counts.skipped}</td>
+                        <td className="py-1 pr-3">{r.counts.failed}</td>
+                        <td className="py-1 pr-3">{r.counts.flagged}</td>
+                        <td className="py-1 pr-3 whitespace-nowrap">{formatDuration(r)}</td>
+                        <td className="py-1 text-right">
+                          {(r.status === 'failed' || (r.status === 'running' && !r.live)) && (
+                            <button
+                              className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                              onClick={e => { e.stopPropagation(); handleCancel(r); }}
+                              disabled={isBusy}
+                              title="Cancel so the next import starts fresh instead of resuming this run"
+                            >
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {status.runs.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">No import has run yet.</p>}
+            </div>
+
+            {selectedRun && (
+              <div className={cardStyles}>
+                <div className="flex items-center justify-between">
+                  <h2 className="font-semibold">Tickers of the run started {formatDate(selectedRun.startedAt)}</h2>
+                  <select className={`${inputStyles} text-xs`} value={tickerStatus} onChange={e => setTickerStatus(e.target.value as ImportTickerStatus)} aria-label="Ticker status">
+                    {TICKER_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </div>
+                {selectedRun.error && <p className="text-xs text-red-600 dark:text-red-400">{selectedRun.error}</p>}
+                {tickers.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">No {tickerStatus} tickers.</p>}
+                <ul className="text-xs space-y-1 max-h-96 overflow-y-auto">
+                  {tickers.map(ticker => (
+                    <li key={ticker._id}>
+                      <span className="font-medium">{ticker.symbol}</span>
+                      {ticker.error && <span className="text-gray-600 dark:text-gray-400"> — {ticker.error}</span>}
+                      {ticker.failedEndpoints.length > 0 && <span className="text-gray-500 dark:text-gray-400"> ({ticker.failedEndpoints.join('; ')})</span>}
+                      {ticker.qualityFlags.length > 0 && <span className="text-amber-600 dark:text-amber-400"> ⚠ {ticker.qualityFlags.join(', ')}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
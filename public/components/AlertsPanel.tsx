@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertRule, AlertEvent, AlertConditionOptions, AlertConditionId } from '../types';
+import {
+  fetchAlertConditions, fetchAlerts, createAlert, updateAlert, deleteAlert, fetchAlertInbox, markAlertsRead, FMPApiError
+} from '../services/stockService';
+
+interface AlertsPanelProps {
+  watchlistSymbols: string[]; // Suggested symbols for new rules
+  onSymbolClick: (symbol: string) => void;
+}
+
+// Quote-refresh alerts can fire during the session, so the inbox is reloaded while the panel is open
+const INBOX_REFRESH_MS = 60 * 1000;
+
+const formatDateTime = (iso: string): string => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const deliveryNote = (event: AlertEvent): string | null => {
+  const failures = [
+    event.webhookStatus === 'failed' ? `webhook failed: ${event.webhookError}` : null,
+    event.emailStatus === 'failed' ? `e-mail failed: ${event.emailError}` : null
+  ].filter(Boolean);
+  return failures.length > 0 ? failures.join('; ') : null;
+};
+
+const AlertsPanel: React.FC<AlertsPanelProps> = ({ watchlistSymbols, onSymbolClick }) => {
+  const [options, setOptions] = useState<AlertConditionOptions>({ conditions: [], fields: [] });
+  const [rules, setRules] = useState<AlertRule[]>([]);
+  const [events, setEvents] = useState<AlertEvent[]>([]);
+  const [unreadCount, setUnreadCount] = useState<number>(0);
+  const [symbol, setSymbol] = useState<string>(watchlistSymbols[0] || '');
+  const [condition, setCondition] = useState<AlertConditionId>('below');
+  const [field, setField] = useState<string>('price');
+  const [threshold, setThreshold] = useState<string>('');
+  const [email, setEmail] = useState<string>('');
+  const [webhookUrl, setWebhookUrl] = useState<string>('');
+  const [isBusy, setIsBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadInbox = useCallback(async () => {
+    try {
+      const inbox = await fetchAlertInbox();
+      setEvents(inbox.events);
+      setUnreadCount(inbox.unreadCount);
+    } catch (err: any) {
+      console.error("[AlertsPanel] Failed to load the alert inbox:", err);
+    }
+  }, []);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const [loadedOptions, loadedRules] = await Promise.all([fetchAlertConditions(), fetchAlerts()]);
+      setOptions(loadedOptions);
+      setRules(loadedRules);
+    } catch (err: any) {
+      console.error("[AlertsPanel] Failed to load alerts:", err);
+      setError(err instanceof FMPApiError ? err.message : 'Could not load alerts.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+    loadInbox();
+    const timer = setInterval(loadInbox, INBOX_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadAlerts, loadInbox]);
+
+  // Runs a request, then reloads the rules and inbox, with shared busy and error handling
+  const run = async (action: () => Promise<unknown>, failure: string) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+      await Promise.all([loadAlerts(), loadInbox()]);
+      return true;
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : failure);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const usesThreshold = options.conditions.find(option => option.id === condition)?.usesThreshold ?? true;
+  const fieldLabel = (key: string) => options.fields.find(option => option.field === key)?.label || key;
+  const conditionLabel = (id: AlertConditionId) => options.conditions.find(option => option.id === id)?.label || id;
+
+  const describeRule = (rule: AlertRule): string => (rule.threshold === null
+    ? `${conditionLabel(rule.condition)}`
+    : `${fieldLabel(rule.field)} ${conditionLabel(rule.condition)} ${rule.threshold}`);
+
+  const handleCreate = async () => {
+    const created = await run(() => createAlert({
+      symbol: symbol.trim(),
+      condition,
+      field: usesThreshold ? field : 'price',
+      threshold: usesThreshold ? Number(threshold) : null,
+      email: email.trim() || undefined,
+      webhookUrl: webhookUrl.trim() || undefined
+    }), 'Could not save alert.');
+    if (created) setThreshold('');
+  };
+
+  const handleToggleActive = (rule: AlertRule) =>
+    run(() => updateAlert(rule._id, { active: !rule.active }), 'Could not update alert.');
+
+  const handleDelete = (rule: AlertRule) => {
+    if (!window.confirm(`Delete the alert "${rule.symbol} ${describeRule(rule)}"?`)) return;
+    run(() => deleteAlert(rule._id), 'Could not delete alert.');
+  };
+
+  const handleEventClick = (event: AlertEvent) => {
+    if (!event.readAt) run(() => markAlertsRead([event._id]), 'Could not update the inbox.');
+    onSymbolClick(event.symbol);
+  };
+
+  const inputStyles = "p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const buttonStyles = "px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50";
+  const canCreate = symbol.trim() !== '' && (!usesThreshold || (threshold.trim() !== '' && isFinite(Number(threshold))));
+
+  return (
+    <div className="space-y-4 text-sm">
+      <section>
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="font-medium text-gray-800 dark:text-gray-200">
+            Inbox{unreadCount > 0 && <span className="ml-1 text-xs px-1.5 py-0.5 rounded-full bg-red-600 text-white">{unreadCount}</span>}
+          </h4>
+          {unreadCount > 0 && (
+            <button className="text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={() => run(() => markAlertsRead(), 'Could not update the inbox.')} disabled={isBusy}>
+              Mark all read
+            </button>
+          )}
+        </div>
+        {events.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400 py-2">No alerts have fired yet.</p>
+        ) : (
+          <ul className="space-y-1 max-h-60 overflow-y-auto pr-1">
+            {events.map(event => (
+              <li
+                key={event._id}
+                className={`p-2 rounded-md cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 ${event.readAt ? 'text-gray-600 dark:text-gray-400' : 'font-medium text-gray-800 dark:text-gray-100 bg-blue-50 dark:bg-gray-700'}`}
+                onClick={() => handleEventClick(event)}
+              >
+                <div>{event.message}</div>
+                <div className="text-xs font-normal text-gray-500 dark:text-gray-400">
+                  {formatDateTime(event.triggeredAt)} · {event.source === 'quote' ? 'intraday quote' : 'import'}
+                  {deliveryNote(event) && <span className="text-red-600 dark:text-red-400"> · {deliveryNote(event)}</span>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="space-y-2">
+        <h4 className="font-medium text-gray-800 dark:text-gray-200">New alert</h4>
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            className={`${inputStyles} w-24 uppercase`}
+            placeholder="Symbol"
+            list="alert-symbols"
+            value={symbol}
+            onChange={e => setSymbol(e.target.value)}
+            aria-label="Symbol"
+          />
+          <datalist id="alert-symbols">
+            {watchlistSymbols.map(s => <option key={s} value={s} />)}
+          </datalist>
+          <select className={`${inputStyles} flex-1`} value={condition} onChange={e => setCondition(e.target.value as AlertConditionId)} aria-label="Condition">
+            {options.conditions.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+        </div>
+        {usesThreshold && (
+          <div className="flex items-center space-x-2">
+            <select className={`${inputStyles} flex-1`} value={field} onChange={e => setField(e.target.value)} aria-label="Metric">
+              {options.fields.map(option => <option key={option.field} value={option.field}>{option.label}</option>)}
+            </select>
+            <input type="number" step="any" className={`${inputStyles} w-24`} placeholder="Threshold" value={threshold} onChange={e => setThreshold(e.target.value)} aria-label="Threshold" />
+          </div>
+        )}
+        <input type="email" className={`${inputStyles} w-full`} placeholder="E-mail (optional)" value={email} onChange={e => setEmail(e.target.value)} />
+        <input type="url" className={`${inputStyles} w-full`} placeholder="Webhook URL (optional)" value={webhookUrl} onChange={e => setWebhookUrl(e.target.value)} />
+        <button className={buttonStyles} onClick={handleCreate} disabled={isBusy || !canCreate}>Add alert</button>
+        {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+      </section>
+
+      <section>
+        <h4 className="font-medium text-gray-800 dark:text-gray-200 mb-1">Rules</h4>
+        {rules.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400 py-2">No alert rules yet.</p>
+        ) : (
+          <ul className="space-y-1">
+            {rules.map(rule => (
+              <li key={rule._id} className={`flex items-center justify-between p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 ${rule.active ? '' : 'opacity-60'}`}>
+                <div className="min-w-0">
+                  <button className="font-medium text-gray-800 dark:text-gray-200 hover:underline" onClick={() => onSymbolClick(rule.symbol)}>{rule.symbol}</button>
+                  <span className="text-gray-600 dark:text-gray-400"> {describeRule(rule)}</span>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {rule.lastValue !== undefined && rule.lastValue !== null ? `Now ${Math.round(rule.lastValue * 100) / 100}` : 'No value yet'}
+                    {rule.conditionMet && ' · holding'}
+                    {rule.lastTriggeredAt && ` · last fired ${formatDateTime(rule.lastTriggeredAt)}`}
+                    {rule.email && ` · ✉ ${rule.email}`}
+                    {rule.webhookUrl && ' · webhook'}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2 ml-2 flex-shrink-0">
+                  <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+                    <input type="checkbox" className="mr-1" checked={rule.active} onChange={() => handleToggleActive(rule)} disabled={isBusy} />
+                    On
+                  </label>
+                  <button className="text-xs text-red-600 dark:text-red-400 hover:underline" onClick={() => handleDelete(rule)} disabled={isBusy}>Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AlertsPanel;
@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ActiveFilters, BacktestResult, RebalanceFrequency } from '../types';
+import { PRESETS } from '../constants';
+import { runBacktest, FMPApiError } from '../services/stockService';
+import { Chart, registerables } from 'chart.js';
+
+Chart.register(...registerables);
+
+interface BacktestPanelProps {
+  activeFilters: ActiveFilters;
+}
+
+const CURRENT_SCREEN = 'current';
+
+const formatPct = (value: number | null): string => (value === null ? 'N/A' : `${(value * 100).toFixed(1)}%`);
+
+const oneYearAgo = (): string => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+const BacktestPanel: React.FC<BacktestPanelProps> = ({ activeFilters }) => {
+  const [screenId, setScreenId] = useState<string>(PRESETS[0]?.id || CURRENT_SCREEN);
+  const [rebalance, setRebalance] = useState<RebalanceFrequency>('monthly');
+  const [from, setFrom] = useState<string>(oneYearAgo);
+  const [to, setTo] = useState<string>('');
+  const [isRunning, setIsRunning] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+  const [result, setResult] = useState<BacktestResult | null>(null);
+  const chartRef = useRef<HTMLCanvasElement>(null);
+  const chartInstanceRef = useRef<Chart | null>(null);
+
+  const handleRun = async () => {
+    const filters = screenId === CURRENT_SCREEN
+      ? activeFilters
+      : PRESETS.find(preset => preset.id === screenId)?.filters || {};
+    setIsRunning(true);
+    setError(null);
+    try {
+      setResult(await runBacktest(filters, rebalance, from, to));
+    } catch (err: any) {
+      setResult(null);
+      setError(err instanceof FMPApiError ? err.message : 'Backtest failed. Please try again.');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  // Equity curve of the screen against the equal-weighted universe
+  useEffect(() => {
+    if (chartInstanceRef.current) {
+      chartInstanceRef.current.destroy();
+      chartInstanceRef.current = null;
+    }
+    if (!result || !chartRef.current) return;
+
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const textColor = isDarkMode ? '#CBD5E0' : '#4A5568';
+    chartInstanceRef.current = new Chart(chartRef.current, {
+      type: 'line',
+      data: {
+        labels: result.equityCurve.map(point => point.date.slice(0, 10)),
+        datasets: [
+          { label: 'Screen', data: result.equityCurve.map(point => point.portfolio), borderColor: '#3B82F6', borderWidth: 2, pointRadius: 0 },
+          { label: 'Universe', data: result.equityCurve.map(point => point.universe), borderColor: '#9CA3AF', borderWidth: 1, pointRadius: 0 }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { display: false },
+          y: { ticks: { color: textColor, font: { size: 10 } } }
+        },
+        plugins: {
+          legend: { labels: { color: textColor, boxWidth: 10, font: { size: 10 } } }
+        }
+      }
+    });
+
+    return () => {
+      if (chartInstanceRef.current) {
+        chartInstanceRef.current.destroy();
+        chartInstanceRef.current = null;
+      }
+    };
+  }, [result]);
+
+  const inputStyles = "w-full p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+
+  return (
+    <div className="bg-white dark:bg-gray-700 p-3 rounded-md shadow-sm border border-gray-200 dark:border-gray-600">
+      <h5 className="font-medium mb-2">📈 Backtest</h5>
+      <div className="space-y-2 text-sm">
+        <label className="block">
+          <span className="text-xs text-gray-600 dark:text-gray-400">Screen</span>
+          <select className={inputStyles} value={screenId} onChange={e => setScreenId(e.target.value)}>
+            {PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.emoji} {preset.name}</option>
+            ))}
+            <option value={CURRENT_SCREEN}>Current filters</option>
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs text-gray-600 dark:text-gray-400">Rebalance</span>
+          <select className={inputStyles} value={rebalance} onChange={e => setRebalance(e.target.value as RebalanceFrequency)}>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="quarterly">Quarterly</option>
+          </select>
+        </label>
+        <div className="flex space-x-2">
+          <label className="block flex-1">
+            <span className="text-xs text-gray-600 dark:text-gray-400">From</span>
+            <input type="date" className={inputStyles} value={from} onChange={e => setFrom(e.target.value)} />
+          </label>
+          <label className="block flex-1">
+            <span className="text-xs text-gray-600 dark:text-gray-400">To</span>
+            <input type="date" className={inputStyles} value={to} onChange={e => setTo(e.target.value)} />
+          </label>
+        </div>
+        <button
+          className="w-full bg-blue-500 text-white text-sm font-medium py-2 rounded-md hover:bg-blue-600 dark:hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 disabled:opacity-50"
+          onClick={handleRun}
+          disabled={isRunning || !from}
+        >
+          {isRunning ? 'Running...' : 'Run Backtest'}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+      {result && (
+        <div className="mt-3">
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+            {result.from.slice(0, 10)} to {result.to.slice(0, 10)}, {result.periods.length} {result.rebalance} periods
+          </p>
+          <div className="h-32 mb-2">
+            <canvas ref={chartRef}></canvas>
+          </div>
+          <dl className="grid grid-cols-2 gap-x-2 gap-y-1 text-xs">
+            <dt className="text-gray-500 dark:text-gray-400">Return</dt>
+            <dd className="text-right">{formatPct(result.summary.totalReturn)} <span className="text-gray-500 dark:text-gray-400">vs {formatPct(result.summary.universeTotalReturn)}</span></dd>
+            <dt className="text-gray-500 dark:text-gray-400">Max drawdown</dt>
+            <dd className="text-right">{formatPct(result.summary.maxDrawdown)} <span className="text-gray-500 dark:text-gray-400">vs {formatPct(result.summary.universeMaxDrawdown)}</span></dd>
+            <dt className="text-gray-500 dark:text-gray-400" title="Share of the portfolio replaced at each rebalance">Avg. turnover</dt>
+            <dd className="text-right">{formatPct(result.summary.averageTurnover)}</dd>
+            <dt className="text-gray-500 dark:text-gray-400" title="Share of periods in which the screen beat the universe">Period hit rate</dt>
+            <dd className="text-right">{formatPct(result.summary.periodHitRate)}</dd>
+            <dt className="text-gray-500 dark:text-gray-400" title="Share of picks that beat the universe in their period">Pick hit rate</dt>
+            <dd className="text-right">{formatPct(result.summary.pickHitRate)}</dd>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,341 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { StockDetails } from '../types';
+import { DISPLAY_METRICS_CONFIG, METRIC_PREFERENCES, COMPARE_COLORS } from '../constants';
+import { fetchStockDetails, formatMarketCap, formatPrice, FMPApiError } from '../services/stockService';
+import { CloseIcon } from './icons';
+import { Chart, registerables } from 'chart.js';
+
+Chart.register(...registerables);
+
+interface ComparisonModalProps {
+  isOpen: boolean;
+  symbols: string[];
+  onClose: () => void;
+  onRemoveSymbol: (symbol: string) => void;
+}
+
+interface ComparisonRow {
+  id: string;
+  label: string;
+  preference?: string; // Key into METRIC_PREFERENCES
+  value: (stock: StockDetails) => number | string | null | undefined; // Numbers are ranked
+  format: (stock: StockDetails) => string;
+}
+
+const formatOptional = (value: number | null | undefined, format: (value: number) => string): string =>
+  value === null || value === undefined ? 'N/A' : format(value);
+
+// Every individual metric of the table view, then the fields only the details view has
+const COMPARISON_ROWS: ComparisonRow[] = [
+  ...DISPLAY_METRICS_CONFIG
+    .filter(metric => metric.type === 'individual' && metric.dataKey && metric.id !== 'symbol')
+    .map(metric => ({
+      id: metric.id,
+      label: metric.label,
+      preference: metric.dataKey,
+      value: (stock: StockDetails) => stock[metric.dataKey!] as number | string | null | undefined,
+      format: (stock: StockDetails) => {
+        if (metric.id === 'price') return formatPrice(stock.price, stock.currency);
+        const value = stock[metric.dataKey!];
+        return metric.formatter ? metric.formatter(value) : String(value ?? 'N/A');
+      }
+    })),
+  {
+    id: 'marketCap', label: 'Market Cap (USD)', preference: 'marketCap',
+    value: stock => stock.marketCapUsd ?? stock.marketCap,
+    format: stock => formatOptional(stock.marketCapUsd ?? stock.marketCap, value => `$${formatMarketCap(value)}`)
+  },
+  {
+    id: 'dividendYield', label: 'Dividend Yield', preference: 'dividendYieldPercent',
+    value: stock => stock.dividendYieldPercent,
+    format: stock => formatOptional(stock.dividendYieldPercent, value => `${value.toFixed(2)}%`)
+  },
+  {
+    id: 'yearRange', label: '52-Week Range',
+    value: () => null,
+    format: stock => (stock.yearLow != null && stock.yearHigh != null ? `$${stock.yearLow.toFixed(2)} – $${stock.yearHigh.toFixed(2)}` : 'N/A')
+  },
+  {
+    id: 'offYearHigh', label: 'From 52-Week High',
+    value: () => null,
+    format: stock => (stock.yearHigh ? `${((stock.price / stock.yearHigh - 1) * 100).toFixed(1)}%` : 'N/A')
+  },
+  {
+    id: 'institutionalOwnership', label: 'Inst. Ownership', preference: 'institutionalOwnershipPercentage',
+    value: stock => stock.institutionalOwnershipSummary?.institutionalOwnershipPercentage,
+    format: stock => formatOptional(stock.institutionalOwnershipSummary?.institutionalOwnershipPercentage, value => `${value.toFixed(1)}%`)
+  },
+];
+
+// Columns holding the best and worst value of a row; empty unless at least two stocks have a value
+// and they differ
+const rankRow = (values: (number | string | null | undefined)[], preference?: string): { best: number[]; worst: number[] } => {
+  const rule = preference ? METRIC_PREFERENCES[preference] : undefined;
+  if (!rule) return { best: [], worst: [] };
+
+  const numeric = values
+    .map((value, index) => ({ value, index }))
+    .filter((entry): entry is { value: number; index: number } => typeof entry.value === 'number' && isFinite(entry.value));
+  if (numeric.length < 2) return { best: [], worst: [] };
+
+  // Non-positive values of positiveOnly metrics (negative P/E) rank below every positive value
+  const key = (value: number) => {
+    if (rule.positiveOnly && value <= 0) return -Infinity;
+    return rule.better === 'higher' ? value : -value;
+  };
+  const keys = numeric.map(entry => key(entry.value));
+  const top = Math.max(...keys);
+  const bottom = Math.min(...keys);
+  if (top === bottom) return { best: [], worst: [] };
+  return {
+    best: numeric.filter((_, i) => keys[i] === top).map(entry => entry.index),
+    worst: numeric.filter((_, i) => keys[i] === bottom).map(entry => entry.index)
+  };
+};
+
+const ComparisonModal: React.FC<ComparisonModalProps> = ({ isOpen, symbols, onClose, onRemoveSymbol }) => {
+  const [stocks, setStocks] = useState<StockDetails[]>([]);
+  const [failedSymbols, setFailedSymbols] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState<boolean>(false);
+  const priceChartRef = useRef<HTMLCanvasElement>(null);
+  const financialsChartRef = useRef<HTMLCanvasElement>(null);
+  const priceChartInstanceRef = useRef<Chart | null>(null);
+  const financialsChartInstanceRef = useRef<Chart | null>(null);
+
+  // Details come from the server's per-dataset cache, so reopening a comparison is cheap
+  useEffect(() => {
+    if (!isOpen || symbols.length === 0) return;
+    let cancelled = false;
+    setIsLoading(true);
+    Promise.allSettled(symbols.map(symbol => fetchStockDetails(symbol))).then(results => {
+      if (cancelled) return;
+      setStocks(results.flatMap(result => (result.status === 'fulfilled' ? [result.value] : [])));
+      setFailedSymbols(symbols.filter((_, i) => results[i].status === 'rejected'));
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          console.error(`[ComparisonModal] Failed to load ${symbols[i]}:`, result.reason instanceof FMPApiError ? result.reason.message : result.reason);
+        }
+      });
+      setIsLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [isOpen, symbols]);
+
+  useEffect(() => {
+    if (!isOpen || isLoading || stocks.length === 0) return;
+
+    const isDarkMode = document.documentElement.classList.contains('dark');
+    const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+    const textColor = isDarkMode ? '#CBD5E0' : '#4A5568';
+    const color = (index: number) => COMPARE_COLORS[index % COMPARE_COLORS.length];
+    const axis = (title: string, suffix: string, position: 'left' | 'right') => ({
+      type: 'linear' as const,
+      position,
+      title: { display: true, text: title, color: textColor, font: { size: 10 } },
+      grid: { color: gridColor, display: position === 'left' },
+      ticks: { color: textColor, font: { size: 10 }, callback: (value: string | number) => `${value}${suffix}` }
+    });
+    const legend = { display: true, position: 'bottom' as const, labels: { color: textColor, font: { size: 10 } } };
+
+    // 90-day price change, rebased to 0% on each stock's first close so different price levels line up
+    if (priceChartRef.current) {
+      const dates = [...new Set(stocks.flatMap(stock => (stock.historicalPriceData || []).map(point => point.date)))].sort();
+      priceChartInstanceRef.current = new Chart(priceChartRef.current, {
+        type: 'line',
+        data: {
+          labels: dates,
+          datasets: stocks.map((stock, index) => {
+            const points = stock.historicalPriceData || [];
+            const base = points.length > 0 ? points[0].close : null;
+            const closes = new Map(points.map(point => [point.date, point.close]));
+            return {
+              label: stock.symbol,
+              data: dates.map(date => (base && closes.has(date) ? (closes.get(date)! / base - 1) * 100 : null)),
+              borderColor: color(index),
+              borderWidth: 2,
+              pointRadius: 0,
+              tension: 0.1,
+              spanGaps: true
+            };
+          })
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { grid: { display: false }, ticks: { color: textColor, font: { size: 10 }, maxTicksLimit: 6 } },
+            y: axis('Change (%)', '%', 'left')
+          },
+          plugins: {
+            legend,
+            tooltip: {
+              mode: 'index',
+              intersect: false,
+              callbacks: { label: (context) => `${context.dataset.label}: ${Number(context.parsed.y).toFixed(1)}%` }
+            }
+          }
+        }
+      });
+    }
+
+    // ROTCE (solid) and share count indexed to 100 in the first year (dashed), per stock
+    if (financialsChartRef.current) {
+      const years = [...new Set(stocks.flatMap(stock => (stock.historicalFinancials || []).map(point => point.year)))].sort((a, b) => a - b);
+      const datasets = stocks.flatMap((stock, index) => {
+        const financials = stock.historicalFinancials || [];
+        const byYear = new Map(financials.map(point => [point.year, point]));
+        const baseShares = financials.find(point => point.commonStockSharesOutstanding)?.commonStockSharesOutstanding || null;
+        return [
+          {
+            label: `${stock.symbol} ROTCE`,
+            data: years.map(year => {
+              const rotce = byYear.get(year)?.calculatedROTCE;
+              return rotce !== null && rotce !== undefined ? rotce * 100 : null;
+            }),
+            borderColor: color(index),
+            borderWidth: 2,
+            pointRadius: 2,
+            tension: 0.1,
+            spanGaps: true,
+            yAxisID: 'yROTCE'
+          },
+          {
+            label: `${stock.symbol} shares`,
+            data: years.map(year => {
+              const shares = byYear.get(year)?.commonStockSharesOutstanding;
+              return baseShares && shares ? (shares / baseShares) * 100 : null;
+            }),
+            borderColor: color(index),
+            borderWidth: 1,
+            borderDash: [4, 3],
+            pointRadius: 0,
+            tension: 0.1,
+            spanGaps: true,
+            yAxisID: 'yShares'
+          }
+        ];
+      });
+      financialsChartInstanceRef.current = new Chart(financialsChartRef.current, {
+        type: 'line',
+        data: { labels: years.map(String), datasets },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { grid: { display: false }, ticks: { color: textColor, font: { size: 10 } } },
+            yROTCE: axis('ROTCE (%)', '%', 'left'),
+            yShares: axis('Share Count (first year = 100)', '', 'right')
+          },
+          plugins: {
+            legend,
+            tooltip: {
+              mode: 'index',
+              intersect: false,
+              callbacks: {
+                label: (context) => `${context.dataset.label}: ${Number(context.parsed.y).toFixed(1)}${context.dataset.yAxisID === 'yROTCE' ? '%' : ''}`
+              }
+            }
+          }
+        }
+      });
+    }
+
+    return () => {
+      priceChartInstanceRef.current?.destroy();
+      priceChartInstanceRef.current = null;
+      financialsChartInstanceRef.current?.destroy();
+      financialsChartInstanceRef.current = null;
+    };
+  }, [isOpen, isLoading, stocks]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-overlay" style={{ display: 'flex' }} aria-modal="true" role="dialog">
+      <div className="modal-content-inner modal-content-bg max-w-5xl w-full max-h-[90vh] overflow-y-auto p-4 sm:p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100">Compare {symbols.join(', ')}</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 focus:outline-none"
+            aria-label="Close comparison"
+          >
+            <CloseIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        {isLoading && <p className="text-center text-gray-700 dark:text-gray-300 py-10">Loading details...</p>}
+        {!isLoading && failedSymbols.length > 0 && (
+          <p className="mb-3 text-sm text-red-600 dark:text-red-400">Could not load {failedSymbols.join(', ')}.</p>
+        )}
+
+        {!isLoading && stocks.length > 0 && (
+          <>
+            <div className="table-container mb-6">
+              <table className="min-w-full stock-table text-sm">
+                <thead>
+                  <tr>
+                    <th className="py-2 px-2 text-left text-xs font-semibold uppercase tracking-wider">Metric</th>
+                    {stocks.map((stock, index) => (
+                      <th key={stock.symbol} className="py-2 px-2 text-left text-xs font-semibold uppercase tracking-wider whitespace-nowrap">
+                        <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: COMPARE_COLORS[index % COMPARE_COLORS.length] }} />
+                        {stock.symbol}
+                        <button
+                          onClick={() => onRemoveSymbol(stock.symbol)}
+                          className="ml-1 text-gray-400 hover:text-red-500 normal-case"
+                          title={`Remove ${stock.symbol} from the comparison`}
+                          aria-label={`Remove ${stock.symbol} from the comparison`}
+                        >
+                          ×
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {COMPARISON_ROWS.map(row => {
+                    const { best, worst } = rankRow(stocks.map(row.value), row.preference);
+                    return (
+                      <tr key={row.id}>
+                        <td className="py-2 px-2 text-gray-600 dark:text-gray-400 whitespace-nowrap">{row.label}</td>
+                        {stocks.map((stock, index) => (
+                          <td
+                            key={stock.symbol}
+                            className={`py-2 px-2 ${
+                              best.includes(index)
+                                ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200 font-semibold'
+                                : worst.includes(index) ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200' : ''
+                            }`}
+                          >
+                            {row.format(stock)}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <div>
+                <h5 className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">90-Day Price Change</h5>
+                <div className="w-full h-64 bg-gray-50 dark:bg-gray-700 rounded-md p-1">
+                  <canvas ref={priceChartRef}></canvas>
+                </div>
+              </div>
+              <div>
+                <h5 className="text-sm font-medium text-gray-600 dark:text-gray-400 mb-1">ROTCE & Share Count History</h5>
+                <div className="w-full h-64 bg-gray-50 dark:bg-gray-700 rounded-md p-1">
+                  <canvas ref={financialsChartRef}></canvas>
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonModal;
@@ -1,27 +1,55 @@
 import React, { useState, useEffect } from 'react';
-import { KeyMetricVisibility, DisplayMetricConfig } from '../types';
+import { KeyMetricVisibility, DisplayMetricConfig, CustomMetric, CustomMetricFormat } from '../types';
+import { CUSTOM_METRIC_FORMATS } from '../constants';
+import { createCustomMetric, deleteCustomMetric, FMPApiError } from '../services/stockService';
 import { CloseIcon } from './icons';
 
 interface CustomizeMetricsModalProps {
   isOpen: boolean;
   onClose: () => void;
-  onApply: (newVisibility: KeyMetricVisibility) => void;
+  onApply: (newVisibility: KeyMetricVisibility, visibleCustomMetrics: string[]) => void;
   currentVisibilityConfig: KeyMetricVisibility;
   displayMetricsConfig: DisplayMetricConfig[];
+  customMetrics: CustomMetric[];
+  formulaFields: string[]; // Numeric stock fields a formula may use
+  visibleCustomMetrics: string[]; // Keys of the custom metrics shown as columns
+  onCustomMetricsChange: () => Promise<void>; // Reload definitions and stock values after a change
+  userId: string | null; // Signed-in user; defining metrics needs one, and only their creator may delete them
 }
 
+// 'Earnings Yield' -> 'earningsYield'
+const suggestKey = (name: string): string => name
+  .replace(/[^A-Za-z0-9 ]/g, ' ')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+  .join('')
+  .replace(/^[^a-z]+/, '')
+  .slice(0, 40);
+
 const CustomizeMetricsModal: React.FC<CustomizeMetricsModalProps> = ({
   isOpen,
   onClose,
   onApply,
   currentVisibilityConfig,
-  displayMetricsConfig
+  displayMetricsConfig,
+  customMetrics,
+  formulaFields,
+  visibleCustomMetrics,
+  onCustomMetricsChange,
+  userId
 }) => {
   const [localVisibility, setLocalVisibility] = useState<KeyMetricVisibility>(currentVisibilityConfig);
+  const [localCustomVisibility, setLocalCustomVisibility] = useState<string[]>(visibleCustomMetrics);
+  const [draft, setDraft] = useState<{ name: string; key: string; formula: string; format: CustomMetricFormat }>({ name: '', key: '', formula: '', format: 'number' });
+  const [isSaving, setIsSaving] = useState<boolean>(false);
+  const [customError, setCustomError] = useState<string | null>(null);
 
   useEffect(() => {
     setLocalVisibility(currentVisibilityConfig);
-  }, [currentVisibilityConfig, isOpen]);
+    setLocalCustomVisibility(visibleCustomMetrics);
+  }, [currentVisibilityConfig, visibleCustomMetrics, isOpen]);
 
   if (!isOpen) return null;
 
@@ -33,9 +61,45 @@ const CustomizeMetricsModal: React.FC<CustomizeMetricsModalProps> = ({
   };
 
   const handleApply = () => {
-    onApply(localVisibility);
+    onApply(localVisibility, localCustomVisibility);
+  };
+
+  const toggleCustomMetric = (key: string) => {
+    setLocalCustomVisibility(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleCreateCustomMetric = async () => {
+    setIsSaving(true);
+    setCustomError(null);
+    try {
+      const created = await createCustomMetric({ ...draft, name: draft.name.trim(), key: draft.key || suggestKey(draft.name) });
+      setLocalCustomVisibility(prev => [...prev, created.key]);
+      setDraft({ name: '', key: '', formula: '', format: 'number' });
+      await onCustomMetricsChange();
+    } catch (err: any) {
+      setCustomError(err instanceof FMPApiError ? err.message : 'Could not save the metric.');
+    } finally {
+      setIsSaving(false);
+    }
   };
 
+  const handleDeleteCustomMetric = async (metric: CustomMetric) => {
+    if (!window.confirm(`Delete custom metric "${metric.name}"?`)) return;
+    setIsSaving(true);
+    setCustomError(null);
+    try {
+      await deleteCustomMetric(metric._id);
+      setLocalCustomVisibility(prev => prev.filter(k => k !== metric.key));
+      await onCustomMetricsChange();
+    } catch (err: any) {
+      setCustomError(err instanceof FMPApiError ? err.message : 'Could not delete the metric.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputStyles = "p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+
   return (
     <div className="modal-overlay" style={{ display: 'flex' }} aria-modal="true" role="dialog">
       <div className="modal-content-inner modal-content-bg max-w-lg w-full p-0">
@@ -68,6 +132,93 @@ const CustomizeMetricsModal: React.FC<CustomizeMetricsModalProps> = ({
               <span className="ml-3 text-sm text-gray-700 dark:text-gray-300">{metric.label}</span>
             </label>
           ))}
+
+          <h4 className="pt-4 pb-1 text-sm font-semibold text-gray-800 dark:text-gray-100">Custom metrics</h4>
+          {customMetrics.length === 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 px-2">No custom metrics yet. Define one below, e.g. earnings yield = netIncomePerShareTTM / price.</p>
+          )}
+          {customMetrics.map(metric => (
+            <div key={metric._id} className="flex items-center p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700">
+              <input
+                type="checkbox"
+                id={`custom-metric-checkbox-${metric.key}`}
+                className="h-4 w-4 text-blue-600 border-gray-300 dark:border-gray-600 rounded focus:ring-blue-500 dark:focus:ring-offset-gray-800 dark:bg-gray-600"
+                checked={localCustomVisibility.includes(metric.key)}
+                onChange={() => toggleCustomMetric(metric.key)}
+              />
+              <label htmlFor={`custom-metric-checkbox-${metric.key}`} className="ml-3 flex-1 cursor-pointer">
+                <span className="block text-sm text-gray-700 dark:text-gray-300">{metric.name}</span>
+                <span className="block text-xs font-mono text-gray-500 dark:text-gray-400">{metric.formula}</span>
+              </label>
+              {userId !== null && metric.userId === userId && (
+                <button
+                  className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:opacity-50"
+                  onClick={() => handleDeleteCustomMetric(metric)}
+                  disabled={isSaving}
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          ))}
+
+          {userId === null && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 px-2">Sign in to define custom metrics.</p>
+          )}
+          {userId !== null && (
+            <div className="mt-2 p-2 space-y-2 rounded-md bg-gray-50 dark:bg-gray-700">
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  className={`${inputStyles} flex-1`}
+                  placeholder="Name, e.g. Earnings Yield"
+                  value={draft.name}
+                  onChange={e => setDraft({ ...draft, name: e.target.value })}
+                  aria-label="Metric name"
+                />
+                <input
+                  type="text"
+                  className={`${inputStyles} w-36`}
+                  placeholder={suggestKey(draft.name) || 'key'}
+                  value={draft.key}
+                  onChange={e => setDraft({ ...draft, key: e.target.value })}
+                  aria-label="Metric key"
+                  title="Identifier used for sorting and range queries (customMetrics.<key>)"
+                />
+              </div>
+              <input
+                type="text"
+                className={`${inputStyles} w-full font-mono`}
+                placeholder="Formula, e.g. freeCashFlowPerShareTTM / price"
+                value={draft.formula}
+                onChange={e => setDraft({ ...draft, formula: e.target.value })}
+                list="custom-metric-fields"
+                aria-label="Formula"
+              />
+              <datalist id="custom-metric-fields">
+                {formulaFields.map(field => <option key={field} value={field} />)}
+              </datalist>
+              <div className="flex items-center space-x-2">
+                <select
+                  className={inputStyles}
+                  value={draft.format}
+                  onChange={e => setDraft({ ...draft, format: e.target.value as CustomMetricFormat })}
+                  aria-label="Display format"
+                >
+                  {CUSTOM_METRIC_FORMATS.map(({ format, label }) => <option key={format} value={format}>{label}</option>)}
+                </select>
+                <span className="flex-1 text-xs text-gray-500 dark:text-gray-400">+ - * / ( ) abs min max</span>
+                <button
+                  className="px-3 py-1 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  onClick={handleCreateCustomMetric}
+                  disabled={isSaving || !draft.name.trim() || !draft.formula.trim()}
+                >
+                  {isSaving ? 'Saving…' : 'Add metric'}
+                </button>
+              </div>
+              {customError && <p className="text-xs text-red-600 dark:text-red-400">{customError}</p>}
+            </div>
+          )}
         </div>
 
         <div className="flex justify-end space-x-3 p-4 border-t border-gray-200 dark:border-gray-700">
@@ -0,0 +1,22 @@
+import React from 'react';
+import { DataQualityFlag } from '../types';
+
+interface DataQualityBadgeProps {
+  flags?: DataQualityFlag[];
+}
+
+// Warns that the importer flagged this stock's data; the flag messages are in the tooltip
+const DataQualityBadge: React.FC<DataQualityBadgeProps> = ({ flags }) => {
+  if (!flags || flags.length === 0) return null;
+
+  return (
+    <span
+      className="ml-1 text-xs px-1.5 py-0.5 rounded-full whitespace-nowrap bg-yellow-100 text-yellow-800 dark:bg-yellow-700 dark:text-yellow-100"
+      title={flags.map(flag => flag.message).join('\n')}
+    >
+      ⚠ Data
+    </span>
+  );
+};
+
+export default DataQualityBadge;
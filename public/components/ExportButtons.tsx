@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { ExportFormat } from '../types';
+import { EXPORT_FORMATS } from '../constants';
+import { FMPApiError } from '../services/stockService';
+
+interface ExportButtonsProps {
+  onExport: (format: ExportFormat) => Promise<void>;
+  disabled?: boolean;
+}
+
+const ExportButtons: React.FC<ExportButtonsProps> = ({ onExport, disabled = false }) => {
+  const [exportingFormat, setExportingFormat] = useState<ExportFormat | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleExport = async (format: ExportFormat) => {
+    setExportingFormat(format);
+    setError(null);
+    try {
+      await onExport(format);
+    } catch (err: any) {
+      console.error("[ExportButtons] Export failed:", err);
+      setError(err instanceof FMPApiError ? err.message : 'Export failed.');
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-end">
+      <div className="flex items-center space-x-1">
+        <span className="text-xs text-gray-600 dark:text-gray-400 mr-1">Export:</span>
+        {EXPORT_FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            onClick={() => handleExport(format)}
+            disabled={disabled || exportingFormat !== null}
+            className="px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50"
+            title={`Download as ${label}`}
+          >
+            {exportingFormat === format ? '…' : label}
+          </button>
+        ))}
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+export default ExportButtons;
@@ -1,6 +1,6 @@
 
 import React from 'react';
-import { Theme } from '../types';
+import { Theme, User } from '../types';
 import { LogoIcon, SunIcon, MoonIcon } from './icons'; // Removed unused FilterIcon
 
 interface HeaderProps {
@@ -8,9 +8,11 @@ interface HeaderProps {
   toggleTheme: () => void;
   onRefreshData: () => void; // New
   onToggleWatchlistPane: () => void; // New
+  user: User | null;
+  onOpenAccount: () => void;
 }
 
-const Header: React.FC<HeaderProps> = ({ theme, toggleTheme, onRefreshData, onToggleWatchlistPane }) => {
+const Header: React.FC<HeaderProps> = ({ theme, toggleTheme, onRefreshData, onToggleWatchlistPane, user, onOpenAccount }) => {
   return (
     <div id="globalHeader" className="p-3 shadow-md flex justify-between items-center sticky top-0 z-30">
       <div className="flex items-center">
@@ -34,6 +36,14 @@ const Header: React.FC<HeaderProps> = ({ theme, toggleTheme, onRefreshData, onTo
         >
           ⭐
         </button>
+        <button
+          onClick={onOpenAccount}
+          className="p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:focus:ring-offset-gray-800"
+          aria-label="Account"
+          title={user ? `Signed in as ${user.email}` : 'Sign in'}
+        >
+          👤{user && <span className="ml-1 text-sm hidden sm:inline">{user.name || user.email}</span>}
+        </button>
         <button 
           id="darkModeToggleBtn" 
           onClick={toggleTheme} 
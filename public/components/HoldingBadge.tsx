@@ -0,0 +1,33 @@
+import React from 'react';
+import { PortfolioPosition } from '../types';
+import { formatPrice } from '../services/stockService';
+
+interface HoldingBadgeProps {
+  position?: PortfolioPosition;
+}
+
+// Marks a screener row or card that is held in the selected portfolio; red when the position no
+// longer passes the screen it was bought on
+const HoldingBadge: React.FC<HoldingBadgeProps> = ({ position }) => {
+  if (!position) return null;
+
+  const failsScreen = position.passesScreen === false;
+  const pnl = position.pnlPercent !== null ? `, P&L ${position.pnlPercent >= 0 ? '+' : ''}${position.pnlPercent.toFixed(1)}%` : '';
+  const title = `${position.shares} shares at ${formatPrice(position.costBasis, position.currency)}${pnl}` +
+    (failsScreen ? ` — no longer passes "${position.screenName}"` : '');
+
+  return (
+    <span
+      className={`ml-1 text-xs px-1.5 py-0.5 rounded-full whitespace-nowrap ${
+        failsScreen
+          ? 'bg-red-100 text-red-700 dark:bg-red-800 dark:text-red-100'
+          : 'bg-blue-100 text-blue-700 dark:bg-blue-800 dark:text-blue-100'
+      }`}
+      title={title}
+    >
+      {failsScreen ? 'Held · fails screen' : 'Held'}
+    </span>
+  );
+};
+
+export default HoldingBadge;
@@ -1,18 +1,22 @@
 
 import React from 'react';
-import { Stock, KeyMetricVisibility } from '../types';
+import { Stock, KeyMetricVisibility, AggregateGroup } from '../types';
 import MetricBox from './MetricBox';
 
 interface KeyMetricsSectionProps {
   filteredStocks: Stock[];
+  totalCount?: number; // All matches on the server; filteredStocks may only hold the pages loaded so far
   keyMetricsVisibility: KeyMetricVisibility;
   onOpenCustomizeModal: () => void;
+  aggregates?: AggregateGroup | null; // Server statistics over every match (/api/v1/aggregates?groupBy=all)
 }
 
 const KeyMetricsSection: React.FC<KeyMetricsSectionProps> = ({ 
   filteredStocks, 
+  totalCount,
   keyMetricsVisibility,
-  onOpenCustomizeModal 
+  onOpenCustomizeModal,
+  aggregates
 }) => {
   const calculateAverage = (dataKey: keyof Stock, suffix: string = ''): string => {
     if (filteredStocks.length === 0) return `0${suffix}`;
@@ -69,11 +73,23 @@ const KeyMetricsSection: React.FC<KeyMetricsSectionProps> = ({
     return `${avg.toFixed(decimals)}${suffix}`;
   };
   
-  const avgDebtEbitda = calculateAverage('debtToEbitdaTTM', 'x');
-  const avgEvEbitda = calculateAverage('enterpriseValueOverEBITDATTM', 'x'); 
+  // Mean and median over every match from the server; the loaded stocks are only the fallback (search results)
+  const serverStat = (field: string, stat: 'mean' | 'median', format: (value: number) => string): string | null => {
+    const value = aggregates?.metrics[field]?.[stat];
+    return value === null || value === undefined ? null : format(value);
+  };
+  const ratio = (value: number) => `${value.toFixed(1)}x`;
+  const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+  const medianDetail = (field: string, format: (value: number) => string) => {
+    const median = serverStat(field, 'median', format);
+    return median ? `Median ${median}` : undefined;
+  };
+
+  const avgDebtEbitda = serverStat('debtToEbitdaTTM', 'mean', ratio) ?? calculateAverage('debtToEbitdaTTM', 'x');
+  const avgEvEbitda = serverStat('enterpriseValueOverEBITDATTM', 'mean', ratio) ?? calculateAverage('enterpriseValueOverEBITDATTM', 'x'); 
   // Avg FCF/NI requires more complex logic than simple average of ratios string. Placeholder.
   const avgFcfNi = filteredStocks.length > 0 ? "Calc..." : "0"; 
-  const avgRoe = calculateAverage('returnOnEquityTTM', '%');
+  const avgRoe = serverStat('returnOnEquityTTM', 'mean', percent) ?? calculateAverage('returnOnEquityTTM', '%');
 
 
   return (
@@ -88,11 +104,11 @@ const KeyMetricsSection: React.FC<KeyMetricsSectionProps> = ({
         </button>
       </div>
       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-3 sm:gap-4 text-center">
-        <MetricBox id="stocksPassingFilters" value={filteredStocks.length} label="Stocks Passing" isVisible={keyMetricsVisibility.stocksPassingFilters} />
-        <MetricBox id="avgDebtEbitda" value={avgDebtEbitda} label="Avg. Debt/EBITDA" isVisible={keyMetricsVisibility.avgDebtEbitda} />
-        <MetricBox id="avgEvEbit" value={avgEvEbitda} label="Avg. EV/EBITDA" isVisible={keyMetricsVisibility.avgEvEbit} />
+        <MetricBox id="stocksPassingFilters" value={totalCount ?? filteredStocks.length} label="Stocks Passing" isVisible={keyMetricsVisibility.stocksPassingFilters} />
+        <MetricBox id="avgDebtEbitda" value={avgDebtEbitda} label="Avg. Debt/EBITDA" isVisible={keyMetricsVisibility.avgDebtEbitda} detail={medianDetail('debtToEbitdaTTM', ratio)} />
+        <MetricBox id="avgEvEbit" value={avgEvEbitda} label="Avg. EV/EBITDA" isVisible={keyMetricsVisibility.avgEvEbit} detail={medianDetail('enterpriseValueOverEBITDATTM', ratio)} />
         <MetricBox id="avgFcfNi" value={avgFcfNi} label="Avg. FCF/NI" isVisible={keyMetricsVisibility.avgFcfNi} />
-        <MetricBox id="avgRotce" value={avgRoe} label="Avg. ROE" isVisible={keyMetricsVisibility.avgRotce} />
+        <MetricBox id="avgRotce" value={avgRoe} label="Avg. ROE" isVisible={keyMetricsVisibility.avgRotce} detail={medianDetail('returnOnEquityTTM', percent)} />
       </div>
     </section>
   );
@@ -6,15 +6,17 @@ interface MetricBoxProps {
   value: string | number;
   label: string;
   isVisible: boolean;
+  detail?: string; // Secondary line, e.g. the median next to an average
 }
 
-const MetricBox: React.FC<MetricBoxProps> = ({ id, value, label, isVisible }) => {
+const MetricBox: React.FC<MetricBoxProps> = ({ id, value, label, isVisible, detail }) => {
   if (!isVisible) return null;
 
   return (
     <div className="p-3 bg-gray-100 rounded-md metric-box" data-metric-id={id}>
       <p className="text-xl sm:text-2xl font-bold">{value}</p>
       <p className="text-xs sm:text-sm">{label}</p>
+      {detail && <p className="text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
     </div>
   );
 };
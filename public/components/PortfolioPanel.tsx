@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Portfolio, PortfolioSummary, SavedScreen } from '../types';
+import {
+  fetchPortfolios, fetchPortfolio, createPortfolio, updatePortfolio, deletePortfolio, importPortfolioCsv,
+  fetchSavedScreens, FMPApiError
+} from '../services/stockService';
+
+interface PortfolioPanelProps {
+  portfolio: Portfolio | null; // Selected portfolio, also overlaid on the screener
+  onPortfolioChange: (portfolio: Portfolio | null) => void;
+  onSymbolClick: (symbol: string) => void;
+}
+
+// USD amounts as "$1,234.50", other currencies as "1,234.50 GBp"
+const formatMoney = (value: number | null, currency = 'USD'): string => {
+  if (value === null) return 'N/A';
+  const amount = value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return currency === 'USD' ? `$${amount}` : `${amount} ${currency}`;
+};
+
+const formatSignedPercent = (value: number | null): string =>
+  value === null ? 'N/A' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+const pnlColor = (value: number | null): string =>
+  value === null || value === 0 ? 'text-gray-600 dark:text-gray-400' : value > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+
+const PortfolioPanel: React.FC<PortfolioPanelProps> = ({ portfolio, onPortfolioChange, onSymbolClick }) => {
+  const [portfolios, setPortfolios] = useState<PortfolioSummary[]>([]);
+  const [screens, setScreens] = useState<SavedScreen[]>([]);
+  const [newName, setNewName] = useState<string>('');
+  const [importMode, setImportMode] = useState<'append' | 'replace'>('append');
+  const [isBusy, setIsBusy] = useState<boolean>(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadPortfolios = useCallback(async () => {
+    try {
+      const [loadedPortfolios, loadedScreens] = await Promise.all([fetchPortfolios(), fetchSavedScreens()]);
+      setPortfolios(loadedPortfolios);
+      // A portfolio can only be bought on the user's own screens; the list also has the shared ones
+      setScreens(loadedScreens.filter(screen => screen.userId !== null));
+    } catch (err: any) {
+      console.error("[PortfolioPanel] Failed to load portfolios:", err);
+      setError(err instanceof FMPApiError ? err.message : 'Could not load portfolios.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPortfolios();
+  }, [loadPortfolios]);
+
+  // Runs a request that returns the updated portfolio, with shared busy and error handling
+  const run = async (action: () => Promise<Portfolio | null>, failure: string) => {
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      onPortfolioChange(await action());
+      await loadPortfolios();
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : failure);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSelect = (id: string) =>
+    run(() => (id ? fetchPortfolio(id) : Promise.resolve(null)), 'Could not load portfolio.');
+
+  const handleCreate = () => run(async () => {
+    const created = await createPortfolio(newName.trim());
+    setNewName('');
+    return created;
+  }, 'Could not create portfolio.');
+
+  const handleScreenChange = (screenId: string) => {
+    if (!portfolio) return;
+    run(() => updatePortfolio(portfolio._id, { screenId: screenId || null }), 'Could not update portfolio.');
+  };
+
+  const handleDelete = () => {
+    if (!portfolio || !window.confirm(`Delete portfolio "${portfolio.name}"?`)) return;
+    run(async () => {
+      await deletePortfolio(portfolio._id);
+      return null;
+    }, 'Could not delete portfolio.');
+  };
+
+  const handleImport = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!portfolio || !file) return;
+    const csv = await file.text();
+    run(async () => {
+      const result = await importPortfolioCsv(portfolio._id, csv, importMode);
+      const skipped = result.skipped.length > 0
+        ? ` Skipped ${result.skipped.length} row(s): ${result.skipped.slice(0, 3).map(row => `line ${row.line} (${row.reason})`).join(', ')}${result.skipped.length > 3 ? '…' : ''}`
+        : '';
+      setMessage(`Imported ${result.imported} holding(s).${skipped}`);
+      return result.portfolio;
+    }, 'Could not import holdings.');
+  };
+
+  const inputStyles = "p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const buttonStyles = "px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50";
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center space-x-2">
+        <select
+          className={`${inputStyles} flex-1`}
+          value={portfolio?._id || ''}
+          onChange={e => handleSelect(e.target.value)}
+          disabled={isBusy}
+          aria-label="Portfolio"
+        >
+          <option value="">No portfolio selected</option>
+          {portfolios.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+        </select>
+        {portfolio && <button className="text-xs text-red-600 dark:text-red-400 hover:underline" onClick={handleDelete} disabled={isBusy}>Delete</button>}
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <input type="text" className={`${inputStyles} flex-1`} placeholder="New portfolio name" value={newName} onChange={e => setNewName(e.target.value)} />
+        <button className={buttonStyles} onClick={handleCreate} disabled={isBusy || !newName.trim()}>Create</button>
+      </div>
+
+      {portfolio && (
+        <>
+          <div className="flex items-center space-x-2">
+            <label htmlFor="portfolio-screen" className="text-xs text-gray-600 dark:text-gray-400 whitespace-nowrap">Bought on</label>
+            <select
+              id="portfolio-screen"
+              className={`${inputStyles} flex-1`}
+              value={portfolio.screenId || ''}
+              onChange={e => handleScreenChange(e.target.value)}
+              disabled={isBusy}
+            >
+              <option value="">No screen</option>
+              {screens.map(screen => <option key={screen._id} value={screen._id}>{screen.name}</option>)}
+            </select>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <label className={`${buttonStyles} cursor-pointer ${isBusy ? 'opacity-50 pointer-events-none' : ''}`}>
+              Import CSV…
+              <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={handleImport} />
+            </label>
+            <select className={`${inputStyles} text-xs`} value={importMode} onChange={e => setImportMode(e.target.value as 'append' | 'replace')} aria-label="Import mode">
+              <option value="append">Add to holdings</option>
+              <option value="replace">Replace holdings</option>
+            </select>
+          </div>
+        </>
+      )}
+
+      {message && <p className="text-xs text-gray-600 dark:text-gray-400">{message}</p>}
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+      {portfolio && portfolio.positions.length === 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 text-center py-6">No holdings yet. Import a CSV export from your broker.</p>
+      )}
+
+      {portfolio && portfolio.positions.length > 0 && (
+        <>
+          <div className="grid grid-cols-3 gap-2 p-2 rounded-md bg-gray-50 dark:bg-gray-700 text-xs">
+            <div>
+              <div className="text-gray-500 dark:text-gray-400">Value</div>
+              <div className="font-semibold">{formatMoney(portfolio.totals.marketValue)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500 dark:text-gray-400">Cost</div>
+              <div className="font-semibold">{formatMoney(portfolio.totals.cost)}</div>
+            </div>
+            <div>
+              <div className="text-gray-500 dark:text-gray-400">P&amp;L</div>
+              <div className={`font-semibold ${pnlColor(portfolio.totals.pnl)}`}>
+                {formatMoney(portfolio.totals.pnl)} ({formatSignedPercent(portfolio.totals.pnlPercent)})
+              </div>
+            </div>
+          </div>
+          {portfolio.totals.unpricedSymbols.length > 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">No stored USD price or FX rate for {portfolio.totals.unpricedSymbols.join(', ')}; excluded from value and P&amp;L.</p>
+          )}
+          {portfolio.totals.failingScreen.length > 0 && (
+            <p className="text-xs text-red-600 dark:text-red-400">No longer passing their screen: {portfolio.totals.failingScreen.join(', ')}</p>
+          )}
+
+          <ul className="space-y-1">
+            {portfolio.positions.map(position => (
+              <li
+                key={position.symbol}
+                className="p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer"
+                onClick={() => onSymbolClick(position.symbol)}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-medium text-gray-800 dark:text-gray-200">
+                    {position.symbol}
+                    {position.passesScreen === false && (
+                      <span className="ml-1 text-xs px-1.5 py-0.5 rounded-full bg-red-100 text-red-700 dark:bg-red-800 dark:text-red-100" title={`No longer passes "${position.screenName}"`}>
+                        fails screen
+                      </span>
+                    )}
+                  </span>
+                  <span className="text-sm font-semibold text-gray-700 dark:text-gray-300" title={position.currency !== 'USD' ? formatMoney(position.marketValue, position.currency) : undefined}>
+                    {formatMoney(position.marketValueUsd)}
+                  </span>
+                </div>
+                <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                  <span>{position.shares} @ {formatMoney(position.costBasis, position.currency)}{position.weight !== null && ` · ${position.weight.toFixed(1)}%`}</span>
+                  <span className={pnlColor(position.pnl)}>{formatMoney(position.pnl, position.currency)} ({formatSignedPercent(position.pnlPercent)})</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -1,13 +1,30 @@
 
-import React from 'react';
-import { Preset, ActiveFilters } from '../types';
+import React, { useState } from 'react';
+import { PresetInput, ActiveFilters } from '../types';
 
 interface PresetCardProps {
-  preset: Preset;
+  preset: PresetInput;
   onApplyPreset: (filters: ActiveFilters) => void;
+  onClone?: () => void;
+  onEdit?: () => void; // Saved presets only, like the share link and delete
+  onDelete?: () => void;
+  shareUrl?: string;
 }
 
-const PresetCard: React.FC<PresetCardProps> = ({ preset, onApplyPreset }) => {
+const PresetCard: React.FC<PresetCardProps> = ({ preset, onApplyPreset, onClone, onEdit, onDelete, shareUrl }) => {
+  const [isCopied, setIsCopied] = useState<boolean>(false);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl!);
+      setIsCopied(true);
+    } catch (err) {
+      window.prompt('Copy this link:', shareUrl);
+    }
+  };
+
+  const actionStyles = "text-xs text-blue-600 dark:text-blue-400 hover:underline";
+
   return (
     <div className="bg-white dark:bg-gray-700 p-3 rounded-md shadow-sm border border-gray-200 dark:border-gray-600">
       <div className="flex items-center mb-2">
@@ -21,6 +38,14 @@ const PresetCard: React.FC<PresetCardProps> = ({ preset, onApplyPreset }) => {
       >
         Apply Preset
       </button>
+      {(onClone || onEdit || onDelete || shareUrl) && (
+        <div className="flex flex-wrap gap-x-3 mt-2">
+          {onEdit && <button className={actionStyles} onClick={onEdit}>Edit</button>}
+          {onClone && <button className={actionStyles} onClick={onClone}>Clone</button>}
+          {shareUrl && <button className={actionStyles} onClick={handleCopyLink}>{isCopied ? 'Link copied' : 'Copy link'}</button>}
+          {onDelete && <button className="text-xs text-red-600 dark:text-red-400 hover:underline" onClick={onDelete}>Delete</button>}
+        </div>
+      )}
     </div>
   );
 };
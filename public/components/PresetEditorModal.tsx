@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from 'react';
+import { ActiveFilters, PresetInput, PresetVersion, SavedPreset } from '../types';
+import { RANGE_FILTER_FIELDS } from '../constants';
+import {
+  fetchPreset, createPreset, updatePreset, presetShareUrl, describeSearchFilters,
+  RANGE_FILTER_PREFIX, rangeFilterKey, parseRangeFilterValue, formatRangeFilterValue, FMPApiError
+} from '../services/stockService';
+import { CloseIcon } from './icons';
+
+interface PresetEditorModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  preset: SavedPreset | null; // Preset being edited; null creates a new one from `initial`
+  initial: PresetInput;
+  clonedFrom?: { slug: string; version: number }; // Shared preset a new one copies
+  activeFilters: ActiveFilters; // Offered by "Use current filters"
+  onSaved: (preset: SavedPreset) => void;
+}
+
+// Range rows keep the typed text until saving
+interface RangeRow {
+  field: string;
+  min: string;
+  max: string;
+}
+
+const splitFilters = (filters: ActiveFilters): { categories: ActiveFilters; ranges: RangeRow[] } => {
+  const categories: ActiveFilters = {};
+  const ranges: RangeRow[] = [];
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (!key.startsWith(RANGE_FILTER_PREFIX)) {
+      categories[key] = value;
+      return;
+    }
+    const range = parseRangeFilterValue(value);
+    ranges.push({ field: key.slice(RANGE_FILTER_PREFIX.length), min: range?.min?.toString() ?? '', max: range?.max?.toString() ?? '' });
+  });
+  return { categories, ranges };
+};
+
+const toBound = (text: string): number | null => (text.trim() === '' ? null : Number(text));
+
+const formatDateTime = (iso: string): string => new Date(iso).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const PresetEditorModal: React.FC<PresetEditorModalProps> = ({ isOpen, onClose, preset, initial, clonedFrom, activeFilters, onSaved }) => {
+  const [name, setName] = useState<string>(initial.name);
+  const [emoji, setEmoji] = useState<string>(initial.emoji);
+  const [description, setDescription] = useState<string>(initial.description);
+  const [categories, setCategories] = useState<ActiveFilters>(() => splitFilters(initial.filters).categories);
+  const [ranges, setRanges] = useState<RangeRow[]>(() => splitFilters(initial.filters).ranges);
+  const [versions, setVersions] = useState<PresetVersion[]>([]);
+  const [copiedUrl, setCopiedUrl] = useState<string | null>(null);
+  const [isBusy, setIsBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!isOpen || !preset) return;
+    fetchPreset(preset._id)
+      .then(loaded => setVersions([...(loaded.versions || [])].reverse()))
+      .catch(err => console.error("[PresetEditorModal] Failed to load preset versions:", err));
+  }, [isOpen, preset]);
+
+  if (!isOpen) return null;
+
+  const loadContent = (content: PresetInput) => {
+    const { categories: loadedCategories, ranges: loadedRanges } = splitFilters(content.filters);
+    setName(content.name);
+    setEmoji(content.emoji);
+    setDescription(content.description);
+    setCategories(loadedCategories);
+    setRanges(loadedRanges);
+  };
+
+  const buildFilters = (): ActiveFilters => {
+    const filters: ActiveFilters = { ...categories };
+    ranges.forEach(row => {
+      if (row.min.trim() === '' && row.max.trim() === '') return;
+      filters[rangeFilterKey(row.field)] = formatRangeFilterValue(toBound(row.min), toBound(row.max));
+    });
+    return filters;
+  };
+
+  const updateRange = (index: number, changes: Partial<RangeRow>) =>
+    setRanges(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  const unusedFields = RANGE_FILTER_FIELDS.filter(option => !ranges.some(row => row.field === option.field));
+
+  const handleUseCurrentFilters = () => {
+    const { categories: current, ranges: currentRanges } = splitFilters(activeFilters);
+    setCategories(current);
+    setRanges(currentRanges);
+  };
+
+  const handleRemoveCategory = (key: string) => setCategories(prev => {
+    const next = { ...prev };
+    delete next[key];
+    return next;
+  });
+
+  const handleCopy = async (url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedUrl(url);
+    } catch (err) {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      const input: PresetInput = { name: name.trim(), emoji: emoji.trim(), description: description.trim(), filters: buildFilters() };
+      onSaved(preset ? await updatePreset(preset._id, input) : await createPreset(input, clonedFrom));
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : 'Could not save preset.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const invalidRange = ranges.some(row => [row.min, row.max].some(bound => bound.trim() !== '' && !isFinite(Number(bound))));
+  const inputStyles = "p-2 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const buttonStyles = "px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50";
+
+  return (
+    <div className="modal-overlay" style={{ display: 'flex' }} aria-modal="true" role="dialog">
+      <div className="modal-content-inner modal-content-bg max-w-xl w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100">{preset ? 'Edit Preset' : 'New Preset'}</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 p-1 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Close preset editor"
+          >
+            <CloseIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="space-y-4 text-sm">
+          <div className="flex gap-2">
+            <input type="text" className={`${inputStyles} w-16 text-center`} value={emoji} onChange={e => setEmoji(e.target.value)} aria-label="Emoji" />
+            <input type="text" className={`${inputStyles} flex-1`} placeholder="Preset name" value={name} onChange={e => setName(e.target.value)} aria-label="Name" />
+          </div>
+          <textarea
+            className={`${inputStyles} w-full`}
+            rows={2}
+            placeholder="Description (optional)"
+            value={description}
+            onChange={e => setDescription(e.target.value)}
+            aria-label="Description"
+          />
+
+          <section>
+            <div className="flex items-center justify-between mb-1">
+              <h4 className="font-medium text-gray-800 dark:text-gray-200">Filters</h4>
+              <button className={buttonStyles} onClick={handleUseCurrentFilters}>Use current filters</button>
+            </div>
+            {Object.keys(categories).length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">No category filters. Pick some in the sidebar, then use the current filters.</p>
+            ) : (
+              <div className="flex flex-wrap gap-1">
+                {Object.entries(categories).map(([key, value]) => (
+                  <span key={key} className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                    {describeSearchFilters({ [key]: value })[0]}
+                    <button className="ml-1" onClick={() => handleRemoveCategory(key)} aria-label={`Remove ${key}`}>×</button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h4 className="font-medium text-gray-800 dark:text-gray-200 mb-1">Numeric ranges</h4>
+            <ul className="space-y-2">
+              {ranges.map((row, index) => (
+                <li key={row.field} className="flex items-center gap-2">
+                  <select className={`${inputStyles} flex-1`} value={row.field} onChange={e => updateRange(index, { field: e.target.value })} aria-label="Field">
+                    {[RANGE_FILTER_FIELDS.find(option => option.field === row.field) || { field: row.field, label: row.field }, ...unusedFields].map(option => (
+                      <option key={option.field} value={option.field}>{option.label}</option>
+                    ))}
+                  </select>
+                  <input type="number" step="any" className={`${inputStyles} w-24`} placeholder="Min" value={row.min} onChange={e => updateRange(index, { min: e.target.value })} aria-label="Minimum" />
+                  <input type="number" step="any" className={`${inputStyles} w-24`} placeholder="Max" value={row.max} onChange={e => updateRange(index, { max: e.target.value })} aria-label="Maximum" />
+                  <button className="text-xs text-red-600 dark:text-red-400 hover:underline" onClick={() => setRanges(prev => prev.filter((_, i) => i !== index))}>Remove</button>
+                </li>
+              ))}
+            </ul>
+            {unusedFields.length > 0 && (
+              <button className={`${buttonStyles} mt-2`} onClick={() => setRanges(prev => [...prev, { field: unusedFields[0].field, min: '', max: '' }])}>
+                + Add range
+              </button>
+            )}
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Leave a bound empty for no limit. Ratios are fractions: ROE 0.15 is 15%.</p>
+          </section>
+
+          {preset && (
+            <section>
+              <h4 className="font-medium text-gray-800 dark:text-gray-200 mb-1">Share link</h4>
+              <div className="flex gap-2">
+                <input type="text" readOnly className={`${inputStyles} flex-1`} value={presetShareUrl(preset.slug)} onFocus={e => e.target.select()} aria-label="Share link" />
+                <button className={buttonStyles} onClick={() => handleCopy(presetShareUrl(preset.slug))}>
+                  {copiedUrl === presetShareUrl(preset.slug) ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </section>
+          )}
+
+          {preset && versions.length > 0 && (
+            <section>
+              <h4 className="font-medium text-gray-800 dark:text-gray-200 mb-1">History</h4>
+              <ul className="space-y-1 max-h-40 overflow-y-auto pr-1">
+                {versions.map(version => (
+                  <li key={version.version} className="flex items-center justify-between p-1 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700">
+                    <span className="min-w-0 truncate text-gray-700 dark:text-gray-300">
+                      v{version.version}{version.version === preset.version && ' (current)'} · {formatDateTime(version.savedAt)} · {version.emoji} {version.name}
+                    </span>
+                    <span className="flex-shrink-0 ml-2 space-x-2">
+                      {version.version !== preset.version && (
+                        <button className="text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={() => loadContent(version)} title="Load into the form; saving makes it the newest version">
+                          Restore
+                        </button>
+                      )}
+                      <button className="text-xs text-blue-600 dark:text-blue-400 hover:underline" onClick={() => handleCopy(presetShareUrl(preset.slug, version.version))}>
+                        {copiedUrl === presetShareUrl(preset.slug, version.version) ? 'Copied' : 'Link'}
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+
+        <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700 flex justify-end space-x-2">
+          <button
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 dark:bg-gray-600 dark:text-gray-300 dark:hover:bg-gray-500 text-sm font-medium"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-medium disabled:opacity-50"
+            onClick={handleSave}
+            disabled={isBusy || !name.trim() || invalidRange}
+          >
+            {isBusy ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PresetEditorModal;
@@ -1,95 +1,129 @@
-
 import React, { useState } from 'react';
-import { ActiveFilters } from '../types';
-import { PRESETS } from '../constants';
+import { ActiveFilters, PresetAnswer, PresetInput } from '../types';
+import { PRESET_QUESTIONS } from '../constants';
+import { describeSearchFilters, FMPApiError } from '../services/stockService';
 import { CloseIcon } from './icons'; // Import CloseIcon
 
 interface PresetWizardModalProps {
   isOpen: boolean;
   onClose: () => void;
   onApplyPreset: (filters: ActiveFilters) => void;
+  onSavePreset: (preset: PresetInput) => Promise<void>; // Stores the generated preset, then it is applied
 }
 
-const PresetWizardModal: React.FC<PresetWizardModalProps> = ({ isOpen, onClose, onApplyPreset }) => {
-  const [step, setStep] = useState(1);
-  const [answer1, setAnswer1] = useState<string | null>(null);
-  // answer2 is set but its value is not read; if it's intended for future use, it's fine.
-  // eslint-disable-next-line @typescript-eslint/no-unused-vars
-  const [answer2, setAnswer2] = useState<string | null>(null);
+// One preset from the chosen answers: their filters merged in question order, their name parts joined
+const buildPreset = (answers: PresetAnswer[]): PresetInput => {
+  const filters: ActiveFilters = Object.assign({}, ...answers.map(answer => answer.filters));
+  return {
+    name: answers.map(answer => answer.namePart).filter(Boolean).join(' '),
+    emoji: answers.find(answer => answer.emoji)?.emoji || '⭐',
+    description: describeSearchFilters(filters).join(', '),
+    filters
+  };
+};
+
+const PresetWizardModal: React.FC<PresetWizardModalProps> = ({ isOpen, onClose, onApplyPreset, onSavePreset }) => {
+  const [answers, setAnswers] = useState<PresetAnswer[]>([]);
+  const [draft, setDraft] = useState<PresetInput | null>(null); // The generated preset, editable before saving
+  const [isSaving, setIsSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
 
   if (!isOpen) return null;
 
-  const handleAnswer = (question: number, value: string) => {
-    if (question === 1) {
-      setAnswer1(value);
-      setStep(2);
-    } else if (question === 2) {
-      setAnswer2(value); // Store answer2
-      // Logic to determine preset based on answers
-      let chosenPresetId = PRESETS[0]?.id || 'deepValue'; // Default to the first preset or 'deepValue'
-
-      if (answer1 === 'value' && value === 'conservative') {
-        chosenPresetId = 'deepValue';
-      } else if (answer1 === 'growth' && value === 'aggressive') {
-        chosenPresetId = 'qualityCompounders';
-      } else if (answer1 === 'balanced' && value === 'moderate') {
-        // Example: Could map to a different preset or default
-        chosenPresetId = PRESETS[1]?.id || 'qualityCompounders';
-      }
-      
-      const presetToApply = PRESETS.find(p => p.id === chosenPresetId);
-      onApplyPreset(presetToApply?.filters || {});
-      
-      onClose(); // Close after applying
-      // Reset for next time
-      setStep(1);
-      setAnswer1(null);
-      setAnswer2(null);
-    }
+  const step = answers.length;
+
+  const handleAnswer = (answer: PresetAnswer) => {
+    const chosen = [...answers, answer];
+    setAnswers(chosen);
+    if (chosen.length === PRESET_QUESTIONS.length) setDraft(buildPreset(chosen));
+  };
+
+  const handleBack = () => {
+    setAnswers(prev => prev.slice(0, -1));
+    setDraft(null);
+    setError(null);
   };
 
   const resetWizard = () => {
-    setStep(1);
-    setAnswer1(null);
-    setAnswer2(null);
+    setAnswers([]);
+    setDraft(null);
+    setError(null);
     onClose();
   }
 
+  const handleApply = () => {
+    onApplyPreset(draft!.filters);
+    resetWizard();
+  };
+
+  const handleSaveAndApply = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onSavePreset(draft!);
+      handleApply();
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : 'Could not save preset.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const backButton = (
+    <button
+      onClick={handleBack}
+      className="mt-6 text-sm text-blue-600 hover:underline dark:text-blue-400 dark:hover:text-blue-300 focus:outline-none"
+    >
+      &larr; Back
+    </button>
+  );
+
   const renderStepContent = () => {
-    if (step === 1) {
+    if (!draft) {
+      const question = PRESET_QUESTIONS[step];
       return (
         <div>
-          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Question 1 of 2</p>
-          <p className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-4">What's your primary investment style?</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Question {step + 1} of {PRESET_QUESTIONS.length}</p>
+          <p className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-4">{question.question}</p>
           <div className="space-y-3">
-            <button onClick={() => handleAnswer(1, 'value')} className="w-full filter-btn py-3 px-4 text-left">A) Looking for Undervalued Companies (Value)</button>
-            <button onClick={() => handleAnswer(1, 'growth')} className="w-full filter-btn py-3 px-4 text-left">B) Seeking High-Growth Potential (Growth)</button>
-            <button onClick={() => handleAnswer(1, 'balanced')} className="w-full filter-btn py-3 px-4 text-left">C) A Balanced Approach</button>
+            {question.answers.map((answer, i) => (
+              <button key={answer.value} onClick={() => handleAnswer(answer)} className="w-full filter-btn py-3 px-4 text-left">
+                {String.fromCharCode(65 + i)}) {answer.label}
+              </button>
+            ))}
           </div>
+          {step > 0 && backButton}
         </div>
       );
     }
 
-    if (step === 2) {
-      return (
-        <div>
-          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Question 2 of 2</p>
-          <p className="text-lg font-medium text-gray-800 dark:text-gray-200 mb-4">How would you describe your risk tolerance?</p>
-          <div className="space-y-3">
-            <button onClick={() => handleAnswer(2, 'conservative')} className="w-full filter-btn py-3 px-4 text-left">A) Conservative (Prefer stability)</button>
-            <button onClick={() => handleAnswer(2, 'moderate')} className="w-full filter-btn py-3 px-4 text-left">B) Moderate (Open to some risk for better returns)</button>
-            <button onClick={() => handleAnswer(2, 'aggressive')} className="w-full filter-btn py-3 px-4 text-left">C) Aggressive (Willing to take on more risk)</button>
-          </div>
-          <button 
-            onClick={() => setStep(1)} 
-            className="mt-6 text-sm text-blue-600 hover:underline dark:text-blue-400 dark:hover:text-blue-300 focus:outline-none"
-          >
-            &larr; Back to Question 1
+    const inputStyles = "p-2 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+    const filterLabels = describeSearchFilters(draft.filters);
+    return (
+      <div className="space-y-3">
+        <p className="text-lg font-medium text-gray-800 dark:text-gray-200">Your preset</p>
+        <div className="flex gap-2">
+          <input type="text" className={`${inputStyles} w-16 text-center`} value={draft.emoji} onChange={e => setDraft({ ...draft, emoji: e.target.value })} aria-label="Emoji" />
+          <input type="text" className={`${inputStyles} flex-1`} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} aria-label="Name" />
+        </div>
+        <textarea className={`${inputStyles} w-full`} rows={2} value={draft.description} onChange={e => setDraft({ ...draft, description: e.target.value })} aria-label="Description" />
+        {filterLabels.length === 0 ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">No filters: every stock matches.</p>
+        ) : (
+          <ul className="list-disc pl-5 text-sm text-gray-700 dark:text-gray-300">
+            {filterLabels.map(label => <li key={label}>{label}</li>)}
+          </ul>
+        )}
+        {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+        <div className="flex space-x-2">
+          <button className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-medium disabled:opacity-50" onClick={handleSaveAndApply} disabled={isSaving || !draft.name.trim()}>
+            {isSaving ? 'Saving…' : 'Save & Apply'}
           </button>
+          <button className="px-4 py-2 filter-btn text-sm" onClick={handleApply}>Apply without saving</button>
         </div>
-      );
-    }
-    return null;
+        {backButton}
+      </div>
+    );
   };
 
   return (
@@ -97,8 +131,8 @@ const PresetWizardModal: React.FC<PresetWizardModalProps> = ({ isOpen, onClose,
       <div className="modal-content-inner modal-content-bg max-w-lg w-full p-6">
         <div className="flex justify-between items-center mb-6">
             <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-100">Guided Screen Setup</h3>
-            <button 
-                onClick={resetWizard} 
+            <button
+                onClick={resetWizard}
                 className="text-gray-400 hover:text-gray-600 dark:text-gray-500 dark:hover:text-gray-300 p-1 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-500"
                 aria-label="Close wizard"
             >
@@ -107,9 +141,9 @@ const PresetWizardModal: React.FC<PresetWizardModalProps> = ({ isOpen, onClose,
         </div>
 
         {renderStepContent()}
-        
+
         <div className="mt-8 pt-4 border-t border-gray-200 dark:border-gray-700 flex justify-end">
-            <button 
+            <button
                 className="px-4 py-2 bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 dark:bg-gray-600 dark:text-gray-300 dark:hover:bg-gray-500 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-400 dark:focus:ring-offset-gray-800"
                 onClick={resetWizard}
             >
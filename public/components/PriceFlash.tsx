@@ -0,0 +1,23 @@
+import React from 'react';
+import { LiveQuote } from '../types';
+
+interface PriceFlashProps {
+  quote?: LiveQuote; // Latest streamed quote for the stock, if any
+  children: React.ReactNode;
+}
+
+// Flashes its content green or red when a streamed quote moves the price up or down. Keyed on the
+// quote time, so every new quote restarts the animation.
+const PriceFlash: React.FC<PriceFlashProps> = ({ quote, children }) => {
+  if (!quote || quote.previousPrice === null || quote.previousPrice === quote.price) {
+    return <span>{children}</span>;
+  }
+  const direction = quote.price > quote.previousPrice ? 'up' : 'down';
+  return (
+    <span key={quote.updatedAt} className={`price-flash price-flash-${direction}`}>
+      {children}
+    </span>
+  );
+};
+
+export default PriceFlash;
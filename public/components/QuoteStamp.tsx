@@ -0,0 +1,32 @@
+import React from 'react';
+import { Stock, LiveQuote } from '../types';
+
+interface QuoteStampProps {
+  stock: Stock;
+  quote?: LiveQuote;
+}
+
+const formatTime = (iso: string): string => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const formatDate = (iso: string): string => new Date(iso).toLocaleDateString();
+
+// When the shown price was last refreshed: the streamed quote, an earlier intraday refresh, or the nightly import
+const QuoteStamp: React.FC<QuoteStampProps> = ({ stock, quote }) => {
+  const updatedAt = quote?.updatedAt || stock.quoteUpdatedAt;
+  const isToday = updatedAt && new Date(updatedAt).toDateString() === new Date().toDateString();
+  let text: string;
+  if (updatedAt) {
+    text = isToday ? `Updated ${formatTime(updatedAt)}` : `Updated ${formatDate(updatedAt)}`;
+  } else if (stock.lastUpdated) {
+    text = `Imported ${formatDate(stock.lastUpdated)}`;
+  } else {
+    return null;
+  }
+  return (
+    <span className="block text-xs font-normal text-gray-500 dark:text-gray-400" title={new Date(updatedAt || stock.lastUpdated!).toLocaleString()}>
+      {text}
+    </span>
+  );
+};
+
+export default QuoteStamp;
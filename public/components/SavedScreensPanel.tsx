@@ -0,0 +1,118 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ActiveFilters, SavedScreen, ScreenEvent } from '../types';
+import { fetchSavedScreens, createSavedScreen, deleteSavedScreen, fetchScreenEvents, FMPApiError } from '../services/stockService';
+
+interface SavedScreensPanelProps {
+  activeFilters: ActiveFilters;
+  onApplyScreen: (filters: ActiveFilters) => void;
+  userId: string | null; // Signed-in user; screens are saved to and deleted from their account
+}
+
+const SavedScreensPanel: React.FC<SavedScreensPanelProps> = ({ activeFilters, onApplyScreen, userId }) => {
+  const [screens, setScreens] = useState<SavedScreen[]>([]);
+  const [events, setEvents] = useState<ScreenEvent[]>([]);
+  const [name, setName] = useState<string>('');
+  const [webhookUrl, setWebhookUrl] = useState<string>('');
+  const [isSaving, setIsSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadScreens = useCallback(async () => {
+    try {
+      const [loadedScreens, loadedEvents] = await Promise.all([fetchSavedScreens(), fetchScreenEvents()]);
+      setScreens(loadedScreens);
+      setEvents(loadedEvents);
+    } catch (err: any) {
+      console.error("[SavedScreensPanel] Failed to load saved screens:", err);
+      setError(err instanceof FMPApiError ? err.message : 'Could not load saved screens.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScreens();
+  }, [loadScreens]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await createSavedScreen(name.trim(), activeFilters, webhookUrl.trim() || undefined);
+      setName('');
+      setWebhookUrl('');
+      await loadScreens();
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : 'Could not save screen.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (screen: SavedScreen) => {
+    if (!window.confirm(`Delete saved screen "${screen.name}"?`)) return;
+    try {
+      await deleteSavedScreen(screen._id);
+      await loadScreens();
+    } catch (err: any) {
+      setError(err instanceof FMPApiError ? err.message : 'Could not delete screen.');
+    }
+  };
+
+  const inputStyles = "w-full p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200";
+  const hasActiveFilters = Object.values(activeFilters).some(Boolean);
+
+  return (
+    <div className="space-y-4 text-sm">
+      {userId === null ? (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Sign in to save screens; shared screens can still be applied.</p>
+      ) : (
+        <div className="space-y-2">
+          <input type="text" className={inputStyles} placeholder="Screen name" value={name} onChange={e => setName(e.target.value)} />
+          <input type="url" className={inputStyles} placeholder="Webhook URL (optional)" value={webhookUrl} onChange={e => setWebhookUrl(e.target.value)} />
+          <button
+            className="w-full bg-blue-500 text-white text-sm font-medium py-2 rounded-md hover:bg-blue-600 dark:hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-400 disabled:opacity-50"
+            onClick={handleSave}
+            disabled={isSaving || !name.trim() || !hasActiveFilters}
+            title={hasActiveFilters ? 'Save the current filters' : 'Select at least one filter first'}
+          >
+            {isSaving ? 'Saving...' : 'Save Current Filters'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+      {screens.length > 0 && (
+        <ul className="space-y-2">
+          {screens.map(screen => (
+            <li key={screen._id} className="flex items-center justify-between bg-white dark:bg-gray-700 p-2 rounded-md border border-gray-200 dark:border-gray-600">
+              <button className="text-left font-medium hover:underline" onClick={() => onApplyScreen(screen.filters)} title="Apply this screen">
+                {screen.name}{screen.webhookUrl && <span className="ml-1" title="Sends changes to a webhook">🔔</span>}
+              </button>
+              {userId !== null && screen.userId === userId && (
+                <button className="text-xs text-red-600 dark:text-red-400 hover:underline" onClick={() => handleDelete(screen)}>Delete</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div>
+        <h5 className="font-medium mb-1">Recent Changes</h5>
+        {events.length === 0 ? (
+          <p className="text-xs text-gray-500 dark:text-gray-400">No changes recorded yet. Screens are re-run after each nightly import.</p>
+        ) : (
+          <ul className="space-y-2 text-xs">
+            {events.map(event => (
+              <li key={event._id}>
+                <div className="text-gray-500 dark:text-gray-400">{event.runAt.slice(0, 10)} · {event.screenName}</div>
+                {event.entered.length > 0 && <div className="text-green-600 dark:text-green-400">+ {event.entered.join(', ')}</div>}
+                {event.exited.length > 0 && <div className="text-red-600 dark:text-red-400">− {event.exited.join(', ')}</div>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavedScreensPanel;
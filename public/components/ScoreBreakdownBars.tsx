@@ -0,0 +1,43 @@
+import React from 'react';
+import { ScoreBreakdown } from '../types';
+import { SCORE_FACTOR_LABELS } from '../constants';
+
+interface ScoreBreakdownBarsProps {
+  breakdown?: ScoreBreakdown;
+}
+
+const getBarColor = (score: number): string => {
+  if (score >= 75) return 'bg-green-500';
+  if (score >= 50) return 'bg-blue-500';
+  if (score >= 25) return 'bg-orange-500';
+  return 'bg-red-500';
+};
+
+const ScoreBreakdownBars: React.FC<ScoreBreakdownBarsProps> = ({ breakdown }) => {
+  if (!breakdown || Object.keys(breakdown.factors).length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Score breakdown not available.</p>;
+  }
+
+  const peers = breakdown.peerGroup === 'all' ? 'all stocks' : `${breakdown.peerGroup} sector peers`;
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">Percentile rank vs {peers} (weight in brackets)</p>
+      <ul className="space-y-2">
+        {Object.entries(breakdown.factors).map(([factorId, factor]) => (
+          <li key={factorId} className="text-sm">
+            <div className="flex justify-between text-gray-700 dark:text-gray-300">
+              <span>{SCORE_FACTOR_LABELS[factorId] || factorId} <span className="text-xs text-gray-500 dark:text-gray-400">({Math.round(factor.weight * 100)}%)</span></span>
+              <span className="font-medium">{Math.round(factor.score)}</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded-full">
+              <div className={`h-2 rounded-full ${getBarColor(factor.score)}`} style={{ width: `${Math.max(2, factor.score)}%` }}></div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ScoreBreakdownBars;
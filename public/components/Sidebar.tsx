@@ -1,10 +1,13 @@
 
 import React, { useState } from 'react';
-import { ActiveFilters, FilterGroupDef, Preset as PresetType, FilterOption, SubFilterGroupDef } from '../types';
+import { ActiveFilters, FilterGroupDef, Preset as PresetType, FilterOption, SubFilterGroupDef, PresetInput, SavedPreset } from '../types';
 import { FILTER_GROUPS, PRESETS } from '../constants';
 import Accordion from './Accordion';
 import FilterButton from './FilterButton';
 import PresetCard from './PresetCard';
+import BacktestPanel from './BacktestPanel';
+import SavedScreensPanel from './SavedScreensPanel';
+import { presetShareUrl } from '../services/stockService';
 import { CloseIcon } from './icons';
 
 interface SidebarProps {
@@ -15,6 +18,12 @@ interface SidebarProps {
   isOpen: boolean;
   onClose: () => void;
   onOpenPresetWizard: () => void; // New
+  presets: SavedPreset[]; // Saved on the server, the user's own and shared ones
+  onNewPreset: () => void; // Opens the editor with the active filters
+  onEditPreset: (preset: SavedPreset) => void;
+  onClonePreset: (preset: PresetInput, source?: { slug: string; version: number }) => void; // `source`: a saved preset
+  onDeletePreset: (preset: SavedPreset) => void;
+  userId: string | null; // Signed-in user; only they can save presets and screens, and change their own
 }
 
 const Sidebar: React.FC<SidebarProps> = ({ 
@@ -24,10 +33,17 @@ const Sidebar: React.FC<SidebarProps> = ({
   onApplyPreset,
   isOpen,
   onClose,
-  onOpenPresetWizard
+  onOpenPresetWizard,
+  presets,
+  onNewPreset,
+  onEditPreset,
+  onClonePreset,
+  onDeletePreset,
+  userId
 }) => {
   
   const [sliderValues, setSliderValues] = useState<{[key: string]: number}>({});
+  const hasActiveFilters = Object.values(activeFilters).some(Boolean);
 
   const handleSliderChange = (groupName: string, value: string) => {
     const numericValue = Number(value);
@@ -166,25 +182,41 @@ const Sidebar: React.FC<SidebarProps> = ({
         <Accordion title="Presets" emoji="🎯">
           <div className="space-y-4">
             {PRESETS.map(preset => (
-              <PresetCard key={preset.id} preset={preset} onApplyPreset={onApplyPreset} />
+              <PresetCard key={preset.id} preset={preset} onApplyPreset={onApplyPreset} onClone={() => onClonePreset(preset)} />
             ))}
+            {presets.map(preset => {
+              const isOwn = userId !== null && preset.userId === userId;
+              return (
+                <PresetCard
+                  key={preset._id}
+                  preset={preset}
+                  onApplyPreset={onApplyPreset}
+                  onEdit={isOwn ? () => onEditPreset(preset) : undefined}
+                  onClone={() => onClonePreset(preset, preset)}
+                  onDelete={isOwn ? () => onDeletePreset(preset) : undefined}
+                  shareUrl={presetShareUrl(preset.slug)}
+                />
+              );
+            })}
+            <button
+              className="w-full filter-btn text-sm disabled:opacity-50"
+              onClick={onNewPreset}
+              disabled={!hasActiveFilters || userId === null}
+              title={userId === null ? 'Sign in to save presets' : hasActiveFilters ? 'Save the active filters as a preset' : 'Select some filters first'}
+            >
+              + New preset from current filters
+            </button>
+            <BacktestPanel activeFilters={activeFilters} />
           </div>
         </Accordion>
+        <Accordion title="Saved Screens" emoji="💾">
+          <SavedScreensPanel activeFilters={activeFilters} onApplyScreen={onApplyPreset} userId={userId} />
+        </Accordion>
         <Accordion title="Advanced Tools" emoji="🛠️">
-            <button 
-                disabled 
-                className="w-full filter-btn opacity-50 cursor-not-allowed text-sm"
-                title="Backtesting requires backend processing."
-            >
-                Backtest This Screen
-            </button>
-            <div className="mt-2 text-xs text-gray-500 dark:text-gray-400 text-center">
-                (Backend required for backtesting)
-            </div>
              {/* Placeholder for "Set Alert" button */}
              <button 
                 disabled 
-                className="w-full filter-btn opacity-50 cursor-not-allowed text-sm mt-2"
+                className="w-full filter-btn opacity-50 cursor-not-allowed text-sm"
                 title="Alerts require backend implementation."
             >
                 Set Alert For Screen
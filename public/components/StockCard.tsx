@@ -1,8 +1,13 @@
 
 import React from 'react';
-import { Stock, KeyMetricVisibility, StyleTag } from '../types';
-import { DISPLAY_METRICS_CONFIG } from '../constants';
-import { getSimpleScoreColor, getTextSimpleScoreColor } from '../services/stockService'; // Re-added for simpleScore
+import { Stock, KeyMetricVisibility, PortfolioPosition, CustomMetric, LiveQuote } from '../types';
+import { DISPLAY_METRICS_CONFIG, MAX_COMPARE_STOCKS } from '../constants';
+import { getSimpleScoreColor, getTextSimpleScoreColor, describeScoreBreakdown, formatCustomMetricValue, formatPrice } from '../services/stockService'; // Re-added for simpleScore
+import HoldingBadge from './HoldingBadge';
+import DataQualityBadge from './DataQualityBadge';
+import StyleTagBadges from './StyleTagBadges';
+import PriceFlash from './PriceFlash';
+import QuoteStamp from './QuoteStamp';
 
 interface StockCardProps {
   stock: Stock;
@@ -10,9 +15,14 @@ interface StockCardProps {
   onCardClick: (stock: Stock) => void;
   watchlist: string[];
   onToggleWatchlist: (symbol: string) => void;
+  heldPosition?: PortfolioPosition; // Position in the selected portfolio, if held
+  compareSymbols: string[];
+  onToggleCompare: (symbol: string) => void;
+  customColumns?: CustomMetric[]; // Custom metrics shown after the built-in metrics
+  quote?: LiveQuote; // Latest streamed quote, flashed when it moves the price
 }
 
-const StockCard: React.FC<StockCardProps> = ({ stock, keyMetricsVisibility, onCardClick, watchlist, onToggleWatchlist }) => {
+const StockCard: React.FC<StockCardProps> = ({ stock, keyMetricsVisibility, onCardClick, watchlist, onToggleWatchlist, heldPosition, compareSymbols, onToggleCompare, customColumns = [], quote }) => {
   const scoreClass = getSimpleScoreColor(stock.simpleScore);
   const priceAndScoreColor = getTextSimpleScoreColor(stock.simpleScore);
 
@@ -24,48 +34,31 @@ const StockCard: React.FC<StockCardProps> = ({ stock, keyMetricsVisibility, onCa
   );
 
   const isWatchlisted = watchlist.includes(stock.symbol);
+  const isCompared = compareSymbols.includes(stock.symbol);
 
   const handleStarClick = (e: React.MouseEvent) => {
     e.stopPropagation(); // Prevent card click when star is clicked
     onToggleWatchlist(stock.symbol);
   };
   
-  const renderStyleTags = (tags?: StyleTag[]) => {
-    if (!tags || tags.length === 0) return null;
-    return (
-      <div className="flex flex-wrap gap-1 mt-1 mb-2">
-        {tags.map(tag => {
-          let bgColor = 'bg-gray-200 dark:bg-gray-700';
-          let textColor = 'text-gray-700 dark:text-gray-200';
-          if (tag === 'highPE') {
-            bgColor = 'bg-orange-100 dark:bg-orange-700';
-            textColor = 'text-orange-700 dark:text-orange-100';
-          } else if (tag === ' profitableTTM') {
-            bgColor = 'bg-green-100 dark:bg-green-700';
-            textColor = 'text-green-700 dark:text-green-100';
-          }
-          return (
-            <span key={tag} className={`text-xs px-1.5 py-0.5 rounded-full ${bgColor} ${textColor}`}>
-              {tag === 'highPE' ? 'High P/E' : tag === ' profitableTTM' ? 'Profitable (TTM)' : tag}
-            </span>
-          );
-        })}
-      </div>
-    );
-  };
 
   return (
     <div className="stock-card" onClick={() => onCardClick(stock)} role="button" tabIndex={0} onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && onCardClick(stock)}>
       <div className="flex justify-between items-start mb-1">
-        <div className="text-xl font-bold text-gray-900">{stock.symbol}</div>
+        <div className="text-xl font-bold text-gray-900">
+          {stock.symbol}
+          <HoldingBadge position={heldPosition} />
+          <DataQualityBadge flags={stock.dataQualityFlags} />
+        </div>
         <div className="flex flex-col items-end">
             {keyMetricsVisibility.price && (
-              <div className={`text-lg font-semibold ${priceAndScoreColor}`}>
-                ${stock.price ? stock.price.toFixed(2) : 'N/A'}
+              <div className={`text-lg font-semibold text-right ${priceAndScoreColor}`}>
+                <PriceFlash quote={quote}>{formatPrice(stock.price, stock.currency)}</PriceFlash>
+                <QuoteStamp stock={stock} quote={quote} />
               </div>
             )}
             {keyMetricsVisibility.simpleScore && 
-                <span className={`mt-1 score-badge flex items-center justify-center rounded-full text-sm ${scoreClass} w-8 h-8`}>{stock.simpleScore ?? 'N/A'}</span>
+                <span className={`mt-1 score-badge flex items-center justify-center rounded-full text-sm ${scoreClass} w-8 h-8`} title={describeScoreBreakdown(stock.scoreBreakdown)}>{stock.simpleScore ?? 'N/A'}</span>
             }
         </div>
       </div>
@@ -84,8 +77,20 @@ const StockCard: React.FC<StockCardProps> = ({ stock, keyMetricsVisibility, onCa
             {isWatchlisted ? '★' : '☆'}
         </button>
       </div>
-      <p className="text-xs text-gray-500 mb-2">{stock.sector}</p>
-      {renderStyleTags(stock.styleTags)}
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs text-gray-500">{stock.sector}</p>
+        <label className="flex items-center text-xs text-gray-500 dark:text-gray-400 cursor-pointer" onClick={(e) => e.stopPropagation()}>
+          <input
+            type="checkbox"
+            className="mr-1"
+            checked={isCompared}
+            disabled={!isCompared && compareSymbols.length >= MAX_COMPARE_STOCKS}
+            onChange={() => onToggleCompare(stock.symbol)}
+          />
+          Compare
+        </label>
+      </div>
+      <StyleTagBadges reasons={stock.styleTagReasons} />
       
       <div className="grid grid-cols-2 gap-3 text-sm pt-2 border-t border-gray-100 dark:border-gray-700">
         {individualMetricsToShow.map(metric => {
@@ -106,6 +111,12 @@ const StockCard: React.FC<StockCardProps> = ({ stock, keyMetricsVisibility, onCa
             </div>
            );
         })}
+        {customColumns.map(metric => (
+          <div key={`custom-${metric.key}`} className="flex flex-col" title={metric.formula}>
+            <span className="text-gray-500 text-xs">{metric.name}</span>
+            <span className="font-medium text-gray-800 text-sm">{formatCustomMetricValue(stock.customMetrics?.[metric.key], metric.format)}</span>
+          </div>
+        ))}
       </div>
     </div>
   );
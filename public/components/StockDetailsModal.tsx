@@ -1,8 +1,10 @@
 
 import React, { useEffect, useRef } from 'react';
 import { StockDetails, TopInstitutionalHolder } from '../types'; // Added TopInstitutionalHolder
-import { formatMarketCap, getTextSimpleScoreColor, getSimpleScoreColor } from '../services/stockService';
+import { formatMarketCap, formatPrice, getTextSimpleScoreColor, getSimpleScoreColor } from '../services/stockService';
 import { CloseIcon } from './icons';
+import ScoreBreakdownBars from './ScoreBreakdownBars';
+import StyleTagBadges from './StyleTagBadges';
 import { Chart, registerables } from 'chart.js'; // Using specific version from CDN, but good practice to import for type safety if using npm.
 
 Chart.register(...registerables); // Register all components for Chart.js
@@ -251,10 +253,11 @@ const StockDetailsModal: React.FC<StockDetailsModalProps> = ({ isOpen, onClose,
   }
 
   let liquidityEstimateDisplay = <DetailItem label="Days to trade $10k (10% ADV)" value="N/A" />;
-  if (stockDetails && stockDetails.avgVolume && stockDetails.price && stockDetails.avgVolume > 0 && stockDetails.price > 0) {
+  const priceUsd = stockDetails ? (stockDetails.priceUsd ?? stockDetails.price) : null; // $10k is in USD
+  if (stockDetails && stockDetails.avgVolume && priceUsd && stockDetails.avgVolume > 0 && priceUsd > 0) {
       const tradeAmount = 10000;
       const maxDailyVolumeShare = 0.10;
-      const dailyTradeableValue = stockDetails.avgVolume * stockDetails.price * maxDailyVolumeShare;
+      const dailyTradeableValue = stockDetails.avgVolume * priceUsd * maxDailyVolumeShare;
       const daysToTrade = dailyTradeableValue > 0 ? (tradeAmount / dailyTradeableValue).toFixed(1) : "N/A";
       liquidityEstimateDisplay = <DetailItem label="Days to trade $10k (10% ADV)" value={`${daysToTrade} days`} />;
   }
@@ -313,7 +316,7 @@ const StockDetailsModal: React.FC<StockDetailsModalProps> = ({ isOpen, onClose,
             {stockDetails.image && <img src={stockDetails.image} alt={`${stockDetails.name} logo`} className="w-12 h-12 sm:w-16 sm:h-16 mb-3 rounded-full object-contain border border-gray-200 dark:border-gray-700" onError={(e) => (e.currentTarget.style.display = 'none')} />}
 
             <div className="grid grid-cols-2 gap-x-4 gap-y-2 mb-4">
-              <DetailItem label="Price" value={stockDetails.price ? `$${stockDetails.price.toFixed(2)}` : 'N/A'} id="detailStockPrice" className={`text-lg font-bold ${priceAndScoreColor}`} />
+              <DetailItem label="Price" value={formatPrice(stockDetails.price, stockDetails.currency)} id="detailStockPrice" className={`text-lg font-bold ${priceAndScoreColor}`} />
               <div className="flex flex-col">
                 <span className="text-sm text-gray-500 dark:text-gray-400">Score</span>
                 <span className={`font-medium text-lg ${priceAndScoreColor} ${scoreBadgeColor} px-2 py-0.5 rounded-md self-start`}>{stockDetails.simpleScore ?? 'N/A'}</span>
@@ -328,11 +331,27 @@ const StockDetailsModal: React.FC<StockDetailsModalProps> = ({ isOpen, onClose,
                     <p className="text-sm text-gray-600 dark:text-gray-400 leading-relaxed max-h-16 overflow-y-auto" id="detailStockDescription">{stockDetails.description || "No description available."}</p>
                 </div>
 
+                <div>
+                    <h4 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Score Breakdown</h4>
+                    <ScoreBreakdownBars breakdown={stockDetails.scoreBreakdown} />
+                </div>
+
+                {stockDetails.styleTagReasons && stockDetails.styleTagReasons.length > 0 && (
+                  <div>
+                      <h4 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Style</h4>
+                      <StyleTagBadges reasons={stockDetails.styleTagReasons} showReasons />
+                  </div>
+                )}
+
                 <div>
                     <h4 className="font-semibold mb-2 text-gray-700 dark:text-gray-300">Key Financials</h4>
                     <div className="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-3 text-sm">
                       {[
                         { label: "Market Cap", value: formatMarketCap(stockDetails.marketCap), id: "detailMarketCap" },
+                        ...(stockDetails.currency && stockDetails.currency !== 'USD'
+                          ? [{ label: "Market Cap (USD)", value: formatMarketCap(stockDetails.marketCapUsd ?? undefined) }]
+                          : []),
+                        { label: "Listing", value: [stockDetails.exchange, stockDetails.country, stockDetails.currency].filter(Boolean).join(' · ') || "N/A" },
                         { label: "P/E Ratio (TTM)", value: stockDetails.peRatioTTM?.toFixed(2) ?? "N/A", id: "detailPERatio" },
                         { label: "Div Yield", value: stockDetails.dividendYield, id: "detailDividendYield" },
                         { label: "52W High", value: stockDetails['52WeekHigh'], id: "detail52WeekHigh" },
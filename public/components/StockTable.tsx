@@ -1,8 +1,13 @@
 
 import React from 'react';
-import { Stock, KeyMetricVisibility, StyleTag, DisplayMetricConfig } from '../types';
-import { DISPLAY_METRICS_CONFIG } from '../constants';
-import { getTextSimpleScoreColor } from '../services/stockService';
+import { Stock, KeyMetricVisibility, DisplayMetricConfig, PortfolioPosition, CustomMetric, LiveQuote } from '../types';
+import { DISPLAY_METRICS_CONFIG, MAX_COMPARE_STOCKS } from '../constants';
+import { getTextSimpleScoreColor, formatCustomMetricValue, formatPrice } from '../services/stockService';
+import HoldingBadge from './HoldingBadge';
+import DataQualityBadge from './DataQualityBadge';
+import StyleTagBadges from './StyleTagBadges';
+import PriceFlash from './PriceFlash';
+import QuoteStamp from './QuoteStamp';
 
 interface StockTableProps {
   stocks: Stock[];
@@ -10,14 +15,23 @@ interface StockTableProps {
   onRowClick: (stock: Stock) => void;
   watchlist: string[];
   onToggleWatchlist: (symbol: string) => void;
+  heldPositions?: Record<string, PortfolioPosition>; // Selected portfolio's positions, by symbol
+  compareSymbols: string[];
+  onToggleCompare: (symbol: string) => void;
+  customColumns?: CustomMetric[]; // Custom metrics shown after the built-in columns
+  liveQuotes?: Record<string, LiveQuote>; // Streamed quotes by symbol, flashed in the price cell
 }
 
-const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, onRowClick, watchlist, onToggleWatchlist }) => {
+const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, onRowClick, watchlist, onToggleWatchlist, heldPositions = {}, compareSymbols, onToggleCompare, customColumns = [], liveQuotes = {} }) => {
   const headersFromConfig = DISPLAY_METRICS_CONFIG.filter(
     dm => dm.type === 'individual' && (dm.alwaysVisible || keyMetricsVisibility[dm.id as keyof KeyMetricVisibility])
   );
   
-  const tableHeaders = [{id: 'watchlistStar', label:'★', alwaysVisible: true, type: 'custom'} as const, ...headersFromConfig];
+  const tableHeaders = [
+    {id: 'compareSelect', label: 'Cmp', alwaysVisible: true, type: 'custom'} as const,
+    {id: 'watchlistStar', label:'★', alwaysVisible: true, type: 'custom'} as const,
+    ...headersFromConfig
+  ];
 
 
   if (stocks.length === 0) {
@@ -37,10 +51,15 @@ const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, o
         <thead>
           <tr>
             {tableHeaders.map(header => (
-              <th key={header.id} className={`py-3 px-2 text-left text-xs font-semibold uppercase tracking-wider ${header.id === 'watchlistStar' ? 'w-10 text-center' : ''}`}>
+              <th key={header.id} className={`py-3 px-2 text-left text-xs font-semibold uppercase tracking-wider ${header.id === 'watchlistStar' || header.id === 'compareSelect' ? 'w-10 text-center' : ''}`}>
                 {header.label}
               </th>
             ))}
+            {customColumns.map(metric => (
+              <th key={`custom-${metric.key}`} className="py-3 px-2 text-left text-xs font-semibold uppercase tracking-wider" title={metric.formula}>
+                {metric.name}
+              </th>
+            ))}
           </tr>
         </thead>
         <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
@@ -61,6 +80,21 @@ const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, o
                 onKeyDown={(e) => (e.key === 'Enter' || e.key === ' ') && onRowClick(stock)}
             >
               {tableHeaders.map(currentHeader => {
+                if (currentHeader.id === 'compareSelect') {
+                    const isCompared = compareSymbols.includes(stock.symbol);
+                    return (
+                        <td key={`${stock.id}-compare`} className="py-2 px-2 text-center" onClick={(e) => e.stopPropagation()}>
+                            <input
+                                type="checkbox"
+                                checked={isCompared}
+                                disabled={!isCompared && compareSymbols.length >= MAX_COMPARE_STOCKS}
+                                onChange={() => onToggleCompare(stock.symbol)}
+                                aria-label={`Compare ${stock.symbol}`}
+                                title={isCompared ? "Remove from comparison" : `Add to comparison (up to ${MAX_COMPARE_STOCKS})`}
+                            />
+                        </td>
+                    );
+                }
                 if (currentHeader.id === 'watchlistStar') {
                     return (
                         <td key={`${stock.id}-star`} className="py-2 px-2 text-center">
@@ -83,7 +117,9 @@ const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, o
                 const headerConfig = currentHeader as DisplayMetricConfig;
                 const dataKey = headerConfig.dataKey!; 
                 const rawValue = stock[dataKey];
-                let cellContent = headerConfig.formatter ? headerConfig.formatter(rawValue) : (rawValue ?? "N/A");
+                let cellContent = headerConfig.id === 'price'
+                  ? formatPrice(stock.price, stock.currency) // In the listing's own currency
+                  : headerConfig.formatter ? headerConfig.formatter(rawValue) : (rawValue ?? "N/A");
                 
                 let cellClass = "py-2 px-2 text-sm";
                 if (headerConfig.id === 'symbol') cellClass += " font-semibold";
@@ -98,20 +134,23 @@ const StockTable: React.FC<StockTableProps> = ({ stocks, keyMetricsVisibility, o
                     cellClass += ` ${getPeColorClass(stock.peRatioTTM)}`;
                 }
                 
-                let nameSuffix = '';
-                if (headerConfig.id === 'name' && stock.styleTags?.includes('highPE')) {
-                    nameSuffix = ` <span class="ml-1 text-xs bg-orange-100 text-orange-700 px-1 rounded-full dark:bg-orange-700 dark:text-orange-100">High P/E</span>`;
-                }
-                if (headerConfig.id === 'name' && stock.styleTags?.includes(' profitableTTM')) {
-                     nameSuffix += ` <span class="ml-1 text-xs bg-green-100 text-green-700 px-1 rounded-full dark:bg-green-700 dark:text-green-100">Profitable</span>`;
-                }
-
                 return (
                   <td key={`${stock.id}-${headerConfig.id}`} className={cellClass}>
-                    <span dangerouslySetInnerHTML={{ __html: `${cellContent}${nameSuffix}` }} />
+                    {headerConfig.id === 'price'
+                      ? <PriceFlash quote={liveQuotes[stock.symbol]}><span dangerouslySetInnerHTML={{ __html: cellContent }} /></PriceFlash>
+                      : <span dangerouslySetInnerHTML={{ __html: cellContent }} />}
+                    {headerConfig.id === 'name' && <StyleTagBadges reasons={stock.styleTagReasons} />}
+                    {headerConfig.id === 'symbol' && <HoldingBadge position={heldPositions[stock.symbol]} />}
+                    {headerConfig.id === 'symbol' && <DataQualityBadge flags={stock.dataQualityFlags} />}
+                    {headerConfig.id === 'symbol' && <QuoteStamp stock={stock} quote={liveQuotes[stock.symbol]} />}
                   </td>
                 );
               })}
+              {customColumns.map(metric => (
+                <td key={`${stock.id}-custom-${metric.key}`} className="py-2 px-2 text-sm">
+                  {formatCustomMetricValue(stock.customMetrics?.[metric.key], metric.format)}
+                </td>
+              ))}
             </tr>
           )})}
         </tbody>
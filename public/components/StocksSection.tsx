@@ -1,11 +1,14 @@
 
 import React from 'react';
-import { Stock, KeyMetricVisibility, ActiveFilters } from '../types';
+import { Stock, KeyMetricVisibility, ActiveFilters, StockSort, ExportFormat, PortfolioPosition, CustomMetric, LiveQuote, QuoteStreamStatus } from '../types';
+import { STOCK_SORT_OPTIONS, MIN_COMPARE_STOCKS, MAX_COMPARE_STOCKS } from '../constants';
 import StockCard from './StockCard';
 import StockTable from './StockTable';
 import StockSearch from './StockSearch';
 import ActiveFiltersDisplay from './ActiveFiltersDisplay';
 import LoadingIndicator from './LoadingIndicator';
+import ExportButtons from './ExportButtons';
+import { customMetricField } from '../services/stockService';
 
 interface StocksSectionProps {
   stocksToDisplay: Stock[];
@@ -16,11 +19,24 @@ interface StocksSectionProps {
   isLoadingMore: boolean;
   searchTerm: string;
   onSearchTermChange: (term: string) => void;
+  searchInterpretation?: string[]; // Filters the server recognized in the search phrase
   activeFilters: ActiveFilters;
   onRemoveFilter: (group: string) => void;
   hasMoreStocksToLoad: boolean;
   watchlist: string[]; // New
   onToggleWatchlist: (symbol: string) => void; // New
+  sort: StockSort;
+  onSortChange: (sort: StockSort) => void;
+  onExport: (format: ExportFormat) => Promise<void>;
+  heldPositions?: Record<string, PortfolioPosition>; // Overlay of the selected portfolio's holdings
+  compareSymbols: string[]; // Stocks selected for the comparison view
+  onToggleCompare: (symbol: string) => void;
+  onOpenComparison: () => void;
+  onClearComparison: () => void;
+  customMetrics?: CustomMetric[]; // Every custom metric can be sorted on
+  customColumns?: CustomMetric[]; // Custom metrics shown in the cards and table
+  liveQuotes?: Record<string, LiveQuote>; // Streamed intraday quotes, by symbol
+  quoteStatus?: QuoteStreamStatus | null; // Whether quotes are currently refreshing
 }
 
 const StocksSection: React.FC<StocksSectionProps> = ({
@@ -32,11 +48,24 @@ const StocksSection: React.FC<StocksSectionProps> = ({
   isLoadingMore,
   searchTerm,
   onSearchTermChange,
+  searchInterpretation = [],
   activeFilters,
   onRemoveFilter,
   hasMoreStocksToLoad,
   watchlist,
-  onToggleWatchlist
+  onToggleWatchlist,
+  sort,
+  onSortChange,
+  onExport,
+  heldPositions = {},
+  compareSymbols,
+  onToggleCompare,
+  onOpenComparison,
+  onClearComparison,
+  customMetrics = [],
+  customColumns = [],
+  liveQuotes = {},
+  quoteStatus = null
 }) => {
   const commonButtonStyles = "px-4 py-2 rounded-md text-sm font-medium shadow-sm focus:outline-none focus:ring-2 focus:ring-offset-1";
   const activeButtonStyles = "bg-blue-600 text-white hover:bg-blue-700";
@@ -47,7 +76,19 @@ const StocksSection: React.FC<StocksSectionProps> = ({
   return (
     <section className="bg-white main-content-section p-4 sm:p-6 rounded-lg shadow-md">
       <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-4 stocks-header-mobile-layout">
-        <h3 className="text-lg font-medium mb-2 sm:mb-0">Stocks</h3>
+        <h3 className="text-lg font-medium mb-2 sm:mb-0">
+          Stocks
+          {quoteStatus && (
+            <span
+              className={`ml-2 text-xs font-normal ${quoteStatus.marketOpen ? 'text-green-600 dark:text-green-400' : 'text-gray-500 dark:text-gray-400'}`}
+              title={quoteStatus.marketOpen
+                ? `Prices refresh every ${quoteStatus.intervalSeconds}s while the market is open`
+                : `Prices refresh during market hours (9:30–16:00 ${quoteStatus.timeZone})`}
+            >
+              {quoteStatus.marketOpen ? '● Live' : '○ Market closed'}
+            </span>
+          )}
+        </h3>
         <div className="flex space-x-2 self-center sm:self-auto">
           <button 
             onClick={() => onSetView('card')}
@@ -68,9 +109,59 @@ const StocksSection: React.FC<StocksSectionProps> = ({
 
       <div className="mb-6">
         <StockSearch searchTerm={searchTerm} onSearchTermChange={onSearchTermChange} />
+        {searchInterpretation.length > 0 && (
+          <p className="mt-2 text-xs text-gray-600 dark:text-gray-400">
+            Interpreted as: {searchInterpretation.join(' · ')}
+          </p>
+        )}
         <ActiveFiltersDisplay activeFilters={activeFilters} onRemoveFilter={onRemoveFilter} />
       </div>
 
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+        <div className="flex items-center space-x-2">
+          <label htmlFor="stock-sort" className="text-xs text-gray-600 dark:text-gray-400">Sort by</label>
+          <select
+            id="stock-sort"
+            value={sort.field}
+            onChange={(e) => onSortChange({ ...sort, field: e.target.value })}
+            className="text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-2 py-1"
+          >
+            {STOCK_SORT_OPTIONS.map(option => (
+              <option key={option.field} value={option.field}>{option.label}</option>
+            ))}
+            {customMetrics.map(metric => (
+              <option key={metric.key} value={customMetricField(metric.key)}>{metric.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => onSortChange({ ...sort, order: sort.order === 'asc' ? 'desc' : 'asc' })}
+            className="px-2 py-1 rounded-md text-sm bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+            title={sort.order === 'asc' ? 'Ascending' : 'Descending'}
+            aria-label={`Sort order: ${sort.order === 'asc' ? 'ascending' : 'descending'}`}
+          >
+            {sort.order === 'asc' ? '↑' : '↓'}
+          </button>
+        </div>
+        <ExportButtons onExport={onExport} disabled={stocksToDisplay.length === 0} />
+      </div>
+
+      {compareSymbols.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-4 p-2 rounded-md bg-blue-50 dark:bg-gray-700 text-sm">
+          <span className="text-gray-700 dark:text-gray-300">
+            Comparing {compareSymbols.join(', ')} ({compareSymbols.length}/{MAX_COMPARE_STOCKS})
+          </span>
+          <button
+            onClick={onOpenComparison}
+            disabled={compareSymbols.length < MIN_COMPARE_STOCKS}
+            className="px-3 py-1 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            title={compareSymbols.length < MIN_COMPARE_STOCKS ? `Select at least ${MIN_COMPARE_STOCKS} stocks` : 'Open the comparison view'}
+          >
+            Compare
+          </button>
+          <button onClick={onClearComparison} className="text-xs text-gray-600 dark:text-gray-400 hover:underline">Clear</button>
+        </div>
+      )}
+
       {currentView === 'card' ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {stocksToDisplay.map(stock => (
@@ -81,6 +172,11 @@ const StocksSection: React.FC<StocksSectionProps> = ({
                 onCardClick={onStockClick}
                 watchlist={watchlist}
                 onToggleWatchlist={onToggleWatchlist}
+                heldPosition={heldPositions[stock.symbol]}
+                compareSymbols={compareSymbols}
+                onToggleCompare={onToggleCompare}
+                customColumns={customColumns}
+                quote={liveQuotes[stock.symbol]}
             />
           ))}
           {noStocksMatchFilters && (
@@ -97,6 +193,11 @@ const StocksSection: React.FC<StocksSectionProps> = ({
             onRowClick={onStockClick}
             watchlist={watchlist}
             onToggleWatchlist={onToggleWatchlist}
+            heldPositions={heldPositions}
+            compareSymbols={compareSymbols}
+            onToggleCompare={onToggleCompare}
+            customColumns={customColumns}
+            liveQuotes={liveQuotes}
           />
           {noStocksMatchFilters && (
              <p className="col-span-full text-center py-8 text-gray-600 dark:text-gray-400">
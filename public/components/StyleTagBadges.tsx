@@ -0,0 +1,41 @@
+import React from 'react';
+import { StyleTagReason } from '../types';
+
+interface StyleTagBadgesProps {
+  reasons?: StyleTagReason[];
+  showReasons?: boolean; // List the conditions under each tag instead of only in the tooltip
+}
+
+// Style tags assigned by the importer's rules; each tag's tooltip lists the conditions that held
+const StyleTagBadges: React.FC<StyleTagBadgesProps> = ({ reasons, showReasons = false }) => {
+  if (!reasons || reasons.length === 0) return null;
+
+  if (showReasons) {
+    return (
+      <ul className="space-y-1 text-sm">
+        {reasons.map(reason => (
+          <li key={reason.tag}>
+            <span className="font-medium text-gray-700 dark:text-gray-300">{reason.label}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400"> — {reason.reasons.join('; ')}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1 mb-2">
+      {reasons.map(reason => (
+        <span
+          key={reason.tag}
+          className="text-xs px-1.5 py-0.5 rounded-full whitespace-nowrap bg-indigo-100 text-indigo-700 dark:bg-indigo-700 dark:text-indigo-100"
+          title={reason.reasons.join('\n')}
+        >
+          {reason.label}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default StyleTagBadges;
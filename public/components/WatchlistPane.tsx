@@ -1,8 +1,11 @@
 
-import React from 'react';
-import { Stock } from '../types';
+import React, { useState } from 'react';
+import { Stock, ExportFormat, Portfolio } from '../types';
 import { CloseIcon } from './icons';
-import { getSimpleScoreColor } from '../services/stockService';
+import { getSimpleScoreColor, parseHoldingsCsv, formatPrice, FMPApiError } from '../services/stockService';
+import ExportButtons from './ExportButtons';
+import PortfolioPanel from './PortfolioPanel';
+import AlertsPanel from './AlertsPanel';
 
 interface WatchlistPaneProps {
   isOpen: boolean;
@@ -11,6 +14,12 @@ interface WatchlistPaneProps {
   allStocks: Stock[];
   onStockClick: (stock: Stock) => void;
   onToggleWatchlist: (symbol: string) => void;
+  onExport: (format: ExportFormat) => Promise<void>;
+  onImportSymbols: (symbols: string[]) => number; // Returns how many were new
+  portfolio: Portfolio | null;
+  onPortfolioChange: (portfolio: Portfolio | null) => void;
+  onSymbolClick: (symbol: string) => void;
+  signedIn: boolean; // Portfolios and alerts are kept per account
 }
 
 const WatchlistPane: React.FC<WatchlistPaneProps> = ({ 
@@ -19,10 +28,51 @@ const WatchlistPane: React.FC<WatchlistPaneProps> = ({
     watchlistSymbols, 
     allStocks, 
     onStockClick, 
-    onToggleWatchlist 
+    onToggleWatchlist,
+    onExport,
+    onImportSymbols,
+    portfolio,
+    onPortfolioChange,
+    onSymbolClick,
+    signedIn
 }) => {
+  const [activeTab, setActiveTab] = useState<'watchlist' | 'portfolio' | 'alerts'>('watchlist');
+  const [isImportOpen, setIsImportOpen] = useState<boolean>(false);
+  const [importText, setImportText] = useState<string>('');
+  const [importMessage, setImportMessage] = useState<string | null>(null);
+  const [isImporting, setIsImporting] = useState<boolean>(false);
+
   if (!isOpen) return null;
 
+  // Bulk import: pasted tickers, a watchlist export or a broker positions CSV
+  const importSymbols = async (csv: string) => {
+    setIsImporting(true);
+    setImportMessage(null);
+    try {
+      const { symbols, skipped } = await parseHoldingsCsv(csv);
+      const added = onImportSymbols(symbols);
+      setImportMessage(`Added ${added} of ${symbols.length} symbol(s)${skipped.length > 0 ? `, skipped ${skipped.length} row(s)` : ''}.`);
+      setImportText('');
+    } catch (err: any) {
+      setImportMessage(err instanceof FMPApiError ? err.message : 'Import failed.');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleImportFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) importSymbols(await file.text());
+  };
+
+  const tabStyles = (tab: 'watchlist' | 'portfolio' | 'alerts') => `px-3 py-1 text-sm font-medium rounded-md ${
+    activeTab === tab
+      ? 'bg-blue-600 text-white'
+      : 'bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500'
+  }`;
+  const smallButtonStyles = "px-2 py-1 rounded-md text-xs font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500 disabled:opacity-50";
+
   const watchlistStocks = watchlistSymbols.map(symbol => 
     allStocks.find(stock => stock.symbol === symbol)
   ).filter(stock => stock !== undefined) as Stock[];
@@ -35,11 +85,11 @@ const WatchlistPane: React.FC<WatchlistPaneProps> = ({
         role="dialog"
     >
       <div 
-        className="fixed top-0 right-0 h-full w-full max-w-sm bg-white dark:bg-gray-800 shadow-xl p-4 transform transition-transform duration-300 ease-in-out"
+        className="fixed top-0 right-0 h-full w-full max-w-md bg-white dark:bg-gray-800 shadow-xl p-4 transform transition-transform duration-300 ease-in-out"
         onClick={(e) => e.stopPropagation()}
       >
         <div className="flex justify-between items-center mb-4 pb-2 border-b border-gray-200 dark:border-gray-700">
-          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">★ My Watchlist</h3>
+          <h3 className="text-lg font-semibold text-gray-800 dark:text-gray-100">{activeTab === 'portfolio' ? '💼 My Portfolio' : activeTab === 'alerts' ? '🔔 Alerts' : '★ My Watchlist'}</h3>
           <button 
             onClick={onClose} 
             className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 focus:outline-none"
@@ -49,6 +99,51 @@ const WatchlistPane: React.FC<WatchlistPaneProps> = ({
           </button>
         </div>
 
+        <div className="flex space-x-2 mb-3" role="tablist">
+          <button className={tabStyles('watchlist')} onClick={() => setActiveTab('watchlist')} role="tab" aria-selected={activeTab === 'watchlist'}>Watchlist</button>
+          <button className={tabStyles('portfolio')} onClick={() => setActiveTab('portfolio')} role="tab" aria-selected={activeTab === 'portfolio'}>Portfolio</button>
+          <button className={tabStyles('alerts')} onClick={() => setActiveTab('alerts')} role="tab" aria-selected={activeTab === 'alerts'}>Alerts</button>
+        </div>
+
+        {activeTab !== 'watchlist' && !signedIn ? (
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Sign in (👤 in the header) to keep {activeTab === 'portfolio' ? 'portfolios' : 'price alerts'}; they are private to your account.
+          </p>
+        ) : activeTab === 'portfolio' ? (
+          <div className="overflow-y-auto max-h-[calc(100vh-140px)] pr-1">
+            <PortfolioPanel portfolio={portfolio} onPortfolioChange={onPortfolioChange} onSymbolClick={(symbol) => { onSymbolClick(symbol); onClose(); }} />
+          </div>
+        ) : activeTab === 'alerts' ? (
+          <div className="overflow-y-auto max-h-[calc(100vh-140px)] pr-1">
+            <AlertsPanel watchlistSymbols={watchlistSymbols} onSymbolClick={(symbol) => { onSymbolClick(symbol); onClose(); }} />
+          </div>
+        ) : (
+        <>
+        <div className="mb-3 flex items-start justify-between">
+          <button className={smallButtonStyles} onClick={() => setIsImportOpen(prev => !prev)} aria-expanded={isImportOpen}>Import…</button>
+          <ExportButtons onExport={onExport} disabled={watchlistSymbols.length === 0} />
+        </div>
+
+        {isImportOpen && (
+          <div className="mb-3 space-y-2 text-sm">
+            <textarea
+              className="w-full p-1 text-sm border border-gray-300 rounded-md dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200"
+              rows={3}
+              placeholder="Paste tickers (AAPL MSFT …) or CSV with a Symbol column"
+              value={importText}
+              onChange={e => setImportText(e.target.value)}
+            />
+            <div className="flex items-center space-x-2">
+              <button className={smallButtonStyles} onClick={() => importSymbols(importText)} disabled={isImporting || !importText.trim()}>Add</button>
+              <label className={`${smallButtonStyles} cursor-pointer ${isImporting ? 'opacity-50 pointer-events-none' : ''}`}>
+                Upload CSV…
+                <input type="file" accept=".csv,text/csv,text/plain" className="hidden" onChange={handleImportFile} />
+              </label>
+            </div>
+            {importMessage && <p className="text-xs text-gray-600 dark:text-gray-400">{importMessage}</p>}
+          </div>
+        )}
+
         {watchlistStocks.length === 0 && (
           <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-10">Your watchlist is empty. Star stocks to add them here.</p>
         )}
@@ -65,7 +160,7 @@ const WatchlistPane: React.FC<WatchlistPaneProps> = ({
                 <p className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-[150px]">{stock.name}</p>
               </div>
               <div className="flex items-center space-x-2">
-                 {stock.price && <span className="text-sm font-semibold text-gray-700 dark:text-gray-300">${stock.price.toFixed(2)}</span>}
+                 {stock.price && <span className="text-sm font-semibold text-gray-700 dark:text-gray-300">{formatPrice(stock.price, stock.currency)}</span>}
                  {stock.simpleScore !== undefined && (
                     <span className={`text-xs px-1.5 py-0.5 rounded-full ${getSimpleScoreColor(stock.simpleScore)}`}>{stock.simpleScore}</span>
                  )}
@@ -80,6 +175,8 @@ const WatchlistPane: React.FC<WatchlistPaneProps> = ({
             </li>
           ))}
         </ul>
+        </>
+        )}
       </div>
     </div>
   );
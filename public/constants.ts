@@ -1,4 +1,5 @@
-import { KeyMetricVisibility, DisplayMetricConfig, FilterGroupDef, Preset } from './types';
+import { KeyMetricVisibility, DisplayMetricConfig, FilterGroupDef, FilterOption, Preset, PresetQuestion, StockSort, ExportFormat, CustomMetricFormat, MetricBucket, RangeCondition, StockMetricsDescription } from './types';
+import stockMetricsJson from './generated/stockMetrics.json';
 
 export const STOCKS_PER_PAGE = 15;
 export const INITIAL_STOCK_LOAD_COUNT = 1000; // Increased from 250
@@ -16,6 +17,7 @@ export const INITIAL_KEY_METRICS_VISIBILITY: KeyMetricVisibility = {
   fcfNiIndividual: true,
   rotceIndividual: true, // ROE proxy
   peRatioIndividual: true, // P/E Ratio
+  peVsIndustryIndividual: true,
 };
 
 export const DISPLAY_METRICS_CONFIG: DisplayMetricConfig[] = [
@@ -35,10 +37,163 @@ export const DISPLAY_METRICS_CONFIG: DisplayMetricConfig[] = [
   { id: 'fcfNiIndividual', label: 'FCF/Share', type: 'individual', dataKey: 'freeCashFlowPerShareTTM', alwaysVisible: false, formatter: (val) => val ? `$${Number(val).toFixed(2)}` : 'N/A' },
   { id: 'rotceIndividual', label: 'ROE', type: 'individual', dataKey: 'returnOnEquityTTM', alwaysVisible: false, formatter: (val) => val ? `${(Number(val) * 100).toFixed(1)}%` : 'N/A' },
   { id: 'peRatioIndividual', label: 'P/E Ratio', type: 'individual', dataKey: 'priceEarningsRatioTTM', alwaysVisible: false, formatter: (val) => val ? `${Number(val).toFixed(1)}x` : 'N/A' },
+  { id: 'peVsIndustryIndividual', label: 'P/E vs Industry', type: 'individual', dataKey: 'peVsIndustryMedian', alwaysVisible: false, formatter: (val) => val ? `${Number(val).toFixed(2)}x median` : 'N/A' },
 ];
 
+// Comparison view: how many stocks can be compared side by side, and one chart color per stock
+export const MIN_COMPARE_STOCKS = 2;
+export const MAX_COMPARE_STOCKS = 6;
+export const MAX_QUOTE_STREAM_SYMBOLS = 250; // Server limit per quote stream (liveQuotes.js)
+export const COMPARE_COLORS = ['#3B82F6', '#F59E0B', '#10B981', '#EF4444', '#8B5CF6', '#EC4899'];
+
+// Which end of a metric is better, for best/worst highlighting in the comparison view. `positiveOnly`
+// ranks non-positive values (e.g. a negative P/E) as worst.
+export const METRIC_PREFERENCES: { [dataKey: string]: { better: 'higher' | 'lower'; positiveOnly?: boolean } } = {
+  simpleScore: { better: 'higher' },
+  debtEquityRatioTTM: { better: 'lower' },
+  enterpriseValueOverEBITDATTM: { better: 'lower', positiveOnly: true },
+  freeCashFlowPerShareTTM: { better: 'higher' },
+  returnOnEquityTTM: { better: 'higher' },
+  priceEarningsRatioTTM: { better: 'lower', positiveOnly: true },
+  peVsIndustryMedian: { better: 'lower', positiveOnly: true },
+  marketCap: { better: 'higher' },
+  dividendYieldPercent: { better: 'higher' },
+  institutionalOwnershipPercentage: { better: 'higher' },
+};
+
+// Sort choices for the stock list (stock schema fields); exports use the same order
+export const DEFAULT_STOCK_SORT: StockSort = { field: 'marketCapUsd', order: 'desc' };
+export const STOCK_SORT_OPTIONS: { field: string; label: string }[] = [
+  { field: 'marketCapUsd', label: 'Market Cap (USD)' },
+  { field: 'simpleScore', label: 'Score' },
+  { field: 'price', label: 'Price' },
+  { field: 'priceEarningsRatioTTM', label: 'P/E Ratio' },
+  { field: 'returnOnEquityTTM', label: 'ROE' },
+  { field: 'debtEquityRatioTTM', label: 'Debt/Equity' },
+  { field: 'enterpriseValueOverEBITDATTM', label: 'EV/EBITDA' },
+  { field: 'freeCashFlowPerShareTTM', label: 'FCF/Share' },
+  { field: 'peVsIndustryMedian', label: 'P/E vs Industry Median' },
+  { field: 'peVsSectorMedian', label: 'P/E vs Sector Median' },
+  { field: 'evEbitdaVsIndustryMedian', label: 'EV/EBITDA vs Industry Median' },
+  { field: 'roeVsIndustryMedian', label: 'ROE vs Industry Median' },
+  { field: 'avgVolume', label: 'Avg. Volume' },
+  { field: 'avgDollarVolumeUsd', label: 'Avg. Dollar Volume' },
+  { field: 'companyName', label: 'Name' },
+  { field: 'symbol', label: 'Symbol' },
+];
+
+// Fields offered for numeric range filters in the preset editor (`range:<field>` filter keys).
+// Ratios are stored as fractions: ROE 0.15 is 15%.
+export const RANGE_FILTER_FIELDS: { field: string; label: string }[] = [
+  { field: 'priceEarningsRatioTTM', label: 'P/E (TTM)' },
+  { field: 'enterpriseValueOverEBITDATTM', label: 'EV/EBITDA (TTM)' },
+  { field: 'priceToNCAV', label: 'Price/NCAV' },
+  { field: 'returnOnEquityTTM', label: 'ROE (TTM)' },
+  { field: 'debtEquityRatioTTM', label: 'Debt/Equity (TTM)' },
+  { field: 'debtToEbitdaTTM', label: 'Debt/EBITDA (TTM)' },
+  { field: 'shareCountCagr', label: 'Share count CAGR' },
+  { field: 'insiderOwnership', label: 'Insider ownership' },
+  { field: 'priceRangePosition', label: 'Position in 52-week range' },
+  { field: 'simpleScore', label: 'Score' },
+  { field: 'marketCapUsd', label: 'Market cap (USD)' },
+  { field: 'marketCap', label: 'Market cap (trading currency)' },
+  { field: 'avgVolume', label: 'Avg. volume' },
+  { field: 'avgDollarVolumeUsd', label: 'Avg. dollar volume (USD)' },
+  { field: 'price', label: 'Price (trading currency)' },
+  { field: 'priceUsd', label: 'Price (USD)' },
+];
+
+export const EXPORT_FORMATS: { format: ExportFormat; label: string }[] = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'json', label: 'JSON' },
+];
+
+// Display formats for user-defined metrics (see formatCustomMetricValue)
+export const CUSTOM_METRIC_FORMATS: { format: CustomMetricFormat; label: string }[] = [
+  { format: 'number', label: 'Number (1.23)' },
+  { format: 'percent', label: 'Percent (0.05 → 5.0%)' },
+  { format: 'multiple', label: 'Multiple (1.23x)' },
+  { format: 'currency', label: 'Currency ($1.23)' },
+];
+
+// Scoring profile shown in the UI and labels for its factors (see scoringEngine.js on the server)
+export const DEFAULT_SCORE_PROFILE = 'balanced';
+export const SCORE_FACTOR_LABELS: { [factorId: string]: string } = {
+  value: 'Value',
+  quality: 'Quality',
+  leverage: 'Leverage',
+  cashConversion: 'Cash Conversion',
+  liquidity: 'Liquidity',
+};
+
 export const STOCK_DATA_BASE = [ /* Fallback data, not primary */ ];
 
+// Range filter options for a category generated from the backend's stockModel.js (npm run generate:metrics),
+// so the sidebar's thresholds always match the stored buckets
+const STOCK_METRICS = stockMetricsJson as StockMetricsDescription;
+
+interface Bound { value: number; inclusive: boolean }
+interface Interval { lower?: Bound; upper?: Bound }
+
+const bucketInterval = ({ gt, gte, lt, lte }: MetricBucket): Interval => ({
+  lower: gte !== undefined ? { value: gte, inclusive: true } : gt !== undefined ? { value: gt, inclusive: false } : undefined,
+  upper: lte !== undefined ? { value: lte, inclusive: true } : lt !== undefined ? { value: lt, inclusive: false } : undefined
+});
+
+// Values a one-sided bucket does not match; the two-sided ones do not overlap the buckets after them
+const outsideBucket = (bucket: MetricBucket): Interval => {
+  const { lower, upper } = bucketInterval(bucket);
+  if (lower && upper) return {};
+  if (lower) return { upper: { value: lower.value, inclusive: !lower.inclusive } };
+  return upper ? { lower: { value: upper.value, inclusive: !upper.inclusive } } : {};
+};
+
+// The tighter bound of each side; on a tie the exclusive one
+const tighter = (a: Bound | undefined, b: Bound | undefined, direction: 1 | -1): Bound | undefined => {
+  if (!a || !b) return a || b;
+  if (a.value !== b.value) return (a.value - b.value) * direction > 0 ? a : b;
+  return a.inclusive ? b : a;
+};
+
+const intersect = (a: Interval, b: Interval): Interval =>
+  ({ lower: tighter(a.lower, b.lower, 1), upper: tighter(a.upper, b.upper, -1) });
+
+// Buckets are checked in order like categorize(), so an option excludes the buckets before it, and the
+// category's `otherwise` value is everything the buckets leave out. `labels` lists the options in display
+// order; each label gets its bounds, e.g. "Small Cap ($300M-$2B)".
+const categoryRangeOptions = (
+  category: string, labels: Record<string, string>, formatBound: (value: number) => string = String, suffix = ''
+): FilterOption[] => {
+  const { source, buckets, otherwise } = STOCK_METRICS.categories[category];
+  // Derived inputs such as roePercent are a scaled stock field; the range query needs the field itself
+  const derived = STOCK_METRICS.derivedInputs[source];
+  const field = derived && derived.field ? derived.field : source;
+  const scale = derived && derived.field ? derived.scale || 1 : 1;
+
+  return Object.entries(labels).map(([value, label]) => {
+    const index = buckets.findIndex(bucket => bucket.value === value);
+    if (index === -1 && value !== otherwise) {
+      throw new Error(`${category} has no "${value}" bucket; run npm run generate:metrics`);
+    }
+    const earlier = index === -1 ? buckets : buckets.slice(0, index);
+    const { lower, upper } = earlier.map(outsideBucket).reduce(intersect, index === -1 ? {} : bucketInterval(buckets[index]));
+    const range: RangeCondition = { field };
+    if (lower) range[lower.inclusive ? 'min' : 'gt'] = lower.value / scale;
+    if (upper) range[upper.inclusive ? 'max' : 'lt'] = upper.value / scale;
+    // "> 0" only rules out missing and negative values; it is left out of the label
+    const shownLower = lower && !(lower.value === 0 && !lower.inclusive && upper) ? lower : undefined;
+    const bounds = shownLower && upper
+      ? `${formatBound(shownLower.value)}-${formatBound(upper.value)}`
+      : shownLower ? `> ${formatBound(shownLower.value)}` : `< ${formatBound(upper!.value)}`;
+    return { value, label: `${label} (${bounds}${suffix})`, range };
+  });
+};
+
+// 50000000 -> '50M', 2000000000 -> '2B', 100000 -> '100k'
+const compactNumber = (value: number): string =>
+  value >= 1e9 ? `${value / 1e9}B` : value >= 1e6 ? `${value / 1e6}M` : value >= 1e3 ? `${value / 1e3}k` : String(value);
+
 export const FILTER_GROUPS: FilterGroupDef[] = [
   {
     id: 'companySizeAndLiquidity', title: 'Company Size & Liquidity', emoji: '🏢',
@@ -46,23 +201,16 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
       { 
         id: 'marketCap', 
         title: 'Market Cap', 
-        tooltip: "Market capitalization. Median 30-day dollar volume can be seen in stock details.", 
-        options: [
-          {value: 'nano', label: 'Nano Cap (< $50M)'},
-          {value: 'micro', label: 'Micro Cap ($50M-$300M)'}, 
-          {value: 'small', label: 'Small Cap ($300M-$2B)'}, 
-          {value: 'midLarge', label: 'Mid/Large Cap (> $2B)'} // Combined Mid/Large
-        ]
+        tooltip: "Market capitalization in USD, converted at the importer's stored FX rates for listings in other currencies. Median 30-day dollar volume can be seen in stock details.", 
+        options: categoryRangeOptions('marketCapCategory', {
+          nano: 'Nano Cap', micro: 'Micro Cap', small: 'Small Cap', midLarge: 'Mid/Large Cap' // Combined Mid/Large
+        }, value => `$${compactNumber(value)}`)
       },
       { 
         id: 'volume', 
         title: 'Avg. Daily Volume', 
         tooltip: "Average number of shares traded per day.", 
-        options: [
-          {value: 'high', label: 'High Vol (>1M)'}, 
-          {value: 'medium', label: 'Med Vol (100k-1M)'}, 
-          {value: 'low', label: 'Low Vol (<100k)'}
-        ]
+        options: categoryRangeOptions('volumeCategory', { high: 'High Vol', medium: 'Med Vol', low: 'Low Vol' }, compactNumber)
       },
       {
         id: 'liquiditySafety', title: 'Liquidity Safety (Days to Exit 5%)',
@@ -72,6 +220,22 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
       }
     ]
   },
+  {
+    id: 'market', title: 'Market', emoji: '🌍',
+    tooltip: "Where the stock is listed. The API also filters by country (ISO codes) and exchange, see /api/v1/markets.",
+    subGroups: [
+      {
+        id: 'region',
+        title: 'Region',
+        tooltip: "Country of the company's listing profile. Europe includes the UK and Switzerland; Asia-Pacific includes Australia and New Zealand.",
+        options: [
+          {value: 'northAmerica', label: 'North America'},
+          {value: 'europe', label: 'Europe'},
+          {value: 'asiaPacific', label: 'Asia-Pacific'}
+        ]
+      }
+    ]
+  },
   {
     id: 'capitalStructure', title: 'Capital Structure', emoji: '🏗️',
     tooltip: "How a company finances its overall operations and growth.",
@@ -80,17 +244,17 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
         id: 'debtEquityRatio', // Changed from 'debt'
         title: 'Debt/Equity Ratio', 
         tooltip: "Compares total liabilities to shareholder equity.", 
-        options: [
-          {value: 'low', label: 'Low D/E (<0.5)'}, 
-          {value: 'medium', label: 'Med D/E (0.5-1)'}, 
-          {value: 'high', label: 'High D/E (>1)'}
-        ]
+        options: categoryRangeOptions('debtCategory', { low: 'Low D/E', medium: 'Med D/E', high: 'High D/E' })
       },
       { 
         id: 'debtToEbitda', 
         title: 'Debt/EBITDA', 
         tooltip: "Company's ability to pay off debt. Lower is often better.", 
-        options: [{value: 'le1x', label: '≤ 1x'}, {value: 'le0.5x', label: '≤ 0.5x'}, {value: 'le0.25x', label: '≤ 0.25x'}]
+        options: [
+          {value: 'le1x', label: '≤ 1x', range: {field: 'debtToEbitdaTTM', max: 1}},
+          {value: 'le0.5x', label: '≤ 0.5x', range: {field: 'debtToEbitdaTTM', max: 0.5}},
+          {value: 'le0.25x', label: '≤ 0.25x', range: {field: 'debtToEbitdaTTM', max: 0.25}}
+        ]
       },
     ]
   },
@@ -102,12 +266,9 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
         id: 'roe', // Changed from 'rotce' as we use ROE as proxy
         title: 'Return on Equity (ROE)', 
         tooltip: "Profitability relative to shareholder equity. Net Income / Shareholder's Equity.", 
-        options: [
-          {value: 'excellent', label: 'Excellent (>20%)'}, 
-          {value: 'good', label: 'Good (15-20%)'}, 
-          {value: 'average', label: 'Average (10-15%)'}, 
-          {value: 'poor', label: 'Poor (<10%)'}
-        ]
+        options: categoryRangeOptions('rotceCategory', {
+          excellent: 'Excellent', good: 'Good', average: 'Average', poor: 'Poor'
+        }, String, '%')
       },
       { 
         id: 'fcfToNetIncome', // Changed from 'fcfNiRatio'
@@ -118,7 +279,7 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
       { 
         id: 'gmTrend', // Changed from 'grossMarginTrend'
         title: 'Gross Margin Trend', 
-        tooltip: "Direction of gross profit margin. (Placeholder - data not live)", 
+        tooltip: "Direction of gross profit margin over the last 5 annual income statements (stable = within ±0.5pp a year).", 
         options: [{value: 'improving', label: 'Improving'}, {value: 'stable', label: 'Stable'}, {value: 'any', label: 'Any'}]
       },
     ]
@@ -130,13 +291,21 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
       { 
         id: 'incRoic', // Changed from 'incrementalRoic'
         title: 'Incremental ROIC', 
-        tooltip: "Return on new capital invested. (Placeholder - data not live)", 
-        options: [{value: 'ge15pct', label: '≥ 15%'}, {value: 'ge20pct', label: '≥ 20%'}, {value: 'ge25pct', label: '≥ 25%'}]},
+        tooltip: "Return on new capital invested: change in NOPAT / change in invested capital over up to 5 years.", 
+        options: [
+          {value: 'ge15pct', label: '≥ 15%', range: {field: 'incrementalRoic', min: 0.15}},
+          {value: 'ge20pct', label: '≥ 20%', range: {field: 'incrementalRoic', min: 0.20}},
+          {value: 'ge25pct', label: '≥ 25%', range: {field: 'incrementalRoic', min: 0.25}}
+        ]},
       { 
         id: 'shareCountChange', // Changed from 'shareCountCagr'
         title: 'Share Count Change (CAGR)', 
-        tooltip: "Growth rate of shares outstanding. Negative (buybacks) often positive. (Placeholder - data not live)", 
-        options: [{value: 'le0pct', label: '≤ 0%'}, {value: 'le-2pct', label: '≤ -2%'}, {value: 'le-5pct', label: '≤ -5%'}]},
+        tooltip: "Annual growth rate of weighted average shares outstanding. Negative (buybacks) often positive.", 
+        options: [
+          {value: 'le0pct', label: '≤ 0%', range: {field: 'shareCountCagr', max: 0}},
+          {value: 'le-2pct', label: '≤ -2%', range: {field: 'shareCountCagr', max: -0.02}},
+          {value: 'le-5pct', label: '≤ -5%', range: {field: 'shareCountCagr', max: -0.05}}
+        ]},
     ]
   },
   {
@@ -147,23 +316,42 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
         id: 'peRatio', // Changed from 'valuation'
         title: 'Price/Earnings (P/E) Ratio', 
         tooltip: "Stock price relative to earnings per share.", 
-        options: [
-          {value: 'value', label: 'Value (<15 P/E)'}, 
-          {value: 'growth', label: 'Growth (>25 P/E)'}, 
-          {value: 'blend', label: 'Blend (15-25 P/E)'}
-        ]
+        options: categoryRangeOptions('valuationCategory', { value: 'Value', growth: 'Growth', blend: 'Blend' }, String, ' P/E')
       },
       { 
         id: 'evToEbit', // Changed from 'evEbit' (Note: FMP gives EV/EBITDA)
         title: 'EV/EBITDA', 
         tooltip: "Enterprise Value to EBITDA. Lower values often preferred. (Using FMP's EV/EBITDA)", 
-        options: [{value: 'le10x', label: '≤ 10x'}, {value: 'le8x', label: '≤ 8x'}, {value: 'le6x', label: '≤ 6x'}]
+        options: [
+          {value: 'le10x', label: '≤ 10x', range: {field: 'enterpriseValueOverEBITDATTM', gt: 0, max: 10}},
+          {value: 'le8x', label: '≤ 8x', range: {field: 'enterpriseValueOverEBITDATTM', gt: 0, max: 8}},
+          {value: 'le6x', label: '≤ 6x', range: {field: 'enterpriseValueOverEBITDATTM', gt: 0, max: 6}}
+        ]
+      },
+      {
+        id: 'peVsIndustry',
+        title: 'P/E vs Industry Median',
+        tooltip: "The stock's P/E divided by the median P/E of profitable companies in its industry (industries with at least 3 of them).",
+        options: [
+          {value: 'discount', label: 'Below median (< 1.0x)', range: {field: 'peVsIndustryMedian', gt: 0, lt: 1}},
+          {value: 'deepDiscount', label: 'Deep discount (< 0.7x)', range: {field: 'peVsIndustryMedian', gt: 0, lt: 0.7}},
+          {value: 'premium', label: 'Premium (> 1.3x)', range: {field: 'peVsIndustryMedian', gt: 1.3}}
+        ]
+      },
+      {
+        id: 'evEbitdaVsSector',
+        title: 'EV/EBITDA vs Sector Median',
+        tooltip: "The stock's EV/EBITDA divided by its sector's median.",
+        options: [
+          {value: 'discount', label: 'Below median (< 1.0x)', range: {field: 'evEbitdaVsSectorMedian', gt: 0, lt: 1}},
+          {value: 'deepDiscount', label: 'Deep discount (< 0.7x)', range: {field: 'evEbitdaVsSectorMedian', gt: 0, lt: 0.7}}
+        ]
       },
       { 
         id: 'priceToNCAV', // Changed from 'deepValue'
         title: 'Price/Net Current Asset Value (P/NCAV)', 
-        tooltip: "P/NCAV < 1 may indicate deep value. (Placeholder - data not live)", 
-        options: [{value: 'le0.66', label: 'P/NCAV ≤ 0.66'}]
+        tooltip: "Market cap / (current assets - total liabilities). P/NCAV < 1 may indicate deep value.", 
+        options: [{value: 'le0.66', label: 'P/NCAV ≤ 0.66', range: {field: 'priceToNCAV', gt: 0, max: 0.66}}]
       },
     ]
   },
@@ -174,29 +362,58 @@ export const FILTER_GROUPS: FilterGroupDef[] = [
        { 
         id: 'insiderOwn', // Changed from 'insiderOwnership'
         title: 'Insider Ownership %', 
-        tooltip: "Stock held by officers, directors. (Placeholder - data not live)", 
-        options: [{value: 'ge8pct', label: '≥ 8%'}, {value: 'ge15pct', label: '≥ 15%'}, {value: 'ge25pct', label: '≥ 25%'}]},
+        tooltip: "Stock held by officers, directors, estimated as shares outstanding not in the free float.", 
+        options: [
+          {value: 'ge8pct', label: '≥ 8%', range: {field: 'insiderOwnership', min: 0.08}},
+          {value: 'ge15pct', label: '≥ 15%', range: {field: 'insiderOwnership', min: 0.15}},
+          {value: 'ge25pct', label: '≥ 25%', range: {field: 'insiderOwnership', min: 0.25}}
+        ]},
       { 
         id: 'netInsiderTrx', // Changed from 'netInsiderBuys'
         title: 'Net Insider Buys', 
-        tooltip: "Net shares bought by insiders. (Placeholder - data not live)", 
-        options: [{value: 'any', label: 'Any'}, {value: 'ge3', label: '≥ 3 Tx'}, {value: 'ge5', label: '≥ 5 Tx'}]},
+        tooltip: "Open-market insider purchases minus sales over the last 12 months.", 
+        options: [
+          {value: 'any', label: 'Any', range: {field: 'netInsiderBuys', min: 1}},
+          {value: 'ge3', label: '≥ 3 Tx', range: {field: 'netInsiderBuys', min: 3}},
+          {value: 'ge5', label: '≥ 5 Tx', range: {field: 'netInsiderBuys', min: 5}}
+        ]},
       { 
         id: 'rdFlags', // Changed from 'redFlags'
         title: 'Exclude Red Flags', 
-        tooltip: "Auditor changes, management exits. (Placeholder - data not live)", 
+        tooltip: "Audit changes: late-filing notices (NT 10-K/10-Q) in the last 2 years. Mgmt exits: executives who left in the last 12 months.", 
         options: [{value: 'auditChanges', label: 'Audit Changes'}, {value: 'managementExits', label: 'Mgmt Exits'}, {value: 'allRedFlags', label: 'All Red Flags'}]},
+      {
+        id: 'dataQuality',
+        title: 'Data Quality',
+        tooltip: "Flagged: the importer found an implausible value (e.g. a P/E of 0), a large move since the previous import, or profile and quote figures that disagree. Stale: not updated in the last 7 days.",
+        options: [{value: 'excludeFlagged', label: 'Exclude Flagged'}, {value: 'fresh', label: 'Exclude Stale'}, {value: 'cleanAndFresh', label: 'Both'}]},
     ]
   },
   {
     id: 'qualitativeAndCatalysts', title: 'Qualitative & Catalysts', emoji: '✨',
-    tooltip: "Qualitative aspects and potential event-driven catalysts. (Placeholders - data not live)",
+    tooltip: "Qualitative aspects and potential event-driven catalysts. (Catalysts are placeholders - data not live)",
     subGroups: [
+      {
+        id: 'styleTags',
+        title: 'Style',
+        tooltip: "Strategy tags the importer assigns from rules, e.g. High Momentum: in the top fifth of the 52-week range. Hover a tag on a stock to see which conditions it met.",
+        options: [
+          {value: 'highMomentum', label: '⚡ Momentum'},
+          {value: 'deepValue', label: '🛡️ Deep Value'},
+          {value: 'qualityCompounder', label: '🌱 Compounder'},
+          {value: 'netNet', label: '🧮 Net-Net'},
+          {value: 'shareCannibal', label: '🔁 Cannibal'},
+          {value: 'insiderAligned', label: '🤝 Insiders'}
+        ]},
       { 
         id: 'moatKws', // Changed from 'moatKeywords'
         title: 'Moat Keywords', 
-        tooltip: "Keywords in reports (e.g., 'competitive advantage').", 
-        options: [{value: 'ge3', label: '≥ 3 hits'}, {value: 'ge5', label: '≥ 5 hits'}, {value: 'ge10', label: '≥ 10 hits'}]
+        tooltip: "Moat keywords in the company description (e.g., 'competitive advantage', 'brand', 'patent').", 
+        options: [
+          {value: 'ge3', label: '≥ 3 hits', range: {field: 'moatKeywordHits', min: 3}},
+          {value: 'ge5', label: '≥ 5 hits', range: {field: 'moatKeywordHits', min: 5}},
+          {value: 'ge10', label: '≥ 10 hits', range: {field: 'moatKeywordHits', min: 10}}
+        ]
       },
     ],
     // Example for top-level options for a group (like catalysts)
@@ -230,4 +447,58 @@ export const PRESETS: Preset[] = [
     description: "Placeholder for event-driven strategies (e.g., spin-offs). Currently uses broad filters.", 
     filters: { volume: 'high' } // Placeholder
   },
-];
\ No newline at end of file
+];
+
+// Guided setup: each answer adds filters, and the name parts of the answers, in question order, name the
+// generated preset ("Conservative Small Cap Value"). See PresetWizardModal.
+export const PRESET_QUESTIONS: PresetQuestion[] = [
+  {
+    id: 'risk',
+    question: "How would you describe your risk tolerance?",
+    answers: [
+      { value: 'conservative', label: 'Conservative: little debt, clean data', namePart: 'Conservative', filters: { debtEquityRatio: 'low', debtToEbitda: 'le1x', dataQuality: 'cleanAndFresh' } },
+      { value: 'moderate', label: 'Moderate: some debt is fine', filters: { debtEquityRatio: 'medium', dataQuality: 'excludeFlagged' } },
+      { value: 'aggressive', label: 'Aggressive: no balance-sheet limits', namePart: 'Aggressive', filters: {} },
+    ]
+  },
+  {
+    id: 'size',
+    question: "Which company sizes?",
+    answers: [
+      { value: 'any', label: 'Any size', filters: {} },
+      { value: 'micro', label: 'Micro caps ($50M-$300M)', namePart: 'Micro Cap', filters: { marketCap: 'micro' } },
+      { value: 'small', label: 'Small caps ($300M-$2B)', namePart: 'Small Cap', filters: { marketCap: 'small' } },
+      { value: 'midLarge', label: 'Mid and large caps (> $2B)', namePart: 'Large Cap', filters: { marketCap: 'midLarge' } },
+    ]
+  },
+  {
+    id: 'style',
+    question: "What kind of companies are you looking for?",
+    answers: [
+      { value: 'value', label: 'Cheap relative to earnings (Value)', namePart: 'Value', emoji: '🛡️', filters: { peRatio: 'value' } },
+      { value: 'quality', label: 'High returns on capital, cash-generative (Quality)', namePart: 'Quality', emoji: '🌱', filters: { roe: 'excellent', fcfToNetIncome: 'ge1.0' } },
+      { value: 'growth', label: 'Growing fast, priced for it (Growth)', namePart: 'Growth', emoji: '🚀', filters: { peRatio: 'growth', roe: 'good' } },
+      { value: 'momentum', label: 'Strong recent price action (Momentum)', namePart: 'Momentum', emoji: '⚡', filters: { styleTags: 'highMomentum' } },
+      { value: 'aligned', label: 'Buying back shares, insiders own a lot', namePart: 'Shareholder-Aligned', emoji: '🤝', filters: { shareCountChange: 'le-2pct', insiderOwn: 'ge8pct' } },
+    ]
+  },
+  {
+    id: 'maxPe',
+    question: "Highest P/E you would pay?",
+    answers: [
+      { value: 'none', label: 'No limit', filters: {} },
+      { value: '25', label: 'Up to 25x earnings', filters: { 'range:priceEarningsRatioTTM': '0..25' } },
+      { value: '15', label: 'Up to 15x earnings', filters: { 'range:priceEarningsRatioTTM': '0..15' } },
+      { value: '10', label: 'Up to 10x earnings', filters: { 'range:priceEarningsRatioTTM': '0..10' } },
+    ]
+  },
+  {
+    id: 'liquidity',
+    question: "Do you need to trade in size?",
+    answers: [
+      { value: 'no', label: 'No, thinly traded stocks are fine', filters: {} },
+      { value: 'some', label: 'Somewhat (100k+ shares a day)', filters: { 'range:avgVolume': '100000..' } },
+      { value: 'yes', label: 'Yes (over 1M shares a day)', filters: { volume: 'high' } },
+    ]
+  },
+];
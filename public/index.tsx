@@ -1,14 +1,14 @@
 
 console.log("[index.tsx] Module execution started."); // Diagnostic log
 
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import ReactDOM from 'react-dom/client';
 // Import types
-import { Theme, Stock, StockDetails, ActiveFilters, KeyMetricVisibility, DisplayMetricConfig } from './types';
+import { Theme, Stock, StockDetails, ActiveFilters, KeyMetricVisibility, DisplayMetricConfig, RangeQueryNode, StockSort, ExportFormat, Portfolio, PortfolioPosition, AggregateGroup, CustomMetric, User, Workspace, CustomPreset, AuthSession, LiveQuote, QuoteStreamStatus, PresetInput, SavedPreset, SharedPreset } from './types';
 // Import constants
-import { STOCKS_PER_PAGE, INITIAL_KEY_METRICS_VISIBILITY, DISPLAY_METRICS_CONFIG, INITIAL_STOCK_LOAD_COUNT } from './constants';
+import { STOCKS_PER_PAGE, INITIAL_KEY_METRICS_VISIBILITY, DISPLAY_METRICS_CONFIG, INITIAL_STOCK_LOAD_COUNT, DEFAULT_STOCK_SORT, MIN_COMPARE_STOCKS, MAX_COMPARE_STOCKS, MAX_QUOTE_STREAM_SYMBOLS } from './constants';
 // Import services
-import { fetchStockListFromFMP, fetchStockListFromMongoDB, fetchStockDetailsFromFMP, FMPApiError } from './services/stockService';
+import { fetchStockListFromMongoDB, fetchStockDetails, exportStocks, visibleExportColumns, buildRangeQueryFromFilters, searchStocks, describeSearchFilters, fetchPortfolio, fetchAggregates, fetchCustomMetrics, customMetricField, FMPApiError, getAuthToken, clearAuthToken, fetchCurrentUser, updateWorkspace, importLocalWorkspace, readLocalWorkspace, writeLocalWorkspace, signOut, subscribeToQuotes, fetchPresets, createPreset, deletePreset, fetchSharedPreset, sharedPresetSlugFromPath } from './services/stockService';
 // Import components
 import Header from './components/Header';
 import Sidebar from './components/Sidebar';
@@ -18,7 +18,14 @@ import { FilterIcon } from './components/icons';
 import CustomizeMetricsModal from './components/CustomizeMetricsModal';
 import StockDetailsModal from './components/StockDetailsModal';
 import PresetWizardModal from './components/PresetWizardModal'; // New
+import PresetEditorModal from './components/PresetEditorModal';
 import WatchlistPane from './components/WatchlistPane'; // New
+import ComparisonModal from './components/ComparisonModal';
+import AdminPage from './components/AdminPage';
+import AccountModal from './components/AccountModal';
+
+// Metrics summarized for the whole screen in KeyMetricsSection
+const SCREEN_AGGREGATE_FIELDS = ['debtToEbitdaTTM', 'enterpriseValueOverEBITDATTM', 'returnOnEquityTTM'];
 
 const App: React.FC = () => {
   console.log("[App component] Initializing."); // Diagnostic log
@@ -35,14 +42,16 @@ const App: React.FC = () => {
     return 'light';
   });
 
+  // Stocks loaded so far for the current filters; more pages are fetched from the server on scroll
   const [allStocks, setAllStocks] = useState<Stock[]>([]);
-  const [filteredStocks, setFilteredStocks] = useState<Stock[]>([]);
-  const [stocksToDisplay, setStocksToDisplay] = useState<Stock[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [totalStockCount, setTotalStockCount] = useState<number | undefined>(undefined);
+  const [searchInterpretation, setSearchInterpretation] = useState<string[]>([]); // Filters recognized in the search phrase
   
   const [activeFilters, setActiveFilters] = useState<ActiveFilters>({});
   const [searchTerm, setSearchTerm] = useState<string>('');
+  const [sort, setSort] = useState<StockSort>(DEFAULT_STOCK_SORT);
   const [currentView, setCurrentView] = useState<'card' | 'table'>('card');
-  const [currentPage, setCurrentPage] = useState<number>(1);
   
   const [isInitialLoading, setIsInitialLoading] = useState<boolean>(true);
   const [isLoadingMore, setIsLoadingMore] = useState<boolean>(false);
@@ -58,41 +67,236 @@ const App: React.FC = () => {
   const [keyMetricsVisibility, setKeyMetricsVisibility] = useState<KeyMetricVisibility>(INITIAL_KEY_METRICS_VISIBILITY);
 
   const mainContentRef = useRef<HTMLDivElement>(null);
+  // Query of the list currently shown, reused when loading its next page
+  const listQueryRef = useRef<{ apiFilters: Record<string, string | undefined>; where: RangeQueryNode | null; sort: StockSort }>({ apiFilters: {}, where: null, sort: DEFAULT_STOCK_SORT });
+  const listRequestIdRef = useRef<number>(0);
 
   // New Feature States
   const [isPresetWizardOpen, setIsPresetWizardOpen] = useState<boolean>(false);
   const [watchlist, setWatchlist] = useState<string[]>([]);
   const [isWatchlistPaneOpen, setIsWatchlistPaneOpen] = useState<boolean>(false);
+  // Selected portfolio (server-side); its holdings are marked in the stock list
+  const [portfolio, setPortfolio] = useState<Portfolio | null>(null);
+  // Server statistics for the whole screen, shown in KeyMetricsSection (null for search results)
+  const [screenAggregates, setScreenAggregates] = useState<AggregateGroup | null>(null);
+  // Stocks selected for the side-by-side comparison (MIN_COMPARE_STOCKS to MAX_COMPARE_STOCKS)
+  const [compareSymbols, setCompareSymbols] = useState<string[]>([]);
+  const [isComparisonOpen, setIsComparisonOpen] = useState<boolean>(false);
+  // User-defined formula metrics, the stock fields their formulas may use, and the keys shown as columns
+  const [customMetrics, setCustomMetrics] = useState<CustomMetric[]>([]);
+  const [formulaFields, setFormulaFields] = useState<string[]>([]);
+  const [visibleCustomMetrics, setVisibleCustomMetrics] = useState<string[]>([]);
+  // Signed-in user (null when anonymous)
+  const [user, setUser] = useState<User | null>(null);
+  // Presets saved on the server, the one open in the editor, and one opened from a share link
+  const [presets, setPresets] = useState<SavedPreset[]>([]);
+  const [presetEditor, setPresetEditor] = useState<{ preset: SavedPreset | null; initial: PresetInput; clonedFrom?: { slug: string; version: number } } | null>(null);
+  const [sharedPreset, setSharedPreset] = useState<SharedPreset | null>(null);
+  const [sharedPresetError, setSharedPresetError] = useState<string | null>(null);
+  const [isAccountModalOpen, setIsAccountModalOpen] = useState<boolean>(false);
+  // Intraday quotes streamed for the loaded stocks and the watchlist, by symbol
+  const [liveQuotes, setLiveQuotes] = useState<Record<string, LiveQuote>>({});
+  const [quoteStatus, setQuoteStatus] = useState<QuoteStreamStatus | null>(null);
+  const allStocksRef = useRef<Stock[]>([]);
+
+
+  // Show a workspace: the account's when signed in, otherwise this browser's localStorage state
+  const applyWorkspace = useCallback((workspace: Partial<Workspace>) => {
+    setWatchlist(workspace.watchlist || []);
+    setKeyMetricsVisibility(workspace.keyMetricsVisibility || INITIAL_KEY_METRICS_VISIBILITY);
+    setVisibleCustomMetrics(workspace.visibleCustomMetrics || []);
+    if (workspace.theme) setTheme(workspace.theme);
+    const portfolioId = workspace.selectedPortfolioId;
+    if (!portfolioId || !getAuthToken()) { // Portfolios belong to an account
+      setPortfolio(null);
+      return;
+    }
+    fetchPortfolio(portfolioId)
+      .then(setPortfolio)
+      .catch(err => {
+        console.error("Error loading selected portfolio", err);
+        setPortfolio(null);
+      });
+  }, []);
 
-
-  // Load watchlist from localStorage
-  useEffect(() => {
-    console.log("[App component] useEffect for watchlist load."); // Diagnostic log
-    const savedWatchlist = localStorage.getItem('stockScreenerWatchlist');
-    if (savedWatchlist) {
-      try {
-        const parsedWatchlist = JSON.parse(savedWatchlist);
-        if (Array.isArray(parsedWatchlist)) {
-            setWatchlist(parsedWatchlist.filter(item => typeof item === 'string'));
+  // Load the presets visible to the current session. Presets used to be kept in the workspace; any still
+  // in the account's are moved to the server first. Signed out, this browser's stay in localStorage until
+  // the first sign-in merges them into an account.
+  const loadPresets = useCallback(async (legacyPresets: CustomPreset[] = []) => {
+    try {
+      if (legacyPresets.length > 0) {
+        for (const { name, emoji, description, filters } of legacyPresets) {
+          await createPreset({ name, emoji, description, filters });
         }
-      } catch (e) {
-        console.error("Error parsing watchlist from localStorage", e);
-        setWatchlist([]);
+        await updateWorkspace({ customPresets: [] });
       }
+      setPresets(await fetchPresets());
+    } catch (err) {
+      console.error("Error loading presets", err);
     }
   }, []);
 
-  // Save watchlist to localStorage
+  // Signed in: load the account's workspace, copying this browser's state into it the first time
+  const loadAccount = useCallback(async (account: User, workspace: Workspace) => {
+    let current = workspace;
+    if (!workspace.migratedAt) {
+      try {
+        current = await importLocalWorkspace(readLocalWorkspace());
+      } catch (err) {
+        console.error("Error importing this browser's workspace", err);
+      }
+    }
+    setUser(account);
+    applyWorkspace(current);
+    loadPresets(current.customPresets);
+  }, [applyWorkspace, loadPresets]);
+
+  // Restore the previous session, or this browser's workspace when signed out
+  useEffect(() => {
+    console.log("[App component] useEffect for workspace load."); // Diagnostic log
+    applyWorkspace(readLocalWorkspace());
+    if (!getAuthToken()) {
+      loadPresets();
+      return;
+    }
+    fetchCurrentUser()
+      .then(({ user: account, workspace }) => loadAccount(account, workspace))
+      .catch(err => {
+        console.error("Error restoring session", err);
+        if (err instanceof FMPApiError && err.status === 401) clearAuthToken();
+        loadPresets();
+      });
+  }, [applyWorkspace, loadAccount, loadPresets]);
+
+  // Persist workspace changes to the account, or to localStorage when signed out
+  const saveWorkspace = (changes: Partial<Workspace>) => {
+    if (!user) {
+      writeLocalWorkspace(changes);
+      return;
+    }
+    updateWorkspace(changes)
+      .catch(err => console.error("Error saving workspace", err));
+  };
+
+  const handleSignedIn = (session: AuthSession) => loadAccount(session.user, session.workspace);
+
+  const handleSignOut = async () => {
+    try {
+      await signOut();
+    } catch (err) {
+      console.error("Error signing out", err);
+    }
+    setUser(null);
+    applyWorkspace(readLocalWorkspace());
+    loadPresets();
+  };
+
   const toggleWatchlist = (symbol: string) => {
-    setWatchlist(prev => {
-      const newWatchlist = prev.includes(symbol)
-        ? prev.filter(s => s !== symbol)
-        : [...prev, symbol];
-      localStorage.setItem('stockScreenerWatchlist', JSON.stringify(newWatchlist));
-      return newWatchlist;
+    const newWatchlist = watchlist.includes(symbol)
+      ? watchlist.filter(s => s !== symbol)
+      : [...watchlist, symbol];
+    setWatchlist(newWatchlist);
+    saveWorkspace({ watchlist: newWatchlist });
+  };
+
+  // Bulk watchlist import; returns how many symbols were not already on the watchlist
+  const importWatchlistSymbols = (symbols: string[]): number => {
+    const added = symbols.filter(symbol => !watchlist.includes(symbol));
+    if (added.length > 0) {
+      const newWatchlist = [...watchlist, ...added];
+      setWatchlist(newWatchlist);
+      saveWorkspace({ watchlist: newWatchlist });
+    }
+    return added.length;
+  };
+
+  const handlePortfolioChange = (selected: Portfolio | null) => {
+    setPortfolio(selected);
+    saveWorkspace({ selectedPortfolioId: selected ? selected._id : null });
+  };
+
+  const handleNewPreset = () => setPresetEditor({
+    preset: null,
+    initial: { name: '', emoji: '⭐', description: describeSearchFilters(activeFilters).join(", "), filters: activeFilters }
+  });
+
+  // Copies a built-in, saved or shared preset into a new one; `source` records the saved version it came from
+  const handleClonePreset = (preset: PresetInput, source?: { slug: string; version: number }) => setPresetEditor({
+    preset: null,
+    initial: { name: `${preset.name} (copy)`, emoji: preset.emoji, description: preset.description, filters: preset.filters },
+    clonedFrom: source ? { slug: source.slug, version: source.version } : undefined
+  });
+
+  const handlePresetSaved = (saved: SavedPreset) => {
+    const { versions, ...listed } = saved; // The list does not carry the history
+    setPresets(prev => [listed, ...prev.filter(preset => preset._id !== saved._id)]);
+    setPresetEditor(null);
+  };
+
+  const handleSaveWizardPreset = async (input: PresetInput) => {
+    handlePresetSaved(await createPreset(input));
+  };
+
+  const handleDeletePreset = async (preset: SavedPreset) => {
+    if (!window.confirm(`Delete the preset "${preset.name}"? Its share link stops working.`)) return;
+    try {
+      await deletePreset(preset._id);
+      setPresets(prev => prev.filter(existing => existing._id !== preset._id));
+    } catch (err: any) {
+      console.error("Error deleting preset", err);
+      window.alert(err instanceof FMPApiError ? err.message : 'Could not delete preset.');
+    }
+  };
+
+  const toggleCompare = (symbol: string) => {
+    setCompareSymbols(prev => {
+      if (prev.includes(symbol)) return prev.filter(s => s !== symbol);
+      return prev.length < MAX_COMPARE_STOCKS ? [...prev, symbol] : prev;
     });
   };
 
+  // Removing a stock inside the comparison closes it once fewer than MIN_COMPARE_STOCKS remain
+  const removeFromComparison = (symbol: string) => {
+    const remaining = compareSymbols.filter(s => s !== symbol);
+    setCompareSymbols(remaining);
+    if (remaining.length < MIN_COMPARE_STOCKS) setIsComparisonOpen(false);
+  };
+
+  const heldPositions = useMemo<Record<string, PortfolioPosition>>(
+    () => Object.fromEntries((portfolio?.positions || []).map(position => [position.symbol, position])),
+    [portfolio]
+  );
+
+  useEffect(() => {
+    allStocksRef.current = allStocks;
+  }, [allStocks]);
+
+  // Symbols on screen or on the watchlist, as a stable key so the stream only reconnects when the set changes
+  const quoteStreamKey = useMemo(() => {
+    const symbols = new Set([...watchlist, ...allStocks.map(stock => stock.symbol)]);
+    return [...symbols].slice(0, MAX_QUOTE_STREAM_SYMBOLS).sort().join(',');
+  }, [allStocks, watchlist]);
+
+  useEffect(() => {
+    if (!quoteStreamKey) return;
+    return subscribeToQuotes(quoteStreamKey.split(','), {
+      onQuote: (quote) => setLiveQuotes(prev => {
+        const shownPrice = prev[quote.symbol]?.price ?? allStocksRef.current.find(stock => stock.symbol === quote.symbol)?.price ?? null;
+        return { ...prev, [quote.symbol]: { ...quote, previousPrice: shownPrice } };
+      }),
+      onStatus: setQuoteStatus
+    });
+  }, [quoteStreamKey]);
+
+  // Loaded stocks with their streamed prices
+  const displayedStocks = useMemo(
+    () => allStocks.map(stock => {
+      const quote = liveQuotes[stock.symbol];
+      return quote ? { ...stock, price: quote.price, quoteUpdatedAt: quote.updatedAt } : stock;
+    }),
+    [allStocks, liveQuotes]
+  );
+
 
   useEffect(() => {
     console.log("[App component] useEffect for theme application to DOM."); // Diagnostic log
@@ -101,14 +305,15 @@ const App: React.FC = () => {
     } else {
       document.documentElement.classList.remove('dark');
     }
-    localStorage.setItem('theme', theme);
   }, [theme]);
 
   const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+    const newTheme = theme === 'light' ? 'dark' : 'light';
+    setTheme(newTheme);
+    saveWorkspace({ theme: newTheme });
   };
 
-  const loadStocksWithFilters = useCallback(async (filters: ActiveFilters = {}, search: string = '') => {
+  const loadStocksWithFilters = useCallback(async (filters: ActiveFilters = {}, search: string = '', listSort: StockSort = DEFAULT_STOCK_SORT) => {
     console.log("[App component] loadStocksWithFilters called with filters:", filters, "search:", search);
     setIsInitialLoading(true);
     setError(null);
@@ -122,7 +327,12 @@ const App: React.FC = () => {
         peRatio: filters.peRatio,
         sector: filters.sector,
         debtToEbitda: filters.debtToEbitda,
-        fcfToNetIncome: filters.fcfToNetIncome
+        fcfToNetIncome: filters.fcfToNetIncome,
+        gmTrend: filters.gmTrend,
+        rdFlags: filters.rdFlags,
+        dataQuality: filters.dataQuality,
+        styleTags: filters.styleTags,
+        region: filters.region
       };
 
       // Remove undefined values
@@ -132,31 +342,52 @@ const App: React.FC = () => {
         }
       });
 
-      console.log("[App component] Sending API filters:", apiFilters);
+      // Filters backed by a numeric range are sent as a single range query instead
+      const { where, rangeFilterKeys } = buildRangeQueryFromFilters(filters);
+      rangeFilterKeys.forEach(key => {
+        delete apiFilters[key as keyof typeof apiFilters];
+      });
+
+      console.log("[App component] Sending API filters:", apiFilters, "range query:", where);
+
+      const requestId = ++listRequestIdRef.current;
+      listQueryRef.current = { apiFilters, where, sort: listSort };
 
-      const stocks = await fetchStockListFromMongoDB(1, 15000, apiFilters);
-      
-      // Apply search filter on the client side (since it's more complex)
-      let filteredStocks = stocks;
       if (search.trim() !== '') {
-        const lowerSearchTerm = search.toLowerCase();
-        filteredStocks = stocks.filter(stock =>
-          stock.symbol.toLowerCase().includes(lowerSearchTerm) ||
-          stock.name.toLowerCase().includes(lowerSearchTerm) ||
-          stock.sector.toLowerCase().includes(lowerSearchTerm)
-        );
+        // Ranked server-side search; recognized phrases ("small cap value") are applied as filters
+        const result = await searchStocks(search.trim(), apiFilters, where);
+        if (requestId !== listRequestIdRef.current) return; // A newer search superseded this request
+        setAllStocks(result.stocks);
+        setNextCursor(null);
+        setTotalStockCount(result.total);
+        setSearchInterpretation(describeSearchFilters(result.filters));
+        setScreenAggregates(null);
+        return;
       }
-      
-      setAllStocks(filteredStocks); // Set allStocks to the filtered results
-      setFilteredStocks(filteredStocks);
-      setStocksToDisplay(filteredStocks.slice(0, STOCKS_PER_PAGE));
-      setCurrentPage(1); // Reset to first page when filters change
+
+      const page = await fetchStockListFromMongoDB(null, STOCKS_PER_PAGE, apiFilters, where, listSort);
+      if (requestId !== listRequestIdRef.current) return; // A newer filter change superseded this request
+
+      setAllStocks(page.stocks);
+      setNextCursor(page.nextCursor);
+      setTotalStockCount(page.totalItems);
+      setSearchInterpretation([]);
+
+      // Averages over every match, not just the loaded page; the metric boxes fall back to the page if this fails
+      fetchAggregates({ groupBy: 'all', fields: SCREEN_AGGREGATE_FIELDS, filters: apiFilters, where })
+        .then(groups => {
+          if (requestId === listRequestIdRef.current) setScreenAggregates(groups[0] || null);
+        })
+        .catch(err => {
+          console.error("Failed to load screen aggregates:", err);
+          if (requestId === listRequestIdRef.current) setScreenAggregates(null);
+        });
     } catch (err: any) {
       console.error("Failed to load stocks:", err);
       if (err instanceof FMPApiError) {
         setError(err.message);
       } else {
-        setError("An unexpected error occurred while fetching stocks. Please check your network connection or API key permissions.");
+        setError("An unexpected error occurred while fetching stocks. Please check your network connection.");
       }
     } finally {
       setIsInitialLoading(false);
@@ -187,6 +418,19 @@ const App: React.FC = () => {
         if (searchParam) {
           setSearchTerm(decodeURIComponent(searchParam));
         }
+        // Share link (/p/<slug>, optionally ?version=<n>): apply the preset's filters
+        const sharedSlug = sharedPresetSlugFromPath(window.location.pathname);
+        if (sharedSlug) {
+          fetchSharedPreset(sharedSlug, Number(params.get('version')) || undefined)
+            .then(shared => {
+              setSharedPreset(shared);
+              setActiveFilters(shared.filters);
+            })
+            .catch(err => {
+              console.error("Error opening shared preset", err);
+              setSharedPresetError(err instanceof FMPApiError ? err.message : "Could not open the shared preset.");
+            });
+        }
     } else {
         console.warn("[App component] Skipping URL parameter parsing for blob: protocol.");
     }
@@ -212,8 +456,9 @@ const App: React.FC = () => {
       params.set('search', encodeURIComponent(searchTerm));
     }
     
-    // Ensure pathname is not undefined or empty, which might happen in some environments
-    const pathname = window.location.pathname || '/';
+    // Ensure pathname is not undefined or empty, which might happen in some environments. A share link
+    // was read on mount; from then on the page shows plain filters.
+    const pathname = sharedPresetSlugFromPath(window.location.pathname) ? '/' : (window.location.pathname || '/');
     const newUrl = `${pathname}${params.toString() ? `?${params.toString()}` : ''}`;
     
     try {
@@ -226,42 +471,32 @@ const App: React.FC = () => {
   }, [activeFilters, searchTerm]);
 
 
-  const applyFiltersAndSearch = useCallback(() => {
-    console.log("[App component] applyFiltersAndSearch called."); // Diagnostic log
-    
-    // Basic NLP for "large cap value" - very rudimentary
-    if (searchTerm.toLowerCase().includes("large cap value")) {
-      // Corrected: use peRatio for 'value' to match filter definitions
-      setActiveFilters(prev => ({...prev, marketCap: 'midLarge', peRatio: 'value' }));
-      return; // Let the useEffect handle the actual filtering
-    } // Add more NLP rules here if desired
-
-    // Trigger server-side filtering by calling loadStocksWithFilters
-    loadStocksWithFilters(activeFilters, searchTerm);
-  }, [activeFilters, searchTerm, loadStocksWithFilters]);
-
-
   useEffect(() => {
     console.log("[App component] useEffect for applying filters/search."); // Diagnostic log
-    // Use server-side filtering instead of client-side
-    loadStocksWithFilters(activeFilters, searchTerm);
-  }, [searchTerm, activeFilters, loadStocksWithFilters]);
+    // Use server-side filtering instead of client-side; searches wait for a pause in typing
+    const timer = setTimeout(() => loadStocksWithFilters(activeFilters, searchTerm, sort), searchTerm.trim() ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [searchTerm, activeFilters, sort, loadStocksWithFilters]);
 
 
-  const handleLoadMore = useCallback(() => {
-    if (isLoadingMore || stocksToDisplay.length >= filteredStocks.length) return;
+  const handleLoadMore = useCallback(async () => {
+    if (isLoadingMore || !nextCursor) return;
 
     setIsLoadingMore(true);
-    const nextPage = currentPage + 1;
-    const nextStocks = filteredStocks.slice(0, nextPage * STOCKS_PER_PAGE);
-    
-    setTimeout(() => {
-      setStocksToDisplay(nextStocks);
-      setCurrentPage(nextPage);
+    const requestId = listRequestIdRef.current;
+    const { apiFilters, where, sort: listSort } = listQueryRef.current;
+    try {
+      const page = await fetchStockListFromMongoDB(nextCursor, STOCKS_PER_PAGE, apiFilters, where, listSort);
+      if (requestId !== listRequestIdRef.current) return; // Filters changed while the page was loading
+      setAllStocks(prev => [...prev, ...page.stocks]);
+      setNextCursor(page.nextCursor);
+    } catch (err: any) {
+      console.error("Failed to load more stocks:", err);
+      setError(err instanceof FMPApiError ? err.message : "An unexpected error occurred while loading more stocks.");
+    } finally {
       setIsLoadingMore(false);
-    }, 500); 
-
-  }, [currentPage, filteredStocks, isLoadingMore, stocksToDisplay.length]);
+    }
+  }, [isLoadingMore, nextCursor]);
 
   useEffect(() => {
     const observerRefValue = mainContentRef.current; 
@@ -271,8 +506,8 @@ const App: React.FC = () => {
       if (
         observerRefValue.scrollHeight - observerRefValue.scrollTop <= observerRefValue.clientHeight + 200 &&
         !isLoadingMore &&
-        stocksToDisplay.length < filteredStocks.length &&
-        stocksToDisplay.length > 0
+        nextCursor !== null &&
+        allStocks.length > 0
       ) {
         handleLoadMore();
       }
@@ -284,7 +519,7 @@ const App: React.FC = () => {
         observerRefValue.removeEventListener('scroll', handleScroll);
       }
     };
-  }, [isLoadingMore, stocksToDisplay.length, filteredStocks.length, handleLoadMore, mainContentRef]);
+  }, [isLoadingMore, nextCursor, allStocks.length, handleLoadMore, mainContentRef]);
 
 
   const handleFilterChange = (group: string, value: string) => {
@@ -297,13 +532,11 @@ const App: React.FC = () => {
       }
       return newFilters;
     });
-    setCurrentPage(1); // Reset to page 1 on filter change
   };
 
   const handleClearAllFilters = () => {
     setActiveFilters({});
     setSearchTerm('');
-    setCurrentPage(1);
   };
 
   const handleRemoveFilter = (group: string) => {
@@ -312,24 +545,21 @@ const App: React.FC = () => {
       delete newFilters[group];
       return newFilters;
     });
-    setCurrentPage(1);
   };
   
   const handleApplyPreset = (filters: ActiveFilters) => {
     setActiveFilters(filters);
     setIsSidebarOpen(false); 
-    setCurrentPage(1);
     if (isPresetWizardOpen) setIsPresetWizardOpen(false);
   };
 
-  const handleOpenStockDetails = async (stock: Stock) => {
+  const handleOpenStockDetails = async (stock: Pick<Stock, 'symbol'>) => {
     setIsStockDetailsModalOpen(true);
     setIsLoadingStockDetails(true);
     setStockDetailsError(null);
     setSelectedStockDetails(null); 
     try {
-      const details = await fetchStockDetailsFromFMP(stock.symbol);
-      setSelectedStockDetails(details);
+      setSelectedStockDetails(await fetchStockDetails(stock.symbol));
     } catch (err: any) {
       console.error("Failed to load stock details:", err);
       setStockDetailsError(err.message || "Failed to load stock details.");
@@ -358,27 +588,60 @@ const App: React.FC = () => {
   }, [isSidebarOpen]);
 
 
-  const handleSaveKeyMetricsVisibility = (newVisibility: KeyMetricVisibility) => {
+  // Export what the list shows (the screen, or the loaded search results) in the visible columns and sort order
+  const handleExport = async (format: ExportFormat) => {
+    const columns = visibleExportColumns(keyMetricsVisibility);
+    const { apiFilters, where, sort: listSort } = listQueryRef.current;
+    if (searchTerm.trim() !== '') {
+      await exportStocks(format, { columns, symbols: allStocks.map(stock => stock.symbol), sort: listSort, name: 'search' });
+    } else {
+      await exportStocks(format, { columns, filters: apiFilters, where, sort: listSort, name: 'screen' });
+    }
+  };
+
+  const handleExportWatchlist = (format: ExportFormat) =>
+    exportStocks(format, { columns: visibleExportColumns(keyMetricsVisibility), symbols: watchlist, sort, name: 'watchlist' });
+
+  const handleSaveKeyMetricsVisibility = (newVisibility: KeyMetricVisibility, newCustomVisibility: string[]) => {
     setKeyMetricsVisibility(newVisibility);
+    setVisibleCustomMetrics(newCustomVisibility);
     setIsCustomizeMetricsModalOpen(false);
-    localStorage.setItem('keyMetricsVisibility', JSON.stringify(newVisibility));
+    saveWorkspace({ keyMetricsVisibility: newVisibility, visibleCustomMetrics: newCustomVisibility });
   };
 
-  useEffect(() => {
-    console.log("[App component] useEffect for key metrics visibility load."); // Diagnostic log
-    const savedVisibility = localStorage.getItem('keyMetricsVisibility');
-    if (savedVisibility) {
-      try {
-        const parsedVisibility = JSON.parse(savedVisibility);
-        // You might want to validate parsedVisibility structure here
-        setKeyMetricsVisibility(parsedVisibility);
-      } catch (e) {
-        console.error("Error parsing key metrics visibility from localStorage", e);
-        setKeyMetricsVisibility(INITIAL_KEY_METRICS_VISIBILITY);
-      }
+  // Resolves to the loaded definitions, or null when they could not be loaded
+  const loadCustomMetrics = useCallback(async (): Promise<CustomMetric[] | null> => {
+    try {
+      const { metrics, fields } = await fetchCustomMetrics();
+      setCustomMetrics(metrics);
+      setFormulaFields(fields);
+      return metrics;
+    } catch (err) {
+      console.error("Error loading custom metrics", err);
+      return null;
     }
   }, []);
-  
+
+  useEffect(() => {
+    loadCustomMetrics();
+  }, [loadCustomMetrics]);
+
+  // A metric was added or deleted: reload the definitions, and the list so it carries the new values
+  const handleCustomMetricsChange = async () => {
+    const metrics = await loadCustomMetrics();
+    if (metrics && sort.field.startsWith(customMetricField('')) && !metrics.some(metric => customMetricField(metric.key) === sort.field)) {
+      setSort(DEFAULT_STOCK_SORT);
+    } else {
+      await loadStocksWithFilters(activeFilters, searchTerm, sort);
+    }
+  };
+
+  // Columns for the custom metrics that are both defined and selected
+  const customColumns = useMemo(
+    () => customMetrics.filter(metric => visibleCustomMetrics.includes(metric.key)),
+    [customMetrics, visibleCustomMetrics]
+  );
+
    const allToggleableMetrics = [
     ...DISPLAY_METRICS_CONFIG.filter(dm => !dm.alwaysVisible)
   ];
@@ -394,6 +657,8 @@ const App: React.FC = () => {
         toggleTheme={toggleTheme} 
         onRefreshData={loadInitialStocks} 
         onToggleWatchlistPane={() => setIsWatchlistPaneOpen(prev => !prev)}
+        user={user}
+        onOpenAccount={() => setIsAccountModalOpen(true)}
       />
       <div className="flex items-center justify-between p-2 sm:hidden"> {/* Container for mobile buttons */}
         <button 
@@ -415,6 +680,7 @@ const App: React.FC = () => {
 
       <div className="app-layout">
         <Sidebar
+          key={user?._id || 'anonymous'} // Reload the saved screens of the new account
           activeFilters={activeFilters}
           onFilterChange={handleFilterChange}
           onClearAllFilters={handleClearAllFilters}
@@ -422,13 +688,38 @@ const App: React.FC = () => {
           isOpen={isSidebarOpen}
           onClose={() => setIsSidebarOpen(false)}
           onOpenPresetWizard={() => setIsPresetWizardOpen(true)}
+          presets={presets}
+          onNewPreset={handleNewPreset}
+          onEditPreset={(preset) => setPresetEditor({ preset, initial: preset })}
+          onClonePreset={handleClonePreset}
+          onDeletePreset={handleDeletePreset}
+          userId={user?._id || null}
         />
 
         <main className="main-content" ref={mainContentRef}>
+          {sharedPresetError && (
+            <div className="flex items-center gap-2 mb-4 p-3 rounded-md bg-red-50 dark:bg-gray-700 text-sm text-red-700 dark:text-red-300" role="alert">
+              <span className="flex-1">Shared preset: {sharedPresetError}</span>
+              <button onClick={() => setSharedPresetError(null)} className="text-xs hover:underline">Dismiss</button>
+            </div>
+          )}
+          {sharedPreset && (
+            <div className="flex flex-wrap items-center gap-2 mb-4 p-3 rounded-md bg-blue-50 dark:bg-gray-700 text-sm">
+              <span className="flex-1 min-w-0 text-gray-700 dark:text-gray-300">
+                Shared preset: <strong>{sharedPreset.emoji} {sharedPreset.name}</strong>
+                {sharedPreset.version !== sharedPreset.latestVersion && ` (version ${sharedPreset.version} of ${sharedPreset.latestVersion})`}
+                {sharedPreset.description && ` · ${sharedPreset.description}`}
+              </span>
+              <button onClick={() => handleClonePreset(sharedPreset, sharedPreset)} className="px-3 py-1 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+                Save a copy
+              </button>
+              <button onClick={() => setSharedPreset(null)} className="text-xs text-gray-600 dark:text-gray-400 hover:underline">Dismiss</button>
+            </div>
+          )}
           {error && (
             <div className="error-banner" role="alert">
               <p><strong>Error:</strong> {error}</p>
-              <p>Please ensure your FMP API key is correctly configured in <code>index.html</code> (window.APP_CONFIG.FMP_API_KEY) or <code>process.env.API_KEY</code> and has the necessary permissions.</p>
+              <p>Please check that the backend server is running and reachable.</p>
               <button onClick={loadInitialStocks} className="error-retry-button">Retry</button>
             </div>
           )}
@@ -441,12 +732,14 @@ const App: React.FC = () => {
           {!isInitialLoading && !error && (
             <>
               <KeyMetricsSection 
-                filteredStocks={filteredStocks} 
+                filteredStocks={allStocks}
+                totalCount={totalStockCount}
                 keyMetricsVisibility={keyMetricsVisibility}
                 onOpenCustomizeModal={() => setIsCustomizeMetricsModalOpen(true)}
+                aggregates={screenAggregates}
               />
               <StocksSection
-                stocksToDisplay={stocksToDisplay}
+                stocksToDisplay={displayedStocks}
                 currentView={currentView}
                 onSetView={setCurrentView}
                 keyMetricsVisibility={keyMetricsVisibility}
@@ -454,11 +747,24 @@ const App: React.FC = () => {
                 isLoadingMore={isLoadingMore}
                 searchTerm={searchTerm}
                 onSearchTermChange={setSearchTerm}
+                searchInterpretation={searchInterpretation}
                 activeFilters={activeFilters}
                 onRemoveFilter={handleRemoveFilter}
-                hasMoreStocksToLoad={stocksToDisplay.length < filteredStocks.length}
+                hasMoreStocksToLoad={nextCursor !== null}
                 watchlist={watchlist}
                 onToggleWatchlist={toggleWatchlist}
+                sort={sort}
+                onSortChange={setSort}
+                onExport={handleExport}
+                heldPositions={heldPositions}
+                compareSymbols={compareSymbols}
+                onToggleCompare={toggleCompare}
+                onOpenComparison={() => setIsComparisonOpen(true)}
+                onClearComparison={() => setCompareSymbols([])}
+                customMetrics={customMetrics}
+                customColumns={customColumns}
+                liveQuotes={liveQuotes}
+                quoteStatus={quoteStatus}
               />
             </>
           )}
@@ -470,6 +776,11 @@ const App: React.FC = () => {
         onApply={handleSaveKeyMetricsVisibility}
         currentVisibilityConfig={keyMetricsVisibility}
         displayMetricsConfig={allToggleableMetrics}
+        customMetrics={customMetrics}
+        formulaFields={formulaFields}
+        visibleCustomMetrics={visibleCustomMetrics}
+        onCustomMetricsChange={handleCustomMetricsChange}
+        userId={user?._id || null}
       />
       <StockDetailsModal
         isOpen={isStockDetailsModalOpen}
@@ -479,18 +790,49 @@ const App: React.FC = () => {
         watchlist={watchlist}
         onToggleWatchlist={toggleWatchlist}
       />
+      <ComparisonModal
+        isOpen={isComparisonOpen}
+        symbols={compareSymbols}
+        onClose={() => setIsComparisonOpen(false)}
+        onRemoveSymbol={removeFromComparison}
+      />
       <PresetWizardModal
         isOpen={isPresetWizardOpen}
         onClose={() => setIsPresetWizardOpen(false)}
         onApplyPreset={handleApplyPreset}
+        onSavePreset={handleSaveWizardPreset}
+      />
+      <PresetEditorModal
+        key={presetEditor ? presetEditor.preset?._id || 'new' : 'closed'} // Fresh form for every preset
+        isOpen={presetEditor !== null}
+        onClose={() => setPresetEditor(null)}
+        preset={presetEditor?.preset || null}
+        initial={presetEditor?.initial || { name: '', emoji: '⭐', description: '', filters: {} }}
+        clonedFrom={presetEditor?.clonedFrom}
+        activeFilters={activeFilters}
+        onSaved={handlePresetSaved}
+      />
+      <AccountModal
+        isOpen={isAccountModalOpen}
+        onClose={() => setIsAccountModalOpen(false)}
+        user={user}
+        onSignedIn={handleSignedIn}
+        onSignOut={handleSignOut}
       />
       <WatchlistPane
+        key={user?._id || 'anonymous'} // Reload the portfolios of the new account
         isOpen={isWatchlistPaneOpen}
         onClose={() => setIsWatchlistPaneOpen(false)}
         watchlistSymbols={watchlist}
-        allStocks={allStocks} // Pass all stocks to find details for watchlist items
+        allStocks={displayedStocks} // Pass all stocks to find details for watchlist items
         onStockClick={handleOpenStockDetails}
         onToggleWatchlist={toggleWatchlist}
+        onExport={handleExportWatchlist}
+        onImportSymbols={importWatchlistSymbols}
+        portfolio={portfolio}
+        onPortfolioChange={handlePortfolioChange}
+        onSymbolClick={(symbol) => handleOpenStockDetails({ symbol })}
+        signedIn={user !== null}
       />
        {stockDetailsError && isStockDetailsModalOpen && ( 
             <div className="modal-overlay" style={{ display: 'flex' }}>
@@ -516,7 +858,7 @@ try {
     const root = ReactDOM.createRoot(rootElement);
     root.render(
       <React.StrictMode>
-        <App />
+        {window.location.pathname.startsWith('/admin') ? <AdminPage /> : <App />}
       </React.StrictMode>
     );
     console.log("[index.tsx] ReactDOM.render completed."); // Diagnostic log
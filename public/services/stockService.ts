@@ -3,35 +3,18 @@ console.log("[stockService.ts] Module execution started."); // Diagnostic log
 
 import { 
     Stock, StockDetails, 
-    FMPQuote, FMPRatiosTTM, FMPKeyMetricsTTM, FMPProfile, FMPScreenerResult, FMPStockNewsItem,
-    HistoricalPricePoint, HistoricalFinancialDataPoint,
-    FMPHistoricalPriceData, FMPAnnualIncomeStatement, FMPAnnualBalanceSheet,
-    InstitutionalOwnershipSummary, TopInstitutionalHolder, EarningsCallTranscriptMeta, // New types for Ultimate plan data
-    FMPInstitutionalOwnership, FMPTopInstitutionalHolder, FMPEarningsTranscriptMeta // Raw FMP types
+    ActiveFilters, RangeQueryNode, ScoreBreakdown, BacktestResult, RebalanceFrequency,
+    SavedScreen, ScreenEvent, MetricBucket, StockMetricsDescription, StockPage, StockSearchResult,
+    KeyMetricVisibility, StockSort, ExportFormat,
+    Portfolio, PortfolioSummary, ParsedHoldingsCsv, AggregateGroup, AggregateGroupBy,
+    CustomMetric, CustomMetricInput, CustomMetricFormat,
+    ImportStatus, ImportRun, ImportTicker, ImportTickerStatus,
+    User, Workspace, AuthSession, CustomPreset, Theme, QuoteUpdate, QuoteStreamStatus,
+    AlertRule, AlertRuleInput, AlertConditionOptions, AlertEvent,
+    PresetInput, SavedPreset, SharedPreset
 } from '../types';
-import { INITIAL_STOCK_LOAD_COUNT } from '../constants';
-
-const getApiKey = (): string | undefined => {
-  console.log("[stockService.ts] getApiKey called."); // Diagnostic log
-  if (typeof window !== 'undefined' &&
-      (window as any).APP_CONFIG &&
-      (window as any).APP_CONFIG.FMP_API_KEY &&
-      (window as any).APP_CONFIG.FMP_API_KEY !== "YOUR_FMP_API_KEY_HERE") {
-    console.log("[stockService.ts] API key found in window.APP_CONFIG."); // Diagnostic log
-    return (window as any).APP_CONFIG.FMP_API_KEY;
-  }
-  // Check if process and process.env are defined before trying to access API_KEY
-  if (typeof process !== 'undefined' && typeof process.env !== 'undefined' && process.env.API_KEY) {
-    console.log("[stockService.ts] API key found in process.env."); // Diagnostic log
-    return process.env.API_KEY;
-  }
-  console.log("[stockService.ts] No API key found."); // Diagnostic log
-  return undefined; // Explicitly return undefined if no key found
-};
-
-const API_KEY = getApiKey();
-const FMP_BASE_URL = 'https://financialmodelingprep.com/api/v3';
-const FMP_V4_BASE_URL = 'https://financialmodelingprep.com/api/v4'; // For some newer endpoints
+import { STOCKS_PER_PAGE, FILTER_GROUPS, DEFAULT_SCORE_PROFILE, SCORE_FACTOR_LABELS, DISPLAY_METRICS_CONFIG, DEFAULT_STOCK_SORT, RANGE_FILTER_FIELDS } from '../constants';
+import stockMetricsJson from '../generated/stockMetrics.json';
 
 const NA_STRING = "N/A";
 
@@ -48,48 +31,44 @@ const formatNum = (val: number | null | undefined, decimals = 2, suffix = ''): s
   return val.toFixed(decimals) + suffix;
 };
 
-const getMarketCapCategory = (marketCap: number | null | undefined): Stock['marketCapCategory'] => {
-  if (marketCap === null || marketCap === undefined) return NA_STRING;
-  if (marketCap >= 2_000_000_000) return 'midLarge'; // Merged Mid/Large
-  if (marketCap >= 300_000_000) return 'small';
-  if (marketCap >= 50_000_000) return 'micro';
-  if (marketCap > 0) return 'nano'; // New Nano category
-  return NA_STRING;
-};
-
-const getVolumeCategory = (avgVolume: number | null | undefined): Stock['volumeCategory'] => {
-  if (avgVolume === null || avgVolume === undefined) return NA_STRING;
-  if (avgVolume >= 1_000_000) return 'high';
-  if (avgVolume >= 100_000) return 'medium';
-  if (avgVolume > 0) return 'low';
-  return NA_STRING;
-};
-
-// For Debt/Equity ratio
-const getDebtCategory = (debtEquityRatio: number | null | undefined): Stock['debtCategory'] => {
-  if (debtEquityRatio === null || debtEquityRatio === undefined) return NA_STRING;
-  if (debtEquityRatio < 0.5) return 'low';
-  if (debtEquityRatio <= 1.0) return 'medium';
-  return 'high';
-};
-
-// For P/E ratio
-const getValuationCategory = (peRatio: number | null | undefined): Stock['valuationCategory'] => {
-  if (peRatio === null || peRatio === undefined) return NA_STRING;
-  if (peRatio < 15 && peRatio > 0) return 'value';
-  if (peRatio > 25) return 'growth';
-  if (peRatio >=15 && peRatio <=25) return 'blend';
-  return NA_STRING; 
-};
-
-// For ROE (used as ROTCE proxy)
-const getRotceCategory = (roe: number | null | undefined): Stock['rotceCategory'] => { 
-  if (roe === null || roe === undefined) return NA_STRING;
-  const roePercent = roe * 100;
-  if (roePercent > 20) return 'excellent';
-  if (roePercent >= 15) return 'good';
-  if (roePercent >= 10) return 'average';
-  return 'poor';
+// Category buckets and display strings follow the tables generated from the backend's stockModel.js
+// (npm run generate:metrics), so values derived in the browser are bucketed exactly like imported ones.
+const STOCK_METRICS = stockMetricsJson as StockMetricsDescription;
+
+const metricSource = (source: string, raw: Record<string, number | null | undefined>, inputs: Record<string, number | null>): number | null =>
+  source in inputs ? inputs[source] : safeNum(raw[source]);
+
+const matchesBucket = (bucket: MetricBucket, value: number): boolean =>
+  (bucket.gt === undefined || value > bucket.gt) &&
+  (bucket.gte === undefined || value >= bucket.gte) &&
+  (bucket.lt === undefined || value < bucket.lt) &&
+  (bucket.lte === undefined || value <= bucket.lte);
+
+// Categories and formatted strings keyed by stock field (e.g. marketCapCategory, debtEbitda), from raw
+// values keyed by the backend schema field names (priceEarningsRatioTTM, returnOnEquityTTM, ...)
+export const deriveStockMetrics = (raw: Record<string, number | null | undefined>): Record<string, string> => {
+  const inputs: Record<string, number | null> = {};
+  Object.entries(STOCK_METRICS.derivedInputs).forEach(([name, definition]) => {
+    let value: number | null;
+    if (definition.ratio) {
+      const [numerator, denominator] = definition.ratio.map(field => safeNum(raw[field]));
+      value = numerator !== null && denominator !== null && denominator !== 0 ? numerator / denominator : null;
+    } else {
+      value = safeNum(raw[definition.field!]);
+    }
+    inputs[name] = value !== null && definition.scale ? value * definition.scale : value;
+  });
+
+  const derived: Record<string, string> = {};
+  Object.entries(STOCK_METRICS.categories).forEach(([field, rule]) => {
+    const value = metricSource(rule.source, raw, inputs);
+    const bucket = value === null ? undefined : rule.buckets.find(candidate => matchesBucket(candidate, value));
+    derived[field] = value === null ? rule.missing : bucket ? bucket.value : rule.otherwise;
+  });
+  Object.entries(STOCK_METRICS.formatted).forEach(([field, format]) => {
+    derived[field] = formatNum(metricSource(format.source, raw, inputs), format.decimals, format.suffix);
+  });
+  return derived;
 };
 
 // Simplified score color logic for 0-100 score
@@ -108,6 +87,15 @@ export const getTextSimpleScoreColor = (score?: number): string => {
     return 'text-red-600 dark:text-red-400';
 };
 
+// One-line summary of a score breakdown, e.g. for tooltips
+export const describeScoreBreakdown = (breakdown?: ScoreBreakdown): string => {
+  if (!breakdown || Object.keys(breakdown.factors).length === 0) return 'Score breakdown not available';
+  const peers = breakdown.peerGroup === 'all' ? 'all stocks' : `${breakdown.peerGroup} peers`;
+  const factors = Object.entries(breakdown.factors)
+    .map(([factorId, factor]) => `${SCORE_FACTOR_LABELS[factorId] || factorId}: ${Math.round(factor.score)}`)
+    .join(', ');
+  return `Percentile vs ${peers} - ${factors}`;
+};
 
 const calculateSimpleScore = (peRatioTTM: number | null, roeTTM: number | null): number => {
     let score = 0;
@@ -135,190 +123,158 @@ const calculateSimpleScore = (peRatioTTM: number | null, roeTTM: number | null):
 };
 
 
-export const fetchStockListFromFMP = async (): Promise<Stock[]> => {
-  console.log("[stockService.ts] fetchStockListFromFMP called.");
-  if (!API_KEY) {
-    const errMsg = "FMP API Key is missing. Please ensure it is set correctly in index.html (window.APP_CONFIG.FMP_API_KEY) or as process.env.API_KEY in your environment.";
-    console.error(errMsg);
-    throw new FMPApiError(errMsg, 401);
-  }
+// Numeric range filters, e.g. from presets: `range:<field>` keys with a "min..max" value where either
+// bound may be left out ("range:priceEarningsRatioTTM": "0..15"). Validated server-side in presets.js.
+export const RANGE_FILTER_PREFIX = 'range:';
 
-  try {
-    const screenerUrl = `${FMP_BASE_URL}/stock-screener?limit=${INITIAL_STOCK_LOAD_COUNT + 200}&exchange=NASDAQ,NYSE,OTC&isActivelyTrading=true&apikey=${API_KEY}`;
-    console.log(`[stockService.ts] Fetching screener data from: ${screenerUrl.replace(API_KEY, "REDACTED_API_KEY")}`);
-    const screenerResponse = await fetch(screenerUrl);
-    
-    if (!screenerResponse.ok) {
-      const errorText = await screenerResponse.text().catch(() => "Could not retrieve error details.");
-      console.error(`FMP Screener API error: ${screenerResponse.status}. Response: ${errorText}`);
-      if (screenerResponse.status === 401) {
-        throw new FMPApiError(
-            `FMP API Authentication Failed (401 Unauthorized). Please verify that the API_KEY used is correct, active, and has permissions for the screener API. Check index.html or your environment variables.`, 
-            screenerResponse.status
-        );
-      }
-      throw new FMPApiError(
-          `FMP Screener API request failed with status ${screenerResponse.status}. Details: ${errorText}`, 
-          screenerResponse.status
-      );
-    }
-    const screenerDataFull: FMPScreenerResult[] = await screenerResponse.json();
-    
-    if (!Array.isArray(screenerDataFull)) {
-        console.error('FMP Screener data is not an array:', screenerDataFull);
-        throw new FMPApiError('Received invalid data format from FMP Screener.', 500);
-    }
-    console.log(`[stockService.ts] Received ${screenerDataFull.length} items from screener.`);
-
-    const eligibleScreenerItems = screenerDataFull.filter(item => {
-        if (item.isEtf) return false;
-        if (item.isFund) return false;
-        return item.isActivelyTrading !== false;
-    }).slice(0, INITIAL_STOCK_LOAD_COUNT); // Apply INITIAL_STOCK_LOAD_COUNT limit here
-    console.log(`[stockService.ts] Filtered down to ${eligibleScreenerItems.length} eligible items for detailed fetching.`);
-
-    const CHUNK_SIZE = 5; // Number of stocks to fetch details for in parallel
-    const DELAY_BETWEEN_CHUNKS = 1000; // Milliseconds (1 second)
-    const allResolvedStocks: (Stock | null)[] = [];
-
-    for (let i = 0; i < eligibleScreenerItems.length; i += CHUNK_SIZE) {
-        const chunk = eligibleScreenerItems.slice(i, i + CHUNK_SIZE);
-        console.log(`[stockService.ts] Processing chunk ${Math.floor(i / CHUNK_SIZE) + 1} of ${Math.ceil(eligibleScreenerItems.length / CHUNK_SIZE)}. Size: ${chunk.length}`);
-
-        const stockPromisesInChunk = chunk.map(async (screenerItem): Promise<Stock | null> => {
-          try {
-            const ratiosUrl = `${FMP_BASE_URL}/ratios-ttm/${screenerItem.symbol}?apikey=${API_KEY}`;
-            const keyMetricsUrl = `${FMP_BASE_URL}/key-metrics-ttm/${screenerItem.symbol}?apikey=${API_KEY}`;
-
-            let ratiosResponse, keyMetricsResponse;
-            try {
-                [ratiosResponse, keyMetricsResponse] = await Promise.all([
-                  fetch(ratiosUrl),
-                  fetch(keyMetricsUrl)
-                ]);
-            } catch (fetchErr: any) { // Catch specific fetch errors
-                console.error(`Network error during fetch for ${screenerItem.symbol}:`, fetchErr.message || fetchErr);
-                return null; // Return null for this stock, allow others to proceed
-            }
-
-            let ratiosData: FMPRatiosTTM | null = null;
-            if (ratiosResponse.ok) {
-              const rawRatios = await ratiosResponse.json();
-              ratiosData = (Array.isArray(rawRatios) && rawRatios.length > 0) ? rawRatios[0] : null;
-            } else if (ratiosResponse.status !== 404) { 
-               console.warn(`FMP Ratios API error for ${screenerItem.symbol}: ${ratiosResponse.status}. URL: ${ratiosUrl.replace(API_KEY, "REDACTED_API_KEY")}`);
-            }
-
-            let keyMetricsData: FMPKeyMetricsTTM | null = null;
-            if (keyMetricsResponse.ok) {
-              const rawKeyMetrics = await keyMetricsResponse.json();
-              keyMetricsData = (Array.isArray(rawKeyMetrics) && rawKeyMetrics.length > 0) ? rawKeyMetrics[0] : null;
-            } else if (keyMetricsResponse.status !== 404) {
-               console.warn(`FMP KeyMetrics API error for ${screenerItem.symbol}: ${keyMetricsResponse.status}. URL: ${keyMetricsUrl.replace(API_KEY, "REDACTED_API_KEY")}`);
-            }
-            
-            const marketCap = safeNum(screenerItem.marketCap);
-            const avgVolume = safeNum(screenerItem.volume); 
-            const price = safeNum(screenerItem.price);
-
-            const peRatioTTM = ratiosData ? safeNum(ratiosData.priceEarningsRatioTTM) : null;
-            const debtEquityRatioTTM = ratiosData ? safeNum(ratiosData.debtEquityRatioTTM) : null;
-            const roeTTM = ratiosData ? (safeNum(ratiosData.returnOnTangibleEquityTTM) ?? safeNum(ratiosData.returnOnEquityTTM)) : null; 
-            
-            const debtToEbitdaTTM = keyMetricsData ? safeNum(keyMetricsData.debtToEbitdaTTM) : null;
-            const evOverEbitdaTTM = keyMetricsData ? safeNum(keyMetricsData.enterpriseValueOverEBITDATTM) : null; 
-
-            const fcfPerShareTTM = keyMetricsData ? safeNum(keyMetricsData.freeCashFlowPerShareTTM) : null;
-            const netIncomePerShareTTM = ratiosData ? safeNum(ratiosData.netIncomePerShareTTM) : null;
-            let fcfNiRatio: number | null = null;
-            if (fcfPerShareTTM !== null && netIncomePerShareTTM !== null && netIncomePerShareTTM !== 0) {
-                fcfNiRatio = fcfPerShareTTM / netIncomePerShareTTM;
-            }
-            
-            const simpleScore = calculateSimpleScore(peRatioTTM, roeTTM);
-            let styleTags: Stock['styleTags'] = [];
-            if (peRatioTTM !== null && peRatioTTM > 30) styleTags.push('highPE');
-            if (roeTTM !== null && roeTTM > 0) styleTags.push(' profitableTTM');
-
-            return {
-              id: screenerItem.symbol,
-              symbol: screenerItem.symbol,
-              name: screenerItem.companyName || NA_STRING,
-              sector: screenerItem.sector || NA_STRING,
-              price: price ?? 0,
-              simpleScore: simpleScore,
-              styleTags: styleTags,
-              
-              marketCap: marketCap ?? undefined,
-              avgVolume: avgVolume ?? undefined,
-              peRatioTTM: peRatioTTM,
-              debtEquityRatioTTM: debtEquityRatioTTM,
-              returnOnEquityTTM: roeTTM, 
-              debtToEbitdaTTM: debtToEbitdaTTM,
-              enterpriseValueOverEBITDATTM: evOverEbitdaTTM,
-              freeCashFlowPerShareTTM: fcfPerShareTTM,
-              netIncomePerShareTTM: netIncomePerShareTTM,
-
-              marketCapCategory: getMarketCapCategory(marketCap),
-              volumeCategory: getVolumeCategory(avgVolume),
-              debtCategory: getDebtCategory(debtEquityRatioTTM), 
-              valuationCategory: getValuationCategory(peRatioTTM), 
-              rotceCategory: getRotceCategory(roeTTM), 
-              
-              debtEbitda: formatNum(debtToEbitdaTTM, 2, 'x'), 
-              evEbit: formatNum(evOverEbitdaTTM, 2, 'x'), 
-              fcfNi: formatNum(fcfNiRatio, 2), 
-              rotce: formatNum(roeTTM !== null ? roeTTM * 100 : null, 1, '%'),
-
-              numericDebtEbitdaCategory: debtToEbitdaTTM !== null ? (debtToEbitdaTTM <= 0.25 ? 'le0.25x' : debtToEbitdaTTM <= 0.5 ? 'le0.5x' : debtToEbitdaTTM <= 1 ? 'le1x' : '') : '',
-              numericFcfNiCategory: fcfNiRatio !== null ? (fcfNiRatio >= 1.2 ? 'ge1.2' : fcfNiRatio >= 1.0 ? 'ge1.0' : fcfNiRatio >= 0.8 ? 'ge0.8' : '') : '',
-              
-              shareCountCagrCategory: NA_STRING, 
-              numericEvEbitCategory: NA_STRING, 
-              deepValueCategory: NA_STRING, 
-              moatKeywordsCategory: NA_STRING, 
-              insiderOwnershipCategory: NA_STRING, 
-              netInsiderBuysCategory: NA_STRING, 
-              grossMarginTrendCategory: NA_STRING, 
-              incrementalRoicCategory: NA_STRING, 
-              redFlagsCategory: NA_STRING, 
-            };
-          } catch (e: any) {
-            console.error(`Error processing stock ${screenerItem.symbol} in chunk mapping:`, e.message || e);
-            return null;
-          }
-        });
-
-        try {
-            const resolvedStocksInChunk = await Promise.all(stockPromisesInChunk);
-            allResolvedStocks.push(...resolvedStocksInChunk);
-        } catch (chunkError: any) {
-            // This catch is less likely to be hit if individual promises handle their errors and return null.
-            // However, it's a safeguard.
-            console.error(`[stockService.ts] Critical error processing a chunk of stocks:`, chunkError.message || chunkError);
-        }
-      
-        if (i + CHUNK_SIZE < eligibleScreenerItems.length) {
-            console.log(`[stockService.ts] Delaying for ${DELAY_BETWEEN_CHUNKS}ms before next chunk.`);
-            await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_CHUNKS));
-        }
-    }
+export const rangeFilterKey = (field: string): string => `${RANGE_FILTER_PREFIX}${field}`;
 
-    const finalStocks = allResolvedStocks.filter(stock => stock !== null) as Stock[];
-    console.log(`[stockService.ts] Processed ${finalStocks.length} stocks after detailed fetching with chunking.`);
-    return finalStocks;
+export const parseRangeFilterValue = (value: string): { min?: number; max?: number } | null => {
+  const [minText, maxText, ...rest] = value.split('..');
+  if (maxText === undefined || rest.length > 0) return null;
+  const range: { min?: number; max?: number } = {};
+  if (minText.trim() !== '') range.min = Number(minText);
+  if (maxText.trim() !== '') range.max = Number(maxText);
+  if (Object.keys(range).length === 0 || Object.values(range).some(bound => !isFinite(bound as number))) return null;
+  return range;
+};
 
-  } catch (error) {
-    if (error instanceof FMPApiError) throw error; 
-    console.error("Error fetching stock list from FMP:", error);
-    throw new FMPApiError("An unexpected error occurred while fetching stock list.", 500);
-  }
+export const formatRangeFilterValue = (min?: number | null, max?: number | null): string => `${min ?? ''}..${max ?? ''}`;
+
+// "P/E (TTM) 5–15", "P/E (TTM) ≤ 15"
+export const describeRangeFilter = (key: string, value: string): string => {
+  const field = key.slice(RANGE_FILTER_PREFIX.length);
+  const label = RANGE_FILTER_FIELDS.find(option => option.field === field)?.label || field;
+  const range = parseRangeFilterValue(value);
+  if (!range) return `${label}: ${value}`;
+  if (range.min !== undefined && range.max !== undefined) return `${label} ${range.min}–${range.max}`;
+  return range.min !== undefined ? `${label} ≥ ${range.min}` : `${label} ≤ ${range.max}`;
+};
+
+// Translate active sidebar filters whose options define a numeric range, and `range:<field>` filters,
+// into a single range query. Returns the query plus the filter keys it covers, so they are not also
+// sent as category params.
+export const buildRangeQueryFromFilters = (filters: ActiveFilters): { where: RangeQueryNode | null; rangeFilterKeys: string[] } => {
+  const conditions: RangeQueryNode[] = [];
+  const rangeFilterKeys: string[] = [];
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!key.startsWith(RANGE_FILTER_PREFIX) || !value) return;
+    const range = parseRangeFilterValue(value);
+    if (range) conditions.push({ field: key.slice(RANGE_FILTER_PREFIX.length), ...range });
+    rangeFilterKeys.push(key);
+  });
+
+  FILTER_GROUPS.forEach(group => {
+    group.subGroups?.forEach(subGroup => {
+      const selectedValue = filters[subGroup.id];
+      if (!selectedValue) return;
+      const option = subGroup.options.find(opt => opt.value === selectedValue);
+      if (option?.range) {
+        conditions.push(option.range);
+        rangeFilterKeys.push(subGroup.id);
+      }
+    });
+  });
+
+  return {
+    where: conditions.length > 0 ? { and: conditions } : null,
+    rangeFilterKeys
+  };
 };
 
 // New function to fetch stock data from local MongoDB API with filtering
+// Fields the list view maps into Stock; everything else (e.g. long descriptions) stays on the server
+const STOCK_LIST_FIELDS = [
+  'symbol', 'companyName', 'sector', 'price', 'simpleScore', 'scores',
+  'marketCap', 'mktCap', 'avgVolume', 'volAvg',
+  'exchange', 'country', 'currency', 'priceUsd', 'marketCapUsd', 'avgDollarVolumeUsd',
+  'priceEarningsRatioTTM', 'debtEquityRatioTTM', 'returnOnEquityTTM', 'debtToEbitdaTTM',
+  'enterpriseValueOverEBITDATTM', 'freeCashFlowPerShareTTM', 'netIncomePerShareTTM',
+  'peVsSectorMedian', 'peVsIndustryMedian', 'evEbitdaVsSectorMedian', 'evEbitdaVsIndustryMedian',
+  'debtEquityVsSectorMedian', 'debtEquityVsIndustryMedian', 'debtEbitdaVsSectorMedian', 'debtEbitdaVsIndustryMedian',
+  'roeVsSectorMedian', 'roeVsIndustryMedian', 'customMetrics', 'dataQualityFlags', 'styleTags', 'styleTagReasons',
+  'lastUpdated', 'quoteUpdatedAt',
+  'marketCapCategory', 'volumeCategory', 'debtCategory', 'valuationCategory', 'rotceCategory',
+  'debtEbitda', 'evEbit', 'fcfNi', 'rotce', 'numericDebtEbitdaCategory', 'numericFcfNiCategory',
+  'shareCountCagrCategory', 'numericEvEbitCategory', 'deepValueCategory', 'moatKeywordsCategory',
+  'insiderOwnershipCategory', 'netInsiderBuysCategory', 'grossMarginTrendCategory',
+  'incrementalRoicCategory', 'redFlagsCategory'
+];
+
+// Maps a stock document from /api/v1/stocks or /api/v1/search to the Stock shape used by the UI
+const mapMongoStock = (mongoStock: any): Stock => ({
+  id: mongoStock.symbol,
+  symbol: mongoStock.symbol,
+  name: mongoStock.companyName || NA_STRING,
+  sector: mongoStock.sector || NA_STRING,
+  price: mongoStock.price || 0,
+  exchange: mongoStock.exchange,
+  country: mongoStock.country,
+  currency: mongoStock.currency,
+  priceUsd: mongoStock.priceUsd,
+  marketCapUsd: mongoStock.marketCapUsd,
+  avgDollarVolumeUsd: mongoStock.avgDollarVolumeUsd,
+  simpleScore: mongoStock.simpleScore || 0,
+  scoreBreakdown: mongoStock.scores?.[DEFAULT_SCORE_PROFILE],
+  styleTags: mongoStock.styleTags || [],
+  styleTagReasons: mongoStock.styleTagReasons || [],
+
+  marketCap: mongoStock.marketCap || mongoStock.mktCap,
+  avgVolume: mongoStock.avgVolume || mongoStock.volAvg,
+  peRatioTTM: mongoStock.priceEarningsRatioTTM,
+  debtEquityRatioTTM: mongoStock.debtEquityRatioTTM,
+  returnOnEquityTTM: mongoStock.returnOnEquityTTM,
+  debtToEbitdaTTM: mongoStock.debtToEbitdaTTM,
+  enterpriseValueOverEBITDATTM: mongoStock.enterpriseValueOverEBITDATTM,
+  freeCashFlowPerShareTTM: mongoStock.freeCashFlowPerShareTTM,
+  netIncomePerShareTTM: mongoStock.netIncomePerShareTTM,
+
+  peVsSectorMedian: mongoStock.peVsSectorMedian,
+  peVsIndustryMedian: mongoStock.peVsIndustryMedian,
+  evEbitdaVsSectorMedian: mongoStock.evEbitdaVsSectorMedian,
+  evEbitdaVsIndustryMedian: mongoStock.evEbitdaVsIndustryMedian,
+  debtEquityVsSectorMedian: mongoStock.debtEquityVsSectorMedian,
+  debtEquityVsIndustryMedian: mongoStock.debtEquityVsIndustryMedian,
+  debtEbitdaVsSectorMedian: mongoStock.debtEbitdaVsSectorMedian,
+  debtEbitdaVsIndustryMedian: mongoStock.debtEbitdaVsIndustryMedian,
+  roeVsSectorMedian: mongoStock.roeVsSectorMedian,
+  roeVsIndustryMedian: mongoStock.roeVsIndustryMedian,
+  customMetrics: mongoStock.customMetrics || {},
+  dataQualityFlags: mongoStock.dataQualityFlags || [],
+  lastUpdated: mongoStock.lastUpdated,
+  quoteUpdatedAt: mongoStock.quoteUpdatedAt,
+
+  marketCapCategory: mongoStock.marketCapCategory || NA_STRING,
+  volumeCategory: mongoStock.volumeCategory || NA_STRING,
+  debtCategory: mongoStock.debtCategory || NA_STRING,
+  valuationCategory: mongoStock.valuationCategory || NA_STRING,
+  rotceCategory: mongoStock.rotceCategory || NA_STRING,
+
+  debtEbitda: mongoStock.debtEbitda || NA_STRING,
+  evEbit: mongoStock.evEbit || NA_STRING,
+  fcfNi: mongoStock.fcfNi || NA_STRING,
+  rotce: mongoStock.rotce || NA_STRING,
+
+  numericDebtEbitdaCategory: mongoStock.numericDebtEbitdaCategory || '',
+  numericFcfNiCategory: mongoStock.numericFcfNiCategory || '',
+
+  shareCountCagrCategory: mongoStock.shareCountCagrCategory || NA_STRING,
+  numericEvEbitCategory: mongoStock.numericEvEbitCategory || NA_STRING,
+  deepValueCategory: mongoStock.deepValueCategory || NA_STRING,
+  moatKeywordsCategory: mongoStock.moatKeywordsCategory || NA_STRING,
+  insiderOwnershipCategory: mongoStock.insiderOwnershipCategory || NA_STRING,
+  netInsiderBuysCategory: mongoStock.netInsiderBuysCategory || NA_STRING,
+  grossMarginTrendCategory: mongoStock.grossMarginTrendCategory || NA_STRING,
+  incrementalRoicCategory: mongoStock.incrementalRoicCategory || NA_STRING,
+  redFlagsCategory: mongoStock.redFlagsCategory || NA_STRING,
+});
+
+// Fetches one page of the server-side screen. Pass the previous page's nextCursor to continue;
+// the first page (no cursor) also returns the total number of matches.
 export const fetchStockListFromMongoDB = async (
-  page: number = 1, 
-  limit: number = 15000, 
+  cursor: string | null = null,
+  limit: number = STOCKS_PER_PAGE,
   filters: {
     marketCap?: string;
     volume?: string;
@@ -328,22 +284,36 @@ export const fetchStockListFromMongoDB = async (
     sector?: string;
     debtToEbitda?: string;
     fcfToNetIncome?: string;
+    gmTrend?: string;
+    rdFlags?: string;
+    dataQuality?: string;
+    styleTags?: string;
+    region?: string;
     // Legacy support for direct category names
     marketCapCategory?: string;
     volumeCategory?: string;
     debtCategory?: string;
     rotceCategory?: string;
     valuationCategory?: string;
-  } = {}
-): Promise<Stock[]> => {
-  console.log("[stockService.ts] fetchStockListFromMongoDB called with filters:", filters);
+  } = {},
+  where: RangeQueryNode | null = null,
+  sort: StockSort = DEFAULT_STOCK_SORT
+): Promise<StockPage> => {
+  console.log("[stockService.ts] fetchStockListFromMongoDB called with filters:", filters, "where:", where, "cursor:", cursor);
   
   try {
     // Build query parameters
     const params = new URLSearchParams({
-      page: page.toString(),
-      limit: limit.toString()
+      limit: limit.toString(),
+      fields: STOCK_LIST_FIELDS.join(','),
+      sortBy: sort.field,
+      sortOrder: sort.order
     });
+    if (cursor) {
+      params.append('cursor', cursor);
+    } else {
+      params.append('count', 'true');
+    }
     
     // Add filter parameters - support both new and legacy parameter names
     Object.entries(filters).forEach(([key, value]) => {
@@ -351,6 +321,10 @@ export const fetchStockListFromMongoDB = async (
         params.append(key, value);
       }
     });
+
+    if (where) {
+      params.append('where', JSON.stringify(where));
+    }
     
     const localApiUrl = `/api/v1/stocks?${params.toString()}`;
     console.log(`[stockService.ts] Fetching data from local API: ${localApiUrl}`);
@@ -376,53 +350,13 @@ export const fetchStockListFromMongoDB = async (
     console.log(`[stockService.ts] Received ${apiResponse.data.length} stocks from local MongoDB API.`);
     
     // Transform MongoDB data to match Stock interface
-    const stocks: Stock[] = apiResponse.data.map((mongoStock: any): Stock => {
-      return {
-        id: mongoStock.symbol,
-        symbol: mongoStock.symbol,
-        name: mongoStock.companyName || NA_STRING,
-        sector: mongoStock.sector || NA_STRING,
-        price: mongoStock.price || 0,
-        simpleScore: mongoStock.simpleScore || 0,
-        styleTags: [], // Can be calculated based on data if needed
-        
-        marketCap: mongoStock.marketCap || mongoStock.mktCap,
-        avgVolume: mongoStock.avgVolume || mongoStock.volAvg,
-        peRatioTTM: mongoStock.priceEarningsRatioTTM,
-        debtEquityRatioTTM: mongoStock.debtEquityRatioTTM,
-        returnOnEquityTTM: mongoStock.returnOnEquityTTM,
-        debtToEbitdaTTM: mongoStock.debtToEbitdaTTM,
-        enterpriseValueOverEBITDATTM: mongoStock.enterpriseValueOverEBITDATTM,
-        freeCashFlowPerShareTTM: mongoStock.freeCashFlowPerShareTTM,
-        netIncomePerShareTTM: mongoStock.netIncomePerShareTTM,
-
-        marketCapCategory: mongoStock.marketCapCategory || NA_STRING,
-        volumeCategory: mongoStock.volumeCategory || NA_STRING,
-        debtCategory: mongoStock.debtCategory || NA_STRING,
-        valuationCategory: mongoStock.valuationCategory || NA_STRING,
-        rotceCategory: mongoStock.rotceCategory || NA_STRING,
-        
-        debtEbitda: mongoStock.debtEbitda || NA_STRING,
-        evEbit: mongoStock.evEbit || NA_STRING,
-        fcfNi: mongoStock.fcfNi || NA_STRING,
-        rotce: mongoStock.rotce || NA_STRING,
-
-        numericDebtEbitdaCategory: mongoStock.numericDebtEbitdaCategory || '',
-        numericFcfNiCategory: mongoStock.numericFcfNiCategory || '',
-        
-        shareCountCagrCategory: NA_STRING,
-        numericEvEbitCategory: NA_STRING,
-        deepValueCategory: NA_STRING,
-        moatKeywordsCategory: NA_STRING,
-        insiderOwnershipCategory: NA_STRING,
-        netInsiderBuysCategory: NA_STRING,
-        grossMarginTrendCategory: NA_STRING,
-        incrementalRoicCategory: NA_STRING,
-        redFlagsCategory: NA_STRING,
-      };
-    });
+    const stocks: Stock[] = apiResponse.data.map(mapMongoStock);
     
-    return stocks;
+    return {
+      stocks,
+      nextCursor: apiResponse.pagination?.nextCursor ?? null,
+      totalItems: apiResponse.pagination?.totalItems
+    };
     
   } catch (error) {
     if (error instanceof FMPApiError) throw error;
@@ -432,350 +366,408 @@ export const fetchStockListFromMongoDB = async (
 };
 
 
-const fetchHistoricalPriceData = async (symbol: string, days: number = 90): Promise<HistoricalPricePoint[]> => {
-  if (!API_KEY) throw new FMPApiError("API Key not found for historical price data.", 401);
-  const url = `${FMP_BASE_URL}/historical-price-full/${symbol}?timeseries=${days}&apikey=${API_KEY}`;
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      if (response.status === 401) throw new FMPApiError(`FMP API Auth Failed (401) for historical price of ${symbol}`, 401);
-      console.warn(`FMP Historical Price API error for ${symbol}: ${response.status}. URL: ${url.replace(API_KEY, "REDACTED_API_KEY")}`);
-      return [];
-    }
-    const data: FMPHistoricalPriceData = await response.json();
-    if (data && Array.isArray(data.historical)) {
-      return data.historical.map(item => ({ date: item.date, close: item.close })).reverse();
-    }
-    return [];
-  } catch (error: any) {
-    console.error(`Error fetching historical price data for ${symbol}:`, error.message || error);
-    return [];
+// Everything the details modal shows, assembled by the backend from its market data provider and
+// cached there per dataset, so the browser needs no vendor key (GET /api/v1/stocks/:symbol)
+export const fetchStockDetails = async (stockSymbol: string): Promise<StockDetails> => {
+  const details = await requestApi<Omit<StockDetails, 'simpleScore'> & { simpleScore: number | null }>(
+    `/api/v1/stocks/${encodeURIComponent(stockSymbol)}`
+  );
+  return {
+    ...details,
+    // Stocks the import has not scored yet get the simple P/E and ROE estimate
+    simpleScore: details.simpleScore ?? calculateSimpleScore(details.peRatioTTM ?? null, details.returnOnEquityTTM ?? null),
+    latestNews: details.latestNews.map(item => ({ ...item, date: new Date(item.date).toLocaleDateString() }))
+  };
+};
+
+// Backtest a filter set on the server's stored snapshots
+export const runBacktest = async (
+  filters: ActiveFilters,
+  rebalance: RebalanceFrequency,
+  from: string,
+  to?: string
+): Promise<BacktestResult> => {
+  // Same split as the stock list: range-backed filters go in `where`, the rest as category values
+  const { where, rangeFilterKeys } = buildRangeQueryFromFilters(filters);
+  const categoryFilters: ActiveFilters = { ...filters };
+  rangeFilterKeys.forEach(key => delete categoryFilters[key]);
+
+  const response = await fetch('/api/v1/backtest', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filters: categoryFilters, where, rebalance, from, to: to || undefined })
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => null);
+    const details = errorBody?.details ? ` (${errorBody.details.join('; ')})` : '';
+    throw new FMPApiError(`${errorBody?.error || `Backtest failed with status ${response.status}`}${details}`, response.status);
   }
+  return response.json();
 };
 
-const fetchHistoricalFinancialStatements = async (symbol: string, years: number = 12): Promise<HistoricalFinancialDataPoint[]> => {
-  if (!API_KEY) throw new FMPApiError("API Key not found for historical financials.", 401);
+// Error from a failed backend response's { error, details } body
+const apiResponseError = async (response: Response): Promise<FMPApiError> => {
+  const errorBody = await response.json().catch(() => null);
+  const details = errorBody?.details?.length ? ` (${errorBody.details.join('; ')})` : '';
+  return new FMPApiError(`${errorBody?.error || `Request failed with status ${response.status}`}${details}`, response.status);
+};
 
-  const incomeStmtUrl = `${FMP_BASE_URL}/income-statement/${symbol}?period=annual&limit=${years}&apikey=${API_KEY}`;
-  const balanceSheetUrl = `${FMP_BASE_URL}/balance-sheet-statement/${symbol}?period=annual&limit=${years}&apikey=${API_KEY}`;
+// Session token of the signed-in user (see signIn); sent with every API request
+const AUTH_TOKEN_KEY = 'authToken';
 
-  try {
-    const [incomeResponse, balanceSheetResponse] = await Promise.all([
-      fetch(incomeStmtUrl),
-      fetch(balanceSheetUrl)
-    ]);
-
-    if (!incomeResponse.ok || !balanceSheetResponse.ok) {
-        if (incomeResponse.status === 401 || balanceSheetResponse.status === 401) {
-            throw new FMPApiError(`FMP API Auth Failed (401) for historical financials of ${symbol}`, 401);
-        }
-      console.warn(`Error fetching historical financials for ${symbol}. Income: ${incomeResponse.status}, Balance Sheet: ${balanceSheetResponse.status}`);
-      return [];
-    }
+export const getAuthToken = (): string | null => localStorage.getItem(AUTH_TOKEN_KEY);
 
-    const incomeData: FMPAnnualIncomeStatement[] = await incomeResponse.json();
-    const balanceSheetData: FMPAnnualBalanceSheet[] = await balanceSheetResponse.json();
+export const clearAuthToken = (): void => localStorage.removeItem(AUTH_TOKEN_KEY);
 
-    if (!Array.isArray(incomeData) || !Array.isArray(balanceSheetData)) {
-        console.warn(`Invalid data format for historical financials for ${symbol}`);
-        return [];
+// Backend API request as the signed-in user; a failed response throws its { error, details } as FMPApiError
+const requestApi = async <T,>(url: string, init?: RequestInit): Promise<T> => {
+  const token = getAuthToken();
+  const response = await fetch(url, {
+    ...init,
+    headers: {
+      ...(init?.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(init?.headers as Record<string, string> | undefined)
     }
+  });
+  if (!response.ok) {
+    throw await apiResponseError(response);
+  }
+  return response.status === 204 ? (undefined as T) : response.json();
+};
 
-    const combinedData: HistoricalFinancialDataPoint[] = [];
-
-    incomeData.forEach(incomeItem => {
-      const correspondingBalanceSheet = balanceSheetData.find(bsItem => bsItem.calendarYear === incomeItem.calendarYear);
-      if (correspondingBalanceSheet) {
-        const netIncome = safeNum(incomeItem.netIncome);
-        const totalStockholdersEquity = safeNum(correspondingBalanceSheet.totalStockholdersEquity);
-        const goodwill = safeNum(correspondingBalanceSheet.goodwill) ?? 0;
-        const intangibleAssets = safeNum(correspondingBalanceSheet.intangibleAssets) ?? 0;
-        const totalGoodwillAndIntangibles = (goodwill + intangibleAssets > 0) 
-            ? (goodwill + intangibleAssets)
-            : safeNum(correspondingBalanceSheet.goodwillAndIntangibleAssets) ?? 0;
-
-
-        let calculatedROTCE: number | null = null;
-        if (netIncome !== null && totalStockholdersEquity !== null) {
-          const tangibleCommonEquity = totalStockholdersEquity - totalGoodwillAndIntangibles;
-          if (tangibleCommonEquity > 0) {
-            calculatedROTCE = netIncome / tangibleCommonEquity;
-          }
-        }
-        
-        combinedData.push({
-          year: parseInt(incomeItem.calendarYear, 10),
-          fiscalDateEnding: incomeItem.date,
-          reportedCurrency: incomeItem.reportedCurrency,
-          commonStockSharesOutstanding: safeNum(correspondingBalanceSheet.commonStock), 
-          netIncome: netIncome,
-          totalStockholdersEquity: totalStockholdersEquity,
-          goodwill: goodwill,
-          intangibleAssets: intangibleAssets,
-          calculatedROTCE: calculatedROTCE,
-        });
-      }
-    });
-    
-    return combinedData.sort((a, b) => a.year - b.year);
+// Median, mean and percentiles per sector or industry (or 'all') of the stocks matching the filters
+export const fetchAggregates = async (options: {
+  groupBy?: AggregateGroupBy;
+  fields?: string[];
+  percentiles?: number[];
+  filters?: Record<string, string | undefined>;
+  where?: RangeQueryNode | null;
+}): Promise<AggregateGroup[]> => {
+  const params = new URLSearchParams({ groupBy: options.groupBy || 'sector' });
+  if (options.fields?.length) params.set('fields', options.fields.join(','));
+  if (options.percentiles?.length) params.set('percentiles', options.percentiles.join(','));
+  Object.entries(options.filters || {}).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  if (options.where) params.set('where', JSON.stringify(options.where));
+  return (await requestApi<{ groups: AggregateGroup[] }>(`/api/v1/aggregates?${params.toString()}`)).groups;
+};
 
-  } catch (error: any) {
-    console.error(`Error fetching historical financial statements for ${symbol}:`, error.message || error);
-    return [];
+// Server-side search: phrases like "small cap value tech" come back as `filters` (FILTER_GROUPS ids),
+// the remaining words are matched typo-tolerantly against symbol, name, industry, CEO and description.
+export const searchStocks = async (
+  query: string,
+  filters: Record<string, string | undefined> = {},
+  where: RangeQueryNode | null = null,
+  limit: number = 50
+): Promise<StockSearchResult> => {
+  const params = new URLSearchParams({ q: query, limit: limit.toString(), fields: STOCK_LIST_FIELDS.join(',') });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  if (where) {
+    params.append('where', JSON.stringify(where));
   }
+
+  const result = await requestApi<{ filters: ActiveFilters; terms: string[]; total: number; data: any[] }>(`/api/v1/search?${params.toString()}`);
+  return { stocks: result.data.map(mapMongoStock), filters: result.filters, terms: result.terms, total: result.total };
 };
 
+// Human-readable labels for filters parsed from a search phrase, e.g. "Small Cap ($300M-$2B)"
+export const describeSearchFilters = (filters: ActiveFilters): string[] => Object.entries(filters)
+  .filter(([, value]) => value)
+  .map(([key, value]) => {
+    if (key === 'sector') return `Sector: ${value}`;
+    if (key.startsWith(RANGE_FILTER_PREFIX)) return describeRangeFilter(key, value!);
+    const subGroup = FILTER_GROUPS.flatMap(group => group.subGroups || []).find(sub => sub.id === key);
+    const option = subGroup?.options.find(opt => opt.value === value);
+    return option ? `${subGroup!.title}: ${option.label}` : `${key}: ${value}`;
+  });
+
+// Stock schema fields behind the table columns currently shown (chosen in CustomizeMetricsModal)
+export const visibleExportColumns = (visibility: KeyMetricVisibility): string[] => DISPLAY_METRICS_CONFIG
+  .filter(dm => dm.type === 'individual' && dm.dataKey && (dm.alwaysVisible || visibility[dm.id as keyof KeyMetricVisibility]))
+  .map(dm => dm.dataKey as string);
+
+// Downloads the screen (filters, where, sort) or only `symbols` (e.g. the watchlist) from /api/v1/export.
+// Numeric columns come with both the raw value and the formatted string.
+export const exportStocks = async (format: ExportFormat, options: {
+  columns: string[];
+  filters?: Record<string, string | undefined>;
+  where?: RangeQueryNode | null;
+  sort?: StockSort;
+  symbols?: string[];
+  name?: string;
+}): Promise<void> => {
+  const sort = options.sort || DEFAULT_STOCK_SORT;
+  const name = options.name || 'screen';
+  const params = new URLSearchParams({ format, columns: options.columns.join(','), sortBy: sort.field, sortOrder: sort.order, name });
+  Object.entries(options.filters || {}).forEach(([key, value]) => {
+    if (value) params.append(key, value);
+  });
+  if (options.where) {
+    params.append('where', JSON.stringify(options.where));
+  }
+  if (options.symbols) {
+    params.append('symbols', options.symbols.join(','));
+  }
 
-export const fetchStockDetailsFromFMP = async (stockSymbol: string): Promise<StockDetails | null> => {
-  console.log(`[stockService.ts] fetchStockDetailsFromFMP called for ${stockSymbol}.`); // Diagnostic log
-  if (!API_KEY) {
-    const errMsg = "FMP API Key is missing. Please ensure it is set correctly in index.html (window.APP_CONFIG.FMP_API_KEY) or as process.env.API_KEY in your environment.";
-    console.error(errMsg);
-    throw new FMPApiError(errMsg, 401);
+  const response = await fetch(`/api/v1/export?${params.toString()}`);
+  if (!response.ok) {
+    throw await apiResponseError(response);
   }
-  try {
-    const profileUrl = `${FMP_BASE_URL}/profile/${stockSymbol}?apikey=${API_KEY}`;
-    const quoteUrl = `${FMP_BASE_URL}/quote/${stockSymbol}?apikey=${API_KEY}`; 
-    const ratiosUrl = `${FMP_BASE_URL}/ratios-ttm/${stockSymbol}?apikey=${API_KEY}`;
-    const keyMetricsUrl = `${FMP_BASE_URL}/key-metrics-ttm/${stockSymbol}?apikey=${API_KEY}`;
-    const newsUrl = `${FMP_BASE_URL}/stock_news?tickers=${stockSymbol}&limit=5&apikey=${API_KEY}`;
-    // New Ultimate Plan Data URLs
-    const institutionalOwnershipUrl = `${FMP_V4_BASE_URL}/institutional-ownership/symbol_ownership?symbol=${stockSymbol}&apikey=${API_KEY}`;
-    const topInstitutionalHoldersUrl = `${FMP_BASE_URL}/institutional-holder/${stockSymbol}?limit=5&apikey=${API_KEY}`;
-    // FMP v4 endpoint for earning call transcripts list
-    const earningsTranscriptsListUrl = `${FMP_V4_BASE_URL}/batch_earning_call_transcript/${stockSymbol}?apikey=${API_KEY}`;
-
-
-    console.log(`[stockService.ts] Fetching details for ${stockSymbol}. Profile URL: ${profileUrl.replace(API_KEY, "REDACTED_API_KEY")}`);
-
-    let profileRes, quoteRes, ratiosRes, keyMetricsRes, newsRes, 
-        institutionalOwnershipRes, topHoldersRes, transcriptsListRes,
-        historicalPrice, historicalFinancials;
-    
-    try {
-        [profileRes, quoteRes, ratiosRes, keyMetricsRes, newsRes, 
-         institutionalOwnershipRes, topHoldersRes, transcriptsListRes] = await Promise.all([
-          fetch(profileUrl),
-          fetch(quoteUrl),
-          fetch(ratiosUrl),
-          fetch(keyMetricsUrl),
-          fetch(newsUrl),
-          fetch(institutionalOwnershipUrl),
-          fetch(topInstitutionalHoldersUrl),
-          fetch(earningsTranscriptsListUrl)
-        ].map(p => p.catch(e => { // Add individual catch for each fetch in Promise.all
-            console.error(`A fetch operation failed for ${stockSymbol}:`, e.message || e);
-            return new Response(null, {status: 503, statusText: "Service Unavailable or Network Error"}); // Return a mock error response
-        })));
-        
-        const historicalPricePromise = fetchHistoricalPriceData(stockSymbol);
-        const historicalFinancialsPromise = fetchHistoricalFinancialStatements(stockSymbol);
-        
-        historicalPrice = await historicalPricePromise;
-        historicalFinancials = await historicalFinancialsPromise;
-
-    } catch (fetchErr: any) { // This catch is now less likely for individual fetches but good for Promise.all itself
-        console.error(`General network error during initial detail fetch for ${stockSymbol}:`, fetchErr.message || fetchErr);
-        throw new FMPApiError(`Network error fetching details for ${stockSymbol}. This can be due to internet connectivity issues or the API server being temporarily unavailable.`, 500);
-    }
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '')?.[1] || `${name}.${format}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
 
-    if (!profileRes.ok) {
-        const errorStatus = profileRes.status;
-        const errorText = await profileRes.text().catch(() => `Status: ${errorStatus}`);
-        let message = `Failed to fetch FMP profile data for ${stockSymbol}. Status: ${errorStatus}. Details: ${errorText}`;
-        if (errorStatus === 401) message = `FMP API Authentication Failed (401) for profile of ${stockSymbol}. Key: ${API_KEY ? API_KEY.substring(0,4) + '...' : 'MISSING'}`;
-        else if (errorStatus === 429) message = `FMP API rate limit reached (429) for profile of ${stockSymbol}.`;
-        else if (errorStatus === 503 && profileRes.statusText === "Service Unavailable or Network Error") message = `Network error or FMP service unavailable when fetching profile for ${stockSymbol}.`;
-        console.error(message);
-        throw new FMPApiError(message, errorStatus);
-    }
+// Saved screens: persisted filter sets that the nightly import diffs for new and removed matches
+export const fetchSavedScreens = async (): Promise<SavedScreen[]> =>
+  (await requestApi<{ screens: SavedScreen[] }>('/api/v1/screens')).screens;
 
-    if (!quoteRes.ok) {
-        const errorStatus = quoteRes.status;
-        const errorText = await quoteRes.text().catch(() => `Status: ${errorStatus}`);
-        let message = `Failed to fetch FMP quote data for ${stockSymbol}. Status: ${errorStatus}. Details: ${errorText}`;
-        if (errorStatus === 401) message = `FMP API Authentication Failed (401) for quote of ${stockSymbol}.`;
-        else if (errorStatus === 429) message = `FMP API rate limit reached (429) for quote of ${stockSymbol}.`;
-        else if (errorStatus === 503 && quoteRes.statusText === "Service Unavailable or Network Error") message = `Network error or FMP service unavailable when fetching quote for ${stockSymbol}.`;
-        console.error(message);
-        throw new FMPApiError(message, errorStatus);
-    }
-    
-    const profileDataArr: FMPProfile[] = await profileRes.json();
-    const quoteDataArr: FMPQuote[] = await quoteRes.json();
-    
-    const profile = profileDataArr?.[0];
-    const quote = quoteDataArr?.[0];
+export const createSavedScreen = (name: string, filters: ActiveFilters, webhookUrl?: string): Promise<SavedScreen> => {
+  const { where, rangeFilterKeys } = buildRangeQueryFromFilters(filters);
+  return requestApi<SavedScreen>('/api/v1/screens', {
+    method: 'POST',
+    body: JSON.stringify({ name, filters, where, rangeFilterKeys, webhookUrl })
+  });
+};
 
-    if (!profile || !quote) {
-        console.error(`Missing profile or quote data for ${stockSymbol} after successful fetch.`);
-        throw new FMPApiError(`Incomplete profile or quote data received for ${stockSymbol} (data structure issue).`, 500);
-    }
+export const deleteSavedScreen = (id: string): Promise<void> =>
+  requestApi<void>(`/api/v1/screens/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+export const fetchScreenEvents = async (limit: number = 20): Promise<ScreenEvent[]> =>
+  (await requestApi<{ events: ScreenEvent[] }>(`/api/v1/screen-events?limit=${limit}`)).events;
+
+// Live quotes: server-sent events from /api/v1/quotes/stream while the market is open. Returns a function
+// that closes the stream; the browser reconnects on its own after a dropped connection.
+export const subscribeToQuotes = (
+  symbols: string[],
+  handlers: { onQuote: (quote: QuoteUpdate) => void; onStatus?: (status: QuoteStreamStatus) => void }
+): (() => void) => {
+  const source = new EventSource(`/api/v1/quotes/stream?symbols=${encodeURIComponent(symbols.join(','))}`);
+  source.addEventListener('quote', event => handlers.onQuote(JSON.parse((event as MessageEvent).data)));
+  source.addEventListener('status', event => handlers.onStatus?.(JSON.parse((event as MessageEvent).data)));
+  return () => source.close();
+};
 
-    let ratios: FMPRatiosTTM | null = null;
-    if (ratiosRes.ok) {
-        const rawRatios = await ratiosRes.json();
-        ratios = (Array.isArray(rawRatios) && rawRatios.length > 0) ? rawRatios[0] : null;
-    } else if (ratiosRes.status !== 503) { // Don't warn for network errors already handled by Promise.all map
-        console.warn(`FMP Ratios API error for ${stockSymbol}: ${ratiosRes.status}`);
-    }
+// Portfolios: server-side holdings, valued at the stored prices and checked against the screen they were bought on
+export const fetchPortfolios = async (): Promise<PortfolioSummary[]> =>
+  (await requestApi<{ portfolios: PortfolioSummary[] }>('/api/v1/portfolios')).portfolios;
 
+export const fetchPortfolio = (id: string): Promise<Portfolio> =>
+  requestApi<Portfolio>(`/api/v1/portfolios/${encodeURIComponent(id)}`);
 
-    let keyMetrics: FMPKeyMetricsTTM | null = null;
-    if (keyMetricsRes.ok) {
-        const rawKeyMetrics = await keyMetricsRes.json();
-        keyMetrics = (Array.isArray(rawKeyMetrics) && rawKeyMetrics.length > 0) ? rawKeyMetrics[0] : null;
-    } else if (keyMetricsRes.status !== 503) {
-        console.warn(`FMP KeyMetrics API error for ${stockSymbol}: ${keyMetricsRes.status}`);
-    }
+export const createPortfolio = (name: string, screenId?: string | null): Promise<Portfolio> =>
+  requestApi<Portfolio>('/api/v1/portfolios', {
+    method: 'POST',
+    body: JSON.stringify({ name, screenId: screenId || undefined })
+  });
 
-    let newsData: FMPStockNewsItem[] = [];
-    if (newsRes.ok) {
-        newsData = await newsRes.json();
-    } else if (newsRes.status !== 503) {
-        console.warn(`FMP News API error for ${stockSymbol}: ${newsRes.status}`);
-    }
-    
-    let institutionalOwnershipSummary: InstitutionalOwnershipSummary | null = null;
-    if (institutionalOwnershipRes.ok) {
-        const rawInstOwn = await institutionalOwnershipRes.json();
-        if (Array.isArray(rawInstOwn) && rawInstOwn.length > 0) {
-           const data = rawInstOwn[0] as FMPInstitutionalOwnership; 
-           institutionalOwnershipSummary = {
-               symbol: data.symbol,
-               cik: data.cik,
-               date: data.date,
-               institutionalOwnershipPercentage: data.institutionalOwnershipPercentage,
-               numberOfInstitutionalPositions: data.numberOfInstitutionalPositions,
-               totalInstitutionalValue: data.totalInstitutionalValue
-           };
-        }
-    } else if (institutionalOwnershipRes.status !== 503) {
-        console.warn(`FMP Institutional Ownership Summary API error for ${stockSymbol}: ${institutionalOwnershipRes.status}`);
-    }
+export const updatePortfolio = (id: string, changes: Partial<Pick<Portfolio, 'name' | 'screenId' | 'holdings'>>): Promise<Portfolio> =>
+  requestApi<Portfolio>(`/api/v1/portfolios/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) });
 
-    let topInstitutionalHolders: TopInstitutionalHolder[] = [];
-    if (topHoldersRes.ok) {
-        topInstitutionalHolders = (await topHoldersRes.json() as FMPTopInstitutionalHolder[]);
-    } else if (topHoldersRes.status !== 503) {
-        console.warn(`FMP Top Institutional Holders API error for ${stockSymbol}: ${topHoldersRes.status}`);
-    }
-    
-    let latestTranscript: EarningsCallTranscriptMeta | null = null;
-    if (transcriptsListRes.ok) {
-        const transcripts: FMPEarningsTranscriptMeta[] = await transcriptsListRes.json();
-        if (Array.isArray(transcripts) && transcripts.length > 0) {
-            const latestRawTranscript = transcripts[0];
-            latestTranscript = {
-                symbol: latestRawTranscript.symbol,
-                quarter: latestRawTranscript.quarter,
-                year: latestRawTranscript.year,
-                date: latestRawTranscript.date,
-                url: `https://financialmodelingprep.com/api/v3/earning_call_transcript/${stockSymbol}?quarter=${latestRawTranscript.quarter}&year=${latestRawTranscript.year}&apikey=${API_KEY}` 
-            };
-        }
-    } else if (transcriptsListRes.status !== 503) {
-        console.warn(`FMP Earnings Transcripts List API error for ${stockSymbol}: ${transcriptsListRes.status}`);
-    }
+export const deletePortfolio = (id: string): Promise<void> =>
+  requestApi<void>(`/api/v1/portfolios/${encodeURIComponent(id)}`, { method: 'DELETE' });
 
+export const importPortfolioCsv = (id: string, csv: string, mode: 'append' | 'replace' = 'append') =>
+  requestApi<{ imported: number; skipped: ParsedHoldingsCsv['skipped']; portfolio: Portfolio }>(
+    `/api/v1/portfolios/${encodeURIComponent(id)}/import`,
+    { method: 'POST', body: JSON.stringify({ csv, mode }) }
+  );
 
-    const marketCap = safeNum(profile.mktCap);
-    const avgVolume = safeNum(profile.volAvg);
-    const price = safeNum(profile.price);
+// Tickers in a broker export, watchlist export or plain list, for the bulk watchlist import
+export const parseHoldingsCsv = (csv: string): Promise<ParsedHoldingsCsv> =>
+  requestApi<ParsedHoldingsCsv>('/api/v1/portfolios/parse-csv', { method: 'POST', body: JSON.stringify({ csv }) });
 
-    const peRatioTTM = ratios ? safeNum(ratios.priceEarningsRatioTTM) : null;
-    const debtEquityRatioTTM = ratios ? safeNum(ratios.debtEquityRatioTTM) : null;
-    const roeTTM = ratios ? (safeNum(ratios.returnOnTangibleEquityTTM) ?? safeNum(ratios.returnOnEquityTTM)) : null;
-    
-    const debtToEbitdaTTM = keyMetrics ? safeNum(keyMetrics.debtToEbitdaTTM) : null;
-    const evOverEbitdaTTM = keyMetrics ? safeNum(keyMetrics.enterpriseValueOverEBITDATTM) : null; 
-
-    const fcfPerShareTTM = keyMetrics ? safeNum(keyMetrics.freeCashFlowPerShareTTM) : null;
-    const netIncomePerShareTTM = ratios ? safeNum(ratios.netIncomePerShareTTM) : null;
-    let fcfNiRatioNum: number | null = null;
-    if (fcfPerShareTTM !== null && netIncomePerShareTTM !== null && netIncomePerShareTTM !== 0) {
-        fcfNiRatioNum = fcfPerShareTTM / netIncomePerShareTTM;
-    }
+// Alerts: per-symbol rules evaluated after each import and live quote refresh, and the inbox of firings
+export const fetchAlertConditions = (): Promise<AlertConditionOptions> =>
+  requestApi<AlertConditionOptions>('/api/v1/alerts/conditions');
 
-    const simpleScore = calculateSimpleScore(peRatioTTM, roeTTM);
-    let styleTags: Stock['styleTags'] = [];
-    if (peRatioTTM !== null && peRatioTTM > 30) styleTags.push('highPE');
-    if (roeTTM !== null && roeTTM > 0) styleTags.push(' profitableTTM');
-
-    const result: StockDetails = {
-      id: profile.symbol,
-      symbol: profile.symbol,
-      name: profile.companyName || NA_STRING,
-      sector: profile.sector || NA_STRING,
-      price: price ?? 0,
-      simpleScore: simpleScore,
-      styleTags: styleTags,
-      description: profile.description || "No description available.",
-      
-      marketCap: marketCap ?? undefined, 
-      avgVolume: avgVolume ?? undefined,
-      peRatioTTM: peRatioTTM,
-      debtEquityRatioTTM: debtEquityRatioTTM,
-      returnOnEquityTTM: roeTTM,
-      debtToEbitdaTTM: debtToEbitdaTTM,
-      enterpriseValueOverEBITDATTM: evOverEbitdaTTM,
-      freeCashFlowPerShareTTM: fcfPerShareTTM,
-      netIncomePerShareTTM: netIncomePerShareTTM,
-
-      dividendYield: formatNum(safeNum(profile.lastDiv) && price ? (safeNum(profile.lastDiv)! / price!) * 100 : null, 2, '%'),
-      '52WeekHigh': formatNum(safeNum(quote.yearHigh)),
-      '52WeekLow': formatNum(safeNum(quote.yearLow)),
-      latestNews: newsData.map(n => ({ title: n.title, url: n.url, date: new Date(n.publishedDate).toLocaleDateString() })).slice(0,5),
-      image: profile.image,
-      website: profile.website,
-      ceo: profile.ceo,
-      industry: profile.industry,
-      fullTimeEmployees: profile.fullTimeEmployees,
-
-      marketCapCategory: getMarketCapCategory(marketCap),
-      volumeCategory: getVolumeCategory(avgVolume),
-      debtCategory: getDebtCategory(debtEquityRatioTTM),
-      valuationCategory: getValuationCategory(peRatioTTM),
-      rotceCategory: getRotceCategory(roeTTM),
-      
-      debtEbitda: formatNum(debtToEbitdaTTM, 2, 'x'),
-      evEbit: formatNum(evOverEbitdaTTM, 2, 'x'), 
-      fcfNi: formatNum(fcfNiRatioNum, 2),
-      rotce: formatNum(roeTTM !== null ? roeTTM * 100 : null, 1, '%'),
-
-      numericDebtEbitdaCategory: debtToEbitdaTTM !== null ? (debtToEbitdaTTM <= 0.25 ? 'le0.25x' : debtToEbitdaTTM <= 0.5 ? 'le0.5x' : debtToEbitdaTTM <= 1 ? 'le1x' : '') : '',
-      numericFcfNiCategory: fcfNiRatioNum !== null ? (fcfNiRatioNum >= 1.2 ? 'ge1.2' : fcfNiRatioNum >= 1.0 ? 'ge1.0' : fcfNiRatioNum >= 0.8 ? 'ge0.8' : '') : '',
-      shareCountCagrCategory: NA_STRING,
-      numericEvEbitCategory: NA_STRING,
-      deepValueCategory: NA_STRING,
-      moatKeywordsCategory: NA_STRING,
-      insiderOwnershipCategory: NA_STRING,
-      netInsiderBuysCategory: NA_STRING,
-      grossMarginTrendCategory: NA_STRING,
-      incrementalRoicCategory: NA_STRING,
-      redFlagsCategory: NA_STRING,
-
-      historicalPriceData: historicalPrice,
-      historicalFinancials: historicalFinancials,
-
-      institutionalOwnershipSummary: institutionalOwnershipSummary,
-      topInstitutionalHolders: topInstitutionalHolders,
-      latestTranscript: latestTranscript,
-    };
-    console.log(`[stockService.ts] Successfully fetched details for ${stockSymbol}.`); // Diagnostic log
-    return result;
+export const fetchAlerts = async (): Promise<AlertRule[]> =>
+  (await requestApi<{ alerts: AlertRule[] }>('/api/v1/alerts')).alerts;
 
-  } catch (error) {
-    if (error instanceof FMPApiError) throw error; 
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    console.error(`Error fetching full details for ${stockSymbol}:`, errorMessage);
-    if (error instanceof TypeError && errorMessage.includes("failed to fetch")) {
-         throw new FMPApiError(`Network error prevented fetching details for ${stockSymbol}. Check connectivity.`, 500);
-    }
-    throw new FMPApiError(`An unexpected error occurred while fetching details for ${stockSymbol}. Error: ${errorMessage}`, 500); 
+export const createAlert = (input: AlertRuleInput): Promise<AlertRule> =>
+  requestApi<AlertRule>('/api/v1/alerts', { method: 'POST', body: JSON.stringify(input) });
+
+export const updateAlert = (id: string, changes: Partial<AlertRuleInput>): Promise<AlertRule> =>
+  requestApi<AlertRule>(`/api/v1/alerts/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+export const deleteAlert = (id: string): Promise<void> =>
+  requestApi<void>(`/api/v1/alerts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+export const fetchAlertInbox = (limit: number = 50): Promise<{ events: AlertEvent[]; unreadCount: number }> =>
+  requestApi<{ events: AlertEvent[]; unreadCount: number }>(`/api/v1/alerts/inbox?limit=${limit}`);
+
+// Marks the given inbox entries read, or all of them without `ids`
+export const markAlertsRead = (ids?: string[]): Promise<{ updated: number }> =>
+  requestApi<{ updated: number }>('/api/v1/alerts/inbox/read', { method: 'POST', body: JSON.stringify({ ids }) });
+
+// Presets: named filter sets with version history; anyone with the short link (/p/<slug>) can open one
+export const fetchPresets = async (): Promise<SavedPreset[]> =>
+  (await requestApi<{ presets: SavedPreset[] }>('/api/v1/presets')).presets;
+
+// Includes the kept versions
+export const fetchPreset = (id: string): Promise<SavedPreset> =>
+  requestApi<SavedPreset>(`/api/v1/presets/${encodeURIComponent(id)}`);
+
+export const createPreset = (input: PresetInput, clonedFrom?: { slug: string; version: number }): Promise<SavedPreset> =>
+  requestApi<SavedPreset>('/api/v1/presets', { method: 'POST', body: JSON.stringify({ ...input, clonedFrom }) });
+
+// Saves a new version when the content changed; restoring one is an update with its content
+export const updatePreset = (id: string, changes: Partial<PresetInput>): Promise<SavedPreset> =>
+  requestApi<SavedPreset>(`/api/v1/presets/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+export const deletePreset = (id: string): Promise<void> =>
+  requestApi<void>(`/api/v1/presets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+export const fetchSharedPreset = (slug: string, version?: number): Promise<SharedPreset> =>
+  requestApi<SharedPreset>(`/api/v1/presets/shared/${encodeURIComponent(slug)}${version ? `?version=${version}` : ''}`);
+
+// Short link to a preset; with `version`, to that version rather than the latest
+export const presetShareUrl = (slug: string, version?: number): string =>
+  `${window.location.origin}/p/${slug}${version ? `?version=${version}` : ''}`;
+
+// Slug of a share link opened in this page (/p/<slug>), if any
+export const sharedPresetSlugFromPath = (pathname: string): string | null => /^\/p\/([A-Za-z0-9]+)\/?$/.exec(pathname)?.[1] ?? null;
+
+// Custom metrics: named formulas over the numeric stock fields, evaluated server-side for every stock
+export const fetchCustomMetrics = async (): Promise<{ metrics: CustomMetric[]; fields: string[] }> =>
+  requestApi<{ metrics: CustomMetric[]; fields: string[] }>('/api/v1/custom-metrics');
+
+export const createCustomMetric = (input: CustomMetricInput): Promise<CustomMetric> =>
+  requestApi<CustomMetric>('/api/v1/custom-metrics', { method: 'POST', body: JSON.stringify(input) });
+
+export const updateCustomMetric = (id: string, changes: Partial<Omit<CustomMetricInput, 'key'>>): Promise<CustomMetric> =>
+  requestApi<CustomMetric>(`/api/v1/custom-metrics/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+export const deleteCustomMetric = (id: string): Promise<void> =>
+  requestApi<void>(`/api/v1/custom-metrics/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// Sort, filter and export field of a custom metric
+export const customMetricField = (key: string): string => `customMetrics.${key}`;
+
+export const formatCustomMetricValue = (value: number | null | undefined, format: CustomMetricFormat): string => {
+  if (value === null || value === undefined || !isFinite(value)) return NA_STRING;
+  switch (format) {
+    case 'percent': return `${(value * 100).toFixed(1)}%`;
+    case 'multiple': return `${value.toFixed(2)}x`;
+    case 'currency': return `$${value.toFixed(2)}`;
+    default: return value.toFixed(2);
+  }
+};
+
+// Accounts. Signing in or registering stores the session token; the workspace comes back with it.
+const startSession = (session: AuthSession): AuthSession => {
+  localStorage.setItem(AUTH_TOKEN_KEY, session.token);
+  return session;
+};
+
+export const signIn = async (email: string, password: string): Promise<AuthSession> =>
+  startSession(await requestApi<AuthSession>('/api/v1/auth/login', { method: 'POST', body: JSON.stringify({ email, password }) }));
+
+export const register = async (email: string, password: string, name?: string): Promise<AuthSession> =>
+  startSession(await requestApi<AuthSession>('/api/v1/auth/register', { method: 'POST', body: JSON.stringify({ email, password, name }) }));
+
+export const signOut = async (): Promise<void> => {
+  try {
+    await requestApi<void>('/api/v1/auth/logout', { method: 'POST' });
+  } finally {
+    clearAuthToken();
   }
 };
 
+export const fetchCurrentUser = (): Promise<{ user: User; workspace: Workspace }> =>
+  requestApi<{ user: User; workspace: Workspace }>('/api/v1/me');
+
+export const updateWorkspace = (changes: Partial<Workspace>): Promise<Workspace> =>
+  requestApi<Workspace>('/api/v1/me/workspace', { method: 'PUT', body: JSON.stringify(changes) });
+
+// One-time copy of this browser's settings into the account (409 once done)
+export const importLocalWorkspace = (local: Partial<Workspace>): Promise<Workspace> =>
+  requestApi<Workspace>('/api/v1/me/workspace/import', { method: 'POST', body: JSON.stringify(local) });
+
+// Workspace of a signed-out browser, kept in localStorage under the keys used before accounts existed
+const LOCAL_WORKSPACE_KEYS: Record<Exclude<keyof Workspace, 'migratedAt'>, string> = {
+  watchlist: 'stockScreenerWatchlist',
+  keyMetricsVisibility: 'keyMetricsVisibility',
+  visibleCustomMetrics: 'visibleCustomMetrics',
+  customPresets: 'customPresets',
+  theme: 'theme',
+  selectedPortfolioId: 'selectedPortfolioId'
+};
+
+const readLocalJson = (key: string): unknown => {
+  const saved = localStorage.getItem(key);
+  if (saved === null) return undefined;
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    console.error(`Error parsing ${key} from localStorage`, e);
+    return undefined;
+  }
+};
+
+const isStringArray = (value: unknown): value is string[] => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+export const readLocalWorkspace = (): Partial<Workspace> => {
+  const local: Partial<Workspace> = {};
+  const watchlist = readLocalJson(LOCAL_WORKSPACE_KEYS.watchlist);
+  if (isStringArray(watchlist)) local.watchlist = watchlist;
+  const visibility = readLocalJson(LOCAL_WORKSPACE_KEYS.keyMetricsVisibility);
+  if (visibility && typeof visibility === 'object' && !Array.isArray(visibility)) local.keyMetricsVisibility = visibility as Workspace['keyMetricsVisibility'];
+  const customVisibility = readLocalJson(LOCAL_WORKSPACE_KEYS.visibleCustomMetrics);
+  if (isStringArray(customVisibility)) local.visibleCustomMetrics = customVisibility;
+  const presets = readLocalJson(LOCAL_WORKSPACE_KEYS.customPresets);
+  if (Array.isArray(presets)) local.customPresets = presets as CustomPreset[];
+  // Theme and portfolio id are stored as plain strings
+  const theme = localStorage.getItem(LOCAL_WORKSPACE_KEYS.theme);
+  if (theme === 'light' || theme === 'dark') local.theme = theme as Theme;
+  const portfolioId = localStorage.getItem(LOCAL_WORKSPACE_KEYS.selectedPortfolioId);
+  if (portfolioId) local.selectedPortfolioId = portfolioId;
+  return local;
+};
+
+export const writeLocalWorkspace = (changes: Partial<Workspace>): void => {
+  Object.entries(changes).forEach(([field, value]) => {
+    const key = LOCAL_WORKSPACE_KEYS[field as keyof typeof LOCAL_WORKSPACE_KEYS];
+    if (!key) return;
+    if (value === null || value === undefined) localStorage.removeItem(key);
+    else localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+  });
+};
+
+// Admin API for the import job; every request carries the ADMIN_TOKEN configured on the server
+const adminHeaders = (token: string): Record<string, string> => ({ Authorization: `Bearer ${token}` });
+
+export const fetchImportStatus = (token: string): Promise<ImportStatus> =>
+  requestApi<ImportStatus>('/api/v1/admin/import', { headers: adminHeaders(token) });
+
+export const fetchImportRun = (token: string, id: string, status: ImportTickerStatus = 'failed'): Promise<{ run: ImportRun; tickers: ImportTicker[] }> =>
+  requestApi<{ run: ImportRun; tickers: ImportTicker[] }>(
+    `/api/v1/admin/import/runs/${encodeURIComponent(id)}?status=${status}`,
+    { headers: adminHeaders(token) }
+  );
+
+// A full import, or a refresh of `symbols` only
+export const startImportRun = (token: string, symbols?: string[]): Promise<ImportRun> =>
+  requestApi<ImportRun>('/api/v1/admin/import/runs', {
+    method: 'POST',
+    headers: adminHeaders(token),
+    body: JSON.stringify(symbols ? { symbols } : {})
+  });
+
+export const cancelImportRun = (token: string, id: string): Promise<ImportRun> =>
+  requestApi<ImportRun>(`/api/v1/admin/import/runs/${encodeURIComponent(id)}/cancel`, { method: 'POST', headers: adminHeaders(token) });
+
 export const formatMarketCap = (num: number | undefined): string => {
   if (num === undefined || num === null) return NA_STRING;
   if (num >= 1e12) return (num / 1e12).toFixed(2) + 'T'; 
@@ -784,5 +776,11 @@ export const formatMarketCap = (num: number | undefined): string => {
   return num.toFixed(0); 
 };
 
+// Price in the listing's trading currency: "$42.50" in USD, "250.00 GBp" otherwise
+export const formatPrice = (price: number | null | undefined, currency?: string): string => {
+  if (!price) return NA_STRING;
+  return !currency || currency === 'USD' ? `$${price.toFixed(2)}` : `${price.toFixed(2)} ${currency}`;
+};
+
 console.log("[stockService.ts] Module execution finished."); // Diagnostic log
     
\ No newline at end of file
@@ -16,6 +16,20 @@ export interface HistoricalFinancialDataPoint {
   calculatedROTCE?: number | null;
 }
 
+// Per-factor result of the server-side scoring engine (percentiles 0-100)
+export interface FactorScore {
+  score: number;
+  weight: number;
+  metrics: { [metricId: string]: number };
+}
+
+export interface ScoreBreakdown {
+  total: number | null;
+  universe: 'sector' | 'all' | string; // What the stock was ranked against
+  peerGroup: string; // Sector name, or 'all' when ranked against the whole universe
+  factors: { [factorId: string]: FactorScore };
+}
+
 export interface Stock {
   id: string;
   symbol: string;
@@ -23,7 +37,14 @@ export interface Stock {
   companyName: string; // Company name from API
   sector: string;
   price: number; 
+  exchange?: string; // Exchange short name, e.g. 'NASDAQ', 'LSE'
+  country?: string; // ISO code, e.g. 'US', 'DE'
+  currency?: string; // Trading currency of price and market cap; missing means USD
+  priceUsd?: number | null; // USD values at the importer's stored FX rates
+  marketCapUsd?: number | null;
+  avgDollarVolumeUsd?: number | null;
   simpleScore?: number; // New simplified score
+  scoreBreakdown?: ScoreBreakdown; // Why the stock got its score (MongoDB data only)
 
   // Raw values from API
   marketCap?: number;
@@ -36,6 +57,22 @@ export interface Stock {
   enterpriseValueOverEBITDATTM?: number | null; 
   freeCashFlowPerShareTTM?: number | null;
   netIncomePerShareTTM?: number | null;
+
+  // Value / median of the stock's sector or industry (0.8 = 20% below the median), see /api/v1/aggregates
+  peVsSectorMedian?: number | null;
+  peVsIndustryMedian?: number | null;
+  evEbitdaVsSectorMedian?: number | null;
+  evEbitdaVsIndustryMedian?: number | null;
+  debtEquityVsSectorMedian?: number | null;
+  debtEquityVsIndustryMedian?: number | null;
+  debtEbitdaVsSectorMedian?: number | null;
+  debtEbitdaVsIndustryMedian?: number | null;
+  roeVsSectorMedian?: number | null;
+  roeVsIndustryMedian?: number | null;
+  customMetrics?: { [key: string]: number | null }; // User-defined formulas by CustomMetric key
+  dataQualityFlags?: DataQualityFlag[]; // Problems the importer found in this stock's data
+  lastUpdated?: string; // When the nightly import last saved the stock
+  quoteUpdatedAt?: string; // Last intraday refresh of `price`
   
   // Categorical and formatted string values
   debtEbitda: string; 
@@ -49,7 +86,8 @@ export interface Stock {
   valuationCategory: 'value' | 'growth' | 'blend' | string; // Based on P/E
   rotceCategory: 'poor' | 'average' | 'good' | 'excellent' | string; // Based on ROE
   
-  styleTags?: StyleTag[]; // New for visual tags
+  styleTags?: StyleTag[]; // Ids of the style rules the stock matched at the last import
+  styleTagReasons?: StyleTagReason[]; // Label and matched conditions per tag
 
   // Placeholders for more complex filters, often "N/A" from FMP for list view
   numericDebtEbitdaCategory: 'le0.25x' | 'le0.5x' | 'le1x' | string;
@@ -97,6 +135,9 @@ export interface StockDetails extends Stock {
   dividendYield: string; 
   '52WeekHigh': string;
   '52WeekLow': string;
+  dividendYieldPercent?: number | null; // Numbers behind the formatted fields above
+  yearHigh?: number | null;
+  yearLow?: number | null;
   latestNews: { title: string; url: string; date: string }[];
   image?: string;
   website?: string;
@@ -164,10 +205,11 @@ export interface KeyMetricVisibility {
   fcfNiIndividual: boolean;
   rotceIndividual: boolean;
   peRatioIndividual: boolean; // P/E Ratio
+  peVsIndustryIndividual: boolean; // P/E relative to the industry median
 }
 
 export interface DisplayMetricConfig {
-  id: keyof Stock | keyof KeyMetricVisibility | 'avgDebtEbitda' | 'avgEvEbit' | 'avgFcfNi' | 'avgRotce' | 'stocksPassingFilters' | 'debtEbitdaIndividual' | 'evEbitIndividual' | 'fcfNiIndividual' | 'rotceIndividual' | 'simpleScore' | 'peRatioIndividual';
+  id: keyof Stock | keyof KeyMetricVisibility | 'avgDebtEbitda' | 'avgEvEbit' | 'avgFcfNi' | 'avgRotce' | 'stocksPassingFilters' | 'debtEbitdaIndividual' | 'evEbitIndividual' | 'fcfNiIndividual' | 'rotceIndividual' | 'simpleScore' | 'peRatioIndividual' | 'peVsIndustryIndividual';
   label: string;
   type: 'summary' | 'individual';
   dataKey?: keyof Stock; 
@@ -175,9 +217,21 @@ export interface DisplayMetricConfig {
   formatter?: (value: any) => string;
 }
 
+// Range query language accepted by /api/v1/stocks (`where` parameter)
+export interface RangeCondition {
+  field: string; // Any numeric field of the MongoDB stock schema
+  min?: number; // Inclusive lower bound
+  max?: number; // Inclusive upper bound
+  gt?: number; // Exclusive lower bound
+  lt?: number; // Exclusive upper bound
+}
+
+export type RangeQueryNode = RangeCondition | { and: RangeQueryNode[] } | { or: RangeQueryNode[] };
+
 export interface FilterOption {
   value: string;
   label: string;
+  range?: RangeQueryNode; // When set, the option is sent to the API as this range query instead of a category
 }
 
 export interface SubFilterGroupDef {
@@ -202,15 +256,443 @@ export interface FilterGroupDef {
   controlType?: 'checkboxes'; // For groups like Catalysts
 }
 
-export interface Preset {
-  id: string;
+// Content of a preset; filters may include numeric ranges as `range:<field>` keys ("min..max")
+export interface PresetInput {
   name: string;
   emoji: string;
   description: string;
   filters: ActiveFilters;
 }
 
-export type StyleTag = '⚡ High Momentum' | '🛡️ Deep Value' | '🌱 Quality Compounder' | ' profitableTTM' | 'highPE';
+// Built-in preset (constants.ts)
+export interface Preset extends PresetInput {
+  id: string;
+}
+
+// Preset from the workspace of earlier versions; moved to /api/v1/presets when the workspace loads
+export type CustomPreset = Preset;
+
+export interface PresetVersion extends PresetInput {
+  version: number;
+  savedAt: string;
+}
+
+// Presets from /api/v1/presets, with version history and a short share link (/p/<slug>)
+export interface SavedPreset extends PresetInput {
+  _id: string;
+  slug: string;
+  version: number;
+  versions?: PresetVersion[]; // Only when fetched on its own, oldest first
+  clonedFrom?: { slug?: string; version?: number } | null;
+  userId: string | null; // Owner; null for shared presets from before accounts existed
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Guided setup question (PRESET_QUESTIONS); the chosen answers' filters are merged into one preset
+export interface PresetAnswer {
+  value: string;
+  label: string;
+  filters: ActiveFilters;
+  namePart?: string; // Joined into the generated preset name, e.g. "Conservative Small Cap Value"
+  emoji?: string;
+}
+
+export interface PresetQuestion {
+  id: string;
+  question: string;
+  answers: PresetAnswer[];
+}
+
+// A preset opened from its share link
+export interface SharedPreset extends PresetInput {
+  slug: string;
+  version: number;
+  latestVersion: number;
+  updatedAt: string;
+}
+
+// Signed-in user from /api/v1/auth and /api/v1/me
+export interface User {
+  _id: string;
+  email: string;
+  name: string | null;
+  createdAt: string;
+}
+
+// Per-user settings: on the account when signed in, in localStorage otherwise
+export interface Workspace {
+  watchlist: string[];
+  keyMetricsVisibility: KeyMetricVisibility | null;
+  visibleCustomMetrics: string[];
+  customPresets: CustomPreset[];
+  theme: Theme | null;
+  selectedPortfolioId: string | null;
+  migratedAt?: string | null; // When this browser's localStorage state was imported into the account
+}
+
+export interface AuthSession {
+  token: string;
+  user: User;
+  workspace: Workspace;
+}
+
+// Saved screens from /api/v1/screens
+export interface SavedScreen {
+  _id: string;
+  name: string;
+  filters: ActiveFilters;
+  where: RangeQueryNode | null;
+  rangeFilterKeys: string[];
+  webhookUrl?: string;
+  lastRunAt?: string;
+  userId: string | null; // Owner; null for shared screens from before accounts existed
+  createdAt: string;
+  updatedAt: string;
+}
+
+// Symbols that entered or left a saved screen's results between two scheduled runs
+export interface ScreenEvent {
+  _id: string;
+  screenId: string;
+  screenName: string;
+  runAt: string;
+  entered: string[];
+  exited: string[];
+  webhookStatus: 'none' | 'sent' | 'failed';
+  webhookError?: string;
+}
+
+// Per-symbol alert rules (/api/v1/alerts, see alerts.js on the server)
+export type AlertConditionId = 'below' | 'above' | 'newYearLow' | 'newYearHigh';
+
+export interface AlertRule {
+  _id: string;
+  symbol: string;
+  condition: AlertConditionId;
+  field: string; // 'price' for the 52-week conditions
+  threshold: number | null;
+  webhookUrl?: string;
+  email?: string;
+  active: boolean;
+  conditionMet: boolean | null; // At the latest evaluation
+  lastValue?: number | null;
+  lastEvaluatedAt?: string;
+  lastTriggeredAt?: string;
+}
+
+export type AlertRuleInput = Pick<AlertRule, 'symbol' | 'condition' | 'field' | 'threshold'> & Partial<Pick<AlertRule, 'webhookUrl' | 'email' | 'active'>>;
+
+// /api/v1/alerts/conditions
+export interface AlertConditionOptions {
+  conditions: { id: AlertConditionId; label: string; usesThreshold: boolean }[];
+  fields: { field: string; label: string }[];
+}
+
+// Inbox entry: one firing of an alert rule
+export interface AlertEvent {
+  _id: string;
+  ruleId: string;
+  symbol: string;
+  message: string;
+  value: number;
+  source: 'import' | 'quote';
+  triggeredAt: string;
+  readAt: string | null;
+  webhookStatus: 'none' | 'pending' | 'sent' | 'failed'; // 'pending' until the background delivery finishes
+  webhookError?: string;
+  emailStatus: 'none' | 'pending' | 'sent' | 'failed';
+  emailError?: string;
+}
+
+// Statistics from /api/v1/aggregates, per sector, industry or for the whole screen ('all')
+export type AggregateGroupBy = 'sector' | 'industry' | 'all';
+
+export interface MetricAggregate {
+  count: number; // Stocks with a value (positive only for P/E and EV/EBITDA)
+  mean: number | null;
+  median: number | null;
+  min: number | null;
+  max: number | null;
+  percentiles: { [key: string]: number | null }; // e.g. p25, p75
+}
+
+export interface AggregateGroup {
+  key: string | null; // Sector or industry name, or 'all'
+  count: number;
+  metrics: { [field: string]: MetricAggregate };
+}
+
+// `quote` event of /api/v1/quotes/stream (see liveQuotes.js on the server)
+export interface QuoteUpdate {
+  symbol: string;
+  price: number;
+  change: number | null;
+  changesPercentage: number | null;
+  updatedAt: string;
+}
+
+// Latest streamed quote, with the price shown before it for the change flash
+export interface LiveQuote extends QuoteUpdate {
+  previousPrice: number | null;
+}
+
+// `status` event of /api/v1/quotes/stream; quotes only refresh while the market is open
+export interface QuoteStreamStatus {
+  marketOpen: boolean;
+  intervalSeconds: number;
+  timeZone: string;
+}
+
+// Set by the importer's validation stage (see dataQuality.js on the server)
+export interface DataQualityFlag {
+  code: 'outOfRange' | 'jump' | 'mismatch';
+  field: string;
+  message: string;
+}
+
+// User-defined formula metrics from /api/v1/custom-metrics, stored on stocks as customMetrics.<key>
+export type CustomMetricFormat = 'number' | 'percent' | 'multiple' | 'currency';
+
+export interface CustomMetric {
+  _id: string;
+  key: string; // e.g. 'earningsYield'; sort and filter on `customMetrics.${key}`
+  name: string;
+  formula: string; // e.g. 'netIncomePerShareTTM / price'
+  fields: string[]; // Stock fields the formula reads
+  format: CustomMetricFormat;
+  description?: string;
+  userId: string | null; // Creator, who alone may change or delete it; null for metrics from before accounts existed
+  computedAt?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CustomMetricInput {
+  key: string;
+  name: string;
+  formula: string;
+  format: CustomMetricFormat;
+  description?: string;
+}
+
+// Portfolios from /api/v1/portfolios. Holdings are lots; positions combine the lots of a symbol and are
+// valued at the stored prices.
+export interface PortfolioHolding {
+  symbol: string;
+  shares: number;
+  costBasis: number; // Per share
+  purchaseDate?: string;
+  screenId?: string; // Overrides the portfolio's screen
+}
+
+export interface PortfolioSummary {
+  _id: string;
+  name: string;
+  screenId?: string | null; // Saved screen the holdings were bought on
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PortfolioPosition {
+  symbol: string;
+  name: string | null;
+  sector: string | null;
+  currency: string; // Trading currency of price, costBasis, cost, marketValue and pnl, e.g. 'GBp'
+  lots: number;
+  shares: number;
+  costBasis: number; // Average per share
+  cost: number;
+  price: number | null; // null when the symbol is not in the stock data
+  priceUpdatedAt: string | null;
+  marketValue: number | null;
+  pnl: number | null;
+  pnlPercent: number | null;
+  costUsd: number | null; // At the current stored FX rate; null when there is none
+  marketValueUsd: number | null;
+  pnlUsd: number | null;
+  weight: number | null; // % of the priced market value in USD
+  firstPurchaseDate: string | null;
+  screenName: string | null;
+  passesScreen: boolean | null; // null when there is no screen to check against
+}
+
+export interface Portfolio extends PortfolioSummary {
+  holdings: PortfolioHolding[];
+  positions: PortfolioPosition[];
+  totals: { // In USD
+    currency: string;
+    cost: number;
+    marketValue: number;
+    pnl: number;
+    pnlPercent: number | null;
+    unpricedSymbols: string[];
+    failingScreen: string[];
+  };
+}
+
+// Result of parsing a broker CSV (/api/v1/portfolios/parse-csv)
+export interface ParsedHoldingsCsv {
+  holdings: PortfolioHolding[];
+  symbols: string[];
+  skipped: { line: number; symbol?: string; reason: string }[];
+}
+
+// Import job status from the admin API (/api/v1/admin/import)
+export type ImportRunStatus = 'running' | 'completed' | 'failed' | 'cancelled';
+export type ImportTickerStatus = 'pending' | 'saved' | 'skipped' | 'failed';
+
+export interface ImportRun {
+  _id: string;
+  status: ImportRunStatus;
+  trigger: 'schedule' | 'manual' | 'ticker';
+  live: boolean; // Being worked on right now; false for a 'running' run that crashed
+  startedAt: string;
+  finishedAt?: string;
+  resumedAt: string[];
+  totalTickers: number;
+  counts: { saved: number; skipped: number; failed: number; flagged: number };
+  error?: string;
+  cancelRequested: boolean;
+  progress?: {
+    step?: string;
+    queued: number;
+    inFlight: number;
+    processed: number;
+    toProcess: number;
+    apiCalls: number;
+    apiCallsPerMinute: number;
+    updatedAt?: string; // Heartbeat
+  };
+}
+
+export interface ImportTicker {
+  _id: string;
+  symbol: string;
+  status: ImportTickerStatus;
+  error?: string;
+  failedEndpoints: string[];
+  qualityFlags: string[];
+  finishedAt?: string;
+}
+
+export interface ImportStatus {
+  schedule: {
+    cron: string;
+    nextRunAt: string | null;
+    lastRunStartedAt: string | null;
+    lastRunFinishedAt: string | null;
+    lastRunError: string | null;
+    host: string | null;
+    heartbeatAt: string | null;
+    schedulerRunning: boolean;
+  };
+  apiCallBudgetPerMinute: number;
+  runs: ImportRun[];
+}
+
+// Backtest results from /api/v1/backtest (dates are ISO strings)
+export type RebalanceFrequency = 'weekly' | 'monthly' | 'quarterly';
+
+export interface BacktestPoint {
+  date: string;
+  portfolio: number; // Growth of 1 invested in the screen
+  universe: number; // Growth of 1 invested in every stock, equal-weighted
+  holdings: number;
+}
+
+export interface BacktestPeriod {
+  start: string;
+  end: string;
+  holdings: number;
+  missingPrices: number; // Holdings without a price at the end of the period (left out of its return)
+  portfolioReturn: number;
+  universeReturn: number;
+  turnover: number;
+}
+
+export interface BacktestResult {
+  rebalance: RebalanceFrequency;
+  from: string;
+  to: string;
+  equityCurve: BacktestPoint[];
+  periods: BacktestPeriod[];
+  summary: {
+    totalReturn: number;
+    universeTotalReturn: number;
+    averageTurnover: number;
+    maxDrawdown: number;
+    universeMaxDrawdown: number;
+    periodHitRate: number;
+    pickHitRate: number | null;
+  };
+}
+
+// One page of /api/v1/stocks; totalItems is only returned for the first page
+export interface StockPage {
+  stocks: Stock[];
+  nextCursor: string | null;
+  totalItems?: number;
+}
+
+// Result of /api/v1/search; `filters` are the phrases recognized in the query, `terms` the words searched for
+export interface StockSearchResult {
+  stocks: Stock[];
+  filters: ActiveFilters;
+  terms: string[];
+  total: number;
+}
+
+// Sort order of the stock list and its exports; `field` is any sortable stock schema field
+export interface StockSort {
+  field: string;
+  order: 'asc' | 'desc';
+}
+
+// File formats offered by /api/v1/export
+export type ExportFormat = 'csv' | 'xlsx' | 'json';
+
+// Metric derivation tables generated from the backend's stockModel.js (generated/stockMetrics.json)
+export interface MetricBucket {
+  value: string;
+  gt?: number;
+  gte?: number;
+  lt?: number;
+  lte?: number;
+}
+
+export interface StockMetricsDescription {
+  naString: string;
+  derivedInputs: Record<string, { ratio?: string[]; field?: string; scale?: number }>;
+  categories: Record<string, { source: string; buckets: MetricBucket[]; otherwise: string; missing: string }>;
+  formatted: Record<string, { source: string; decimals: number; suffix: string }>;
+}
+
+// Style rule id, e.g. 'highMomentum', 'deepValue', 'qualityCompounder' (see styleTags.js on the server)
+export type StyleTag = string;
+
+export interface StyleTagReason {
+  tag: StyleTag;
+  label: string; // e.g. '⚡ High Momentum'
+  reasons: string[]; // Conditions that held, e.g. 'Position in 52-week range 0.92 (≥ 0.8)'
+}
+
+export interface StyleTagCondition {
+  field: string;
+  label?: string;
+  gt?: number;
+  gte?: number;
+  lt?: number;
+  lte?: number;
+}
+
+// A rule from /api/v1/style-tags
+export interface StyleTagRule {
+  id: StyleTag;
+  label: string;
+  description: string;
+  conditions: StyleTagCondition[];
+}
 
 
 // FMP API Response Types (simplified)
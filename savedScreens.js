@@ -0,0 +1,148 @@
+// Saved screens and their entry/exit events
+//
+// A saved screen stores the sidebar filters (ActiveFilters) plus the range query the frontend built
+// from them. After every scheduled import each screen is re-run; symbols that entered or left its
+// result set since the previous run are stored as a ScreenEvent and POSTed to the screen's webhook
+// (see webhooks.js).
+
+const { QueryValidationError, buildRangeFilter } = require('./stockQuery');
+const { buildScreenFilter } = require('./screenFilters');
+const { buildFreshnessFilter } = require('./dataQuality');
+const { sendWebhook } = require('./webhooks');
+
+const createScreenModels = (mongoose) => {
+  const savedScreenSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} }, // ActiveFilters, as applied in the UI
+    where: { type: mongoose.Schema.Types.Mixed, default: null }, // Range query for the range-backed filters
+    rangeFilterKeys: { type: [String], default: [] }, // Filter keys covered by `where` (not sent as categories)
+    webhookUrl: { type: String, trim: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // null: shared (see users.js)
+    lastSymbols: { type: [String], default: [] }, // Result set of the latest run
+    lastRunAt: { type: Date }
+  }, { timestamps: true });
+
+  const screenEventSchema = new mongoose.Schema({
+    screenId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedScreen', required: true, index: true },
+    screenName: { type: String },
+    runAt: { type: Date, required: true, index: true },
+    entered: { type: [String], default: [] },
+    exited: { type: [String], default: [] },
+    webhookStatus: { type: String, enum: ['none', 'sent', 'failed'], default: 'none' },
+    webhookError: { type: String }
+  });
+
+  return {
+    SavedScreen: mongoose.models.SavedScreen || mongoose.model('SavedScreen', savedScreenSchema),
+    ScreenEvent: mongoose.models.ScreenEvent || mongoose.model('ScreenEvent', screenEventSchema)
+  };
+};
+
+// Validate a create/update request body. With `partial`, missing fields are left unchanged.
+const validateScreenInput = (body, numericFields, { partial = false } = {}) => {
+  const errors = [];
+  const input = {};
+  const { name, filters, where, rangeFilterKeys, webhookUrl } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '') errors.push('name: is required');
+    else input.name = name.trim();
+  }
+  if (filters !== undefined || !partial) {
+    const values = filters || {};
+    if (typeof values !== 'object' || Array.isArray(values) || Object.values(values).some(v => typeof v !== 'string')) {
+      errors.push('filters: must be an object of filter id to option value');
+    } else {
+      input.filters = values;
+    }
+  }
+  if (where !== undefined) {
+    try {
+      buildRangeFilter(where, numericFields);
+      input.where = where;
+    } catch (e) {
+      errors.push(...(e.details || [e.message]));
+    }
+  }
+  if (rangeFilterKeys !== undefined) {
+    if (!Array.isArray(rangeFilterKeys) || rangeFilterKeys.some(k => typeof k !== 'string')) errors.push('rangeFilterKeys: must be an array of strings');
+    else input.rangeFilterKeys = rangeFilterKeys;
+  }
+  if (webhookUrl !== undefined && webhookUrl !== null && webhookUrl !== '') {
+    if (typeof webhookUrl !== 'string' || !/^https?:\/\/\S+$/.test(webhookUrl)) errors.push('webhookUrl: must be an http(s) URL');
+    else input.webhookUrl = webhookUrl;
+  } else if (webhookUrl !== undefined) {
+    input.webhookUrl = ''; // Cleared
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid saved screen', errors);
+  }
+  return input;
+};
+
+// MongoDB filter for a saved screen, including its data quality option (flagged and stale stocks)
+const buildSavedScreenQuery = (screen, numericFields) => {
+  const categoryFilters = { ...(screen.filters || {}) };
+  (screen.rangeFilterKeys || []).forEach(key => delete categoryFilters[key]);
+  const clauses = [
+    buildScreenFilter(categoryFilters),
+    buildRangeFilter(screen.where || null, numericFields),
+    buildFreshnessFilter(categoryFilters)
+  ].filter(clause => clause && Object.keys(clause).length > 0);
+  return clauses.length > 1 ? { $and: clauses } : (clauses[0] || {});
+};
+
+// Sorted symbols currently matching a saved screen
+async function runSavedScreen(StockModel, screen, numericFields) {
+  const symbols = await StockModel.distinct('symbol', buildSavedScreenQuery(screen, numericFields));
+  return symbols.sort();
+}
+
+const diffSymbols = (previous, current) => {
+  const previousSet = new Set(previous);
+  const currentSet = new Set(current);
+  return {
+    entered: current.filter(symbol => !previousSet.has(symbol)),
+    exited: previous.filter(symbol => !currentSet.has(symbol))
+  };
+};
+
+// Re-run every saved screen and record what changed since its previous run.
+// A screen that has never run only stores its baseline, so it does not report every match as new.
+async function evaluateSavedScreens({ Stock, SavedScreen, ScreenEvent, numericFields, runAt = new Date() }) {
+  const screens = await SavedScreen.find({});
+  const events = [];
+
+  for (const screen of screens) {
+    try {
+      const symbols = await runSavedScreen(Stock, screen, numericFields);
+      const { entered, exited } = diffSymbols(screen.lastSymbols, symbols);
+      const hasBaseline = Boolean(screen.lastRunAt);
+
+      if (hasBaseline && (entered.length > 0 || exited.length > 0)) {
+        const event = { screenId: screen._id, screenName: screen.name, runAt, entered, exited };
+        Object.assign(event, screen.webhookUrl
+          ? await sendWebhook(screen.webhookUrl, { screen: { id: screen._id, name: screen.name }, runAt, entered, exited })
+          : { webhookStatus: 'none' });
+        events.push(await ScreenEvent.create(event));
+      }
+
+      screen.lastSymbols = symbols;
+      screen.lastRunAt = runAt;
+      await screen.save();
+    } catch (error) {
+      console.error(`Error evaluating saved screen "${screen.name}":`, error.message);
+    }
+  }
+  return events;
+}
+
+module.exports = {
+  createScreenModels,
+  validateScreenInput,
+  buildSavedScreenQuery,
+  runSavedScreen,
+  diffSymbols,
+  evaluateSavedScreens
+};
@@ -1,26 +1,81 @@
 const schedule = require('node-schedule');
-const { fetchAndSaveStocks } = require('./fetchStocksBackground');
+const mongoose = require('mongoose');
+const os = require('os');
+const { fetchAndSaveStocks, connectToDatabase, Stock } = require('./fetchStocksBackground');
+const { getNumericFields } = require('./stockQuery');
+const { createScreenModels, evaluateSavedScreens } = require('./savedScreens');
+const { createCustomMetricModel, customMetricField } = require('./customMetrics');
+const { IMPORT_SCHEDULE, SCHEDULER_STATE_ID, createSchedulerStateModel } = require('./importJobs');
+const { createImportModels } = require('./importRuns');
+
+const { SavedScreen, ScreenEvent } = createScreenModels(mongoose);
+const CustomMetric = createCustomMetricModel(mongoose);
+const SchedulerState = createSchedulerStateModel(mongoose);
+const { ImportRun } = createImportModels(mongoose);
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
 
 console.log('Scheduler starting...');
 
-// Schedule the job to run once every day at a specific time (e.g., 3:00 AM)
+// Record the schedule and a heartbeat where the admin API can read them (see importJobs.js)
+const recordState = (update) => SchedulerState.updateOne(
+    { _id: SCHEDULER_STATE_ID },
+    { $set: { ...update, cron: IMPORT_SCHEDULE, nextRunAt: job.nextInvocation(), host: `${process.env.DYNO || os.hostname()} (pid ${process.pid})`, heartbeatAt: new Date() } },
+    { upsert: true }
+).catch(err => console.error('Error recording scheduler state:', err.message));
+
+// Schedule the job with the IMPORT_SCHEDULE cron pattern (default '0 3 * * *', every day at 3:00 AM).
 // The cron pattern '0 3 * * *' means:
 // 0: Minute (0)
 // 3: Hour (3)
 // *: Day of the month (every day)
 // *: Month (every month)
 // *: Day of the week (every day of the week)
-const job = schedule.scheduleJob('0 3 * * *', async function() {
+const job = schedule.scheduleJob(IMPORT_SCHEDULE, async function() {
     console.log('Running scheduled job: fetchAndSaveStocks');
+    await recordState({ lastRunStartedAt: new Date(), lastRunError: null });
     try {
-        await fetchAndSaveStocks();
+        const run = await fetchAndSaveStocks({ trigger: 'schedule' });
+        if (!run) {
+            throw new Error('Import was not started; another run is in progress or the database is unreachable');
+        }
+
+        // The importer records its own errors on the run; surface them on the schedule too. Screens are
+        // only diffed after a completed run, so a partly refreshed collection sends no false changes
+        // and does not become their baseline.
+        const finished = await ImportRun.findById(run._id, 'status error').lean();
+        if (!finished || finished.status !== 'completed') {
+            const status = finished ? finished.status : 'missing';
+            throw new Error(`Import run ${run._id} ${status}${finished && finished.error ? `: ${finished.error}` : ''}; saved screens not evaluated`);
+        }
+
+        // Diff every saved screen against its previous run and notify webhooks
+        console.log('Evaluating saved screens...');
+        // Screens may have range conditions on custom metrics as well as schema fields
+        const customMetrics = await CustomMetric.find({}, 'key').lean();
+        const numericFields = [...getNumericFields(Stock.schema), ...customMetrics.map(metric => customMetricField(metric.key))];
+        const events = await evaluateSavedScreens({ Stock, SavedScreen, ScreenEvent, numericFields });
+        console.log(`Saved screens evaluated, ${events.length} screen(s) changed.`);
         console.log('Scheduled job finished successfully.');
+        await recordState({ lastRunFinishedAt: new Date() });
     } catch (error) {
         console.error('Error running scheduled job:', error);
+        await recordState({ lastRunFinishedAt: new Date(), lastRunError: error.message });
     }
 });
 
-console.log('fetchAndSaveStocks job scheduled to run once every day at 3:00 AM.');
+if (!job) {
+    console.error(`Invalid IMPORT_SCHEDULE cron pattern "${IMPORT_SCHEDULE}".`);
+    process.exit(1);
+}
+
+console.log(`fetchAndSaveStocks job scheduled with cron pattern "${IMPORT_SCHEDULE}".`);
+
+connectToDatabase()
+    .then(() => {
+        recordState({});
+        setInterval(() => recordState({}), HEARTBEAT_INTERVAL_MS);
+    })
+    .catch(err => console.error('Error connecting to MongoDB for the scheduler heartbeat:', err.message));
 
 // Optional: Listen for the 'scheduled' event
 job.on('scheduled', function(startTime){
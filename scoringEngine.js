@@ -0,0 +1,262 @@
+// Multi-factor scoring engine
+//
+// Every stock is ranked on a set of factors (value, quality, leverage, cash conversion, liquidity).
+// Each factor is the average percentile (0-100) of its metrics, ranked either within the stock's
+// sector or across the whole universe. A profile's total score is the weighted average of the
+// factors that could be computed for the stock.
+
+// Sectors with fewer ranked stocks than this fall back to universe-wide percentiles
+const MIN_SECTOR_SIZE = 10;
+
+const safeNum = (val) => (typeof val === 'number' && isFinite(val) ? val : null);
+
+// For "lower is better" ratios a negative value means negative earnings/equity, so rank it last
+const negativeAsWorst = (val) => (val !== null && val < 0 ? Number.POSITIVE_INFINITY : val);
+
+const inverse = (val) => (val !== null && val !== 0 ? 1 / val : null);
+
+// Metric definitions. `value` reads the raw number from a stock document.
+const METRICS = {
+  earningsYield: {
+    label: 'Earnings Yield (1 / P/E)',
+    higherIsBetter: true,
+    value: (stock) => inverse(safeNum(stock.priceEarningsRatioTTM))
+  },
+  ebitdaYield: {
+    label: 'EBITDA Yield (1 / EV/EBITDA)',
+    higherIsBetter: true,
+    value: (stock) => inverse(safeNum(stock.enterpriseValueOverEBITDATTM))
+  },
+  returnOnEquity: {
+    label: 'ROE (TTM)',
+    higherIsBetter: true,
+    value: (stock) => safeNum(stock.returnOnEquityTTM)
+  },
+  returnOnTangibleEquity: {
+    label: 'ROTE (TTM)',
+    higherIsBetter: true,
+    value: (stock) => safeNum(stock.returnOnTangibleEquityTTM)
+  },
+  debtToEquity: {
+    label: 'Debt/Equity (TTM)',
+    higherIsBetter: false,
+    value: (stock) => negativeAsWorst(safeNum(stock.debtEquityRatioTTM))
+  },
+  debtToEbitda: {
+    label: 'Debt/EBITDA (TTM)',
+    higherIsBetter: false,
+    value: (stock) => negativeAsWorst(safeNum(stock.debtToEbitdaTTM))
+  },
+  fcfToNetIncome: {
+    label: 'FCF / Net Income',
+    higherIsBetter: true,
+    value: (stock) => {
+      const fcf = safeNum(stock.freeCashFlowPerShareTTM);
+      const ni = safeNum(stock.netIncomePerShareTTM);
+      return fcf !== null && ni !== null && ni > 0 ? fcf / ni : null;
+    }
+  },
+  fcfYield: {
+    label: 'FCF Yield',
+    higherIsBetter: true,
+    value: (stock) => {
+      const fcf = safeNum(stock.freeCashFlowPerShareTTM);
+      const price = safeNum(stock.price);
+      return fcf !== null && price !== null && price > 0 ? fcf / price : null;
+    }
+  },
+  dollarVolume: {
+    label: 'Avg. Dollar Volume',
+    higherIsBetter: true,
+    value: (stock) => {
+      // In USD, so listings in other currencies rank on the same scale (see markets.js)
+      const dollarVolume = safeNum(stock.avgDollarVolumeUsd);
+      if (dollarVolume !== null) return dollarVolume;
+      const volume = safeNum(stock.avgVolume) ?? safeNum(stock.volAvg);
+      const price = safeNum(stock.price);
+      return volume !== null && price !== null ? volume * price : null;
+    }
+  }
+};
+
+const FACTORS = {
+  value: { label: 'Value', metrics: ['earningsYield', 'ebitdaYield', 'fcfYield'] },
+  quality: { label: 'Quality', metrics: ['returnOnEquity', 'returnOnTangibleEquity'] },
+  leverage: { label: 'Leverage', metrics: ['debtToEquity', 'debtToEbitda'] },
+  cashConversion: { label: 'Cash Conversion', metrics: ['fcfToNetIncome'] },
+  liquidity: { label: 'Liquidity', metrics: ['dollarVolume'] }
+};
+
+// Named weighting profiles. Add a profile here and the next import run scores every stock with it.
+// `universe` is 'sector' (rank against sector peers) or 'all' (rank against every stock).
+const SCORING_PROFILES = {
+  balanced: {
+    name: 'Balanced',
+    universe: 'sector',
+    weights: { value: 0.25, quality: 0.25, leverage: 0.2, cashConversion: 0.2, liquidity: 0.1 }
+  },
+  deepValue: {
+    name: 'Deep Value',
+    universe: 'all',
+    weights: { value: 0.55, leverage: 0.25, cashConversion: 0.2 }
+  },
+  qualityCompounder: {
+    name: 'Quality Compounder',
+    universe: 'sector',
+    weights: { quality: 0.45, cashConversion: 0.25, leverage: 0.2, value: 0.1 }
+  }
+};
+
+// Profile whose total is also stored in `simpleScore` for the existing UI
+const DEFAULT_SCORE_PROFILE = 'balanced';
+
+// Percentile (0-100) of every value in a list; ties share the midpoint of their ranks.
+const percentileRanks = (values) => {
+  const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+  const n = sorted.length;
+  const ranks = new Map();
+  let i = 0;
+  while (i < n) {
+    let j = i;
+    while (j + 1 < n && sorted[j + 1] === sorted[i]) j++;
+    // Midpoint of the tied rank positions, scaled to 0-100
+    ranks.set(sorted[i], n === 1 ? 50 : ((i + (j - i) / 2) / (n - 1)) * 100);
+    i = j + 1;
+  }
+  return values.map(v => (v === null ? null : ranks.get(v)));
+};
+
+// Percentile of every metric for every stock, keyed by metric then stock index
+const rankMetrics = (stocks, groupKeyFn) => {
+  const groups = new Map();
+  stocks.forEach((stock, index) => {
+    const key = groupKeyFn(stock);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+
+  const result = {};
+  Object.entries(METRICS).forEach(([metricId, metric]) => {
+    const percentiles = new Array(stocks.length).fill(null);
+    groups.forEach(indexes => {
+      const values = indexes.map(index => metric.value(stocks[index]));
+      percentileRanks(values).forEach((pct, k) => {
+        if (pct === null) return;
+        percentiles[indexes[k]] = metric.higherIsBetter ? pct : 100 - pct;
+      });
+    });
+    result[metricId] = percentiles;
+  });
+  return result;
+};
+
+const round1 = (val) => Math.round(val * 10) / 10;
+
+// Score a list of plain stock objects with every profile.
+// Returns one `{ [profileId]: breakdown }` object per stock, in input order.
+const scoreStocks = (stocks, profiles = SCORING_PROFILES) => {
+  const sectorSizes = new Map();
+  stocks.forEach(stock => {
+    const sector = stock.sector || 'N/A';
+    sectorSizes.set(sector, (sectorSizes.get(sector) || 0) + 1);
+  });
+  const peerGroupOf = (stock) => {
+    const sector = stock.sector || 'N/A';
+    return sector !== 'N/A' && sectorSizes.get(sector) >= MIN_SECTOR_SIZE ? sector : 'all';
+  };
+
+  const rankings = {
+    all: rankMetrics(stocks, () => 'all'),
+    sector: rankMetrics(stocks, peerGroupOf)
+  };
+
+  return stocks.map((stock, index) => {
+    const scores = {};
+    Object.entries(profiles).forEach(([profileId, profile]) => {
+      const ranking = rankings[profile.universe] || rankings.all;
+      const factors = {};
+      let weightedSum = 0;
+      let weightTotal = 0;
+
+      Object.entries(profile.weights).forEach(([factorId, weight]) => {
+        const factor = FACTORS[factorId];
+        if (!factor || !weight) return;
+        const metrics = {};
+        factor.metrics.forEach(metricId => {
+          const pct = ranking[metricId][index];
+          if (pct !== null) metrics[metricId] = round1(pct);
+        });
+        const metricValues = Object.values(metrics);
+        if (metricValues.length === 0) return;
+
+        const score = metricValues.reduce((sum, v) => sum + v, 0) / metricValues.length;
+        factors[factorId] = { score: round1(score), weight, metrics };
+        weightedSum += score * weight;
+        weightTotal += weight;
+      });
+
+      scores[profileId] = {
+        total: weightTotal > 0 ? Math.round(weightedSum / weightTotal) : null,
+        universe: profile.universe,
+        peerGroup: profile.universe === 'sector' ? peerGroupOf(stock) : 'all',
+        factors
+      };
+    });
+    return scores;
+  });
+};
+
+const SCORING_FIELDS = 'symbol sector price avgVolume volAvg avgDollarVolumeUsd priceEarningsRatioTTM enterpriseValueOverEBITDATTM returnOnEquityTTM returnOnTangibleEquityTTM debtEquityRatioTTM debtToEbitdaTTM freeCashFlowPerShareTTM netIncomePerShareTTM';
+
+// Re-score every stock in the collection. Percentiles need the whole universe, so this runs
+// once after an import finishes rather than per ticker.
+async function scoreAllStocks(StockModel, profiles = SCORING_PROFILES) {
+  const stocks = await StockModel.find({}, SCORING_FIELDS).lean();
+  if (stocks.length === 0) return 0;
+
+  const allScores = scoreStocks(stocks, profiles);
+  const scoredAt = new Date();
+  const BATCH_SIZE = 1000;
+
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map((stock, k) => {
+      const scores = allScores[i + k];
+      const defaultScore = scores[DEFAULT_SCORE_PROFILE];
+      return {
+        updateOne: {
+          filter: { _id: stock._id },
+          update: {
+            $set: {
+              scores,
+              scoredAt,
+              simpleScore: defaultScore ? defaultScore.total : null
+            }
+          }
+        }
+      };
+    });
+    await StockModel.bulkWrite(ops, { ordered: false });
+  }
+  return stocks.length;
+}
+
+// Profile and factor descriptions for the API / frontend
+const describeScoring = () => ({
+  defaultProfile: DEFAULT_SCORE_PROFILE,
+  profiles: SCORING_PROFILES,
+  factors: Object.fromEntries(Object.entries(FACTORS).map(([id, factor]) => [id, {
+    label: factor.label,
+    metrics: factor.metrics.map(metricId => ({ id: metricId, label: METRICS[metricId].label, higherIsBetter: METRICS[metricId].higherIsBetter }))
+  }]))
+});
+
+module.exports = {
+  METRICS,
+  FACTORS,
+  SCORING_PROFILES,
+  DEFAULT_SCORE_PROFILE,
+  percentileRanks,
+  scoreStocks,
+  scoreAllStocks,
+  describeScoring
+};
@@ -0,0 +1,209 @@
+// Screen filters shared by /api/v1/stocks and /api/v1/backtest
+//
+// Translates sidebar filter values (the frontend's ActiveFilters, sent as query parameters or a
+// JSON body) into a MongoDB filter on the Stock / StockSnapshot fields.
+
+const { buildFlagFilter } = require('./dataQuality');
+const { buildStyleTagFilter } = require('./styleTags');
+const { buildMarketFilter } = require('./markets');
+
+// Query conditions for the fundamental signal filters, keyed by filter id then option value.
+// Threshold filters use the stored numbers so "≤ 10x" also matches stocks at 6x.
+const SIGNAL_FILTERS = {
+  gmTrend: {
+    improving: { grossMarginTrendCategory: 'improving' },
+    stable: { grossMarginTrendCategory: 'stable' },
+    any: { grossMarginTrendCategory: { $in: ['improving', 'stable', 'declining'] } }
+  },
+  incRoic: {
+    ge15pct: { incrementalRoic: { $gte: 0.15 } },
+    ge20pct: { incrementalRoic: { $gte: 0.20 } },
+    ge25pct: { incrementalRoic: { $gte: 0.25 } }
+  },
+  shareCountChange: {
+    le0pct: { shareCountCagr: { $lte: 0 } },
+    'le-2pct': { shareCountCagr: { $lte: -0.02 } },
+    'le-5pct': { shareCountCagr: { $lte: -0.05 } }
+  },
+  evToEbit: {
+    le10x: { enterpriseValueOverEBITDATTM: { $gt: 0, $lte: 10 } },
+    le8x: { enterpriseValueOverEBITDATTM: { $gt: 0, $lte: 8 } },
+    le6x: { enterpriseValueOverEBITDATTM: { $gt: 0, $lte: 6 } }
+  },
+  priceToNCAV: {
+    'le0.66': { priceToNCAV: { $gt: 0, $lte: 0.66 } }
+  },
+  insiderOwn: {
+    ge8pct: { insiderOwnership: { $gte: 0.08 } },
+    ge15pct: { insiderOwnership: { $gte: 0.15 } },
+    ge25pct: { insiderOwnership: { $gte: 0.25 } }
+  },
+  netInsiderTrx: {
+    any: { netInsiderBuys: { $gte: 1 } },
+    ge3: { netInsiderBuys: { $gte: 3 } },
+    ge5: { netInsiderBuys: { $gte: 5 } }
+  },
+  // Red flag options exclude the flagged stocks
+  rdFlags: {
+    auditChanges: { redFlags: { $ne: 'auditChanges' } },
+    managementExits: { redFlags: { $ne: 'managementExits' } },
+    allRedFlags: { redFlags: { $nin: ['auditChanges', 'managementExits'] } }
+  },
+  moatKws: {
+    ge3: { moatKeywordHits: { $gte: 3 } },
+    ge5: { moatKeywordHits: { $gte: 5 } },
+    ge10: { moatKeywordHits: { $gte: 10 } }
+  }
+};
+
+const buildScreenFilter = (params = {}) => {
+  const filter = {};
+
+  // Basic Filtering
+  if (params.sector) {
+    filter.sector = params.sector;
+  }
+
+  // Market Cap filtering with proper mapping
+  if (params.marketCapCategory) {
+    filter.marketCapCategory = params.marketCapCategory;
+  } else if (params.marketCap) {
+    // Map frontend filter values to database values
+    const marketCapMap = {
+      'large': 'midLarge',
+      'midLarge': 'midLarge',
+      'small': 'small',
+      'micro': 'micro',
+      'nano': 'nano'
+    };
+    if (marketCapMap[params.marketCap]) {
+      filter.marketCapCategory = marketCapMap[params.marketCap];
+    }
+  }
+
+  // Volume filtering with proper mapping
+  if (params.volumeCategory) {
+    filter.volumeCategory = params.volumeCategory;
+  } else if (params.volume) {
+    // Map frontend filter values to database values
+    const volumeMap = {
+      'high': 'high',
+      'medium': 'medium',
+      'low': 'low'
+    };
+    if (volumeMap[params.volume]) {
+      filter.volumeCategory = volumeMap[params.volume];
+    }
+  }
+
+  // Capital Structure Filters
+  // Debt/Equity Ratio filtering
+  if (params.debtCategory) {
+    filter.debtCategory = params.debtCategory;
+  } else if (params.debt || params.debtEquityRatio) {
+    const debtValue = params.debt || params.debtEquityRatio;
+    const debtMap = {
+      'low': 'low',
+      'medium': 'medium',
+      'high': 'high'
+    };
+    if (debtMap[debtValue]) {
+      filter.debtCategory = debtMap[debtValue];
+    }
+  }
+
+  // Debt/EBITDA filtering
+  if (params.numericDebtEbitdaCategory) {
+    filter.numericDebtEbitdaCategory = params.numericDebtEbitdaCategory;
+  } else if (params.debtToEbitda) {
+    const debtEbitdaMap = {
+      'le1x': 'le1x',
+      'le0.5x': 'le0.5x', 
+      'le0.25x': 'le0.25x'
+    };
+    if (debtEbitdaMap[params.debtToEbitda]) {
+      filter.numericDebtEbitdaCategory = debtEbitdaMap[params.debtToEbitda];
+    }
+  }
+
+  // Profitability Filters
+  // ROE/ROTCE filtering with proper mapping
+  if (params.rotceCategory) {
+    filter.rotceCategory = params.rotceCategory;
+  } else if (params.roe) {
+    const roeMap = {
+      'excellent': 'excellent',
+      'good': 'good',
+      'average': 'average',
+      'poor': 'poor'
+    };
+    if (roeMap[params.roe]) {
+      filter.rotceCategory = roeMap[params.roe];
+    }
+  }
+
+  // FCF/Net Income filtering
+  if (params.numericFcfNiCategory) {
+    filter.numericFcfNiCategory = params.numericFcfNiCategory;
+  } else if (params.fcfToNetIncome) {
+    const fcfNiMap = {
+      'ge0.8': 'ge0.8',
+      'ge1.0': 'ge1.0',
+      'ge1.2': 'ge1.2'
+    };
+    if (fcfNiMap[params.fcfToNetIncome]) {
+      filter.numericFcfNiCategory = fcfNiMap[params.fcfToNetIncome];
+    }
+  }
+
+  // Valuation Filters
+  // P/E Ratio / Valuation filtering with proper mapping
+  if (params.valuationCategory) {
+    filter.valuationCategory = params.valuationCategory;
+  } else if (params.peRatio || params.valuation) {
+    const valuationValue = params.peRatio || params.valuation;
+    const valuationMap = {
+      'value': 'value',
+      'growth': 'growth',
+      'blend': 'blend'
+    };
+    if (valuationMap[valuationValue]) {
+      filter.valuationCategory = valuationMap[valuationValue];
+    }
+  }
+
+  // Fundamental signal filters (Capital Discipline, EV/EBITDA, P/NCAV, Ownership & Governance, Moat)
+  Object.entries(SIGNAL_FILTERS).forEach(([param, options]) => {
+    const value = params[param];
+    if (value && options[value]) {
+      Object.assign(filter, options[value]);
+    }
+  });
+
+  // Data quality: leave out stocks the importer flagged (see dataQuality.js)
+  Object.assign(filter, buildFlagFilter(params));
+
+  // Style tags: stocks carrying every listed tag (see styleTags.js)
+  Object.assign(filter, buildStyleTagFilter(params));
+
+  // Listing: country, exchange and region (see markets.js)
+  Object.assign(filter, buildMarketFilter(params));
+
+  return filter;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive substring match on symbol, company name or sector (the list's search box)
+const buildTextSearchFilter = (term) => {
+  const trimmed = typeof term === 'string' ? term.trim().slice(0, 100) : '';
+  if (!trimmed) return null;
+  const pattern = new RegExp(escapeRegExp(trimmed), 'i');
+  return { $or: [{ symbol: pattern }, { companyName: pattern }, { sector: pattern }] };
+};
+
+module.exports = {
+  SIGNAL_FILTERS,
+  buildScreenFilter,
+  buildTextSearchFilter
+};
@@ -1,8 +1,45 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
 const mongoose = require('mongoose');
+const { QueryValidationError, getNumericFields, parseWhereParam, buildRangeFilter } = require('./stockQuery');
+const { describeScoring } = require('./scoringEngine');
+const { describeStyleTags } = require('./styleTags');
+const { buildScreenFilter, buildTextSearchFilter } = require('./screenFilters');
+const { buildFreshnessFilter } = require('./dataQuality');
+const { findStockPage, getSortableFields, parseFieldsParam, parseSortParams } = require('./stockPagination');
+const { EXPORT_FORMATS, MAX_EXPORT_ROWS, parseFormatParam, parseColumnsParam, parseSymbolsParam, exportProjection, renderExport } = require('./stockExport');
+const { parseSearchPhrase, rankStocks, createSearchIndexCache } = require('./stockSearch');
+const { parseGroupByParam, parseMetricsParam, parsePercentilesParam, aggregateMetrics } = require('./peerAggregates');
+const { parseBacktestOptions, runBacktest } = require('./backtest');
+const { createScreenModels, validateScreenInput, runSavedScreen } = require('./savedScreens');
+const { resolveWebhookAddresses } = require('./webhooks');
+const { createPortfolioModel, validatePortfolioInput, referencedScreenIds, parseHoldingsCsv, valuePortfolio } = require('./portfolios');
+const { createPresetModel, validatePresetInput, isSlug, createPreset, saveVersion, sharedPreset } = require('./presets');
+const {
+  createAlertModels, validateAlertInput, alertFields, checkAlertRule, evaluateAlerts, describeAlertConditions
+} = require('./alerts');
+const {
+  MAX_CUSTOM_METRICS, customMetricField, createCustomMetricModel, validateCustomMetricInput,
+  computeCustomMetrics, removeCustomMetricValues, createCustomMetricCache
+} = require('./customMetrics');
+const { createMarketDataProvider } = require('./marketDataProvider');
+const { createStockDetailsService } = require('./stockDetails');
+const { parseStreamSymbols, createQuoteRefresher } = require('./liveQuotes');
+const { createStockModel } = require('./stockModel');
+const { createFxRateModel, loadFxRates, describeMarkets } = require('./markets');
+const { createSnapshotModel, parseAsOfParam, resolveSnapshotDate, listSnapshotDates } = require('./stockSnapshots');
+const { createImportModels, findLiveRun } = require('./importRuns');
+const {
+  IMPORT_SCHEDULE, API_CALL_BUDGET_PER_MINUTE, STALE_AFTER_MS, SCHEDULER_STATE_ID, createSchedulerStateModel, isAlive
+} = require('./importJobs');
+const { fetchAndSaveStocks } = require('./fetchStocksBackground');
+const {
+  createUserModels, verifyPassword, validateCredentials, buildUser, createSession, endSession, createAuthMiddleware,
+  ownerFilter, ownedFilter, ownerOf, publicUser, publicWorkspace, validateWorkspaceInput, mergeLocalWorkspace
+} = require('./users');
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -12,293 +49,1125 @@ mongoose.connect(mongoURI, { useNewUrlParser: true, useUnifiedTopology: true })
   .then(() => console.log('MongoDB connected'))
   .catch(err => console.error('MongoDB connection error:', err));
 
-const stockSchema = new mongoose.Schema({
-  // From /api/v3/profile/{symbol}
-  symbol: { type: String, required: true, unique: true },
-  companyName: { type: String },
-  image: { type: String },
-  website: { type: String },
-  description: { type: String },
-  sector: { type: String },
-  industry: { type: String },
- ceo: { type: String },
-  fullTimeEmployees: { type: Number },
- price: { type: Number }, // Can be updated by /quote later for real-time
-  mktCap: { type: Number }, // Can be updated by /quote later for real-time
-  volAvg: { type: Number }, // Can be updated by /quote later for real-time
-  lastDiv: { type: Number },
-  range: { type: String }, // e.g., "100 - 200"
- yearHigh: { type: Number }, // Derived from range or from /quote
- yearLow: { type: Number }, // Derived from range or from /quote
-
-  // From /api/v3/quote/{symbol} - Data here can update/confirm profile data
- // symbol and name are already in profile, can use quote for potentially more real-time price/marketCap/avgVolume
- marketCap: { type: Number }, // Already in profile, kept for potential update frequency
- avgVolume: { type: Number }, // Already in profile, kept for potential update frequency
-  yearHighQuote: { type: Number }, // Explicitly from quote if needed
-  yearLowQuote: { type: Number }, // Explicitly from quote if needed
-  peQuote: { type: Number }, // P/E from quote
-
-  // From /api/v3/ratios-ttm/{symbol}
-  priceEarningsRatioTTM: { type: Number },
-  debtEquityRatioTTM: { type: Number },
-  returnOnEquityTTM: { type: Number },
-  returnOnTangibleEquityTTM: { type: Number },
-  netIncomePerShareTTM: { type: Number },
-
-  // From /api/v3/key-metrics-ttm/{symbol}
-  debtToEbitdaTTM: { type: Number },
-  enterpriseValueOverEBITDATTM: { type: Number },
-  freeCashFlowPerShareTTM: { type: Number },
-
-  lastUpdated: { type: Date, default: Date.now },
-
-  // Derived fields
-  simpleScore: { type: Number },
-  marketCapCategory: { type: String },
-  volumeCategory: { type: String },
-  debtCategory: { type: String },
-  valuationCategory: { type: String },
-  rotceCategory: { type: String },
-  numericDebtEbitdaCategory: { type: String },
-  numericFcfNiCategory: { type: String },
-
-  // Formatted strings
-  debtEbitda: { type: String },
-  evEbit: { type: String }, // Note: This will store EV/EBITDA formatted as EV/EBIT
-  fcfNi: { type: String },
-  rotce: { type: String }, // Note: This will store ROE TTM formatted as ROTCE
-  dividendYield: { type: String },
-  fiftyTwoWeekHigh: { type: String },
-  fiftyTwoWeekLow: { type: String },
-
-
-});
-const Stock = mongoose.model('Stock', stockSchema);
+// Schema and metric derivation are shared with the importer (see stockModel.js)
+const Stock = createStockModel(mongoose);
+const StockSnapshot = createSnapshotModel(mongoose, Stock.schema);
+const { SavedScreen, ScreenEvent } = createScreenModels(mongoose);
+const Portfolio = createPortfolioModel(mongoose);
+const Preset = createPresetModel(mongoose);
+const { AlertRule, AlertEvent } = createAlertModels(mongoose);
+const CustomMetric = createCustomMetricModel(mongoose);
+const FxRate = createFxRateModel(mongoose);
+const importModels = createImportModels(mongoose);
+const { ImportRun, ImportTicker } = importModels;
+const SchedulerState = createSchedulerStateModel(mongoose);
+const userModels = createUserModels(mongoose);
+const { User } = userModels;
+
+// Sessions for the per-user routes (see users.js); the stock data routes need none
+const { authenticate, requireUser } = createAuthMiddleware(userModels);
+
+// Market data source for the details view: FMP by default, MARKET_DATA_PROVIDER=fixture to run offline
+const marketData = createMarketDataProvider();
+
+// Assembled stock details, with provider datasets cached per type (see DETAIL_CACHE_TTLS)
+const stockDetails = createStockDetailsService(marketData, { loadFxRates: () => loadFxRates(FxRate) });
+
+// Market-hours quote refresh for the symbols browsers are viewing (see liveQuotes.js); alert rules on
+// the refreshed symbols are evaluated against the new prices
+const quoteRefresher = createQuoteRefresher({
+  provider: marketData,
+  Stock,
+  onPricesChanged: (symbols) => evaluateAlerts({ Stock, AlertRule, AlertEvent, symbols, source: 'quote' })
+});
+
+// Every numeric field in the schema can be used in a range query
+const NUMERIC_STOCK_FIELDS = getNumericFields(Stock.schema);
+
+// User-defined formula metrics, stored on each stock as customMetrics.<key> (see customMetrics.js)
+const customMetrics = createCustomMetricCache(CustomMetric);
+
+// Fields accepted by `where`, sortBy and the aggregates: the schema's numeric fields plus the
+// custom metrics (`customFields`)
+const getQueryFields = async () => {
+  const customFields = (await customMetrics.list()).map(metric => customMetricField(metric.key));
+  return { numericFields: [...NUMERIC_STOCK_FIELDS, ...customFields], customFields };
+};
+
+// In-memory index for /api/v1/search, rebuilt from the stocks collection every few minutes
+const getSearchIndex = createSearchIndexCache(Stock);
+
+app.use(express.json());
 
 // Serve static files from the React app build directory
 app.use(express.static('public/dist'));
 
-// Serve the React app for all non-API routes
-app.get('/', (req, res) => {
+// Serve the React app for all non-API routes (/p/<slug> opens a shared preset)
+app.get(['/', '/admin', '/p/:slug'], (req, res) => {
   res.sendFile(__dirname + '/public/dist/index.html');
 });
 
-stockSchema.index({ symbol: 1 }); // Index for faster lookups by symbol
+const combineClauses = (clauses) => {
+  const nonEmpty = clauses.filter(clause => clause && Object.keys(clause).length > 0);
+  return nonEmpty.length > 1 ? { $and: nonEmpty } : (nonEmpty[0] || {});
+};
+
+// Model and filter for the screen described by the sidebar filters, `where` range query, `search`,
+// `excludeFlagged`/`maxAgeDays` and `asOf` parameters, plus any extra clauses. Resolves to null when
+// there is no snapshot for `asOf`.
+const resolveScreenQuery = async (params, extraClauses = []) => {
+  // Sidebar category and signal filters, and the data quality flag exclusion
+  const filter = buildScreenFilter(params);
 
+  // Numeric range query (min/max bounds with and/or grouping), combined with the category filters above
+  const { numericFields } = await getQueryFields();
+  const rangeFilter = buildRangeFilter(parseWhereParam(params.where), numericFields);
+  const searchFilter = buildTextSearchFilter(params.search);
+  const clauses = [filter, rangeFilter, searchFilter, ...extraClauses];
+
+  // Point-in-time mode: screen the latest snapshot taken on or before `asOf` instead of live data.
+  // Staleness is measured from the snapshot day there, and from now otherwise.
+  const asOf = parseAsOfParam(params.asOf);
+  if (!asOf) {
+    return { Model: Stock, query: combineClauses([...clauses, buildFreshnessFilter(params)]), snapshotDate: null };
+  }
+  buildFreshnessFilter(params); // Reject an invalid maxAgeDays before looking up the snapshot
+  const snapshotDate = await resolveSnapshotDate(StockSnapshot, asOf);
+  if (!snapshotDate) return null;
+  const query = combineClauses([...clauses, buildFreshnessFilter(params, snapshotDate), { snapshotDate }]);
+  return { Model: StockSnapshot, query, snapshotDate };
+};
+
+// Query parameters: sidebar filters, `where` range query, `search`, `asOf`, plus paging:
+//   sortBy/sortOrder, limit (max 1000), cursor (from pagination.nextCursor) or legacy page,
+//   fields=symbol,price,... (projection) and count=true (adds totalItems) - see stockPagination.js
 app.get('/api/v1/stocks', async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20; // Default limit
-    const skip = (page - 1) * limit;
-    const sort = {};
-    const filter = {};
-
-    // Basic Filtering
-    if (req.query.sector) {
-      filter.sector = req.query.sector;
-    }
-
-    // Market Cap filtering with proper mapping
-    if (req.query.marketCapCategory) {
-      filter.marketCapCategory = req.query.marketCapCategory;
-    } else if (req.query.marketCap) {
-      // Map frontend filter values to database values
-      const marketCapMap = {
-        'large': 'midLarge',
-        'midLarge': 'midLarge',
-        'small': 'small',
-        'micro': 'micro',
-        'nano': 'nano'
-      };
-      if (marketCapMap[req.query.marketCap]) {
-        filter.marketCapCategory = marketCapMap[req.query.marketCap];
-      }
+    const screen = await resolveScreenQuery(req.query);
+    if (!screen) {
+      return res.status(404).json({ error: `No snapshot on or before ${req.query.asOf}` });
     }
+    const { Model, query, snapshotDate } = screen;
 
-    // Volume filtering with proper mapping
-    if (req.query.volumeCategory) {
-      filter.volumeCategory = req.query.volumeCategory;
-    } else if (req.query.volume) {
-      // Map frontend filter values to database values
-      const volumeMap = {
-        'high': 'high',
-        'medium': 'medium',
-        'low': 'low'
-      };
-      if (volumeMap[req.query.volume]) {
-        filter.volumeCategory = volumeMap[req.query.volume];
-      }
+    console.log('Applied filters:', JSON.stringify(query));
+
+    const { customFields } = await getQueryFields();
+    const response = await findStockPage(Model, query, req.query, mongoose, customFields);
+    if (snapshotDate) {
+      response.asOf = snapshotDate;
     }
 
-    // Capital Structure Filters
-    // Debt/Equity Ratio filtering
-    if (req.query.debtCategory) {
-      filter.debtCategory = req.query.debtCategory;
-    } else if (req.query.debt || req.query.debtEquityRatio) {
-      const debtValue = req.query.debt || req.query.debtEquityRatio;
-      const debtMap = {
-        'low': 'low',
-        'medium': 'medium',
-        'high': 'high'
-      };
-      if (debtMap[debtValue]) {
-        filter.debtCategory = debtMap[debtValue];
-      }
+    res.json(response);
+
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
     }
+    console.error('Error fetching stocks from database:', error.message);
+    res.status(500).json({ error: 'Error fetching stocks' });
+  }
+});
 
-    // Debt/EBITDA filtering
-    if (req.query.numericDebtEbitdaCategory) {
-      filter.numericDebtEbitdaCategory = req.query.numericDebtEbitdaCategory;
-    } else if (req.query.debtToEbitda) {
-      const debtEbitdaMap = {
-        'le1x': 'le1x',
-        'le0.5x': 'le0.5x', 
-        'le0.25x': 'le0.25x'
-      };
-      if (debtEbitdaMap[req.query.debtToEbitda]) {
-        filter.numericDebtEbitdaCategory = debtEbitdaMap[req.query.debtToEbitda];
-      }
+// Download the screen (same filters and sortBy/sortOrder as /api/v1/stocks) or a list of tickers
+// (`symbols`, e.g. a watchlist) as format=csv|xlsx|json, with the fields in `columns`.
+// Numeric columns carry both the raw value and the formatted string (see stockExport.js).
+app.get('/api/v1/export', async (req, res) => {
+  try {
+    const format = parseFormatParam(req.query.format);
+    const columns = parseColumnsParam(req.query.columns, Stock.schema);
+    const sortSpec = parseSortParams(req.query, Stock.schema, (await getQueryFields()).customFields);
+    const screen = await resolveScreenQuery(req.query, [parseSymbolsParam(req.query.symbols)]);
+    if (!screen) {
+      return res.status(404).json({ error: `No snapshot on or before ${req.query.asOf}` });
     }
 
-    // Profitability Filters
-    // ROE/ROTCE filtering with proper mapping
-    if (req.query.rotceCategory) {
-      filter.rotceCategory = req.query.rotceCategory;
-    } else if (req.query.roe) {
-      const roeMap = {
-        'excellent': 'excellent',
-        'good': 'good',
-        'average': 'average',
-        'poor': 'poor'
-      };
-      if (roeMap[req.query.roe]) {
-        filter.rotceCategory = roeMap[req.query.roe];
-      }
+    const docs = await screen.Model.find(screen.query, exportProjection(columns))
+      .sort(sortSpec.sort)
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    const name = String(req.query.name || 'screen').toLowerCase().replace(/[^a-z0-9-]+/g, '-').slice(0, 40) || 'screen';
+    const date = (screen.snapshotDate || new Date()).toISOString().slice(0, 10);
+    const body = renderExport(format, docs, columns, {
+      name,
+      exportedAt: new Date().toISOString(),
+      asOf: screen.snapshotDate || undefined,
+      sortBy: sortSpec.field,
+      sortOrder: sortSpec.order === 1 ? 'asc' : 'desc',
+      truncated: docs.length === MAX_EXPORT_ROWS
+    });
+
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${name}-${date}.${EXPORT_FORMATS[format].extension}"`);
+    res.send(body);
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
     }
+    console.error('Error exporting stocks:', error.message);
+    res.status(500).json({ error: 'Error exporting stocks' });
+  }
+});
 
-    // FCF/Net Income filtering
-    if (req.query.numericFcfNiCategory) {
-      filter.numericFcfNiCategory = req.query.numericFcfNiCategory;
-    } else if (req.query.fcfToNetIncome) {
-      const fcfNiMap = {
-        'ge0.8': 'ge0.8',
-        'ge1.0': 'ge1.0',
-        'ge1.2': 'ge1.2'
-      };
-      if (fcfNiMap[req.query.fcfToNetIncome]) {
-        filter.numericFcfNiCategory = fcfNiMap[req.query.fcfToNetIncome];
+// Count, mean, min, max, median and percentiles of numeric metrics per sector or industry (groupBy,
+// default sector; 'all' for one group), over the stocks matching the same filters as /api/v1/stocks.
+// fields=a,b limits the metrics and percentiles=10,50,90 picks the percentiles (see peerAggregates.js).
+app.get('/api/v1/aggregates', async (req, res) => {
+  try {
+    const groupBy = parseGroupByParam(req.query.groupBy);
+    const fields = parseMetricsParam(req.query.fields, (await getQueryFields()).numericFields);
+    const percentiles = parsePercentilesParam(req.query.percentiles);
+    const screen = await resolveScreenQuery(req.query);
+    if (!screen) {
+      return res.status(404).json({ error: `No snapshot on or before ${req.query.asOf}` });
+    }
+
+    const groups = await aggregateMetrics(screen.Model, screen.query, { groupBy, fields, percentiles });
+    res.json({
+      groupBy,
+      percentiles,
+      asOf: screen.snapshotDate || undefined,
+      totalItems: groups.reduce((sum, group) => sum + group.count, 0),
+      groups
+    });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error aggregating stocks:', error.message);
+    res.status(500).json({ error: 'Error aggregating stocks' });
+  }
+});
+
+// Lists the fields accepted by the `where` range query and by `sortBy`, including custom metrics
+app.get('/api/v1/stocks/fields', async (req, res) => {
+  try {
+    const { numericFields, customFields } = await getQueryFields();
+    res.json({ numericFields, sortableFields: [...getSortableFields(Stock.schema), ...customFields] });
+  } catch (error) {
+    console.error('Error listing stock fields:', error.message);
+    res.status(500).json({ error: 'Error listing stock fields' });
+  }
+});
+
+// Typo-tolerant search with phrase parsing, e.g. q="small cap value tech low debt globex".
+// Known phrases become sidebar filters (returned as `filters`); the remaining words are ranked
+// against symbol, name, industry, CEO and description. Also accepts the sidebar filters, `where`,
+// `fields` and `limit` (default 20, max 100) of /api/v1/stocks.
+app.get('/api/v1/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      throw new QueryValidationError('q is required');
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { filters, terms } = parseSearchPhrase(q);
+    const projection = parseFieldsParam(req.query.fields, Stock.schema, 'symbol');
+
+    const filter = buildScreenFilter({ ...req.query, ...filters });
+    const rangeFilter = buildRangeFilter(parseWhereParam(req.query.where), (await getQueryFields()).numericFields);
+    const query = combineClauses([filter, rangeFilter, buildFreshnessFilter(req.query)]);
+
+    let data;
+    let total;
+    if (terms.length === 0) {
+      // Only filter phrases: the screen itself, largest companies first
+      [data, total] = await Promise.all([
+        Stock.find(query, projection).sort({ marketCapUsd: -1, _id: -1 }).limit(limit).lean(),
+        Stock.countDocuments(query)
+      ]);
+    } else {
+      let ranked = rankStocks(await getSearchIndex(), terms);
+      if (Object.keys(query).length > 0) {
+        const allowed = new Set(await Stock.distinct('symbol', { $and: [query, { symbol: { $in: ranked.map(hit => hit.symbol) } }] }));
+        ranked = ranked.filter(hit => allowed.has(hit.symbol));
       }
+      total = ranked.length;
+      const hits = ranked.slice(0, limit);
+      const docs = await Stock.find({ symbol: { $in: hits.map(hit => hit.symbol) } }, projection).lean();
+      const bySymbol = new Map(docs.map(doc => [doc.symbol, doc]));
+      data = hits
+        .filter(hit => bySymbol.has(hit.symbol))
+        .map(hit => ({ ...bySymbol.get(hit.symbol), searchScore: Math.round(hit.score * 100) / 100 }));
     }
 
-    // Gross Margin Trend filtering (placeholder - would need database field)
-    if (req.query.gmTrend) {
-      // Note: This would require a grossMarginTrend field in the database
-      // For now, we'll skip this filter as the field doesn't exist
-      console.log('Gross margin trend filter requested but not implemented:', req.query.gmTrend);
+    res.json({ query: q, filters, terms, total, data });
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
     }
+    console.error('Error searching stocks:', error.message);
+    res.status(500).json({ error: 'Error searching stocks' });
+  }
+});
 
-    // Capital Discipline Filters (placeholders - would need database fields)
-    if (req.query.incRoic) {
-      // Note: This would require an incrementalRoic field in the database
-      console.log('Incremental ROIC filter requested but not implemented:', req.query.incRoic);
+// Ticker characters only, so arbitrary strings do not end up in provider URLs or cache keys
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+
+const parseSymbolParam = (raw) => {
+  const symbol = String(raw).toUpperCase();
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new QueryValidationError(`"${raw}" is not a valid symbol`);
+  }
+  return symbol;
+};
+
+const sendProviderError = (res, error, what) => {
+  if (error instanceof QueryValidationError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  console.error(`Error fetching ${what} from ${marketData.name}:`, error.message);
+  const status = error.response && error.response.status === 429 ? 429 : 502;
+  res.status(status).json({ error: `Market data provider error fetching ${what}` });
+};
+
+// Everything the details view shows (StockDetails in public/types.ts), assembled from the market
+// data provider and cached server-side. Score and signal categories come from the stored stock.
+app.get('/api/v1/stocks/:symbol', async (req, res) => {
+  try {
+    const symbol = parseSymbolParam(req.params.symbol);
+    // The stored document only adds the score and signals, so the details still load without it
+    const stored = Stock.findOne({ symbol }).lean().catch(error => {
+      console.warn(`Stored stock lookup for ${symbol} failed:`, error.message);
+      return null;
+    });
+    const details = await stockDetails.getStockDetails(symbol, stored);
+    if (!details) {
+      return res.status(404).json({ error: `No market data for ${symbol}` });
     }
+    res.set('Cache-Control', 'private, max-age=60');
+    res.json(details);
+  } catch (error) {
+    sendProviderError(res, error, `details for ${req.params.symbol}`);
+  }
+});
 
-    if (req.query.shareCountChange) {
-      // Note: This would require a shareCountChange field in the database
-      console.log('Share count change filter requested but not implemented:', req.query.shareCountChange);
+// Full text of one earnings call (linked from StockDetails.latestTranscript)
+app.get('/api/v1/stocks/:symbol/transcript', async (req, res) => {
+  try {
+    const symbol = parseSymbolParam(req.params.symbol);
+    const year = Number(req.query.year);
+    const quarter = Number(req.query.quarter);
+    if (!Number.isInteger(year) || !Number.isInteger(quarter) || quarter < 1 || quarter > 4) {
+      throw new QueryValidationError('year and quarter (1-4) are required');
     }
+    const transcript = await stockDetails.getTranscript(symbol, { year, quarter });
+    if (!transcript) {
+      return res.status(404).json({ error: `No Q${quarter} ${year} transcript for ${symbol}` });
+    }
+    res.json(transcript);
+  } catch (error) {
+    sendProviderError(res, error, `transcript for ${req.params.symbol}`);
+  }
+});
 
-    // Valuation Filters
-    // P/E Ratio / Valuation filtering with proper mapping
-    if (req.query.valuationCategory) {
-      filter.valuationCategory = req.query.valuationCategory;
-    } else if (req.query.peRatio || req.query.valuation) {
-      const valuationValue = req.query.peRatio || req.query.valuation;
-      const valuationMap = {
-        'value': 'value',
-        'growth': 'growth',
-        'blend': 'blend'
-      };
-      if (valuationMap[valuationValue]) {
-        filter.valuationCategory = valuationMap[valuationValue];
-      }
+// Snapshot days available for `asOf` screening, newest first
+app.get('/api/v1/snapshots', async (req, res) => {
+  try {
+    res.json({ snapshots: await listSnapshotDates(StockSnapshot) });
+  } catch (error) {
+    console.error('Error listing snapshots:', error.message);
+    res.status(500).json({ error: 'Error listing snapshots' });
+  }
+});
+
+// Every stored snapshot of one ticker, oldest first (for auditing why it passed a screen)
+app.get('/api/v1/snapshots/:symbol', async (req, res) => {
+  try {
+    const history = await StockSnapshot.find({ symbol: req.params.symbol.toUpperCase() })
+      .sort({ snapshotDate: 1 })
+      .lean();
+    if (history.length === 0) {
+      return res.status(404).json({ error: `No snapshots for ${req.params.symbol}` });
     }
+    res.json({ symbol: history[0].symbol, snapshots: history });
+  } catch (error) {
+    console.error('Error fetching snapshot history:', error.message);
+    res.status(500).json({ error: 'Error fetching snapshot history' });
+  }
+});
+
+// Backtest a screen on the stored snapshots.
+// Body: { filters: ActiveFilters, where?: range query, rebalance?: 'weekly'|'monthly'|'quarterly', from: date, to?: date }
+app.post('/api/v1/backtest', async (req, res) => {
+  try {
+    const { filters = {}, where, ...rest } = req.body || {};
+    const options = parseBacktestOptions(rest);
+    const filter = buildScreenFilter(filters);
+    const rangeFilter = buildRangeFilter(parseWhereParam(where), (await getQueryFields()).numericFields);
+    buildFreshnessFilter(filters); // Reject an invalid maxAgeDays up front
+    // Staleness is measured from each rebalance day's snapshot, as in point-in-time screens
+    const queryOn = (snapshotDate) => combineClauses([filter, rangeFilter, buildFreshnessFilter(filters, snapshotDate)]);
 
-    // EV/EBITDA filtering (placeholder - would need database field)
-    if (req.query.evToEbit) {
-      // Note: This would require an evToEbitCategory field in the database
-      console.log('EV/EBITDA filter requested but not implemented:', req.query.evToEbit);
+    const result = await runBacktest(StockSnapshot, queryOn, options);
+    if (!result) {
+      return res.status(404).json({ error: 'At least two snapshots are needed in the selected date range' });
     }
+    res.json(result);
+  } catch (error) {
+    if (error instanceof QueryValidationError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
+    console.error('Error running backtest:', error.message);
+    res.status(500).json({ error: 'Error running backtest' });
+  }
+});
 
-    // Price/NCAV filtering (placeholder - would need database field)
-    if (req.query.priceToNCAV) {
-      // Note: This would require a priceToNCAV field in the database
-      console.log('Price/NCAV filter requested but not implemented:', req.query.priceToNCAV);
+// Saved screens (CRUD). Each screen is re-run after the scheduled import and changes are stored as events.
+// Everyone sees their own screens plus the shared ones without an owner (see ownerFilter in users.js);
+// saving, changing and deleting require a signed-in user and only touch that user's screens.
+const sendScreenError = (res, error, action) => {
+  if (error instanceof QueryValidationError) {
+    return res.status(error.status).json({ error: error.message, details: error.details });
+  }
+  console.error(`Error ${action}:`, error.message);
+  res.status(500).json({ error: `Error ${action}` });
+};
+
+// Refuse webhooks the server must not call (see webhooks.js); `message` is the validation error title
+const checkWebhookUrl = async (input, message) => {
+  if (!input.webhookUrl) return;
+  try {
+    await resolveWebhookAddresses(input.webhookUrl);
+  } catch (error) {
+    throw new QueryValidationError(message, [`webhookUrl: ${error.message}`]);
+  }
+};
+
+// `filter` is ownerFilter(req) for reads and ownedFilter(req) for changes
+const findScreen = (id, filter) => (mongoose.isValidObjectId(id) ? SavedScreen.findOne({ _id: id, ...filter }) : Promise.resolve(null));
+
+// Store the current result set so the next scheduled run only reports changes made after this point
+const resetScreenBaseline = async (screen) => {
+  screen.lastSymbols = await runSavedScreen(Stock, screen, (await getQueryFields()).numericFields);
+  screen.lastRunAt = new Date();
+};
+
+app.get('/api/v1/screens', authenticate, async (req, res) => {
+  try {
+    const screens = await SavedScreen.find(ownerFilter(req), '-lastSymbols').sort({ updatedAt: -1 }).lean();
+    res.json({ screens });
+  } catch (error) {
+    sendScreenError(res, error, 'listing saved screens');
+  }
+});
+
+app.post('/api/v1/screens', requireUser, async (req, res) => {
+  try {
+    const input = validateScreenInput(req.body, (await getQueryFields()).numericFields);
+    await checkWebhookUrl(input, 'Invalid saved screen');
+    const screen = new SavedScreen({ ...input, userId: ownerOf(req) });
+    await resetScreenBaseline(screen);
+    await screen.save();
+    res.status(201).json(screen);
+  } catch (error) {
+    sendScreenError(res, error, 'saving screen');
+  }
+});
+
+app.get('/api/v1/screens/:id', authenticate, async (req, res) => {
+  try {
+    const screen = await findScreen(req.params.id, ownerFilter(req));
+    if (!screen) return res.status(404).json({ error: 'Saved screen not found' });
+    res.json(screen);
+  } catch (error) {
+    sendScreenError(res, error, 'fetching saved screen');
+  }
+});
+
+app.put('/api/v1/screens/:id', requireUser, async (req, res) => {
+  try {
+    const input = validateScreenInput(req.body, (await getQueryFields()).numericFields, { partial: true });
+    await checkWebhookUrl(input, 'Invalid saved screen');
+    const screen = await findScreen(req.params.id, ownedFilter(req));
+    if (!screen) return res.status(404).json({ error: 'Saved screen not found' });
+    screen.set(input);
+    if (['filters', 'where', 'rangeFilterKeys'].some(key => key in input)) {
+      await resetScreenBaseline(screen);
+    }
+    await screen.save();
+    res.json(screen);
+  } catch (error) {
+    sendScreenError(res, error, 'updating saved screen');
+  }
+});
+
+app.delete('/api/v1/screens/:id', requireUser, async (req, res) => {
+  try {
+    const screen = await findScreen(req.params.id, ownedFilter(req));
+    if (!screen) return res.status(404).json({ error: 'Saved screen not found' });
+    await ScreenEvent.deleteMany({ screenId: screen._id });
+    await screen.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    sendScreenError(res, error, 'deleting saved screen');
+  }
+});
+
+// Entry/exit events, newest first. Optional `screenId` and `limit` (default 50, max 500).
+app.get('/api/v1/screen-events', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const screenIds = await SavedScreen.distinct('_id', ownerFilter(req));
+    const filter = { screenId: { $in: screenIds } };
+    if (req.query.screenId) {
+      if (!screenIds.some(id => String(id) === String(req.query.screenId))) return res.json({ events: [] });
+      filter.screenId = req.query.screenId;
+    }
+    const events = await ScreenEvent.find(filter).sort({ runAt: -1 }).limit(limit).lean();
+    res.json({ events });
+  } catch (error) {
+    sendScreenError(res, error, 'fetching screen events');
+  }
+});
+
+// Presets (CRUD) with version history and short share links (see presets.js). Owned and shared like
+// saved screens; the share link works for everyone.
+const sendPresetError = sendScreenError;
+
+const findPreset = (id, filter) => (mongoose.isValidObjectId(id) ? Preset.findOne({ _id: id, ...filter }) : Promise.resolve(null));
+
+app.get('/api/v1/presets', authenticate, async (req, res) => {
+  try {
+    const presets = await Preset.find(ownerFilter(req), '-versions').sort({ updatedAt: -1 }).lean();
+    res.json({ presets });
+  } catch (error) {
+    sendPresetError(res, error, 'listing presets');
+  }
+});
+
+// Clones pass `clonedFrom: { slug, version }` of the preset they copy
+app.post('/api/v1/presets', requireUser, async (req, res) => {
+  try {
+    const input = validatePresetInput(req.body, NUMERIC_STOCK_FIELDS);
+    const { clonedFrom } = req.body || {};
+    if (clonedFrom !== undefined && (!clonedFrom || !isSlug(clonedFrom.slug) || !Number.isInteger(clonedFrom.version))) {
+      throw new QueryValidationError('Invalid preset', ['clonedFrom: must be { slug, version } of a shared preset']);
     }
+    const preset = await createPreset(Preset, input, { userId: ownerOf(req), clonedFrom: clonedFrom || null });
+    res.status(201).json(preset);
+  } catch (error) {
+    sendPresetError(res, error, 'saving preset');
+  }
+});
 
-    // Ownership & Governance Filters (placeholders - would need database fields)
-    if (req.query.insiderOwn) {
-      // Note: This would require an insiderOwnership field in the database
-      console.log('Insider ownership filter requested but not implemented:', req.query.insiderOwn);
+// Shared preset behind a short link; optional `version` for one of its kept versions
+app.get('/api/v1/presets/shared/:slug', async (req, res) => {
+  try {
+    if (!isSlug(req.params.slug)) return res.status(404).json({ error: 'Preset not found' });
+    const version = req.query.version === undefined ? null : parseInt(req.query.version, 10);
+    if (version !== null && !(version > 0)) throw new QueryValidationError('version must be a positive integer');
+    const preset = await Preset.findOne({ slug: req.params.slug }).lean();
+    const shared = preset && sharedPreset(preset, version);
+    if (!shared) return res.status(404).json({ error: version === null ? 'Preset not found' : `Version ${version} of this preset is not available` });
+    res.json(shared);
+  } catch (error) {
+    sendPresetError(res, error, 'fetching shared preset');
+  }
+});
+
+app.get('/api/v1/presets/:id', authenticate, async (req, res) => {
+  try {
+    const preset = await findPreset(req.params.id, ownerFilter(req));
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+    res.json(preset);
+  } catch (error) {
+    sendPresetError(res, error, 'fetching preset');
+  }
+});
+
+// Saves a new version when the content changed; restoring an old version is an update with its content
+app.put('/api/v1/presets/:id', requireUser, async (req, res) => {
+  try {
+    const preset = await findPreset(req.params.id, ownedFilter(req));
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+    const current = { name: preset.name, emoji: preset.emoji, description: preset.description, filters: preset.filters };
+    if (saveVersion(preset, validatePresetInput({ ...current, ...req.body }, NUMERIC_STOCK_FIELDS))) {
+      await preset.save();
     }
+    res.json(preset);
+  } catch (error) {
+    sendPresetError(res, error, 'updating preset');
+  }
+});
+
+app.delete('/api/v1/presets/:id', requireUser, async (req, res) => {
+  try {
+    const preset = await findPreset(req.params.id, ownedFilter(req));
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+    await preset.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    sendPresetError(res, error, 'deleting preset');
+  }
+});
+
+// Portfolios (CRUD). Holdings are lots (symbol, shares, cost basis per share, purchase date); reads of
+// a single portfolio include positions valued at the stored prices and the saved-screen overlay.
+// Portfolios hold positions, so every route needs a signed-in user and only sees that user's portfolios.
+const sendPortfolioError = sendScreenError;
+
+const findPortfolio = (req, id) => (mongoose.isValidObjectId(id) ? Portfolio.findOne({ _id: id, ...ownedFilter(req) }) : Promise.resolve(null));
+
+// A portfolio may only name the caller's own saved screens
+const checkPortfolioScreens = async (req, input) => {
+  const screenIds = referencedScreenIds(input);
+  if (screenIds.length === 0) return;
+  const owned = await SavedScreen.distinct('_id', { _id: { $in: screenIds }, ...ownedFilter(req) });
+  const ownedIds = new Set(owned.map(String));
+  const missing = screenIds.filter(id => !ownedIds.has(id));
+  if (missing.length > 0) {
+    throw new QueryValidationError('Invalid portfolio', missing.map(id => `screenId: ${id} is not one of your saved screens`));
+  }
+};
+
+const portfolioWithValuation = async (req, portfolio) => ({
+  ...portfolio.toObject(),
+  ...(await valuePortfolio(portfolio, {
+    Stock,
+    SavedScreen,
+    numericFields: (await getQueryFields()).numericFields,
+    screenFilter: ownedFilter(req),
+    fxRates: await loadFxRates(FxRate)
+  }))
+});
+
+app.get('/api/v1/portfolios', requireUser, async (req, res) => {
+  try {
+    const portfolios = await Portfolio.find(ownedFilter(req), '-holdings').sort({ updatedAt: -1 }).lean();
+    res.json({ portfolios });
+  } catch (error) {
+    sendPortfolioError(res, error, 'listing portfolios');
+  }
+});
+
+app.post('/api/v1/portfolios', requireUser, async (req, res) => {
+  try {
+    const input = validatePortfolioInput(req.body);
+    await checkPortfolioScreens(req, input);
+    const portfolio = new Portfolio({ ...input, userId: ownerOf(req) });
+    await portfolio.save();
+    res.status(201).json(await portfolioWithValuation(req, portfolio));
+  } catch (error) {
+    sendPortfolioError(res, error, 'saving portfolio');
+  }
+});
+
+// Parse a broker CSV without storing it: holdings, every ticker found (for watchlist imports) and
+// the rows that were skipped. Body: { csv }
+app.post('/api/v1/portfolios/parse-csv', (req, res) => {
+  try {
+    res.json(parseHoldingsCsv((req.body || {}).csv));
+  } catch (error) {
+    sendPortfolioError(res, error, 'parsing holdings CSV');
+  }
+});
+
+app.get('/api/v1/portfolios/:id', requireUser, async (req, res) => {
+  try {
+    const portfolio = await findPortfolio(req, req.params.id);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+    res.json(await portfolioWithValuation(req, portfolio));
+  } catch (error) {
+    sendPortfolioError(res, error, 'fetching portfolio');
+  }
+});
 
-    if (req.query.netInsiderTrx) {
-      // Note: This would require a netInsiderTransactions field in the database
-      console.log('Net insider transactions filter requested but not implemented:', req.query.netInsiderTrx);
+app.put('/api/v1/portfolios/:id', requireUser, async (req, res) => {
+  try {
+    const input = validatePortfolioInput(req.body, { partial: true });
+    const portfolio = await findPortfolio(req, req.params.id);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+    await checkPortfolioScreens(req, input);
+    portfolio.set(input);
+    await portfolio.save();
+    res.json(await portfolioWithValuation(req, portfolio));
+  } catch (error) {
+    sendPortfolioError(res, error, 'updating portfolio');
+  }
+});
+
+app.delete('/api/v1/portfolios/:id', requireUser, async (req, res) => {
+  try {
+    const portfolio = await findPortfolio(req, req.params.id);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+    await portfolio.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    sendPortfolioError(res, error, 'deleting portfolio');
+  }
+});
+
+// Import holdings from a broker CSV. Body: { csv, mode: 'append' (default) | 'replace' }
+app.post('/api/v1/portfolios/:id/import', requireUser, async (req, res) => {
+  try {
+    const { csv, mode = 'append' } = req.body || {};
+    if (!['append', 'replace'].includes(mode)) {
+      throw new QueryValidationError("mode must be 'append' or 'replace'");
     }
+    const parsed = parseHoldingsCsv(csv);
+    if (parsed.holdings.length === 0) {
+      throw new QueryValidationError('No holdings found in CSV', parsed.skipped.map(row => `line ${row.line}: ${row.reason}`));
+    }
+    const portfolio = await findPortfolio(req, req.params.id);
+    if (!portfolio) return res.status(404).json({ error: 'Portfolio not found' });
+    const holdings = mode === 'replace' ? parsed.holdings : [...portfolio.holdings.map(lot => lot.toObject()), ...parsed.holdings];
+    portfolio.set(validatePortfolioInput({ holdings }, { partial: true }));
+    await portfolio.save();
+    res.json({ imported: parsed.holdings.length, skipped: parsed.skipped, portfolio: await portfolioWithValuation(req, portfolio) });
+  } catch (error) {
+    sendPortfolioError(res, error, 'importing holdings');
+  }
+});
+
+// Alert rules (CRUD) and the alert inbox. Rules are evaluated after each import and live quote refresh
+// (see alerts.js); each firing lands in the inbox and goes to the rule's webhook and e-mail address.
+// Like portfolios, they are private to the signed-in user.
+const sendAlertError = sendScreenError;
+const ALERT_BASELINE_FIELDS = ['symbol', 'condition', 'field', 'threshold'];
+
+const findAlert = (req, id) => (mongoose.isValidObjectId(id) ? AlertRule.findOne({ _id: id, ...ownedFilter(req) }) : Promise.resolve(null));
 
-    if (req.query.rdFlags) {
-      // Note: This would require red flags fields in the database
-      console.log('Red flags filter requested but not implemented:', req.query.rdFlags);
+// Record whether the rule holds right now, so it only fires on a later change
+const resetAlertBaseline = async (rule) => {
+  const stock = await Stock.findOne({ symbol: rule.symbol }, alertFields(rule).join(' ')).lean();
+  if (!stock) throw new QueryValidationError('Invalid alert', [`symbol: ${rule.symbol} is not in the database`]);
+  const { value, holds } = checkAlertRule(rule, stock);
+  rule.conditionMet = value === null ? null : holds;
+  rule.lastValue = value;
+  rule.lastEvaluatedAt = new Date();
+};
+
+app.get('/api/v1/alerts/conditions', (req, res) => {
+  res.json(describeAlertConditions());
+});
+
+app.get('/api/v1/alerts', requireUser, async (req, res) => {
+  try {
+    const alerts = await AlertRule.find(ownedFilter(req)).sort({ symbol: 1, createdAt: 1 }).lean();
+    res.json({ alerts });
+  } catch (error) {
+    sendAlertError(res, error, 'listing alerts');
+  }
+});
+
+app.post('/api/v1/alerts', requireUser, async (req, res) => {
+  try {
+    const input = validateAlertInput(req.body, NUMERIC_STOCK_FIELDS);
+    await checkWebhookUrl(input, 'Invalid alert');
+    const rule = new AlertRule({ ...input, userId: ownerOf(req) });
+    await resetAlertBaseline(rule);
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    sendAlertError(res, error, 'saving alert');
+  }
+});
+
+app.put('/api/v1/alerts/:id', requireUser, async (req, res) => {
+  try {
+    const rule = await findAlert(req, req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Alert not found' });
+    const input = validateAlertInput({ ...rule.toObject(), ...req.body }, NUMERIC_STOCK_FIELDS);
+    await checkWebhookUrl(input, 'Invalid alert');
+    const changesCondition = ALERT_BASELINE_FIELDS.some(key => input[key] !== rule[key]);
+    rule.set(input);
+    if (changesCondition) {
+      await resetAlertBaseline(rule);
     }
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    sendAlertError(res, error, 'updating alert');
+  }
+});
 
-    // Qualitative & Catalysts Filters (placeholders - would need database fields)
-    if (req.query.moatKws) {
-      // Note: This would require a moatKeywords field in the database
-      console.log('Moat keywords filter requested but not implemented:', req.query.moatKws);
+app.delete('/api/v1/alerts/:id', requireUser, async (req, res) => {
+  try {
+    const rule = await findAlert(req, req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Alert not found' });
+    await AlertEvent.deleteMany({ ruleId: rule._id });
+    await rule.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    sendAlertError(res, error, 'deleting alert');
+  }
+});
+
+// Triggered alerts, newest first, with the unread count. Optional `unread=true` and `limit` (default 50, max 500).
+app.get('/api/v1/alerts/inbox', requireUser, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const filter = ownedFilter(req);
+    const [events, unreadCount] = await Promise.all([
+      AlertEvent.find(req.query.unread === 'true' ? { ...filter, readAt: null } : filter).sort({ triggeredAt: -1 }).limit(limit).lean(),
+      AlertEvent.countDocuments({ ...filter, readAt: null })
+    ]);
+    res.json({ events, unreadCount });
+  } catch (error) {
+    sendAlertError(res, error, 'fetching alert inbox');
+  }
+});
+
+// Mark inbox entries as read: `{ ids: [...] }`, or every unread entry without `ids`
+app.post('/api/v1/alerts/inbox/read', requireUser, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id)))) {
+      throw new QueryValidationError('ids must be an array of alert event ids');
     }
+    const filter = { ...ownedFilter(req), readAt: null };
+    if (ids) filter._id = { $in: ids };
+    const result = await AlertEvent.updateMany(filter, { readAt: new Date() });
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    sendAlertError(res, error, 'marking alerts as read');
+  }
+});
+
+// Custom metrics (CRUD): named formulas over the numeric stock fields, e.g.
+// { key: 'earningsYield', name: 'Earnings Yield', formula: 'netIncomePerShareTTM / price', format: 'percent' }.
+// Values are computed for every stock on save and after each import, and are then usable as
+// customMetrics.<key> in `where`, sortBy, `fields` and the aggregates.
+const sendCustomMetricError = sendScreenError;
+
+// `filter` is ownedFilter(req): only the creator may change or delete a metric
+const findCustomMetric = (id, filter) => (mongoose.isValidObjectId(id) ? CustomMetric.findOne({ _id: id, ...filter }) : Promise.resolve(null));
+
+// Evaluate one metric for every stock and record when
+const recomputeCustomMetric = async (metric) => {
+  await computeCustomMetrics(Stock, [metric], NUMERIC_STOCK_FIELDS);
+  metric.computedAt = new Date();
+  await metric.save();
+  customMetrics.invalidate();
+};
+
+// Formulas can use any numeric schema field (`fields`), but not other custom metrics. Metrics are shared
+// by everyone and each change rewrites every stock, so only signed-in users may define them, and only
+// the user who defined a metric may change or delete it. Metrics from before accounts have no owner and
+// can no longer be changed.
+app.get('/api/v1/custom-metrics', async (req, res) => {
+  try {
+    const metrics = await CustomMetric.find({}).sort({ name: 1 }).lean();
+    res.json({ metrics, fields: NUMERIC_STOCK_FIELDS });
+  } catch (error) {
+    sendCustomMetricError(res, error, 'listing custom metrics');
+  }
+});
 
-    console.log('Applied filters:', filter);
+app.post('/api/v1/custom-metrics', requireUser, async (req, res) => {
+  try {
+    const input = validateCustomMetricInput(req.body, NUMERIC_STOCK_FIELDS);
+    if (await CustomMetric.exists({ key: input.key })) {
+      return res.status(409).json({ error: `A custom metric with key "${input.key}" already exists` });
+    }
+    if (await CustomMetric.countDocuments() >= MAX_CUSTOM_METRICS) {
+      return res.status(409).json({ error: `At most ${MAX_CUSTOM_METRICS} custom metrics can be defined` });
+    }
+    const metric = new CustomMetric({ ...input, userId: ownerOf(req) });
+    await metric.save();
+    await recomputeCustomMetric(metric);
+    res.status(201).json(metric);
+  } catch (error) {
+    sendCustomMetricError(res, error, 'saving custom metric');
+  }
+});
 
-    // Sorting
-    if (req.query.sortBy) {
-      const sortOrder = req.query.sortOrder === 'desc' ? -1 : 1;
-      sort[req.query.sortBy] = sortOrder;
+app.put('/api/v1/custom-metrics/:id', requireUser, async (req, res) => {
+  try {
+    const input = validateCustomMetricInput(req.body, NUMERIC_STOCK_FIELDS, { partial: true });
+    const metric = await findCustomMetric(req.params.id, ownedFilter(req));
+    if (!metric) return res.status(404).json({ error: 'Custom metric not found' });
+    const formulaChanged = input.formula !== undefined && input.formula !== metric.formula;
+    metric.set(input);
+    await metric.save();
+    if (formulaChanged) {
+      await recomputeCustomMetric(metric);
     } else {
-      // Default sort order, e.g., by marketCap descending
-      sort.marketCap = -1;
-    }
-
-    // Execute the query with filtering, sorting, and pagination
-    const stocks = await Stock.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .exec();
-
-    // Get the total count of documents matching the filter for pagination info
-    const totalItems = await Stock.countDocuments(filter);
-    const totalPages = Math.ceil(totalItems / limit);
-
-    // Format the response
-    const response = {
-      data: stocks,
-      pagination: {
-        currentPage: page,
-        totalPages: totalPages,
-        totalItems: totalItems,
-        itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
+      customMetrics.invalidate();
+    }
+    res.json(metric);
+  } catch (error) {
+    sendCustomMetricError(res, error, 'updating custom metric');
+  }
+});
+
+// Refused while a saved screen has a range condition on the metric, since that screen could no longer run
+app.delete('/api/v1/custom-metrics/:id', requireUser, async (req, res) => {
+  try {
+    const metric = await findCustomMetric(req.params.id, ownedFilter(req));
+    if (!metric) return res.status(404).json({ error: 'Custom metric not found' });
+    const field = customMetricField(metric.key);
+    const screens = await SavedScreen.find({ where: { $ne: null } }, 'name where').lean();
+    const usedBy = screens.filter(screen => JSON.stringify(screen.where).includes(`"${field}"`)).map(screen => screen.name);
+    if (usedBy.length > 0) {
+      return res.status(409).json({ error: `"${metric.name}" is used by saved screens`, details: usedBy });
+    }
+    await removeCustomMetricValues(Stock, metric.key);
+    await metric.deleteOne();
+    customMetrics.invalidate();
+    res.status(204).end();
+  } catch (error) {
+    sendCustomMetricError(res, error, 'deleting custom metric');
+  }
+});
+
+// Accounts and the per-user workspace (see users.js). Register and login return a session token for
+// `Authorization: Bearer <token>`, plus the user and workspace.
+const sendAuthError = sendScreenError;
+
+const sessionResponse = async (user) => ({
+  token: await createSession(userModels, user),
+  user: publicUser(user),
+  workspace: publicWorkspace(user)
+});
+
+app.post('/api/v1/auth/register', async (req, res) => {
+  try {
+    const credentials = validateCredentials(req.body, { register: true });
+    if (await User.exists({ email: credentials.email })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    const user = await buildUser(userModels, credentials);
+    await user.save();
+    res.status(201).json(await sessionResponse(user));
+  } catch (error) {
+    sendAuthError(res, error, 'creating account');
+  }
+});
+
+app.post('/api/v1/auth/login', async (req, res) => {
+  try {
+    const { email, password } = validateCredentials(req.body);
+    const user = await User.findOne({ email });
+    if (!user || !(await verifyPassword(user, password))) {
+      return res.status(401).json({ error: 'Wrong email or password' });
+    }
+    res.json(await sessionResponse(user));
+  } catch (error) {
+    sendAuthError(res, error, 'signing in');
+  }
+});
+
+app.post('/api/v1/auth/logout', requireUser, async (req, res) => {
+  try {
+    await endSession(userModels, req.sessionToken);
+    res.status(204).end();
+  } catch (error) {
+    sendAuthError(res, error, 'signing out');
+  }
+});
+
+app.get('/api/v1/me', requireUser, (req, res) => {
+  res.json({ user: publicUser(req.user), workspace: publicWorkspace(req.user) });
+});
+
+// Partial update: { watchlist, keyMetricsVisibility, visibleCustomMetrics, customPresets, theme, selectedPortfolioId }
+app.put('/api/v1/me/workspace', requireUser, async (req, res) => {
+  try {
+    const input = validateWorkspaceInput(req.body);
+    Object.entries(input).forEach(([key, value]) => req.user.set(`workspace.${key}`, value));
+    await req.user.save();
+    res.json(publicWorkspace(req.user));
+  } catch (error) {
+    sendAuthError(res, error, 'saving workspace');
+  }
+});
+
+// One-time import of the browser's localStorage state (same fields as the workspace update). 409 once
+// done, so a second browser signing in to the account does not merge its state again.
+app.post('/api/v1/me/workspace/import', requireUser, async (req, res) => {
+  try {
+    const local = validateWorkspaceInput(req.body);
+    if (req.user.workspace.migratedAt) {
+      return res.status(409).json({ error: 'Browser settings were already imported into this account' });
+    }
+    req.user.set('workspace', mergeLocalWorkspace(req.user.toObject({ minimize: false }).workspace, local));
+    await req.user.save();
+    res.json(publicWorkspace(req.user));
+  } catch (error) {
+    sendAuthError(res, error, 'importing browser settings');
+  }
+});
+
+// Server-sent event stream of quote changes for `symbols` (the browser's loaded list and watchlist).
+// Events: `status` ({ marketOpen, intervalSeconds, timeZone }) on connect and when the market opens
+// or closes, `quote` ({ symbol, price, change, changesPercentage, updatedAt }) when a price changes.
+// Comment lines keep idle connections open through proxies (Heroku drops them after 55 seconds).
+const STREAM_KEEP_ALIVE_MS = 25000;
+const sendQuoteError = sendScreenError;
+
+app.get('/api/v1/quotes/stream', (req, res) => {
+  let symbols;
+  try {
+    symbols = parseStreamSymbols(req.query.symbols);
+  } catch (error) {
+    return sendQuoteError(res, error, 'opening the quote stream');
+  }
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const unsubscribe = quoteRefresher.subscribe(symbols, send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// Scoring profiles, factors and the metrics behind them
+app.get('/api/v1/scoring', (req, res) => {
+  res.json(describeScoring());
+});
+
+// Style tag rules: id, label, description and the conditions behind each tag
+app.get('/api/v1/style-tags', (req, res) => {
+  res.json({ tags: describeStyleTags() });
+});
+
+// Exchanges and countries with stock counts, the `region` filter values and the stored FX rates
+app.get('/api/v1/markets', async (req, res) => {
+  try {
+    res.json(await describeMarkets({ Stock, FxRate }));
+  } catch (error) {
+    console.error('Error listing markets:', error.message);
+    res.status(500).json({ error: 'Error listing markets' });
+  }
+});
+
+// Admin/ops API for the import job (the /admin page): schedule, live progress, manual and single-ticker
+// refreshes, cancellation. Every route needs `Authorization: Bearer <ADMIN_TOKEN>`; without
+// ADMIN_TOKEN the API is disabled. Runs started here execute in this process (see importJobs.js).
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const MAX_REFRESH_SYMBOLS = 50;
+const TICKER_STATUSES = ['pending', 'saved', 'skipped', 'failed'];
+const sendAdminError = sendScreenError;
+
+// Compared as digests, so the comparison takes the same time whatever the token's length
+const tokenDigest = (token) => crypto.createHash('sha256').update(token).digest();
+
+const requireAdminToken = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'The admin API is disabled; set ADMIN_TOKEN to enable it' });
+  }
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match || !crypto.timingSafeEqual(tokenDigest(match[1]), tokenDigest(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  next();
+};
+
+app.use('/api/v1/admin', requireAdminToken);
+
+// `live`: the run is being worked on right now (a 'running' run without a heartbeat crashed, and is
+// resumed by the next scheduled import)
+const describeRun = (run) => ({ ...run, live: run.status === 'running' && isAlive(run.progress && run.progress.updatedAt) });
+
+// ['aapl', 'MSFT'] -> ['AAPL', 'MSFT'], or null for a full import
+const parseRefreshSymbols = (raw) => {
+  if (raw === undefined || raw === null) return null;
+  const symbols = Array.isArray(raw) ? [...new Set(raw.map(symbol => String(symbol).trim().toUpperCase()).filter(Boolean))] : [];
+  if (symbols.length === 0) {
+    throw new QueryValidationError('symbols must be a non-empty array of tickers');
+  }
+  if (symbols.length > MAX_REFRESH_SYMBOLS) {
+    throw new QueryValidationError(`symbols accepts at most ${MAX_REFRESH_SYMBOLS} tickers`);
+  }
+  const invalid = symbols.filter(symbol => !/^[A-Z0-9.^-]{1,15}$/.test(symbol));
+  if (invalid.length > 0) {
+    throw new QueryValidationError('Invalid ticker(s) in symbols', invalid);
+  }
+  return symbols;
+};
+
+// `limit` query parameters: `fallback` when missing, otherwise between 1 and `max`
+const clampInt = (raw, fallback, max) => Math.min(Math.max(parseInt(raw) || fallback, 1), max);
+
+// Schedule (as last recorded by scheduler.js), provider budget and the latest runs with their progress
+app.get('/api/v1/admin/import', async (req, res) => {
+  try {
+    const [state, runs] = await Promise.all([
+      SchedulerState.findById(SCHEDULER_STATE_ID).lean(),
+      ImportRun.find({}).sort({ startedAt: -1 }).limit(clampInt(req.query.limit, 10, 100)).lean()
+    ]);
+    res.json({
+      schedule: {
+        cron: state ? state.cron : IMPORT_SCHEDULE,
+        nextRunAt: state ? state.nextRunAt : null,
+        lastRunStartedAt: state ? state.lastRunStartedAt : null,
+        lastRunFinishedAt: state ? state.lastRunFinishedAt : null,
+        lastRunError: state ? state.lastRunError : null,
+        host: state ? state.host : null,
+        heartbeatAt: state ? state.heartbeatAt : null,
+        schedulerRunning: Boolean(state) && isAlive(state.heartbeatAt)
       },
-    };
+      apiCallBudgetPerMinute: API_CALL_BUDGET_PER_MINUTE,
+      runs: runs.map(describeRun)
+    });
+  } catch (error) {
+    sendAdminError(res, error, 'fetching import status');
+  }
+});
 
-    res.json(response);
+// One run and its tickers with `status` (default failed), e.g. to see why tickers are missing
+app.get('/api/v1/admin/import/runs/:id', async (req, res) => {
+  try {
+    const status = req.query.status || 'failed';
+    if (!TICKER_STATUSES.includes(status)) {
+      throw new QueryValidationError(`status must be one of ${TICKER_STATUSES.join(', ')}`);
+    }
+    const run = mongoose.isValidObjectId(req.params.id) ? await ImportRun.findById(req.params.id).lean() : null;
+    if (!run) return res.status(404).json({ error: 'Import run not found' });
+    const tickers = await ImportTicker.find({ runId: run._id, status }, 'symbol status error failedEndpoints qualityFlags finishedAt')
+      .sort({ symbol: 1 }).limit(clampInt(req.query.limit, 500, 5000)).lean();
+    res.json({ run: describeRun(run), tickers });
+  } catch (error) {
+    sendAdminError(res, error, 'fetching import run');
+  }
+});
 
+// Start a full import ({}) or refresh some tickers ({ symbols: ['AAPL'] }). Responds once the run
+// exists; follow it with GET /api/v1/admin/import.
+app.post('/api/v1/admin/import/runs', async (req, res) => {
+  try {
+    const symbols = parseRefreshSymbols(req.body && req.body.symbols);
+    const live = await findLiveRun(importModels, STALE_AFTER_MS);
+    if (live) {
+      return res.status(409).json({ error: 'An import is already running', details: [String(live._id)] });
+    }
+    const run = await new Promise(resolve => {
+      fetchAndSaveStocks({ symbols, trigger: 'manual', onStart: resolve }).then(resolve);
+    });
+    if (!run) {
+      return res.status(409).json({ error: 'The import could not be started; another run may be in progress (see the server log)' });
+    }
+    res.status(202).json(describeRun(run.toObject()));
   } catch (error) {
-    console.error('Error fetching stocks from database:', error.message);
-    res.status(500).json({ error: 'Error fetching stocks' });
+    sendAdminError(res, error, 'starting import');
+  }
+});
+
+// A live run stops at its next heartbeat (queued tickers are dropped, the ones being fetched finish);
+// a crashed or failed run is cancelled at once, so the next import does not resume it
+app.post('/api/v1/admin/import/runs/:id/cancel', async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.id) ? await ImportRun.findById(req.params.id) : null;
+    if (!run) return res.status(404).json({ error: 'Import run not found' });
+    if (!['running', 'failed'].includes(run.status)) {
+      return res.status(409).json({ error: `Import run is already ${run.status}` });
+    }
+    run.cancelRequested = true;
+    const live = run.status === 'running' && isAlive(run.progress && run.progress.updatedAt);
+    if (!live) {
+      run.status = 'cancelled';
+      run.finishedAt = new Date();
+    }
+    await run.save();
+    res.status(live ? 202 : 200).json(describeRun(run.toObject()));
+  } catch (error) {
+    sendAdminError(res, error, 'cancelling import run');
   }
 });
 
@@ -0,0 +1,310 @@
+// Stock details for /api/v1/stocks/:symbol
+//
+// The details view combines a dozen provider datasets (profile, quote, TTM ratios, statements, price
+// history, news, ownership, transcripts). They are fetched server-side through the market data
+// provider and cached per dataset and symbol, each with its own lifetime (DETAIL_CACHE_TTLS), so the
+// browser makes one request, never sees the vendor key, and reopening a stock is served from memory.
+
+const { NA_STRING, PEER_GROUPS, PEER_RELATIVE_METRICS, safeNum, deriveStockMetrics, peerRelativeField } = require('./stockModel');
+const { DEFAULT_SCORE_PROFILE } = require('./scoringEngine');
+const { usdRate, majorCurrency } = require('./markets');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How long each dataset is reused before the provider is asked again
+const DETAIL_CACHE_TTLS = {
+  quote: MINUTE,
+  news: 10 * MINUTE,
+  priceHistory: HOUR,
+  ratiosTTM: 6 * HOUR,
+  keyMetricsTTM: 6 * HOUR,
+  profile: DAY,
+  institutionalOwnership: DAY,
+  institutionalHolders: DAY,
+  earningsTranscripts: DAY,
+  incomeStatements: 3 * DAY,
+  balanceSheets: 3 * DAY,
+  earningsTranscript: 30 * DAY,
+  fxRates: HOUR // The stored FX table (see markets.js), not a provider dataset
+};
+
+const MAX_CACHE_ENTRIES = 5000;
+const PRICE_HISTORY_DAYS = 90;
+const STATEMENT_YEARS = 12;
+const NEWS_LIMIT = 5;
+const TOP_HOLDERS_LIMIT = 5;
+
+// Provider calls behind each cached dataset
+const DETAIL_DATASETS = {
+  profile: (provider, symbol) => provider.getProfile(symbol),
+  quote: (provider, symbol) => provider.getQuote(symbol),
+  ratiosTTM: (provider, symbol) => provider.getRatiosTTM(symbol),
+  keyMetricsTTM: (provider, symbol) => provider.getKeyMetricsTTM(symbol),
+  incomeStatements: (provider, symbol) => provider.getIncomeStatements(symbol, { period: 'annual', limit: STATEMENT_YEARS }),
+  balanceSheets: (provider, symbol) => provider.getBalanceSheets(symbol, { period: 'annual', limit: STATEMENT_YEARS }),
+  priceHistory: (provider, symbol) => provider.getPriceHistory(symbol, { days: PRICE_HISTORY_DAYS }),
+  news: (provider, symbol) => provider.getStockNews(symbol, { limit: NEWS_LIMIT }),
+  institutionalOwnership: (provider, symbol) => provider.getInstitutionalOwnership(symbol),
+  institutionalHolders: (provider, symbol) => provider.getInstitutionalHolders(symbol, { limit: TOP_HOLDERS_LIMIT }),
+  earningsTranscripts: (provider, symbol) => provider.getEarningsTranscripts(symbol)
+};
+
+// Without these the details view has nothing to show, so their errors are passed on
+const REQUIRED_DATASETS = ['profile', 'quote'];
+
+// In-memory cache with a per-entry lifetime. Concurrent misses for the same key share one load, and
+// failed loads are not cached. The oldest entries are dropped beyond maxEntries.
+const createTtlCache = ({ maxEntries = MAX_CACHE_ENTRIES, now = Date.now } = {}) => {
+  const entries = new Map(); // key -> { value, expiresAt }
+  const pending = new Map(); // key -> Promise
+
+  const get = async (key, ttlMs, load) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > now()) return entry.value;
+    if (pending.has(key)) return pending.get(key);
+
+    const loading = Promise.resolve()
+      .then(load)
+      .then(value => {
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: now() + ttlMs });
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        return value;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, loading);
+    return loading;
+  };
+
+  return {
+    get,
+    clear: () => entries.clear(),
+    size: () => entries.size
+  };
+};
+
+// Annual income statements and balance sheets joined by calendar year, oldest first, with ROTCE
+// (net income / (equity - goodwill - intangibles)) where tangible equity is positive
+const combineHistoricalFinancials = (incomeStatements, balanceSheets) => {
+  if (!Array.isArray(incomeStatements) || !Array.isArray(balanceSheets)) return [];
+
+  return incomeStatements
+    .map(income => {
+      const balance = balanceSheets.find(sheet => sheet.calendarYear === income.calendarYear);
+      if (!balance) return null;
+
+      const netIncome = safeNum(income.netIncome);
+      const totalStockholdersEquity = safeNum(balance.totalStockholdersEquity);
+      const goodwill = safeNum(balance.goodwill) ?? 0;
+      const intangibleAssets = safeNum(balance.intangibleAssets) ?? 0;
+      const goodwillAndIntangibles = goodwill + intangibleAssets > 0
+        ? goodwill + intangibleAssets
+        : safeNum(balance.goodwillAndIntangibleAssets) ?? 0;
+
+      let calculatedROTCE = null;
+      if (netIncome !== null && totalStockholdersEquity !== null) {
+        const tangibleCommonEquity = totalStockholdersEquity - goodwillAndIntangibles;
+        if (tangibleCommonEquity > 0) calculatedROTCE = netIncome / tangibleCommonEquity;
+      }
+
+      return {
+        year: parseInt(income.calendarYear, 10),
+        fiscalDateEnding: income.date,
+        reportedCurrency: income.reportedCurrency,
+        commonStockSharesOutstanding: safeNum(balance.commonStock),
+        netIncome,
+        totalStockholdersEquity,
+        goodwill,
+        intangibleAssets,
+        calculatedROTCE
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.year - b.year);
+};
+
+// Stored value / peer-median fields (peVsIndustryMedian, ...), null for stocks not imported yet
+const peerRelativeValues = (stored) => Object.fromEntries(Object.keys(PEER_RELATIVE_METRICS)
+  .flatMap(metricId => PEER_GROUPS.map(group => peerRelativeField(metricId, group)))
+  .map(field => [field, stored ? safeNum(stored[field]) : null]));
+
+const transcriptUrl = (symbol, { year, quarter }) =>
+  `/api/v1/stocks/${encodeURIComponent(symbol)}/transcript?year=${year}&quarter=${quarter}`;
+
+// StockDetails (see public/types.ts) from provider datasets. `stored` is the stock's document, if
+// imported, for the server-computed score, style tags and the fundamental signal categories.
+// `fxRates` is the stored FX table ({ currency: usdPerUnit }); without a rate the USD values are null.
+const assembleStockDetails = (symbol, datasets, stored, fxRates = { USD: 1 }) => {
+  const { profile, quote, ratiosTTM: ratios, keyMetricsTTM: keyMetrics } = datasets;
+
+  const marketCap = safeNum(profile.mktCap);
+  const avgVolume = safeNum(profile.volAvg);
+  const price = safeNum(profile.price);
+  // Price is in the trading currency (pence for GBp), market cap in its major currency, as in markets.currencyFields
+  const priceRate = usdRate(profile.currency, fxRates);
+  const marketCapRate = usdRate(majorCurrency(profile.currency), fxRates);
+  const marketCapUsd = marketCap !== null && marketCapRate !== null ? marketCap * marketCapRate : null;
+  const peRatioTTM = ratios ? safeNum(ratios.priceEarningsRatioTTM) : null;
+  const debtEquityRatioTTM = ratios ? safeNum(ratios.debtEquityRatioTTM) : null;
+  const returnOnEquityTTM = ratios ? (safeNum(ratios.returnOnTangibleEquityTTM) ?? safeNum(ratios.returnOnEquityTTM)) : null;
+  const netIncomePerShareTTM = ratios ? safeNum(ratios.netIncomePerShareTTM) : null;
+  const debtToEbitdaTTM = keyMetrics ? safeNum(keyMetrics.debtToEbitdaTTM) : null;
+  const enterpriseValueOverEBITDATTM = keyMetrics ? safeNum(keyMetrics.enterpriseValueOverEBITDATTM) : null;
+  const freeCashFlowPerShareTTM = keyMetrics ? safeNum(keyMetrics.freeCashFlowPerShareTTM) : null;
+
+  const metrics = deriveStockMetrics({
+    marketCap, marketCapUsd, avgVolume, price,
+    priceEarningsRatioTTM: peRatioTTM,
+    debtEquityRatioTTM,
+    returnOnEquityTTM,
+    debtToEbitdaTTM,
+    enterpriseValueOverEBITDATTM,
+    freeCashFlowPerShareTTM,
+    netIncomePerShareTTM,
+    lastDiv: profile.lastDiv,
+    yearHigh: quote.yearHigh,
+    yearLow: quote.yearLow
+  });
+
+  const signal = (field) => (stored && stored[field]) || NA_STRING;
+  const ownership = datasets.institutionalOwnership;
+  const latestTranscript = Array.isArray(datasets.earningsTranscripts) && datasets.earningsTranscripts[0];
+
+  return {
+    id: profile.symbol || symbol,
+    symbol: profile.symbol || symbol,
+    name: profile.companyName || NA_STRING,
+    companyName: profile.companyName || NA_STRING,
+    sector: profile.sector || NA_STRING,
+    price: price ?? 0,
+    exchange: profile.exchangeShortName || undefined,
+    country: profile.country || undefined,
+    currency: profile.currency || undefined,
+    priceUsd: price !== null && priceRate !== null ? price * priceRate : null,
+    simpleScore: stored ? safeNum(stored.simpleScore) : null,
+    scoreBreakdown: (stored && stored.scores && stored.scores[DEFAULT_SCORE_PROFILE]) || undefined,
+    // Tags from the last import (see styleTags.js)
+    styleTags: (stored && stored.styleTags) || [],
+    styleTagReasons: (stored && stored.styleTagReasons) || [],
+    description: profile.description || 'No description available.',
+
+    marketCap: marketCap ?? undefined,
+    marketCapUsd,
+    avgVolume: avgVolume ?? undefined,
+    peRatioTTM,
+    priceEarningsRatioTTM: peRatioTTM,
+    debtEquityRatioTTM,
+    returnOnEquityTTM,
+    debtToEbitdaTTM,
+    enterpriseValueOverEBITDATTM,
+    freeCashFlowPerShareTTM,
+    netIncomePerShareTTM,
+    ...peerRelativeValues(stored),
+
+    dividendYield: metrics.dividendYield,
+    '52WeekHigh': metrics.fiftyTwoWeekHigh,
+    '52WeekLow': metrics.fiftyTwoWeekLow,
+    // Numbers behind the formatted strings above, for ranking in the comparison view
+    dividendYieldPercent: price && safeNum(profile.lastDiv) !== null ? (profile.lastDiv / price) * 100 : null,
+    yearHigh: safeNum(quote.yearHigh),
+    yearLow: safeNum(quote.yearLow),
+    latestNews: (datasets.news || []).slice(0, NEWS_LIMIT).map(item => ({ title: item.title, url: item.url, date: item.publishedDate })),
+    image: profile.image,
+    website: profile.website,
+    ceo: profile.ceo,
+    industry: profile.industry,
+    fullTimeEmployees: profile.fullTimeEmployees,
+
+    marketCapCategory: metrics.marketCapCategory,
+    volumeCategory: metrics.volumeCategory,
+    debtCategory: metrics.debtCategory,
+    valuationCategory: metrics.valuationCategory,
+    rotceCategory: metrics.rotceCategory,
+    debtEbitda: metrics.debtEbitda,
+    evEbit: metrics.evEbit,
+    fcfNi: metrics.fcfNi,
+    rotce: metrics.rotce,
+    numericDebtEbitdaCategory: metrics.numericDebtEbitdaCategory,
+    numericFcfNiCategory: metrics.numericFcfNiCategory,
+
+    shareCountCagrCategory: signal('shareCountCagrCategory'),
+    numericEvEbitCategory: signal('numericEvEbitCategory'),
+    deepValueCategory: signal('deepValueCategory'),
+    moatKeywordsCategory: signal('moatKeywordsCategory'),
+    insiderOwnershipCategory: signal('insiderOwnershipCategory'),
+    netInsiderBuysCategory: signal('netInsiderBuysCategory'),
+    grossMarginTrendCategory: signal('grossMarginTrendCategory'),
+    incrementalRoicCategory: signal('incrementalRoicCategory'),
+    redFlagsCategory: signal('redFlagsCategory'),
+
+    historicalPriceData: (datasets.priceHistory || []).map(point => ({ date: point.date, close: point.close })).reverse(),
+    historicalFinancials: combineHistoricalFinancials(datasets.incomeStatements, datasets.balanceSheets),
+
+    institutionalOwnershipSummary: ownership ? {
+      symbol: ownership.symbol,
+      cik: ownership.cik,
+      date: ownership.date,
+      institutionalOwnershipPercentage: ownership.institutionalOwnershipPercentage,
+      numberOfInstitutionalPositions: ownership.numberOfInstitutionalPositions,
+      totalInstitutionalValue: ownership.totalInstitutionalValue
+    } : null,
+    topInstitutionalHolders: datasets.institutionalHolders || [],
+    latestTranscript: latestTranscript ? {
+      symbol: latestTranscript.symbol || symbol,
+      quarter: latestTranscript.quarter,
+      year: latestTranscript.year,
+      date: latestTranscript.date,
+      url: transcriptUrl(symbol, latestTranscript)
+    } : null
+  };
+};
+
+// Details and transcripts for one provider, sharing a single cache. `loadFxRates` reads the stored FX table.
+const createStockDetailsService = (provider, {
+  cache = createTtlCache(),
+  ttls = DETAIL_CACHE_TTLS,
+  loadFxRates = async () => ({ USD: 1 })
+} = {}) => {
+  const loadDataset = (dataset, symbol) =>
+    cache.get(`${dataset}:${symbol}`, ttls[dataset], () => DETAIL_DATASETS[dataset](provider, symbol));
+
+  // Optional datasets degrade to null; the failure is logged and retried on the next request
+  const loadOptional = (dataset, symbol) => loadDataset(dataset, symbol).catch(error => {
+    console.warn(`Stock details: ${dataset} for ${symbol} from ${provider.name} failed:`, error.message);
+    return null;
+  });
+
+  // Without the FX table only USD listings get USD values; retried on the next request
+  const fxRates = () => cache.get('fxRates', ttls.fxRates, loadFxRates).catch(error => {
+    console.warn('Stock details: loading FX rates failed:', error.message);
+    return { USD: 1 };
+  });
+
+  // Resolves to null when the provider has no profile or quote for the symbol. `stored` may be a
+  // promise, so the database lookup runs alongside the provider calls.
+  const getStockDetails = async (symbol, stored = null) => {
+    const names = Object.keys(DETAIL_DATASETS);
+    const [storedStock, rates, ...values] = await Promise.all([stored, fxRates(), ...names.map(dataset =>
+      REQUIRED_DATASETS.includes(dataset) ? loadDataset(dataset, symbol) : loadOptional(dataset, symbol))]);
+    const datasets = Object.fromEntries(names.map((dataset, i) => [dataset, values[i]]));
+    if (!datasets.profile || !datasets.quote) return null;
+    return assembleStockDetails(symbol, datasets, storedStock, rates);
+  };
+
+  const getTranscript = (symbol, { year, quarter }) =>
+    cache.get(`earningsTranscript:${symbol}:${year}:${quarter}`, ttls.earningsTranscript,
+      () => provider.getEarningsTranscript(symbol, { year, quarter }));
+
+  return { getStockDetails, getTranscript, cache };
+};
+
+module.exports = {
+  DETAIL_CACHE_TTLS,
+  DETAIL_DATASETS,
+  createTtlCache,
+  combineHistoricalFinancials,
+  assembleStockDetails,
+  createStockDetailsService
+};
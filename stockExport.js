@@ -0,0 +1,194 @@
+// Screen and watchlist export for /api/v1/export
+//
+// Rows are stock documents; `columns` are stock schema fields (the dataKeys of the frontend's
+// DISPLAY_METRICS_CONFIG). Every numeric column is exported as the raw number, and columns with a
+// display format also get a formatted string next to it ("ROE" 0.2295, "ROE (formatted)" "23.0%"),
+// so spreadsheets and notebooks can use the numbers without parsing display strings.
+
+const { QueryValidationError } = require('./stockQuery');
+const { FORMATTED_FIELDS, PEER_GROUPS, PEER_RELATIVE_METRICS, peerRelativeField } = require('./stockModel');
+const { buildXlsx } = require('./xlsxWriter');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const MAX_EXPORT_ROWS = 10000;
+const MAX_EXPORT_SYMBOLS = 1000;
+
+const DEFAULT_EXPORT_COLUMNS = ['symbol', 'companyName', 'sector', 'currency', 'price', 'marketCap', 'marketCapUsd', 'simpleScore'];
+
+// Column headers; fields not listed here use the field name
+const COLUMN_LABELS = {
+  symbol: 'Symbol',
+  companyName: 'Name',
+  sector: 'Sector',
+  industry: 'Industry',
+  exchange: 'Exchange',
+  country: 'Country',
+  currency: 'Currency',
+  price: 'Price',
+  priceUsd: 'Price (USD)',
+  marketCap: 'Market Cap',
+  marketCapUsd: 'Market Cap (USD)',
+  avgVolume: 'Avg. Volume',
+  avgDollarVolumeUsd: 'Avg. Dollar Volume (USD)',
+  simpleScore: 'Score',
+  priceEarningsRatioTTM: 'P/E Ratio',
+  debtEquityRatioTTM: 'Debt/Equity',
+  returnOnEquityTTM: 'ROE',
+  debtToEbitdaTTM: 'Debt/EBITDA',
+  enterpriseValueOverEBITDATTM: 'EV/EBITDA',
+  freeCashFlowPerShareTTM: 'FCF/Share',
+  netIncomePerShareTTM: 'Net Income/Share',
+  lastUpdated: 'Last Updated'
+};
+
+// Peer-relative fields ("P/E vs Industry Median"), formatted as a multiple of the median
+const PEER_METRIC_LABELS = { pe: 'P/E', evEbitda: 'EV/EBITDA', debtEquity: 'Debt/Equity', debtEbitda: 'Debt/EBITDA', roe: 'ROE' };
+const PEER_RELATIVE_COLUMNS = Object.keys(PEER_RELATIVE_METRICS).flatMap(metricId => PEER_GROUPS.map(group => ({
+  field: peerRelativeField(metricId, group),
+  label: `${PEER_METRIC_LABELS[metricId]} vs ${group[0].toUpperCase()}${group.slice(1)} Median`
+})));
+PEER_RELATIVE_COLUMNS.forEach(({ field, label }) => { COLUMN_LABELS[field] = label; });
+
+// Display formats matching the table view; `scale` multiplies before rounding, `compact` abbreviates
+// (5.1B). Fields formatted by the importer (FORMATTED_FIELDS in stockModel.js) use the stored string.
+const DISPLAY_FORMATS = {
+  price: { prefix: '$', decimals: 2 },
+  marketCap: { prefix: '$', compact: true },
+  avgVolume: { compact: true },
+  simpleScore: { decimals: 0 },
+  priceEarningsRatioTTM: { decimals: 1, suffix: 'x' },
+  debtEquityRatioTTM: { decimals: 2, suffix: 'x' },
+  returnOnEquityTTM: { scale: 100, decimals: 1, suffix: '%' },
+  freeCashFlowPerShareTTM: { prefix: '$', decimals: 2 },
+  netIncomePerShareTTM: { prefix: '$', decimals: 2 },
+  ...Object.fromEntries(PEER_RELATIVE_COLUMNS.map(({ field }) => [field, { decimals: 2, suffix: 'x' }]))
+};
+
+// Raw field -> stored formatted field, e.g. debtToEbitdaTTM -> debtEbitda
+const STORED_FORMATS = Object.fromEntries(Object.entries(FORMATTED_FIELDS)
+  .map(([formattedField, { source }]) => [source, formattedField]));
+
+const COMPACT_UNITS = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+
+const formatValue = (value, { prefix = '', suffix = '', decimals = 2, scale = 1, compact = false }) => {
+  if (typeof value !== 'number' || !isFinite(value)) return 'N/A';
+  const scaled = value * scale;
+  if (compact) {
+    const unit = COMPACT_UNITS.find(([size]) => Math.abs(scaled) >= size);
+    return unit ? `${prefix}${(scaled / unit[0]).toFixed(2)}${unit[1]}${suffix}` : `${prefix}${scaled.toFixed(0)}${suffix}`;
+  }
+  return `${prefix}${scaled.toFixed(decimals)}${suffix}`;
+};
+
+// Formatted string for a field, or undefined when the field has no display format
+const formattedValue = (doc, field) => {
+  if (STORED_FORMATS[field]) return doc[STORED_FORMATS[field]] || 'N/A';
+  if (DISPLAY_FORMATS[field]) return formatValue(doc[field], DISPLAY_FORMATS[field]);
+  return undefined;
+};
+
+const hasFormat = (field) => Boolean(STORED_FORMATS[field] || DISPLAY_FORMATS[field]);
+
+const parseFormatParam = (raw) => {
+  const format = raw === undefined || raw === '' ? 'csv' : String(raw).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new QueryValidationError(`format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+};
+
+// `columns=symbol,price,...` -> schema fields in the given order, symbol always first
+const parseColumnsParam = (raw, schema) => {
+  const requested = raw === undefined || raw === ''
+    ? DEFAULT_EXPORT_COLUMNS
+    : String(raw).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !schema.paths[field]);
+  if (unknown.length > 0) {
+    throw new QueryValidationError('Unknown field(s) in columns', unknown);
+  }
+  return [...new Set(['symbol', ...requested])];
+};
+
+// `symbols=AAPL,MSFT` (e.g. a watchlist) -> filter on those tickers
+const parseSymbolsParam = (raw) => {
+  if (raw === undefined || raw === '') return null;
+  const symbols = [...new Set(String(raw).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+  if (symbols.length > MAX_EXPORT_SYMBOLS) {
+    throw new QueryValidationError(`symbols accepts at most ${MAX_EXPORT_SYMBOLS} tickers`);
+  }
+  return symbols.length > 0 ? { symbol: { $in: symbols } } : null;
+};
+
+// Fields to load for the columns, including the stored formatted strings
+const exportProjection = (columns) =>
+  [...new Set(columns.flatMap(field => (STORED_FORMATS[field] ? [field, STORED_FORMATS[field]] : [field])))].join(' ');
+
+const exportHeader = (columns) => columns.flatMap(field => {
+  const label = COLUMN_LABELS[field] || field;
+  return hasFormat(field) ? [label, `${label} (formatted)`] : [label];
+});
+
+const cellValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const exportRow = (doc, columns) => columns.flatMap(field => {
+  const raw = cellValue(doc[field]);
+  return hasFormat(field) ? [raw, formattedValue(doc, field)] : [raw];
+});
+
+// RFC 4180: quote fields containing separators, quotes or line breaks
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (header, rows) =>
+  [header, ...rows].map(cells => cells.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+// JSON rows keyed by field name, with `<field>Formatted` next to formatted fields
+const toJsonRows = (docs, columns) => docs.map(doc => {
+  const row = {};
+  columns.forEach(field => {
+    row[field] = cellValue(doc[field]);
+    if (hasFormat(field)) row[`${field}Formatted`] = formattedValue(doc, field);
+  });
+  return row;
+});
+
+// Body of the export file for the given format
+const renderExport = (format, docs, columns, meta = {}) => {
+  if (format === 'json') {
+    return JSON.stringify({
+      ...meta,
+      columns: columns.map(field => ({ field, label: COLUMN_LABELS[field] || field, formatted: hasFormat(field) })),
+      count: docs.length,
+      data: toJsonRows(docs, columns)
+    }, null, 2);
+  }
+  const header = exportHeader(columns);
+  const rows = docs.map(doc => exportRow(doc, columns));
+  return format === 'xlsx' ? buildXlsx(header, rows, { sheetName: meta.name || 'Screen' }) : toCsv(header, rows);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseFormatParam,
+  parseColumnsParam,
+  parseSymbolsParam,
+  exportProjection,
+  formattedValue,
+  renderExport
+};
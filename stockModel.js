@@ -0,0 +1,316 @@
+// Stock model and metric derivation, shared by the importer, the API and the frontend
+//
+// This module owns the `stocks` schema and the raw-to-derived pipeline: category buckets and
+// formatted strings are computed from the raw provider fields with the tables below. The frontend
+// reads the same tables from public/generated/stockMetrics.json (regenerate with
+// `npm run generate:metrics`), so a threshold change only has to be made here.
+
+const NA_STRING = 'N/A';
+
+// Metrics stored relative to the stock's peer-group median (value / median, so 0.8 is 20% below
+// the median). `positiveOnly` leaves out non-positive values, e.g. the P/E of a loss-making company.
+// Computed after each import by peerAggregates.js.
+const PEER_GROUPS = ['sector', 'industry'];
+const PEER_RELATIVE_METRICS = {
+  pe: { field: 'priceEarningsRatioTTM', positiveOnly: true },
+  evEbitda: { field: 'enterpriseValueOverEBITDATTM', positiveOnly: true },
+  debtEquity: { field: 'debtEquityRatioTTM' },
+  debtEbitda: { field: 'debtToEbitdaTTM' },
+  roe: { field: 'returnOnEquityTTM' }
+};
+
+// 'pe', 'industry' -> 'peVsIndustryMedian'
+const peerRelativeField = (metricId, group) => `${metricId}Vs${group[0].toUpperCase()}${group.slice(1)}Median`;
+
+const peerRelativeFields = () => Object.fromEntries(Object.keys(PEER_RELATIVE_METRICS)
+  .flatMap(metricId => PEER_GROUPS.map(group => [peerRelativeField(metricId, group), { type: Number }])));
+
+// Mongoose field definitions for a stock document
+const stockFields = (mongoose) => ({
+  // From /api/v3/profile/{symbol}
+  symbol: { type: String, required: true, unique: true },
+  companyName: { type: String },
+  image: { type: String },
+  website: { type: String },
+  description: { type: String },
+  sector: { type: String },
+  industry: { type: String },
+  ceo: { type: String },
+  fullTimeEmployees: { type: Number },
+  price: { type: Number }, // Can be updated by /quote later for real-time
+  quoteUpdatedAt: { type: Date }, // Last intraday quote refresh of `price` (see liveQuotes.js)
+  mktCap: { type: Number }, // Can be updated by /quote later for real-time
+  volAvg: { type: Number }, // Can be updated by /quote later for real-time
+  lastDiv: { type: Number },
+  range: { type: String }, // e.g., "100 - 200"
+  yearHigh: { type: Number }, // Derived from range or from /quote
+  yearLow: { type: Number }, // Derived from range or from /quote
+  exchange: { type: String, index: true }, // Exchange short name, e.g. 'NASDAQ', 'LSE', 'XETRA'
+  country: { type: String, index: true }, // ISO code, e.g. 'US', 'GB'
+  currency: { type: String }, // Trading currency of price and market cap, e.g. 'EUR', 'GBp'
+
+  // From /api/v3/quote/{symbol} - Data here can update/confirm profile data
+  marketCap: { type: Number }, // Already in profile, kept for potential update frequency
+  avgVolume: { type: Number }, // Already in profile, kept for potential update frequency
+  yearHighQuote: { type: Number }, // Explicitly from quote if needed
+  yearLowQuote: { type: Number }, // Explicitly from quote if needed
+  peQuote: { type: Number }, // P/E from quote
+
+  // From /api/v3/ratios-ttm/{symbol}
+  priceEarningsRatioTTM: { type: Number },
+  debtEquityRatioTTM: { type: Number },
+  returnOnEquityTTM: { type: Number },
+  returnOnTangibleEquityTTM: { type: Number },
+  netIncomePerShareTTM: { type: Number },
+
+  // From /api/v3/key-metrics-ttm/{symbol}
+  debtToEbitdaTTM: { type: Number },
+  enterpriseValueOverEBITDATTM: { type: Number },
+  freeCashFlowPerShareTTM: { type: Number },
+
+  // From the latest income statement
+  reportedCurrency: { type: String }, // Currency of the financial statements
+
+  // USD normalisation with the stored FX rate table (see markets.js)
+  fxRateToUsd: { type: Number }, // USD per unit of `currency`
+  priceUsd: { type: Number },
+  marketCapUsd: { type: Number },
+  avgDollarVolumeUsd: { type: Number }, // Average share volume x USD price
+
+  lastUpdated: { type: Date, default: Date.now },
+
+  // Derived fields (see CATEGORY_RULES)
+  simpleScore: { type: Number }, // Total of the default scoring profile
+  scores: { type: mongoose.Schema.Types.Mixed }, // Per-profile totals with factor breakdown (see scoringEngine.js)
+  scoredAt: { type: Date },
+  marketCapCategory: { type: String },
+  volumeCategory: { type: String },
+  debtCategory: { type: String }, // Debt/equity bucket
+  valuationCategory: { type: String }, // P/E bucket
+  rotceCategory: { type: String }, // ROE bucket (ROE is the ROTCE proxy)
+  numericDebtEbitdaCategory: { type: String }, // e.g., 'le1x', 'le0.5x'
+  numericFcfNiCategory: { type: String }, // e.g., 'ge1.2', 'ge1.0'
+  peerMediansAt: { type: Date },
+  ...peerRelativeFields(), // e.g. peVsIndustryMedian (see PEER_RELATIVE_METRICS)
+  customMetrics: { type: mongoose.Schema.Types.Mixed }, // User-defined formulas by key (see customMetrics.js)
+
+  // Fundamental signals (see fundamentalSignals.js)
+  grossMarginTrend: { type: Number }, // Change in gross margin per year, from annual income statements
+  grossMarginTrendCategory: { type: String }, // 'improving', 'stable', 'declining'
+  shareCountCagr: { type: Number }, // CAGR of weighted average shares outstanding
+  shareCountCagrCategory: { type: String }, // e.g., 'le0pct', 'le-2pct'
+  incrementalRoic: { type: Number }, // Change in NOPAT / change in invested capital
+  incrementalRoicCategory: { type: String }, // e.g., 'ge15pct'
+  numericEvEbitCategory: { type: String }, // EV/EBITDA bucket, e.g., 'le6x'
+  priceToNCAV: { type: Number }, // Market cap / net current asset value
+  deepValueCategory: { type: String }, // 'le0.66'
+  insiderOwnership: { type: Number }, // 1 - float / outstanding shares
+  insiderOwnershipCategory: { type: String }, // e.g., 'ge8pct'
+  netInsiderBuys: { type: Number }, // Insider purchases minus sales, trailing 12 months
+  netInsiderBuysCategory: { type: String }, // 'any', 'ge3', 'ge5'
+  keyExecutives: { type: [String] }, // Names from the last import, used to detect exits
+  managementExits: [{ name: String, detectedAt: Date }],
+  lateFilingNotices: { type: Number }, // NT 10-K / NT 10-Q filings in the last two years
+  redFlags: { type: [String] }, // 'auditChanges', 'managementExits'
+  redFlagsCategory: { type: String },
+  moatKeywordHits: { type: Number }, // Moat keyword mentions in the description
+  moatKeywordsCategory: { type: String }, // e.g., 'ge3'
+
+  // Style tags (see styleTags.js)
+  priceRangePosition: { type: Number }, // Price within the 52-week range: 0 at the low, 1 at the high
+  styleTags: { type: [String] }, // e.g. 'highMomentum', 'deepValue'
+  styleTagReasons: [{ tag: String, label: String, reasons: [String] }], // Conditions that held, per tag
+  styleTaggedAt: { type: Date },
+
+  // Data quality (see dataQuality.js)
+  dataQualityFlags: [{ code: String, field: String, message: String }], // e.g. { code: 'outOfRange', field: 'priceEarningsRatioTTM' }
+  dataQualityCheckedAt: { type: Date },
+
+  // Formatted strings (see FORMATTED_FIELDS)
+  debtEbitda: { type: String },
+  evEbit: { type: String }, // EV/EBITDA, displayed as EV/EBIT
+  fcfNi: { type: String },
+  rotce: { type: String }, // ROE TTM as a percentage, displayed as ROTCE
+  dividendYield: { type: String },
+  fiftyTwoWeekHigh: { type: String },
+  fiftyTwoWeekLow: { type: String }
+});
+
+const createStockSchema = (mongoose) => new mongoose.Schema(stockFields(mongoose));
+
+const createStockModel = (mongoose) => mongoose.models.Stock || mongoose.model('Stock', createStockSchema(mongoose));
+
+// Intermediate values computed from raw fields before bucketing and formatting.
+// `ratio` is numerator / denominator (null when the denominator is 0 or missing), `scale` multiplies.
+const DERIVED_INPUTS = {
+  fcfNiRatio: { ratio: ['freeCashFlowPerShareTTM', 'netIncomePerShareTTM'] },
+  roePercent: { field: 'returnOnEquityTTM', scale: 100 },
+  dividendYieldPercent: { ratio: ['lastDiv', 'price'], scale: 100 }
+};
+
+// Category buckets: the first bucket whose bounds (gt, gte, lt, lte) all hold wins, otherwise
+// `otherwise`. `missing` is used when the source value is null.
+const CATEGORY_RULES = {
+  marketCapCategory: {
+    source: 'marketCapUsd',
+    buckets: [
+      { value: 'midLarge', gte: 2000000000 },
+      { value: 'small', gte: 300000000 },
+      { value: 'micro', gte: 50000000 },
+      { value: 'nano', gt: 0 }
+    ],
+    otherwise: NA_STRING,
+    missing: NA_STRING
+  },
+  volumeCategory: {
+    source: 'avgVolume',
+    buckets: [
+      { value: 'high', gte: 1000000 },
+      { value: 'medium', gte: 100000 },
+      { value: 'low', gt: 0 }
+    ],
+    otherwise: NA_STRING,
+    missing: NA_STRING
+  },
+  debtCategory: {
+    source: 'debtEquityRatioTTM',
+    buckets: [
+      { value: 'low', lt: 0.5 },
+      { value: 'medium', lte: 1.0 }
+    ],
+    otherwise: 'high',
+    missing: NA_STRING
+  },
+  valuationCategory: {
+    source: 'priceEarningsRatioTTM',
+    buckets: [
+      { value: 'value', gt: 0, lt: 15 },
+      { value: 'growth', gt: 25 },
+      { value: 'blend', gte: 15, lte: 25 }
+    ],
+    otherwise: NA_STRING,
+    missing: NA_STRING
+  },
+  rotceCategory: {
+    source: 'roePercent',
+    buckets: [
+      { value: 'excellent', gt: 20 },
+      { value: 'good', gte: 15 },
+      { value: 'average', gte: 10 }
+    ],
+    otherwise: 'poor',
+    missing: NA_STRING
+  },
+  numericDebtEbitdaCategory: {
+    source: 'debtToEbitdaTTM',
+    buckets: [
+      { value: 'le0.25x', lte: 0.25 },
+      { value: 'le0.5x', lte: 0.5 },
+      { value: 'le1x', lte: 1 }
+    ],
+    otherwise: '',
+    missing: ''
+  },
+  numericFcfNiCategory: {
+    source: 'fcfNiRatio',
+    buckets: [
+      { value: 'ge1.2', gte: 1.2 },
+      { value: 'ge1.0', gte: 1.0 },
+      { value: 'ge0.8', gte: 0.8 }
+    ],
+    otherwise: '',
+    missing: ''
+  }
+};
+
+// Display strings stored next to the raw numbers; N/A when the source value is null
+const FORMATTED_FIELDS = {
+  debtEbitda: { source: 'debtToEbitdaTTM', decimals: 2, suffix: 'x' },
+  evEbit: { source: 'enterpriseValueOverEBITDATTM', decimals: 2, suffix: 'x' },
+  fcfNi: { source: 'fcfNiRatio', decimals: 2, suffix: '' },
+  rotce: { source: 'roePercent', decimals: 1, suffix: '%' },
+  dividendYield: { source: 'dividendYieldPercent', decimals: 2, suffix: '%' },
+  fiftyTwoWeekHigh: { source: 'yearHigh', decimals: 2, suffix: '' },
+  fiftyTwoWeekLow: { source: 'yearLow', decimals: 2, suffix: '' }
+};
+
+const safeNum = (val) => (typeof val === 'number' && isFinite(val) ? val : null);
+
+const formatNum = (val, decimals = 2, suffix = '') => {
+  if (val === null || val === undefined || isNaN(val)) return NA_STRING;
+  return val.toFixed(decimals) + suffix;
+};
+
+const computeInput = (definition, raw) => {
+  let value;
+  if (definition.ratio) {
+    const [numerator, denominator] = definition.ratio.map(field => safeNum(raw[field]));
+    value = numerator !== null && denominator !== null && denominator !== 0 ? numerator / denominator : null;
+  } else {
+    value = safeNum(raw[definition.field]);
+  }
+  return value !== null && definition.scale ? value * definition.scale : value;
+};
+
+const matchesBucket = (bucket, value) =>
+  (bucket.gt === undefined || value > bucket.gt) &&
+  (bucket.gte === undefined || value >= bucket.gte) &&
+  (bucket.lt === undefined || value < bucket.lt) &&
+  (bucket.lte === undefined || value <= bucket.lte);
+
+const categorize = (rule, value) => {
+  if (value === null) return rule.missing;
+  const bucket = rule.buckets.find(candidate => matchesBucket(candidate, value));
+  return bucket ? bucket.value : rule.otherwise;
+};
+
+// Raw fields plus DERIVED_INPUTS, keyed by name
+const metricInputs = (raw) => {
+  const inputs = {};
+  for (const [name, definition] of Object.entries(DERIVED_INPUTS)) {
+    inputs[name] = computeInput(definition, raw);
+  }
+  return inputs;
+};
+
+const sourceValue = (source, raw, inputs) => (source in inputs ? inputs[source] : safeNum(raw[source]));
+
+// Category and formatted-string fields for a stock with raw provider fields set
+const deriveStockMetrics = (raw) => {
+  const inputs = metricInputs(raw);
+  const derived = {};
+  for (const [field, rule] of Object.entries(CATEGORY_RULES)) {
+    derived[field] = categorize(rule, sourceValue(rule.source, raw, inputs));
+  }
+  for (const [field, format] of Object.entries(FORMATTED_FIELDS)) {
+    derived[field] = formatNum(sourceValue(format.source, raw, inputs), format.decimals, format.suffix);
+  }
+  return derived;
+};
+
+// JSON description of the pipeline for the frontend (written by generateStockMetrics.js)
+const describeStockMetrics = () => ({
+  naString: NA_STRING,
+  derivedInputs: DERIVED_INPUTS,
+  categories: CATEGORY_RULES,
+  formatted: FORMATTED_FIELDS
+});
+
+module.exports = {
+  NA_STRING,
+  PEER_GROUPS,
+  PEER_RELATIVE_METRICS,
+  peerRelativeField,
+  DERIVED_INPUTS,
+  CATEGORY_RULES,
+  FORMATTED_FIELDS,
+  stockFields,
+  createStockSchema,
+  createStockModel,
+  safeNum,
+  formatNum,
+  matchesBucket,
+  categorize,
+  deriveStockMetrics,
+  describeStockMetrics
+};
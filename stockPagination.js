@@ -0,0 +1,151 @@
+// Cursor pagination and field projection for /api/v1/stocks
+//
+// Results are always sorted by the requested field and then by _id, so every document has a unique
+// position. `nextCursor` encodes the last document's sort value and _id (base64url JSON); passing it
+// back as `cursor` continues after that document with a range query instead of skip(), so pages stay
+// stable and cheap however deep the client scrolls. Missing values sort first ascending, last descending.
+
+const { QueryValidationError } = require('./stockQuery');
+
+const DEFAULT_SORT_FIELD = 'marketCapUsd'; // Comparable across listing currencies (see markets.js)
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 1000;
+
+// Schema types that can be sorted on and compared in a cursor
+const SORTABLE_TYPES = ['Number', 'String', 'Date'];
+
+const getSortableFields = (schema) => Object.keys(schema.paths)
+  .filter(path => SORTABLE_TYPES.includes(schema.paths[path].instance));
+
+const parseLimitParam = (raw) => {
+  if (raw === undefined || raw === '') return DEFAULT_PAGE_SIZE;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryValidationError('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// `extraFields` are sortable fields outside the schema, e.g. customMetrics.<key>
+const parseSortParams = (query, schema, extraFields = []) => {
+  const field = query.sortBy || DEFAULT_SORT_FIELD;
+  if (!getSortableFields(schema).includes(field) && !extraFields.includes(field)) {
+    throw new QueryValidationError(`Cannot sort by "${field}"`);
+  }
+  // Without sortBy the default is largest market cap first
+  const order = query.sortOrder === 'desc' || (!query.sortBy && query.sortOrder !== 'asc') ? -1 : 1;
+  return { field, order, sort: { [field]: order, _id: order } };
+};
+
+// `fields=symbol,companyName,price` -> Mongoose projection. The sort field is always included so the
+// next cursor can be built, and symbol so rows stay identifiable.
+const parseFieldsParam = (raw, schema, sortField) => {
+  if (raw === undefined || raw === '') return null;
+  const fields = String(raw).split(',').map(field => field.trim()).filter(Boolean);
+  const known = new Set(Object.keys(schema.paths).map(path => path.split('.')[0]));
+  const unknown = fields.filter(field => !known.has(field));
+  if (unknown.length > 0) {
+    throw new QueryValidationError('Unknown field(s) in fields', unknown);
+  }
+  return [...new Set(['symbol', sortField, ...fields])].join(' ');
+};
+
+// Value of a possibly dotted field ('customMetrics.earningsYield') in a lean document
+const fieldValue = (doc, field) => field.split('.').reduce((value, part) => (value == null ? undefined : value[part]), doc);
+
+const encodeCursor = (doc, { field, order }) => {
+  const value = fieldValue(doc, field);
+  return Buffer.from(JSON.stringify({ f: field, o: order, v: value === undefined ? null : value, id: String(doc._id) })).toString('base64url');
+};
+
+const decodeCursor = (raw, { field, order }, schema) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new QueryValidationError('cursor is not valid');
+  }
+  if (!cursor || typeof cursor.id !== 'string' || !/^[0-9a-f]{24}$/i.test(cursor.id)) {
+    throw new QueryValidationError('cursor is not valid');
+  }
+  if (cursor.f !== field || cursor.o !== order) {
+    throw new QueryValidationError('cursor was issued for a different sortBy/sortOrder');
+  }
+  const value = cursor.v !== null && schema.paths[field] && schema.paths[field].instance === 'Date' ? new Date(cursor.v) : cursor.v;
+  return { value, id: cursor.id };
+};
+
+// Documents strictly after the cursor position in { [field]: order, _id: order } order
+const buildCursorFilter = ({ value, id }, { field, order }, mongoose) => {
+  const _id = new mongoose.Types.ObjectId(id);
+  const after = order === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    // Nulls come first ascending (so everything non-null is still ahead), last descending
+    const sameValue = { [field]: null, _id: { [after]: _id } };
+    return order === 1 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  }
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: _id } }
+  ];
+  if (order === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+// One page of `query`. Uses `cursor` when given, else the legacy 1-based `page` (skip); `count=true`
+// (or `page`) adds totalItems, estimated from collection metadata when the query is unfiltered.
+// `extraSortFields` are passed to parseSortParams.
+async function findStockPage(Model, query, params, mongoose, extraSortFields = []) {
+  const limit = parseLimitParam(params.limit);
+  const sortSpec = parseSortParams(params, Model.schema, extraSortFields);
+  const projection = parseFieldsParam(params.fields, Model.schema, sortSpec.field);
+
+  let filter = query;
+  let page = null;
+  if (params.cursor) {
+    filter = { $and: [query, buildCursorFilter(decodeCursor(params.cursor, sortSpec, Model.schema), sortSpec, mongoose)] };
+  } else {
+    page = Math.max(parseInt(params.page) || 1, 1);
+  }
+
+  const rows = await Model.find(filter, projection)
+    .sort(sortSpec.sort)
+    .skip(page ? (page - 1) * limit : 0)
+    .limit(limit + 1)
+    .lean();
+  const hasNextPage = rows.length > limit;
+  const data = hasNextPage ? rows.slice(0, limit) : rows;
+
+  const pagination = {
+    itemsPerPage: limit,
+    hasNextPage,
+    nextCursor: hasNextPage ? encodeCursor(data[data.length - 1], sortSpec) : null,
+    sortBy: sortSpec.field,
+    sortOrder: sortSpec.order === 1 ? 'asc' : 'desc'
+  };
+  if (page) {
+    pagination.currentPage = page;
+    pagination.hasPrevPage = page > 1;
+  }
+
+  if (params.count === 'true' || params.page !== undefined) {
+    const isUnfiltered = Object.keys(query).length === 0;
+    pagination.totalItems = isUnfiltered ? await Model.estimatedDocumentCount() : await Model.countDocuments(query);
+    pagination.totalPages = Math.ceil(pagination.totalItems / limit);
+  }
+
+  return { data, pagination };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getSortableFields,
+  parseLimitParam,
+  parseSortParams,
+  parseFieldsParam,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  findStockPage
+};
@@ -0,0 +1,142 @@
+// Range query language for /api/v1/stocks
+//
+// A query is a tree of nodes passed as JSON in the `where` query parameter:
+//   { "field": "priceEarningsRatioTTM", "min": 8, "max": 12 }      -> 8 <= P/E <= 12
+//   { "field": "returnOnEquityTTM", "min": 0.18 }                  -> ROE >= 18%
+//   { "field": "marketCap", "gt": 0, "lt": 50000000 }              -> strict bounds
+//   { "and": [ ...nodes ] } / { "or": [ ...nodes ] }               -> grouping
+// A bare array at the top level is treated as an "and" group.
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+// Bound keys accepted on a condition and the MongoDB operator each maps to
+const BOUND_OPERATORS = {
+  min: '$gte',
+  max: '$lte',
+  gt: '$gt',
+  lt: '$lt'
+};
+
+class QueryValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'QueryValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// List every Number path on a Mongoose schema (these are the filterable fields)
+const getNumericFields = (schema) => Object.keys(schema.paths)
+  .filter(path => schema.paths[path].instance === 'Number');
+
+const parseWhereParam = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw === 'object') return raw; // Already parsed (e.g. JSON request body)
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new QueryValidationError('Range query is not valid JSON', [e.message]);
+  }
+};
+
+const buildCondition = (node, numericFields, errors, path) => {
+  const unknownKeys = Object.keys(node).filter(key => key !== 'field' && !BOUND_OPERATORS[key]);
+  if (unknownKeys.length > 0) {
+    errors.push(`${path}: unknown key(s) ${unknownKeys.join(', ')}`);
+  }
+
+  if (!numericFields.includes(node.field)) {
+    errors.push(`${path}: unknown numeric field "${node.field}"`);
+    return null;
+  }
+
+  const bounds = {};
+  Object.entries(BOUND_OPERATORS).forEach(([key, operator]) => {
+    if (node[key] === undefined) return;
+    const value = typeof node[key] === 'string' && node[key].trim() !== '' ? Number(node[key]) : node[key];
+    if (typeof value !== 'number' || !isFinite(value)) {
+      errors.push(`${path}.${key}: must be a finite number`);
+      return;
+    }
+    bounds[operator] = value;
+  });
+
+  if (Object.keys(bounds).length === 0) {
+    errors.push(`${path}: at least one of ${Object.keys(BOUND_OPERATORS).join(', ')} is required`);
+    return null;
+  }
+
+  const lower = bounds.$gte ?? bounds.$gt;
+  const upper = bounds.$lte ?? bounds.$lt;
+  if (lower !== undefined && upper !== undefined && lower > upper) {
+    errors.push(`${path}: lower bound ${lower} is greater than upper bound ${upper}`);
+  }
+
+  return { [node.field]: bounds };
+};
+
+const buildNode = (node, numericFields, errors, path, depth, counter) => {
+  if (depth > MAX_DEPTH) {
+    errors.push(`${path}: groups may be nested at most ${MAX_DEPTH} levels deep`);
+    return null;
+  }
+
+  if (Array.isArray(node)) {
+    return buildNode({ and: node }, numericFields, errors, path, depth, counter);
+  }
+
+  if (!node || typeof node !== 'object') {
+    errors.push(`${path}: expected an object`);
+    return null;
+  }
+
+  const groupKey = ['and', 'or'].find(key => key in node);
+  if (groupKey) {
+    const otherKeys = Object.keys(node).filter(key => key !== groupKey);
+    if (otherKeys.length > 0) {
+      errors.push(`${path}: a "${groupKey}" group cannot also have ${otherKeys.join(', ')}`);
+    }
+    const children = node[groupKey];
+    if (!Array.isArray(children) || children.length === 0) {
+      errors.push(`${path}.${groupKey}: must be a non-empty array`);
+      return null;
+    }
+    const built = children
+      .map((child, index) => buildNode(child, numericFields, errors, `${path}.${groupKey}[${index}]`, depth + 1, counter))
+      .filter(Boolean);
+    if (built.length === 0) return null;
+    if (built.length === 1) return built[0];
+    return { [`$${groupKey}`]: built };
+  }
+
+  counter.conditions += 1;
+  if (counter.conditions > MAX_CONDITIONS) {
+    if (counter.conditions === MAX_CONDITIONS + 1) {
+      errors.push(`query may contain at most ${MAX_CONDITIONS} conditions`);
+    }
+    return null;
+  }
+  return buildCondition(node, numericFields, errors, path);
+};
+
+// Validate a parsed range query and translate it into a MongoDB filter.
+// Throws QueryValidationError listing every problem found.
+const buildRangeFilter = (query, numericFields) => {
+  if (query === null || query === undefined) return null;
+
+  const errors = [];
+  const filter = buildNode(query, numericFields, errors, 'where', 1, { conditions: 0 });
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid range query', errors);
+  }
+  return filter;
+};
+
+module.exports = {
+  QueryValidationError,
+  getNumericFields,
+  parseWhereParam,
+  buildRangeFilter
+};
@@ -0,0 +1,221 @@
+// Search for /api/v1/search
+//
+// A query such as "small cap value tech low debt apple" is handled in two steps:
+//   1. parseSearchPhrase() turns known phrases into sidebar filters, using the same ids and values
+//      as FILTER_GROUPS in public/constants.ts ({ marketCap: 'small', peRatio: 'value', ... }).
+//   2. The remaining words are ranked against symbol, company name, industry, CEO and description
+//      with an in-memory inverted index that tolerates typos (1 edit for 4+ letters, 2 for 8+).
+
+const SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+const MAX_QUERY_LENGTH = 200;
+
+// Weight of a word match in each field; symbols are matched separately (see scoreSymbol)
+const FIELD_WEIGHTS = {
+  companyName: 5,
+  industry: 3,
+  ceo: 2,
+  description: 1
+};
+
+// Phrases mapped to sidebar filters. Longer phrases win over shorter ones at the same position.
+const PHRASE_FILTERS = [
+  { filter: 'marketCap', value: 'nano', phrases: ['nano cap', 'nanocap', 'nano'] },
+  { filter: 'marketCap', value: 'micro', phrases: ['micro cap', 'microcap', 'micro'] },
+  { filter: 'marketCap', value: 'small', phrases: ['small cap', 'smallcap', 'small caps'] },
+  { filter: 'marketCap', value: 'midLarge', phrases: ['mid cap', 'midcap', 'large cap', 'largecap', 'mega cap', 'large caps', 'blue chip'] },
+  { filter: 'region', value: 'europe', phrases: ['europe', 'european'] },
+  { filter: 'region', value: 'asiaPacific', phrases: ['asia', 'asian', 'asia pacific', 'apac'] },
+  { filter: 'region', value: 'northAmerica', phrases: ['north america', 'north american'] },
+  { filter: 'volume', value: 'high', phrases: ['high volume', 'liquid', 'highly liquid'] },
+  { filter: 'volume', value: 'low', phrases: ['low volume', 'illiquid', 'thinly traded'] },
+  { filter: 'debtEquityRatio', value: 'low', phrases: ['low debt', 'low leverage', 'little debt'] },
+  { filter: 'debtEquityRatio', value: 'medium', phrases: ['moderate debt', 'medium debt'] },
+  { filter: 'debtEquityRatio', value: 'high', phrases: ['high debt', 'high leverage', 'leveraged'] },
+  { filter: 'roe', value: 'excellent', phrases: ['high roe', 'excellent roe', 'high return on equity'] },
+  { filter: 'roe', value: 'good', phrases: ['good roe'] },
+  { filter: 'roe', value: 'poor', phrases: ['low roe', 'poor roe'] },
+  { filter: 'peRatio', value: 'value', phrases: ['value', 'cheap', 'low pe', 'low p/e'] },
+  { filter: 'peRatio', value: 'growth', phrases: ['growth', 'high pe', 'high p/e'] },
+  { filter: 'peRatio', value: 'blend', phrases: ['blend', 'garp'] },
+  { filter: 'gmTrend', value: 'improving', phrases: ['improving margins', 'expanding margins', 'margin expansion'] },
+  { filter: 'gmTrend', value: 'stable', phrases: ['stable margins'] },
+  { filter: 'shareCountChange', value: 'le0pct', phrases: ['buybacks', 'share buybacks', 'buyback'] },
+  { filter: 'priceToNCAV', value: 'le0.66', phrases: ['net net', 'deep value'] },
+  { filter: 'netInsiderTrx', value: 'any', phrases: ['insider buying', 'insider buys'] },
+  { filter: 'moatKws', value: 'ge3', phrases: ['moat', 'wide moat'] },
+  { filter: 'rdFlags', value: 'allRedFlags', phrases: ['no red flags', 'clean'] },
+  { filter: 'sector', value: 'Technology', phrases: ['tech', 'technology'] },
+  { filter: 'sector', value: 'Healthcare', phrases: ['healthcare', 'health care'] },
+  { filter: 'sector', value: 'Financial Services', phrases: ['financial', 'financials', 'financial services'] },
+  { filter: 'sector', value: 'Energy', phrases: ['energy'] },
+  { filter: 'sector', value: 'Utilities', phrases: ['utilities', 'utility'] },
+  { filter: 'sector', value: 'Real Estate', phrases: ['real estate', 'reit', 'reits'] },
+  { filter: 'sector', value: 'Industrials', phrases: ['industrial', 'industrials'] },
+  { filter: 'sector', value: 'Basic Materials', phrases: ['materials', 'basic materials'] },
+  { filter: 'sector', value: 'Consumer Cyclical', phrases: ['consumer cyclical', 'consumer discretionary'] },
+  { filter: 'sector', value: 'Consumer Defensive', phrases: ['consumer defensive', 'consumer staples', 'staples'] },
+  { filter: 'sector', value: 'Communication Services', phrases: ['communication services', 'telecom'] }
+];
+
+// Filler words dropped from the text part of a query
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'with', 'for', 'from', 'stock', 'stocks', 'company', 'companies', 'shares']);
+
+// Lowercase words; hyphens separate words ("large-cap" -> "large", "cap"), dots and slashes do not ("p/e")
+const tokenize = (text) => (typeof text === 'string' ? text.toLowerCase().match(/[a-z0-9][a-z0-9.&/]*/g) || [] : [])
+  .map(token => token.replace(/[./]+$/, ''));
+
+// Longest phrase per first word, so "small cap value" matches "small cap" before anything shorter
+const PHRASES_BY_FIRST_WORD = new Map();
+PHRASE_FILTERS.forEach(({ filter, value, phrases }) => {
+  phrases.forEach(phrase => {
+    const words = tokenize(phrase);
+    const entries = PHRASES_BY_FIRST_WORD.get(words[0]) || [];
+    entries.push({ words, filter, value });
+    entries.sort((a, b) => b.words.length - a.words.length);
+    PHRASES_BY_FIRST_WORD.set(words[0], entries);
+  });
+});
+
+// Split a query into sidebar filters and the words left to search for. The first phrase for a
+// filter wins; later conflicting phrases stay as search words.
+const parseSearchPhrase = (query) => {
+  const words = tokenize(String(query || '').slice(0, MAX_QUERY_LENGTH));
+  const filters = {};
+  const terms = [];
+
+  for (let i = 0; i < words.length;) {
+    const candidates = PHRASES_BY_FIRST_WORD.get(words[i]) || [];
+    const match = candidates.find(({ words: phrase }) => phrase.every((word, offset) => words[i + offset] === word));
+    if (match && filters[match.filter] === undefined) {
+      filters[match.filter] = match.value;
+      i += match.words.length;
+      continue;
+    }
+    if (!STOP_WORDS.has(words[i])) terms.push(words[i]);
+    i += 1;
+  }
+  return { filters, terms };
+};
+
+// Levenshtein distance, or maxDistance + 1 as soon as it is certain to exceed maxDistance
+const boundedEditDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// How well a search word matches an indexed word: 1 exact, 0.8 prefix, 0.6 / 0.4 for 1 / 2 typos
+const wordMatchQuality = (term, word) => {
+  if (term === word) return 1;
+  if (term.length >= 3 && word.startsWith(term)) return 0.8;
+  const maxEdits = allowedEdits(term);
+  if (maxEdits === 0) return 0;
+  const distance = boundedEditDistance(term, word, maxEdits);
+  if (distance > maxEdits) return 0;
+  return distance === 1 ? 0.6 : 0.4;
+};
+
+const scoreSymbol = (term, symbol) => {
+  if (term === symbol) return 10;
+  if (term.length >= 2 && symbol.startsWith(term)) return 6;
+  return 0;
+};
+
+// Inverted index over the searchable fields: word -> Map(stock index -> best field weight)
+const buildSearchIndex = (stocks) => {
+  const postings = new Map();
+  const symbols = stocks.map(stock => String(stock.symbol || '').toLowerCase());
+
+  stocks.forEach((stock, index) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      new Set(tokenize(stock[field])).forEach(word => {
+        if (word.length < 2 || STOP_WORDS.has(word)) return;
+        let docs = postings.get(word);
+        if (!docs) {
+          docs = new Map();
+          postings.set(word, docs);
+        }
+        if ((docs.get(index) || 0) < weight) docs.set(index, weight);
+      });
+    });
+  });
+
+  return { symbols, postings, builtAt: Date.now() };
+};
+
+// Rank stocks for the given words. Stocks matching more words come first, then by score.
+const rankStocks = (index, terms) => {
+  const totals = new Map(); // stock index -> { score, matchedTerms }
+
+  terms.forEach(term => {
+    const termScores = new Map();
+    const keep = (stockIndex, score) => {
+      if (score > (termScores.get(stockIndex) || 0)) termScores.set(stockIndex, score);
+    };
+
+    index.symbols.forEach((symbol, stockIndex) => keep(stockIndex, scoreSymbol(term, symbol)));
+    index.postings.forEach((docs, word) => {
+      const quality = wordMatchQuality(term, word);
+      if (quality === 0) return;
+      docs.forEach((weight, stockIndex) => keep(stockIndex, quality * weight));
+    });
+
+    termScores.forEach((score, stockIndex) => {
+      const total = totals.get(stockIndex) || { score: 0, matchedTerms: 0 };
+      total.score += score;
+      total.matchedTerms += 1;
+      totals.set(stockIndex, total);
+    });
+  });
+
+  return [...totals.entries()]
+    .map(([stockIndex, total]) => ({ symbol: index.symbols[stockIndex].toUpperCase(), ...total }))
+    .sort((a, b) => b.matchedTerms - a.matchedTerms || b.score - a.score || a.symbol.localeCompare(b.symbol));
+};
+
+// Search index for a model, rebuilt from the database at most every SEARCH_INDEX_TTL_MS
+const createSearchIndexCache = (Model, ttlMs = SEARCH_INDEX_TTL_MS) => {
+  let cached = null;
+  let building = null;
+
+  return async () => {
+    if (cached && Date.now() - cached.builtAt < ttlMs) return cached;
+    if (!building) {
+      building = Model.find({}, ['symbol', ...Object.keys(FIELD_WEIGHTS)].join(' ')).lean()
+        .then(stocks => {
+          cached = buildSearchIndex(stocks);
+          return cached;
+        })
+        .finally(() => {
+          building = null;
+        });
+    }
+    return building;
+  };
+};
+
+module.exports = {
+  FIELD_WEIGHTS,
+  PHRASE_FILTERS,
+  MAX_QUERY_LENGTH,
+  tokenize,
+  parseSearchPhrase,
+  boundedEditDistance,
+  wordMatchQuality,
+  buildSearchIndex,
+  rankStocks,
+  createSearchIndexCache
+};
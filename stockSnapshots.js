@@ -0,0 +1,78 @@
+// Dated snapshots of the stocks collection
+//
+// Every import copies each Stock document into the StockSnapshot collection, keyed by symbol and
+// snapshot day (UTC midnight). Re-running an import on the same day replaces that day's snapshot.
+// `/api/v1/stocks?asOf=YYYY-MM-DD` screens against the latest snapshot taken on or before that day.
+
+const { QueryValidationError } = require('./stockQuery');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot schema: every Stock field plus the snapshot day. Symbols repeat across days, so the
+// unique index moves from `symbol` to `symbol + snapshotDate`.
+const createSnapshotModel = (mongoose, stockSchema) => {
+  const snapshotSchema = new mongoose.Schema({
+    ...stockSchema.obj,
+    symbol: { type: String, required: true },
+    snapshotDate: { type: Date, required: true }
+  });
+  snapshotSchema.index({ symbol: 1, snapshotDate: 1 }, { unique: true });
+  snapshotSchema.index({ snapshotDate: 1 });
+  return mongoose.models.StockSnapshot || mongoose.model('StockSnapshot', snapshotSchema);
+};
+
+// UTC midnight of the given date
+const snapshotDay = (date = new Date()) => new Date(Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS);
+
+// Copy every stock into today's snapshot. Runs after scoring so the snapshot includes scores.
+async function writeSnapshots(StockModel, SnapshotModel, date = new Date()) {
+  const snapshotDate = snapshotDay(date);
+  const stocks = await StockModel.find({}).lean();
+  const BATCH_SIZE = 1000;
+
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map(({ _id, __v, ...stock }) => ({
+      replaceOne: {
+        filter: { symbol: stock.symbol, snapshotDate },
+        replacement: { ...stock, snapshotDate },
+        upsert: true
+      }
+    }));
+    await SnapshotModel.bulkWrite(ops, { ordered: false });
+  }
+  return { snapshotDate, count: stocks.length };
+}
+
+// Parse an `asOf` query value (YYYY-MM-DD or any ISO date) into a Date
+const parseAsOfParam = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const date = new Date(raw);
+  if (typeof raw !== 'string' || isNaN(date.getTime())) {
+    throw new QueryValidationError('Invalid asOf date', [`asOf: "${raw}" is not a valid date (use YYYY-MM-DD)`]);
+  }
+  return date;
+};
+
+// Latest snapshot day on or before `asOf`, or null when no snapshot is that old
+async function resolveSnapshotDate(SnapshotModel, asOf) {
+  const latest = await SnapshotModel.findOne({ snapshotDate: { $lte: snapshotDay(asOf) } }, 'snapshotDate')
+    .sort({ snapshotDate: -1 })
+    .lean();
+  return latest ? latest.snapshotDate : null;
+}
+
+// Available snapshot days with the number of stocks in each, newest first
+const listSnapshotDates = (SnapshotModel) => SnapshotModel.aggregate([
+  { $group: { _id: '$snapshotDate', count: { $sum: 1 } } },
+  { $sort: { _id: -1 } },
+  { $project: { _id: 0, snapshotDate: '$_id', count: 1 } }
+]);
+
+module.exports = {
+  createSnapshotModel,
+  snapshotDay,
+  writeSnapshots,
+  parseAsOfParam,
+  resolveSnapshotDate,
+  listSnapshotDates
+};
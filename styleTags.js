@@ -0,0 +1,165 @@
+// Style tags: strategy classification of every stock from editable rules
+//
+// A rule tags a stock when all of its conditions hold. A condition compares one numeric field (any
+// stock field, a profile total such as scores.deepValue.total, or customMetrics.<key>) with gt, gte,
+// lt and lte bounds, like the category buckets in stockModel.js; a missing value never matches. The
+// importer tags every stock once scores, peer-relative values and custom metrics are in place and
+// stores the tag ids in `styleTags`, plus the conditions that held (with the stock's values) in
+// `styleTagReasons` so the UI can explain each tag. Edit STYLE_RULES and the next import re-tags.
+
+const { safeNum, matchesBucket } = require('./stockModel');
+const { QueryValidationError } = require('./stockQuery');
+
+// Tag id -> label, description and conditions. Ids are what the API filters on (styleTags=deepValue).
+const STYLE_RULES = {
+  highMomentum: {
+    label: '⚡ High Momentum',
+    description: 'Trading in the top fifth of its 52-week range with enough volume to trade',
+    conditions: [
+      { field: 'priceRangePosition', label: 'Position in 52-week range', gte: 0.8 },
+      { field: 'avgVolume', label: 'Avg. volume', gte: 100000 }
+    ]
+  },
+  deepValue: {
+    label: '🛡️ Deep Value',
+    description: 'Cheap on earnings and cash flow against the whole market, at a low positive P/E',
+    conditions: [
+      { field: 'scores.deepValue.total', label: 'Deep Value score', gte: 70 },
+      { field: 'priceEarningsRatioTTM', label: 'P/E (TTM)', gt: 0, lte: 15 }
+    ]
+  },
+  qualityCompounder: {
+    label: '🌱 Quality Compounder',
+    description: 'High, cash-backed returns on equity without heavy leverage',
+    conditions: [
+      { field: 'scores.qualityCompounder.total', label: 'Quality Compounder score', gte: 70 },
+      { field: 'returnOnEquityTTM', label: 'ROE (TTM)', gte: 0.15 },
+      { field: 'debtEquityRatioTTM', label: 'Debt/Equity (TTM)', gte: 0, lt: 1 }
+    ]
+  },
+  netNet: {
+    label: '🧮 Net-Net',
+    description: 'Market cap below two thirds of net current asset value',
+    conditions: [
+      { field: 'priceToNCAV', label: 'Price / NCAV', gt: 0, lte: 0.66 }
+    ]
+  },
+  shareCannibal: {
+    label: '🔁 Share Cannibal',
+    description: 'Shrinking its share count by at least 3% a year through buybacks',
+    conditions: [
+      { field: 'shareCountCagr', label: 'Share count CAGR', lte: -0.03 }
+    ]
+  },
+  insiderAligned: {
+    label: '🤝 Insider Aligned',
+    description: 'Insiders own a large stake and have been net buyers over the last year',
+    conditions: [
+      { field: 'insiderOwnership', label: 'Insider ownership', gte: 0.15 },
+      { field: 'netInsiderBuys', label: 'Net insider buys', gte: 1 }
+    ]
+  },
+  nearLow: {
+    label: '📉 Near 52-Week Low',
+    description: 'Trading in the bottom tenth of its 52-week range',
+    conditions: [
+      { field: 'priceRangePosition', label: 'Position in 52-week range', lte: 0.1 }
+    ]
+  },
+  highPE: {
+    label: 'High P/E',
+    description: 'Priced at more than 30 times trailing earnings',
+    conditions: [
+      { field: 'priceEarningsRatioTTM', label: 'P/E (TTM)', gt: 30 }
+    ]
+  }
+};
+
+const BOUND_SYMBOLS = { gt: '>', gte: '≥', lt: '<', lte: '≤' };
+
+// Where the price sits in its 52-week range: 0 at the low, 1 at the high (null without a range)
+const computePriceRangePosition = ({ price, yearHigh, yearLow }) => {
+  const current = safeNum(price);
+  const high = safeNum(yearHigh);
+  const low = safeNum(yearLow);
+  if (current === null || high === null || low === null || high <= low) return null;
+  return Math.min(Math.max((current - low) / (high - low), 0), 1);
+};
+
+// 'scores.deepValue.total' -> the nested value
+const fieldValue = (stock, field) => safeNum(field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), stock));
+
+const formatValue = (value) => String(Math.round(value * 100) / 100);
+
+const conditionHolds = (condition, value) => value !== null && matchesBucket(condition, value);
+
+// "P/E (TTM) 9.4 (> 0, ≤ 15)"
+const explainCondition = (condition, value) => {
+  const bounds = Object.entries(BOUND_SYMBOLS)
+    .filter(([bound]) => condition[bound] !== undefined)
+    .map(([bound, symbol]) => `${symbol} ${condition[bound]}`);
+  return `${condition.label || condition.field} ${formatValue(value)} (${bounds.join(', ')})`;
+};
+
+// Tags for one stock: { styleTags: [id], styleTagReasons: [{ tag, label, reasons }] }
+const classifyStock = (stock, rules = STYLE_RULES) => {
+  const styleTagReasons = [];
+  Object.entries(rules).forEach(([tag, rule]) => {
+    const values = rule.conditions.map(condition => fieldValue(stock, condition.field));
+    if (rule.conditions.every((condition, i) => conditionHolds(condition, values[i]))) {
+      styleTagReasons.push({ tag, label: rule.label, reasons: rule.conditions.map((condition, i) => explainCondition(condition, values[i])) });
+    }
+  });
+  return { styleTags: styleTagReasons.map(reason => reason.tag), styleTagReasons };
+};
+
+// Top-level fields the rules read (enough to project a stock document for classifyStock)
+const ruleFields = (rules) => [...new Set(Object.values(rules)
+  .flatMap(rule => rule.conditions.map(condition => condition.field.split('.')[0])))];
+
+// Re-tag every stock, storing priceRangePosition first since the momentum rules read it. Runs after
+// scoring, peer-relative values and custom metrics, so rules may use any of them.
+async function tagAllStocks(StockModel, rules = STYLE_RULES) {
+  const projection = ['price', 'yearHigh', 'yearLow', ...ruleFields(rules)].join(' ');
+  const stocks = await StockModel.find({}, projection).lean();
+  const taggedAt = new Date();
+  const BATCH_SIZE = 1000;
+
+  for (let i = 0; i < stocks.length; i += BATCH_SIZE) {
+    const ops = stocks.slice(i, i + BATCH_SIZE).map(stock => {
+      const priceRangePosition = computePriceRangePosition(stock);
+      const { styleTags, styleTagReasons } = classifyStock({ ...stock, priceRangePosition }, rules);
+      return {
+        updateOne: {
+          filter: { _id: stock._id },
+          update: { $set: { priceRangePosition, styleTags, styleTagReasons, styleTaggedAt: taggedAt } }
+        }
+      };
+    });
+    await StockModel.bulkWrite(ops, { ordered: false });
+  }
+  return stocks.length;
+}
+
+// `styleTags=deepValue,highMomentum` -> stocks carrying every listed tag, or null
+const buildStyleTagFilter = (params = {}) => {
+  if (params.styleTags === undefined || params.styleTags === '') return null;
+  const tags = String(params.styleTags).split(',').map(tag => tag.trim()).filter(Boolean);
+  const unknown = tags.filter(tag => !STYLE_RULES[tag]);
+  if (unknown.length > 0) {
+    throw new QueryValidationError(`styleTags must be a list of ${Object.keys(STYLE_RULES).join(', ')}`, unknown);
+  }
+  return tags.length > 0 ? { styleTags: { $all: tags } } : null;
+};
+
+// Rules for the API / frontend
+const describeStyleTags = () => Object.entries(STYLE_RULES).map(([id, rule]) => ({ id, ...rule }));
+
+module.exports = {
+  STYLE_RULES,
+  computePriceRangePosition,
+  classifyStock,
+  tagAllStocks,
+  buildStyleTagFilter,
+  describeStyleTags
+};
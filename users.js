@@ -0,0 +1,262 @@
+// User accounts, sessions and per-user workspaces
+//
+// Users sign in with email and password (scrypt hashes with a per-user salt) and get a random session
+// token, sent back as `Authorization: Bearer <token>`. Only a SHA-256 digest of the token is stored;
+// sessions expire after SESSION_TTL_DAYS. A user's workspace (watchlist, column layout, custom
+// presets, theme) lives on the user document. Saved screens, presets, portfolios and alerts carry their
+// owner's id and only the owner may change or delete them (see ownedFilter); creating one requires a
+// signed-in user. Screens and presets from before accounts existed have no owner and stay readable by
+// everyone (see ownerFilter). Portfolios and alerts are only ever visible to their owner.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { QueryValidationError } = require('./stockQuery');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_WATCHLIST_SYMBOLS = 1000;
+const MAX_CUSTOM_PRESETS = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const SYMBOL_PATTERN = /^[A-Z0-9.\-^]{1,15}$/;
+const THEMES = ['light', 'dark'];
+
+const createUserModels = (mongoose) => {
+  const customPresetSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    emoji: { type: String, default: '⭐' },
+    description: { type: String, default: '' },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} } // ActiveFilters
+  });
+
+  const userSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, trim: true },
+    passwordHash: { type: String, required: true },
+    passwordSalt: { type: String, required: true },
+    workspace: {
+      watchlist: { type: [String], default: [] },
+      keyMetricsVisibility: { type: mongoose.Schema.Types.Mixed, default: null }, // Metric key -> shown
+      visibleCustomMetrics: { type: [String], default: [] }, // Custom metric keys shown as columns
+      customPresets: { type: [customPresetSchema], default: [] }, // Earlier presets; the frontend moves them to presets.js
+      theme: { type: String, enum: [...THEMES, null], default: null },
+      selectedPortfolioId: { type: String, default: null },
+      migratedAt: { type: Date, default: null } // When the browser's localStorage state was imported
+    }
+  }, { timestamps: true });
+
+  const sessionSchema = new mongoose.Schema({
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    expiresAt: { type: Date, required: true }
+  }, { timestamps: true });
+  sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB drops expired sessions
+
+  return {
+    User: mongoose.models.User || mongoose.model('User', userSchema),
+    Session: mongoose.models.Session || mongoose.model('Session', sessionSchema)
+  };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = async (password, salt) => (await scrypt(password, salt, 64)).toString('hex');
+
+const verifyPassword = async (user, password) => {
+  const hash = Buffer.from(await hashPassword(password, user.passwordSalt), 'hex');
+  const stored = Buffer.from(user.passwordHash, 'hex');
+  return hash.length === stored.length && crypto.timingSafeEqual(hash, stored);
+};
+
+// Validate a register/login body; returns { email, password, name }
+const validateCredentials = (body, { register = false } = {}) => {
+  const errors = [];
+  const { email, password, name } = body || {};
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) errors.push('email: must be a valid email address');
+  if (typeof password !== 'string' || password === '') {
+    errors.push('password: is required');
+  } else if (register && password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`password: must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (register && name !== undefined && typeof name !== 'string') errors.push('name: must be a string');
+  if (errors.length > 0) {
+    throw new QueryValidationError(register ? 'Invalid registration' : 'Invalid login', errors);
+  }
+  return { email: email.trim().toLowerCase(), password, name: typeof name === 'string' ? name.trim() : undefined };
+};
+
+// New user document (not saved) with a salted password hash
+const buildUser = async ({ User }, { email, password, name }) => {
+  const passwordSalt = crypto.randomBytes(16).toString('hex');
+  return new User({ email, name, passwordSalt, passwordHash: await hashPassword(password, passwordSalt) });
+};
+
+// Start a session; returns the token to hand to the client (it is not stored)
+const createSession = async ({ Session }, user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await Session.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return token;
+};
+
+const endSession = ({ Session }, token) => Session.deleteOne({ tokenHash: hashToken(token) });
+
+const bearerToken = (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+// Express middleware. `authenticate` sets req.user (or null without a token) and rejects an unknown
+// or expired token with 401, so a client with a stale session does not silently fall back to the
+// shared data. `requireUser` additionally rejects requests without a session.
+const createAuthMiddleware = ({ User, Session }) => {
+  const authenticate = async (req, res, next) => {
+    req.user = null;
+    const token = bearerToken(req);
+    if (!token) return next();
+    try {
+      const session = await Session.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+      const user = session && await User.findById(session.userId);
+      if (!user) {
+        return res.status(401).json({ error: 'Session expired or invalid; sign in again' });
+      }
+      req.user = user;
+      req.sessionToken = token;
+      next();
+    } catch (error) {
+      console.error('Error checking session:', error.message);
+      res.status(500).json({ error: 'Error checking session' });
+    }
+  };
+
+  const requireUser = (req, res, next) => authenticate(req, res, () => {
+    if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+    next();
+  });
+
+  return { authenticate, requireUser };
+};
+
+// Documents the request may read: the signed-in user's own plus the shared ones without an owner
+const ownerFilter = (req) => ({ userId: req.user ? { $in: [req.user._id, null] } : null });
+
+// Documents the request may change or delete, and private ones it may read: the signed-in user's own.
+// Only for routes behind requireUser.
+const ownedFilter = (req) => ({ userId: req.user._id });
+
+// Owner to record on a document created by the request
+const ownerOf = (req) => req.user._id;
+
+const publicUser = (user) => ({ _id: user._id, email: user.email, name: user.name || null, createdAt: user.createdAt });
+
+// Workspace as sent to the client; custom presets get a string `id`
+const publicWorkspace = (user) => {
+  const { workspace } = user.toObject({ minimize: false });
+  return { ...workspace, customPresets: workspace.customPresets.map(({ _id, ...preset }) => ({ id: String(_id), ...preset })) };
+};
+
+const cleanSymbols = (raw, errors, field) => {
+  if (!Array.isArray(raw)) {
+    errors.push(`${field}: must be an array of tickers`);
+    return [];
+  }
+  const symbols = [...new Set(raw.map(symbol => String(symbol).trim().toUpperCase()).filter(symbol => SYMBOL_PATTERN.test(symbol)))];
+  if (symbols.length > MAX_WATCHLIST_SYMBOLS) errors.push(`${field}: at most ${MAX_WATCHLIST_SYMBOLS} tickers`);
+  return symbols;
+};
+
+const cleanPresets = (raw, errors) => {
+  if (!Array.isArray(raw)) {
+    errors.push('customPresets: must be an array');
+    return [];
+  }
+  if (raw.length > MAX_CUSTOM_PRESETS) errors.push(`customPresets: at most ${MAX_CUSTOM_PRESETS} presets`);
+  return raw.flatMap((preset, i) => {
+    if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+      errors.push(`customPresets[${i}].name: is required`);
+      return [];
+    }
+    if (!preset.filters || typeof preset.filters !== 'object' || Array.isArray(preset.filters)) {
+      errors.push(`customPresets[${i}].filters: must be an object`);
+      return [];
+    }
+    return [{
+      name: preset.name.trim(),
+      emoji: typeof preset.emoji === 'string' && preset.emoji ? preset.emoji : '⭐',
+      description: typeof preset.description === 'string' ? preset.description : '',
+      filters: preset.filters
+    }];
+  });
+};
+
+// Validate a workspace update; only the fields present are returned (and changed)
+const validateWorkspaceInput = (body) => {
+  const errors = [];
+  const input = {};
+  const { watchlist, keyMetricsVisibility, visibleCustomMetrics, customPresets, theme, selectedPortfolioId } = body || {};
+
+  if (watchlist !== undefined) input.watchlist = cleanSymbols(watchlist, errors, 'watchlist');
+  if (keyMetricsVisibility !== undefined) {
+    const valid = keyMetricsVisibility === null || (typeof keyMetricsVisibility === 'object' && !Array.isArray(keyMetricsVisibility)
+      && Object.values(keyMetricsVisibility).every(value => typeof value === 'boolean'));
+    if (valid) input.keyMetricsVisibility = keyMetricsVisibility;
+    else errors.push('keyMetricsVisibility: must map metric keys to true or false');
+  }
+  if (visibleCustomMetrics !== undefined) {
+    if (Array.isArray(visibleCustomMetrics) && visibleCustomMetrics.every(key => typeof key === 'string')) input.visibleCustomMetrics = visibleCustomMetrics;
+    else errors.push('visibleCustomMetrics: must be an array of custom metric keys');
+  }
+  if (customPresets !== undefined) input.customPresets = cleanPresets(customPresets, errors);
+  if (theme !== undefined) {
+    if (theme === null || THEMES.includes(theme)) input.theme = theme;
+    else errors.push(`theme: must be one of ${THEMES.join(', ')}`);
+  }
+  if (selectedPortfolioId !== undefined) {
+    if (selectedPortfolioId === null || /^[0-9a-f]{24}$/i.test(String(selectedPortfolioId))) input.selectedPortfolioId = selectedPortfolioId;
+    else errors.push('selectedPortfolioId: is not a valid id');
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError('Invalid workspace', errors);
+  }
+  return input;
+};
+
+// One-time import of a browser's localStorage state: watchlists and presets are merged, other settings
+// are taken from the browser only where the account has none yet
+const mergeLocalWorkspace = (workspace, local) => ({
+  watchlist: [...new Set([...workspace.watchlist, ...(local.watchlist || [])])].slice(0, MAX_WATCHLIST_SYMBOLS),
+  keyMetricsVisibility: workspace.keyMetricsVisibility || local.keyMetricsVisibility || null,
+  visibleCustomMetrics: workspace.visibleCustomMetrics.length > 0 ? workspace.visibleCustomMetrics : (local.visibleCustomMetrics || []),
+  customPresets: [
+    ...workspace.customPresets,
+    ...(local.customPresets || []).filter(preset => !workspace.customPresets.some(existing => existing.name === preset.name))
+  ].slice(0, MAX_CUSTOM_PRESETS),
+  theme: workspace.theme || local.theme || null,
+  selectedPortfolioId: workspace.selectedPortfolioId || local.selectedPortfolioId || null,
+  migratedAt: new Date()
+});
+
+module.exports = {
+  EMAIL_PATTERN,
+  SESSION_TTL_DAYS,
+  MIN_PASSWORD_LENGTH,
+  createUserModels,
+  verifyPassword,
+  validateCredentials,
+  buildUser,
+  createSession,
+  endSession,
+  createAuthMiddleware,
+  ownerFilter,
+  ownedFilter,
+  ownerOf,
+  publicUser,
+  publicWorkspace,
+  validateWorkspaceInput,
+  mergeLocalWorkspace
+};
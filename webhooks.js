@@ -0,0 +1,90 @@
+// Outgoing webhooks for saved screens and alert rules
+//
+// Webhook URLs come from users, so the server must not be usable to reach the machines around it: a
+// webhook host has to resolve to public addresses only. Loopback, link-local (including the cloud
+// metadata service on 169.254.169.254), private (RFC 1918, fc00::/7), carrier-grade NAT and unspecified
+// addresses are refused when the screen or rule is saved and again on every delivery, which connects to
+// the address that was checked and does not follow redirects. Hosts listed in WEBHOOK_ALLOWED_HOSTS
+// (comma-separated, e.g. "localhost,hooks.internal") skip the check, e.g. for a local test receiver.
+
+const axios = require('axios');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6']
+].forEach(([address, prefix, type]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, type));
+
+const isBlockedAddress = (address) =>
+  BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Check a webhook URL and resolve its host. Returns the checked addresses ([{ address, family }]), or
+// null for an allow-listed host; throws when the URL is not http(s) or the host is not public.
+async function resolveWebhookAddresses(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('must be an http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('must be an http(s) URL');
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.includes(host)) return null;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.lookup(host, { all: true });
+    } catch (error) {
+      throw new Error(`host ${host} could not be resolved`);
+    }
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`host ${host} is a loopback, link-local or private address`);
+  }
+  return addresses;
+}
+
+// Connect only to the addresses that were checked, so the host cannot resolve elsewhere in between
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  if (options && options.all) return callback(null, addresses);
+  callback(null, addresses[0].address, addresses[0].family);
+};
+
+async function sendWebhook(url, payload) {
+  try {
+    const addresses = await resolveWebhookAddresses(url);
+    const agents = addresses
+      ? { httpAgent: new http.Agent({ lookup: pinnedLookup(addresses) }), httpsAgent: new https.Agent({ lookup: pinnedLookup(addresses) }) }
+      : {};
+    await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, ...agents });
+    return { webhookStatus: 'sent' };
+  } catch (error) {
+    return { webhookStatus: 'failed', webhookError: error.message };
+  }
+}
+
+module.exports = {
+  resolveWebhookAddresses,
+  sendWebhook
+};